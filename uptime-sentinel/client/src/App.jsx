@@ -3,6 +3,9 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { apiService } from './services/api';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { useDashboard } from './hooks/useDashboard';
+import { useNotificationChannels } from './hooks/useNotificationChannels';
+import { useEscalationPolicies } from './hooks/useEscalationPolicies';
+import { useMaintenanceWindows } from './hooks/useMaintenanceWindows';
 
 // Components
 import Header from './components/Header';
@@ -11,10 +14,21 @@ import StatsBar from './components/StatsBar';
 import AddWebsiteForm from './components/AddWebsiteForm';
 import WebsiteCard from './components/WebsiteCard';
 import LandingStats from './components/LandingStats';
+import WorkerStatus from './components/WorkerStatus';
+import NotificationChannels from './components/NotificationChannels';
+import EscalationPolicies from './components/EscalationPolicies';
+import MaintenanceWindows from './components/MaintenanceWindows';
 
 // Styles
 import './App.css';
 
+// How the dashboard is receiving live updates (see liveUpdateService)
+const TRANSPORT_LABELS = {
+  websocket: 'Live updates',
+  sse: 'Live updates (Server-Sent Events)',
+  polling: 'Live updates unavailable, refreshing every 30 seconds'
+};
+
 // Child component that actually uses the dashboard hook
 const DashboardInner = () => {
   const [isAddingWebsite, setIsAddingWebsite] = useState(false);
@@ -28,11 +42,24 @@ const DashboardInner = () => {
     refreshing,
     createWebsite,
     updateWebsite,
+    editWebsite,
     deleteWebsite,
     pauseWebsite,
     resumeWebsite,
-    refreshData
+    checkNow,
+    refreshData,
+    transport
   } = useDashboard();
+  const notificationChannels = useNotificationChannels();
+  const escalationPolicies = useEscalationPolicies();
+  const maintenanceWindows = useMaintenanceWindows();
+
+  // Websites show whether they are in maintenance; refetch them after a window changes
+  const withWebsiteRefresh = (action) => async (...args) => {
+    const result = await action(...args);
+    refreshData(true).catch(error => console.warn('Refresh after changing maintenance window failed:', error.message));
+    return result;
+  };
 
   const handleAddWebsite = async (websiteData) => {
     setIsAddingWebsite(true);
@@ -78,12 +105,50 @@ const DashboardInner = () => {
           >
             <h2>Monitoring Dashboard</h2>
             <p>Manage and monitor your websites in real-time</p>
+            {TRANSPORT_LABELS[transport] && (
+              <span className={`live-transport ${transport}`}>{TRANSPORT_LABELS[transport]}</span>
+            )}
           </motion.div>
 
+          {/* Ping worker heartbeat */}
+          <WorkerStatus />
+
+          {/* Slack, webhook and email alert contacts */}
+          <NotificationChannels
+            {...notificationChannels}
+            deleteChannel={async (channelId) => {
+              await notificationChannels.deleteChannel(channelId);
+              // The server also removed it from the websites
+              refreshData(true).catch(error => console.warn('Refresh after deleting channel failed:', error.message));
+            }}
+          />
+
+          {/* Who is alerted, and when, while a website stays down */}
+          <EscalationPolicies
+            {...escalationPolicies}
+            channels={notificationChannels.channels}
+            deletePolicy={async (policyId) => {
+              await escalationPolicies.deletePolicy(policyId);
+              // The server also removed it from the websites
+              refreshData(true).catch(error => console.warn('Refresh after deleting policy failed:', error.message));
+            }}
+          />
+
+          {/* When checks raise no incidents or alerts */}
+          <MaintenanceWindows
+            {...maintenanceWindows}
+            websites={websites}
+            createWindow={withWebsiteRefresh(maintenanceWindows.createWindow)}
+            updateWindow={withWebsiteRefresh(maintenanceWindows.updateWindow)}
+            deleteWindow={withWebsiteRefresh(maintenanceWindows.deleteWindow)}
+          />
+
           {/* Add Website Form */}
           <AddWebsiteForm
             onSubmit={handleAddWebsite}
             isLoading={isAddingWebsite}
+            notificationChannels={notificationChannels.channels}
+            escalationPolicies={escalationPolicies.policies}
           />
 
           {/* Error Message */}
@@ -146,8 +211,12 @@ const DashboardInner = () => {
                       website={website}
                       onDelete={handleDeleteWebsite}
                       onUpdate={handleWebsiteUpdate}
+                      onEdit={editWebsite}
                       onPause={pauseWebsite}
                       onResume={resumeWebsite}
+                      onCheckNow={(websiteId) => checkNow({ websiteId })}
+                      notificationChannels={notificationChannels.channels}
+                      escalationPolicies={escalationPolicies.policies}
                     />
                   ))}
                 </AnimatePresence>
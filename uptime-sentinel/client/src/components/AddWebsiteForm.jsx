@@ -2,20 +2,102 @@ import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import './AddWebsiteForm.css';
 
-const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
-  const [formData, setFormData] = useState({
-    name: '',
-    url: '',
-    email: ''
-  });
+const INTERVAL_OPTIONS = [
+  { value: 30, label: 'Every 30 seconds' },
+  { value: 60, label: 'Every minute' },
+  { value: 300, label: 'Every 5 minutes' },
+  { value: 900, label: 'Every 15 minutes' },
+  { value: 1800, label: 'Every 30 minutes' },
+  { value: 3600, label: 'Every hour' }
+];
+
+const FAILURE_THRESHOLD_OPTIONS = [1, 2, 3, 5, 10];
+
+// Healthy checks slower than this count as degraded (degradedThresholdMs, 0 = never)
+const DEGRADED_THRESHOLD_OPTIONS = [
+  { value: 0, label: 'Never' },
+  { value: 1000, label: 'Slower than 1 second' },
+  { value: 2000, label: 'Slower than 2 seconds' },
+  { value: 5000, label: 'Slower than 5 seconds' },
+  { value: 10000, label: 'Slower than 10 seconds' }
+];
+
+// What to do while a website is down (backoffPolicy.strategy)
+const BACKOFF_OPTIONS = [
+  { value: 'fixed', label: 'Keep checking for 12 hours, then pause for 24' },
+  { value: 'exponential', label: 'Check less often, up to once an hour' },
+  { value: 'never', label: 'Keep checking at the normal interval' }
+];
+
+// "Prod, API ,prod" -> "prod, api"
+const normalizeTags = (text) => {
+  const tags = text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)].join(', ');
+};
+
+// Same channel ids, in any order
+const isSameChannelList = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  email: '',
+  tags: '',
+  notificationChannels: [],
+  escalationPolicy: '',
+  probeEngine: 'http',
+  intervalSeconds: 300,
+  failureThreshold: 3,
+  confirmFailures: true,
+  degradedThresholdMs: 0,
+  backoffStrategy: 'fixed'
+};
+
+// Pre-fill the form from an existing website (edit mode)
+const getInitialFormData = (website) => {
+  if (!website) return EMPTY_FORM;
+
+  return {
+    name: website.name || '',
+    url: website.url || '',
+    email: website.email || '',
+    tags: (website.tags || []).join(', '),
+    notificationChannels: (website.notificationChannels || []).map(String),
+    escalationPolicy: website.escalationPolicy ? String(website.escalationPolicy) : '',
+    probeEngine: website.probeEngine || 'http',
+    intervalSeconds: website.intervalSeconds || 300,
+    failureThreshold: website.failureThreshold || 3,
+    confirmFailures: website.confirmFailures !== false,
+    degradedThresholdMs: website.degradedThresholdMs || 0,
+    backoffStrategy: website.backoffPolicy?.strategy || 'fixed'
+  };
+};
+
+// Used for adding a website, or editing one when `website` is passed.
+// `notificationChannels` are the user's Slack/webhook/email channels the website can alert,
+// `escalationPolicies` the policies it can be alerted through instead.
+const AddWebsiteForm = ({ onSubmit, isLoading = false, website = null, onCancel, notificationChannels = [], escalationPolicies = [] }) => {
+  const isEditMode = !!website;
+  const idPrefix = isEditMode ? `edit-${website._id}-` : '';
+  const [formData, setFormData] = useState(() => getInitialFormData(website));
   const [errors, setErrors] = useState({});
-  const [isExpanded, setIsExpanded] = useState(false);
+  const [isExpanded, setIsExpanded] = useState(isEditMode);
+
+  // Keep a custom interval (e.g. set through the API) selectable
+  const intervalOptions = INTERVAL_OPTIONS.some(option => option.value === parseInt(formData.intervalSeconds))
+    ? INTERVAL_OPTIONS
+    : [{ value: parseInt(formData.intervalSeconds), label: `Every ${formData.intervalSeconds} seconds` }, ...INTERVAL_OPTIONS];
+
+  // Same for a custom degraded threshold
+  const degradedThresholdOptions = DEGRADED_THRESHOLD_OPTIONS.some(option => option.value === parseInt(formData.degradedThresholdMs))
+    ? DEGRADED_THRESHOLD_OPTIONS
+    : [...DEGRADED_THRESHOLD_OPTIONS, { value: parseInt(formData.degradedThresholdMs), label: `Slower than ${formData.degradedThresholdMs}ms` }];
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
 
     // Clear error when user starts typing
@@ -27,6 +109,15 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
     }
   };
 
+  const toggleChannel = (channelId) => {
+    setFormData(prev => ({
+      ...prev,
+      notificationChannels: prev.notificationChannels.includes(channelId)
+        ? prev.notificationChannels.filter(id => id !== channelId)
+        : [...prev.notificationChannels, channelId]
+    }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -67,15 +158,60 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
       return;
     }
 
+    const submitted = {
+      name: formData.name.trim(),
+      url: formData.url.trim(),
+      email: formData.email.trim(),
+      tags: normalizeTags(formData.tags),
+      notificationChannels: formData.notificationChannels,
+      escalationPolicy: formData.escalationPolicy,
+      probeEngine: formData.probeEngine,
+      intervalSeconds: parseInt(formData.intervalSeconds),
+      failureThreshold: parseInt(formData.failureThreshold),
+      confirmFailures: formData.confirmFailures,
+      degradedThresholdMs: parseInt(formData.degradedThresholdMs),
+      backoffStrategy: formData.backoffStrategy
+    };
+
+    // Tags are edited as text and sent as a list; the strategy is sent as part of
+    // backoffPolicy, keeping any other policy settings; no escalation policy is null
+    const toPayload = ({ backoffStrategy, tags, escalationPolicy, ...fields }) => {
+      const payload = { ...fields };
+      if (escalationPolicy !== undefined) {
+        payload.escalationPolicy = escalationPolicy || null;
+      }
+      if (tags !== undefined) {
+        payload.tags = tags ? tags.split(', ') : [];
+      }
+      if (backoffStrategy !== undefined) {
+        payload.backoffPolicy = { ...website?.backoffPolicy, strategy: backoffStrategy };
+      }
+      return payload;
+    };
+
     try {
-      await onSubmit({
-        name: formData.name.trim(),
-        url: formData.url.trim(),
-        email: formData.email.trim()
-      });
+      if (isEditMode) {
+        // Only send what changed (partial update)
+        const initial = getInitialFormData(website);
+        const changes = Object.fromEntries(
+          Object.entries(submitted).filter(([key, value]) => (
+            key === 'notificationChannels' ? !isSameChannelList(value, initial[key]) : value !== initial[key]
+          ))
+        );
+
+        if (Object.keys(changes).length === 0) {
+          onCancel?.();
+          return;
+        }
+
+        await onSubmit(toPayload(changes));
+        return;
+      }
+
+      await onSubmit(toPayload(submitted));
 
       // Reset form on success
-      setFormData({ name: '', url: '', email: '' });
+      setFormData(EMPTY_FORM);
       setErrors({});
       setIsExpanded(false);
     } catch (error) {
@@ -85,10 +221,15 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
   };
 
   const toggleExpanded = () => {
+    if (isEditMode) {
+      onCancel?.();
+      return;
+    }
+
     setIsExpanded(!isExpanded);
     if (!isExpanded) {
       // Reset form when collapsing
-      setFormData({ name: '', url: '', email: '' });
+      setFormData(EMPTY_FORM);
       setErrors({});
     }
   };
@@ -100,24 +241,26 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
       animate={{ opacity: 1, y: 0 }}
       transition={{ duration: 0.6 }}
     >
-      <motion.button
-        className={`form-toggle-button ${isExpanded ? 'expanded' : ''}`}
-        onClick={toggleExpanded}
-        whileHover={{ scale: 1.02 }}
-        whileTap={{ scale: 0.98 }}
-      >
-        <span className="toggle-icon">
-          <motion.span
-            animate={{ rotate: isExpanded ? 45 : 0 }}
-            transition={{ duration: 0.3 }}
-          >
-            +
-          </motion.span>
-        </span>
-        <span className="toggle-text">
-          {isExpanded ? 'Cancel' : 'Add New Website'}
-        </span>
-      </motion.button>
+      {!isEditMode && (
+        <motion.button
+          className={`form-toggle-button ${isExpanded ? 'expanded' : ''}`}
+          onClick={toggleExpanded}
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+        >
+          <span className="toggle-icon">
+            <motion.span
+              animate={{ rotate: isExpanded ? 45 : 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              +
+            </motion.span>
+          </span>
+          <span className="toggle-text">
+            {isExpanded ? 'Cancel' : 'Add New Website'}
+          </span>
+        </motion.button>
+      )}
 
       <AnimatePresence>
         {isExpanded && (
@@ -131,8 +274,12 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
           >
             <div className="form-content">
               <div className="form-header">
-                <h3>Add Website to Monitor</h3>
-                <p>Enter your website details and email to start monitoring with automatic downtime alerts</p>
+                <h3>{isEditMode ? 'Edit Website' : 'Add Website to Monitor'}</h3>
+                <p>
+                  {isEditMode
+                    ? 'Changes apply from the next check. Ping history is kept.'
+                    : 'Enter your website details and email to start monitoring with automatic downtime alerts'}
+                </p>
               </div>
 
               <div className="form-fields">
@@ -142,12 +289,12 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
                   animate={{ x: 0, opacity: 1 }}
                   transition={{ delay: 0.1 }}
                 >
-                  <label htmlFor="name" className="field-label">
+                  <label htmlFor={`${idPrefix}name`} className="field-label">
                     Website Name
                   </label>
                   <input
                     type="text"
-                    id="name"
+                    id={`${idPrefix}name`}
                     name="name"
                     value={formData.name}
                     onChange={handleChange}
@@ -175,12 +322,12 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
                   animate={{ x: 0, opacity: 1 }}
                   transition={{ delay: 0.2 }}
                 >
-                  <label htmlFor="url" className="field-label">
+                  <label htmlFor={`${idPrefix}url`} className="field-label">
                     Website URL
                   </label>
                   <input
                     type="url"
-                    id="url"
+                    id={`${idPrefix}url`}
                     name="url"
                     value={formData.url}
                     onChange={handleChange}
@@ -208,12 +355,12 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
                   animate={{ x: 0, opacity: 1 }}
                   transition={{ delay: 0.3 }}
                 >
-                  <label htmlFor="email" className="field-label">
+                  <label htmlFor={`${idPrefix}email`} className="field-label">
                     Email for Notifications
                   </label>
                   <input
                     type="email"
-                    id="email"
+                    id={`${idPrefix}email`}
                     name="email"
                     value={formData.email}
                     onChange={handleChange}
@@ -234,13 +381,210 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
                     )}
                   </AnimatePresence>
                 </motion.div>
+
+                <motion.div
+                  className="field-group"
+                  initial={{ x: -20, opacity: 0 }}
+                  animate={{ x: 0, opacity: 1 }}
+                  transition={{ delay: 0.325 }}
+                >
+                  <label htmlFor={`${idPrefix}tags`} className="field-label">
+                    Tags
+                  </label>
+                  <input
+                    type="text"
+                    id={`${idPrefix}tags`}
+                    name="tags"
+                    value={formData.tags}
+                    onChange={handleChange}
+                    placeholder="e.g., production, api"
+                    className="field-input"
+                    disabled={isLoading}
+                  />
+                </motion.div>
+
+                <motion.div
+                  className="field-group"
+                  initial={{ x: -20, opacity: 0 }}
+                  animate={{ x: 0, opacity: 1 }}
+                  transition={{ delay: 0.35 }}
+                >
+                  <label htmlFor={`${idPrefix}probeEngine`} className="field-label">
+                    Check Type
+                  </label>
+                  <select
+                    id={`${idPrefix}probeEngine`}
+                    name="probeEngine"
+                    value={formData.probeEngine}
+                    onChange={handleChange}
+                    className="field-input"
+                    disabled={isLoading}
+                  >
+                    <option value="http">HTTP request (fast, lightweight)</option>
+                    <option value="browser">Full browser (renders the page)</option>
+                  </select>
+                </motion.div>
+
+                <motion.div
+                  className="field-group"
+                  initial={{ x: -20, opacity: 0 }}
+                  animate={{ x: 0, opacity: 1 }}
+                  transition={{ delay: 0.4 }}
+                >
+                  <label htmlFor={`${idPrefix}intervalSeconds`} className="field-label">
+                    Check Interval
+                  </label>
+                  <select
+                    id={`${idPrefix}intervalSeconds`}
+                    name="intervalSeconds"
+                    value={formData.intervalSeconds}
+                    onChange={handleChange}
+                    className="field-input"
+                    disabled={isLoading}
+                  >
+                    {intervalOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </motion.div>
+
+                <motion.div
+                  className="field-group"
+                  initial={{ x: -20, opacity: 0 }}
+                  animate={{ x: 0, opacity: 1 }}
+                  transition={{ delay: 0.45 }}
+                >
+                  <label htmlFor={`${idPrefix}failureThreshold`} className="field-label">
+                    Alert After
+                  </label>
+                  <select
+                    id={`${idPrefix}failureThreshold`}
+                    name="failureThreshold"
+                    value={formData.failureThreshold}
+                    onChange={handleChange}
+                    className="field-input"
+                    disabled={isLoading}
+                  >
+                    {FAILURE_THRESHOLD_OPTIONS.map(threshold => (
+                      <option key={threshold} value={threshold}>
+                        {threshold === 1 ? '1 failed check' : `${threshold} consecutive failed checks`}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="field-checkbox" htmlFor={`${idPrefix}confirmFailures`}>
+                    <input
+                      type="checkbox"
+                      id={`${idPrefix}confirmFailures`}
+                      name="confirmFailures"
+                      checked={formData.confirmFailures}
+                      onChange={handleChange}
+                      disabled={isLoading}
+                    />
+                    Re-check a failure before counting it
+                  </label>
+                </motion.div>
+
+                <motion.div
+                  className="field-group"
+                  initial={{ x: -20, opacity: 0 }}
+                  animate={{ x: 0, opacity: 1 }}
+                  transition={{ delay: 0.475 }}
+                >
+                  <label htmlFor={`${idPrefix}degradedThresholdMs`} className="field-label">
+                    Degraded When
+                  </label>
+                  <select
+                    id={`${idPrefix}degradedThresholdMs`}
+                    name="degradedThresholdMs"
+                    value={formData.degradedThresholdMs}
+                    onChange={handleChange}
+                    className="field-input"
+                    disabled={isLoading}
+                  >
+                    {degradedThresholdOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </motion.div>
+
+                <motion.div
+                  className="field-group"
+                  initial={{ x: -20, opacity: 0 }}
+                  animate={{ x: 0, opacity: 1 }}
+                  transition={{ delay: 0.5 }}
+                >
+                  <label htmlFor={`${idPrefix}backoffStrategy`} className="field-label">
+                    While Down
+                  </label>
+                  <select
+                    id={`${idPrefix}backoffStrategy`}
+                    name="backoffStrategy"
+                    value={formData.backoffStrategy}
+                    onChange={handleChange}
+                    className="field-input"
+                    disabled={isLoading}
+                  >
+                    {BACKOFF_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </motion.div>
+
+                {escalationPolicies.length > 0 && (
+                  <motion.div
+                    className="field-group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.5125 }}
+                  >
+                    <label htmlFor={`${idPrefix}escalationPolicy`} className="field-label">
+                      Escalation
+                    </label>
+                    <select
+                      id={`${idPrefix}escalationPolicy`}
+                      name="escalationPolicy"
+                      value={formData.escalationPolicy}
+                      onChange={handleChange}
+                      className="field-input"
+                      disabled={isLoading}
+                    >
+                      <option value="">None - alert the email and channels below</option>
+                      {escalationPolicies.map(policy => (
+                        <option key={policy._id} value={policy._id}>{policy.name}</option>
+                      ))}
+                    </select>
+                  </motion.div>
+                )}
+
+                {notificationChannels.length > 0 && (
+                  <motion.div
+                    className="field-group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.525 }}
+                  >
+                    <span className="field-label">Also Alert</span>
+                    {notificationChannels.map(channel => (
+                      <label key={channel._id} className="field-checkbox" htmlFor={`${idPrefix}channel-${channel._id}`}>
+                        <input
+                          type="checkbox"
+                          id={`${idPrefix}channel-${channel._id}`}
+                          checked={formData.notificationChannels.includes(channel._id)}
+                          onChange={() => toggleChannel(channel._id)}
+                          disabled={isLoading}
+                        />
+                        {channel.name} ({channel.type}){!channel.enabled && ' - disabled'}
+                      </label>
+                    ))}
+                  </motion.div>
+                )}
               </div>
 
               <motion.div
                 className="form-actions"
                 initial={{ y: 20, opacity: 0 }}
                 animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.4 }}
+                transition={{ delay: 0.55 }}
               >
                 <button
                   type="button"
@@ -265,7 +609,7 @@ const AddWebsiteForm = ({ onSubmit, isLoading = false }) => {
                     </motion.div>
                   ) : (
                     <>
-                      Add Website
+                      {isEditMode ? 'Save Changes' : 'Add Website'}
                       <span className="button-arrow">→</span>
                     </>
                   )}
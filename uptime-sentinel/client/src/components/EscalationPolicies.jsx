@@ -0,0 +1,222 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import './EscalationPolicies.css';
+
+// Minutes after the incident opened
+const DELAY_OPTIONS = [0, 5, 10, 15, 30, 60, 120];
+
+const REPEAT_OPTIONS = [
+  { value: 0, label: "Don't repeat" },
+  { value: 15, label: 'Repeat every 15 minutes' },
+  { value: 30, label: 'Repeat every 30 minutes' },
+  { value: 60, label: 'Repeat every hour' },
+  { value: 240, label: 'Repeat every 4 hours' }
+];
+
+const EMPTY_POLICY = { name: '', steps: [{ delayMinutes: 0, contacts: [] }], repeatEveryMinutes: 0 };
+
+const describeDelay = (minutes) => (minutes === 0 ? 'At once' : `After ${minutes} min`);
+
+// "At once: Ops email · After 15 min: #oncall · then every 60 min"
+const describePolicy = (policy, channels) => {
+  const nameOf = (id) => channels.find(channel => channel._id === id)?.name || 'deleted contact';
+  const steps = policy.steps.map(step => `${describeDelay(step.delayMinutes)}: ${step.contacts.map(nameOf).join(', ')}`);
+  if (policy.repeatEveryMinutes > 0) {
+    steps.push(`then every ${policy.repeatEveryMinutes} min`);
+  }
+  return steps.join(' · ');
+};
+
+// Escalation policies: which alert contacts hear about a down website, and when
+const EscalationPolicies = ({ policies, channels, error, createPolicy, deletePolicy }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_POLICY);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyPolicyId, setBusyPolicyId] = useState(null);
+
+  const updateStep = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    }));
+    setFormError(null);
+  };
+
+  const toggleContact = (index, channelId) => {
+    const { contacts } = formData.steps[index];
+    updateStep(index, {
+      contacts: contacts.includes(channelId) ? contacts.filter(id => id !== channelId) : [...contacts, channelId]
+    });
+  };
+
+  const addStep = () => {
+    const lastDelay = formData.steps[formData.steps.length - 1].delayMinutes;
+    const nextDelay = DELAY_OPTIONS.find(delay => delay > lastDelay) ?? lastDelay;
+    setFormData(prev => ({ ...prev, steps: [...prev.steps, { delayMinutes: nextDelay, contacts: [] }] }));
+  };
+
+  const removeStep = (index) => {
+    setFormData(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      setFormError('Please enter a name');
+      return;
+    }
+    if (formData.steps.some(step => step.contacts.length === 0)) {
+      setFormError('Please pick at least one contact for each step');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await createPolicy({ ...formData, name: formData.name.trim() });
+      setFormData(EMPTY_POLICY);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete the "${policy.name}" policy? Its websites will alert their email and channels again.`)) return;
+
+    setBusyPolicyId(policy._id);
+    try {
+      await deletePolicy(policy._id);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setBusyPolicyId(null);
+    }
+  };
+
+  return (
+    <div className="escalation-policies">
+      <button
+        type="button"
+        className="escalation-policies-summary"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <span>📟 Escalation Policies</span>
+        <span className="escalation-policies-count">
+          {error ? 'unavailable' : `${policies.length} configured`}
+        </span>
+      </button>
+
+      <AnimatePresence>
+        {isExpanded && (
+          <motion.div
+            className="escalation-policies-body"
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <p className="escalation-policies-hint">
+              A website with a policy is alerted step by step, counted from when its incident opens, instead of through its email and channels. Steps stop once the website is back up.
+            </p>
+
+            {policies.length > 0 && (
+              <ul className="escalation-policy-list">
+                {policies.map(policy => (
+                  <li key={policy._id}>
+                    <div className="escalation-policy-info">
+                      <strong>{policy.name}</strong>
+                      <span className="escalation-policy-steps">{describePolicy(policy, channels)}</span>
+                    </div>
+                    <button
+                      type="button"
+                      className="escalation-policy-delete"
+                      onClick={() => handleDelete(policy)}
+                      disabled={busyPolicyId === policy._id}
+                    >
+                      Delete
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {channels.length === 0 ? (
+              <p className="escalation-policies-hint">Add an alert contact under Notification Channels to build a policy.</p>
+            ) : (
+              <form className="escalation-policy-form" onSubmit={handleSubmit}>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => {
+                    setFormData(prev => ({ ...prev, name: e.target.value }));
+                    setFormError(null);
+                  }}
+                  placeholder="Name, e.g. Production on-call"
+                  className="field-input"
+                  disabled={isSaving}
+                />
+
+                {formData.steps.map((step, index) => (
+                  <fieldset key={index} className="escalation-step" disabled={isSaving}>
+                    <div className="escalation-step-header">
+                      <span>Step {index + 1}</span>
+                      <select
+                        value={step.delayMinutes}
+                        onChange={(e) => updateStep(index, { delayMinutes: parseInt(e.target.value) })}
+                        className="field-input"
+                      >
+                        {DELAY_OPTIONS.map(delay => (
+                          <option key={delay} value={delay}>{describeDelay(delay)}</option>
+                        ))}
+                      </select>
+                      {formData.steps.length > 1 && (
+                        <button type="button" className="escalation-step-remove" onClick={() => removeStep(index)}>
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                    {channels.map(channel => (
+                      <label key={channel._id} className="field-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={step.contacts.includes(channel._id)}
+                          onChange={() => toggleContact(index, channel._id)}
+                        />
+                        {channel.name} ({channel.type})
+                      </label>
+                    ))}
+                  </fieldset>
+                ))}
+
+                <button type="button" className="escalation-step-add" onClick={addStep} disabled={isSaving || formData.steps.length >= 10}>
+                  + Add step
+                </button>
+
+                <select
+                  value={formData.repeatEveryMinutes}
+                  onChange={(e) => setFormData(prev => ({ ...prev, repeatEveryMinutes: parseInt(e.target.value) }))}
+                  className="field-input"
+                  disabled={isSaving}
+                >
+                  {REPEAT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+
+                <button type="submit" className="action-button primary" disabled={isSaving}>
+                  {isSaving ? 'Adding...' : 'Add Policy'}
+                </button>
+                {formError && <span className="field-error">{formError}</span>}
+              </form>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default EscalationPolicies;
@@ -0,0 +1,186 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { apiService } from '../services/api';
+import './IncidentDetail.css';
+
+const TIMELINE_ICONS = {
+  opened: '🔴',
+  notification: '📣',
+  acknowledged: '🙋',
+  note: '📝',
+  resolved: '✅'
+};
+
+const formatDateTime = (timestamp) => {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+// One incident: acknowledge it, and follow or add to its timeline.
+// `onChange` is called with the updated incident after an action.
+const IncidentDetail = ({ incidentId, onBack, onChange }) => {
+  const [incident, setIncident] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [isAcknowledging, setIsAcknowledging] = useState(false);
+  const [noteText, setNoteText] = useState('');
+  const [isSavingNote, setIsSavingNote] = useState(false);
+
+  const fetchIncident = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setIncident(await apiService.getIncident(incidentId));
+    } catch (error) {
+      console.error('Failed to fetch incident:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [incidentId]);
+
+  useEffect(() => {
+    fetchIncident();
+  }, [fetchIncident]);
+
+  const applyUpdate = (updated) => {
+    setIncident(updated);
+    onChange?.(updated);
+  };
+
+  const handleAcknowledge = async () => {
+    setIsAcknowledging(true);
+    setActionError(null);
+    try {
+      applyUpdate(await apiService.acknowledgeIncident(incidentId));
+    } catch (error) {
+      setActionError(error.message);
+      fetchIncident(); // Someone else may have acknowledged it, or it resolved
+    } finally {
+      setIsAcknowledging(false);
+    }
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+
+    setIsSavingNote(true);
+    setActionError(null);
+    try {
+      applyUpdate(await apiService.addIncidentNote(incidentId, noteText.trim()));
+      setNoteText('');
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setIsSavingNote(false);
+    }
+  };
+
+  return (
+    <div className="incident-detail">
+      <div className="incident-detail-toolbar">
+        <button type="button" className="incident-detail-back" onClick={onBack}>
+          ← All incidents
+        </button>
+      </div>
+
+      {loading && !incident ? (
+        <div className="loading-container">
+          <motion.div
+            className="loading-spinner"
+            animate={{ rotate: 360 }}
+            transition={{ duration: 1, repeat: Infinity, ease: 'linear' }}
+          >
+            ⟳
+          </motion.div>
+          <p>Loading incident...</p>
+        </div>
+      ) : error ? (
+        <div className="error-container">
+          <span className="error-icon">⚠️</span>
+          <p>{error}</p>
+          <button onClick={fetchIncident} className="retry-btn">
+            Try Again
+          </button>
+        </div>
+      ) : incident && (
+        <div className="incident-detail-body">
+          <div className={`incident-detail-header ${incident.status}`}>
+            <div>
+              <span className={`incident-status ${incident.status}`}>
+                {incident.status === 'open' ? '🔴 Ongoing' : '✅ Resolved'}
+              </span>
+              <span className="incident-detail-since">
+                {formatDateTime(incident.startedAt)}
+                {incident.resolvedAt && ` → ${formatDateTime(incident.resolvedAt)}`}
+              </span>
+            </div>
+            {incident.rootCause?.message && (
+              <div className="incident-cause">
+                {incident.rootCause.errorType && (
+                  <span className="incident-error-type">{incident.rootCause.errorType}</span>
+                )}
+                {incident.rootCause.message}
+              </div>
+            )}
+
+            {incident.acknowledgedAt ? (
+              <div className="incident-detail-ack">
+                🙋 Acknowledged by {incident.acknowledgedBy?.name || 'someone'} at {formatDateTime(incident.acknowledgedAt)}
+              </div>
+            ) : incident.status === 'open' && (
+              <button
+                type="button"
+                className="incident-detail-ack-button"
+                onClick={handleAcknowledge}
+                disabled={isAcknowledging}
+              >
+                {isAcknowledging ? 'Acknowledging...' : "🙋 I'm on it - Acknowledge"}
+              </button>
+            )}
+          </div>
+
+          <ol className="incident-timeline">
+            {incident.timeline.map((entry, index) => (
+              <li key={index} className={`incident-timeline-entry ${entry.type}`}>
+                <span className="incident-timeline-icon">{TIMELINE_ICONS[entry.type]}</span>
+                <div>
+                  <div className="incident-timeline-meta">
+                    {formatDateTime(entry.at)}
+                    {entry.author && ` · ${entry.author}`}
+                  </div>
+                  <div className="incident-timeline-text">{entry.text}</div>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          <form className="incident-note-form" onSubmit={handleAddNote}>
+            <textarea
+              value={noteText}
+              onChange={(e) => setNoteText(e.target.value)}
+              placeholder="Add a note for your team, e.g. what you found or tried"
+              maxLength={2000}
+              rows={2}
+              disabled={isSavingNote}
+            />
+            <button type="submit" disabled={isSavingNote || !noteText.trim()}>
+              {isSavingNote ? 'Adding...' : 'Add Note'}
+            </button>
+          </form>
+          {actionError && <div className="incident-detail-error">{actionError}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentDetail;
@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { apiService } from '../services/api';
+import IncidentDetail from './IncidentDetail';
+import './IncidentList.css';
+
+// "1h 12m", "4m 30s", "45s"
+const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${seconds}s`;
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+const formatTimestamp = (timestamp) => {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Outage history of one website, shown in the ping history modal; an incident
+// opens in the detail view (acknowledge, timeline, notes)
+const IncidentList = ({ website }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [statistics, setStatistics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('');
+  const [selectedIncidentId, setSelectedIncidentId] = useState(null);
+
+  const fetchIncidents = useCallback(async () => {
+    if (!website?._id) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await apiService.getIncidents(website._id, { status });
+      setIncidents(data.incidents || []);
+      setStatistics(data.statistics || null);
+    } catch (error) {
+      console.error('Failed to fetch incidents:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [website?._id, status]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const getDuration = (incident) => {
+    if (incident.status === 'open') {
+      return `${formatSeconds(Math.round((Date.now() - new Date(incident.startedAt)) / 1000))} so far`;
+    }
+    return formatSeconds(incident.durationSeconds);
+  };
+
+  // Keep the list in step with what was done in the detail view
+  const handleIncidentChange = (updated) => {
+    setIncidents(prev => prev.map(incident => (incident._id === updated._id ? { ...incident, ...updated } : incident)));
+  };
+
+  if (selectedIncidentId) {
+    return (
+      <IncidentDetail
+        incidentId={selectedIncidentId}
+        onBack={() => setSelectedIncidentId(null)}
+        onChange={handleIncidentChange}
+      />
+    );
+  }
+
+  return (
+    <div className="incident-list">
+      {statistics && (
+        <div className="incident-summary">
+          <div className="incident-summary-item">
+            <span className="incident-summary-value">{statistics.totalIncidents}</span>
+            <span className="incident-summary-label">Incidents</span>
+          </div>
+          <div className="incident-summary-item">
+            <span className="incident-summary-value" style={{ color: statistics.openIncidents > 0 ? '#ef4444' : '#10b981' }}>
+              {statistics.openIncidents}
+            </span>
+            <span className="incident-summary-label">Open</span>
+          </div>
+          <div className="incident-summary-item">
+            <span className="incident-summary-value">{formatSeconds(statistics.mttrSeconds)}</span>
+            <span className="incident-summary-label">MTTR</span>
+          </div>
+          <div className="incident-summary-item">
+            <span className="incident-summary-value">{formatSeconds(statistics.totalDowntimeSeconds)}</span>
+            <span className="incident-summary-label">Total Downtime</span>
+          </div>
+          <div className="filter-group incident-filter">
+            <label>Status:</label>
+            <select value={status} onChange={(e) => setStatus(e.target.value)}>
+              <option value="">All</option>
+              <option value="open">Open</option>
+              <option value="resolved">Resolved</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-container">
+          <motion.div
+            className="loading-spinner"
+            animate={{ rotate: 360 }}
+            transition={{ duration: 1, repeat: Infinity, ease: 'linear' }}
+          >
+            ⟳
+          </motion.div>
+          <p>Loading incidents...</p>
+        </div>
+      ) : error ? (
+        <div className="error-container">
+          <span className="error-icon">⚠️</span>
+          <p>{error}</p>
+          <button onClick={fetchIncidents} className="retry-btn">
+            Try Again
+          </button>
+        </div>
+      ) : incidents.length === 0 ? (
+        <div className="empty-state">
+          <span className="empty-icon">🎉</span>
+          <h3>No Incidents</h3>
+          <p>No outages recorded for this website.</p>
+        </div>
+      ) : (
+        <div className="incident-entries">
+          <AnimatePresence>
+            {incidents.map((incident, index) => (
+              <motion.div
+                key={incident._id}
+                className={`incident-entry ${incident.status}`}
+                onClick={() => setSelectedIncidentId(incident._id)}
+                title="Show timeline"
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.3, delay: index * 0.02 }}
+              >
+                <div className="incident-main">
+                  <span className={`incident-status ${incident.status}`}>
+                    {incident.status === 'open' ? '🔴 Ongoing' : '✅ Resolved'}
+                  </span>
+                  <span className="incident-time">
+                    {formatTimestamp(incident.startedAt)}
+                    {incident.resolvedAt && ` → ${formatTimestamp(incident.resolvedAt)}`}
+                  </span>
+                  {incident.acknowledgedAt && incident.status === 'open' && (
+                    <span className="incident-acknowledged" title={`Acknowledged by ${incident.acknowledgedBy?.name || 'someone'}`}>
+                      🙋 Acknowledged
+                    </span>
+                  )}
+                  <span className="incident-duration">{getDuration(incident)}</span>
+                </div>
+                {incident.rootCause?.message && (
+                  <div className="incident-cause" title={incident.rootCause.message}>
+                    {incident.rootCause.errorType && (
+                      <span className="incident-error-type">{incident.rootCause.errorType}</span>
+                    )}
+                    {incident.rootCause.message}
+                  </div>
+                )}
+                <div className="incident-meta">
+                  {incident.failedChecks} failed checks
+                  {incident.notes?.length > 0 && ` · ${incident.notes.length} ${incident.notes.length === 1 ? 'note' : 'notes'}`}
+                  {incident.notifications?.length > 0 && (
+                    <> · {incident.notifications.map(notification => (
+                      `${notification.type === 'down' ? 'Alert' : 'Recovery'} ${notification.success ? 'sent' : 'failed'}`
+                    )).join(', ')}</>
+                  )}
+                </div>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IncidentList;
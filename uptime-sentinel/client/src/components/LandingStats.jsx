@@ -2,40 +2,62 @@ import { motion } from 'framer-motion';
 import CountUp from 'react-countup';
 import { useState, useEffect } from 'react';
 import websocketService from '../services/websocketService';
+import { apiService } from '../services/api';
 import './LandingStats.css';
 
+const GLOBAL_STATS_CHANNEL = 'global-stats';
+
 const LandingStats = () => {
   const [stats, setStats] = useState({
-    totalWebsitesMonitored: 1247,
-    pingsToday: 48521,
-    averageUptime: 99.8,
-    averageResponseTime: 267
+    totalWebsitesMonitored: 0,
+    pingsToday: 0,
+    averageUptime: 0,
+    averageResponseTime: 0
   });
   
   const [isRealTime, setIsRealTime] = useState(false);
 
   useEffect(() => {
-    // Connect to WebSocket for real-time stats (optional)
-    if (websocketService.isConnected()) {
-      setIsRealTime(true);
-      
-      websocketService.on('global-stats-update', (data) => {
-        if (data) {
+    let mounted = true;
+
+    // Current numbers over REST, then live updates over the WebSocket
+    apiService.getGlobalStats()
+      .then(data => {
+        if (mounted && data) {
           setStats(prevStats => ({ ...prevStats, ...data }));
         }
-      });
+      })
+      .catch(error => console.error('Failed to load global stats:', error));
+
+    const handleStatsUpdate = (data) => {
+      if (mounted && data) {
+        setStats(prevStats => ({ ...prevStats, ...data }));
+        setIsRealTime(true);
+      }
+    };
+    const handleDisconnected = () => {
+      if (mounted) setIsRealTime(false);
+    };
 
-      // Subscribe to global stats if available
-      websocketService.send('subscribe', { channel: 'global-stats' });
+    // The channel is public, so visitors who are not logged in can follow it too
+    const ownsConnection = !websocketService.isConnected();
+    websocketService.on('global-stats-update', handleStatsUpdate);
+    websocketService.on('disconnected', handleDisconnected);
+    websocketService.subscribe(GLOBAL_STATS_CHANNEL);
+    if (ownsConnection) {
+      websocketService.connect();
     }
 
     return () => {
-      if (isRealTime) {
-        websocketService.off('global-stats-update');
-        websocketService.send('unsubscribe', { channel: 'global-stats' });
+      mounted = false;
+      websocketService.off('global-stats-update', handleStatsUpdate);
+      websocketService.off('disconnected', handleDisconnected);
+      websocketService.unsubscribe(GLOBAL_STATS_CHANNEL);
+      if (ownsConnection) {
+        websocketService.disconnect();
       }
     };
-  }, [isRealTime]);
+  }, []);
 
   const statItems = [
     {
@@ -0,0 +1,305 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import './MaintenanceWindows.css';
+
+const DURATION_OPTIONS = [
+  { value: 15, label: 'for 15 minutes' },
+  { value: 30, label: 'for 30 minutes' },
+  { value: 60, label: 'for 1 hour' },
+  { value: 120, label: 'for 2 hours' },
+  { value: 240, label: 'for 4 hours' },
+  { value: 480, label: 'for 8 hours' }
+];
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const EMPTY_WINDOW = {
+  name: '',
+  type: 'recurring',
+  websites: [],
+  tags: '',
+  startsAt: '',
+  endsAt: '',
+  cron: '',
+  durationMinutes: 30,
+  timezone: BROWSER_TIMEZONE
+};
+
+const formatInTimezone = (timestamp, timeZone) => new Date(timestamp).toLocaleString('en-US', {
+  timeZone,
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// "Cron 0 2 * * sun for 30 min (Europe/Berlin)" or "Oct 20, 02:00 → Oct 20, 03:00 (UTC)"
+const describeSchedule = (maintenanceWindow) => {
+  const { type, timezone } = maintenanceWindow;
+  if (type === 'recurring') {
+    return `Cron ${maintenanceWindow.cron} for ${maintenanceWindow.durationMinutes} min (${timezone})`;
+  }
+  return `${formatInTimezone(maintenanceWindow.startsAt, timezone)} → ${formatInTimezone(maintenanceWindow.endsAt, timezone)} (${timezone})`;
+};
+
+// "Shop API, Blog · #production"
+const describeScope = (maintenanceWindow, websites) => {
+  const nameOf = (id) => websites.find(website => website._id === id)?.name || 'deleted website';
+  return [
+    ...maintenanceWindow.websites.map(nameOf),
+    ...maintenanceWindow.tags.map(tag => `#${tag}`)
+  ].join(', ');
+};
+
+// Maintenance windows: checks keep running, but raise no incidents or alerts and don't count towards uptime
+const MaintenanceWindows = ({ windows, websites, error, createWindow, updateWindow, deleteWindow }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_WINDOW);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyWindowId, setBusyWindowId] = useState(null);
+
+  const activeCount = windows.filter(maintenanceWindow => maintenanceWindow.activeUntil).length;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: name === 'durationMinutes' ? parseInt(value) : value }));
+    setFormError(null);
+  };
+
+  const toggleWebsite = (websiteId) => {
+    setFormData(prev => ({
+      ...prev,
+      websites: prev.websites.includes(websiteId)
+        ? prev.websites.filter(id => id !== websiteId)
+        : [...prev.websites, websiteId]
+    }));
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const tags = formData.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+    if (!formData.name.trim()) {
+      setFormError('Please enter a name');
+      return;
+    }
+    if (formData.websites.length === 0 && tags.length === 0) {
+      setFormError('Please pick at least one website or tag');
+      return;
+    }
+
+    const schedule = formData.type === 'recurring'
+      ? { cron: formData.cron.trim(), durationMinutes: formData.durationMinutes }
+      : { startsAt: formData.startsAt, endsAt: formData.endsAt };
+
+    setIsSaving(true);
+    try {
+      // One-off times are sent as entered; the server reads them in the window's timezone
+      await createWindow({
+        name: formData.name.trim(),
+        type: formData.type,
+        websites: formData.websites,
+        tags,
+        timezone: formData.timezone,
+        ...schedule
+      });
+      setFormData(EMPTY_WINDOW);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (maintenanceWindow) => {
+    setBusyWindowId(maintenanceWindow._id);
+    try {
+      await updateWindow(maintenanceWindow._id, { enabled: !maintenanceWindow.enabled });
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setBusyWindowId(null);
+    }
+  };
+
+  const handleDelete = async (maintenanceWindow) => {
+    if (!window.confirm(`Delete the "${maintenanceWindow.name}" maintenance window?`)) return;
+
+    setBusyWindowId(maintenanceWindow._id);
+    try {
+      await deleteWindow(maintenanceWindow._id);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setBusyWindowId(null);
+    }
+  };
+
+  return (
+    <div className="maintenance-windows">
+      <button
+        type="button"
+        className="maintenance-windows-summary"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <span>🛠️ Maintenance Windows</span>
+        <span className="maintenance-windows-count">
+          {error ? 'unavailable' : `${windows.length} configured${activeCount > 0 ? `, ${activeCount} active now` : ''}`}
+        </span>
+      </button>
+
+      <AnimatePresence>
+        {isExpanded && (
+          <motion.div
+            className="maintenance-windows-body"
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <p className="maintenance-windows-hint">
+              During a window, checks of its websites (picked directly or by tag) still run, but failures open no incident, send no alerts and don't count towards uptime.
+            </p>
+
+            {windows.length > 0 && (
+              <ul className="maintenance-window-list">
+                {windows.map(maintenanceWindow => (
+                  <li key={maintenanceWindow._id} className={maintenanceWindow.enabled ? '' : 'disabled'}>
+                    <div className="maintenance-window-info">
+                      <strong>
+                        {maintenanceWindow.name}
+                        {maintenanceWindow.activeUntil && (
+                          <span className="maintenance-window-active">
+                            Active until {formatInTimezone(maintenanceWindow.activeUntil, maintenanceWindow.timezone)}
+                          </span>
+                        )}
+                      </strong>
+                      <span className="maintenance-window-detail">{describeSchedule(maintenanceWindow)}</span>
+                      <span className="maintenance-window-detail">{describeScope(maintenanceWindow, websites)}</span>
+                    </div>
+                    <div className="maintenance-window-actions">
+                      <button
+                        type="button"
+                        className="maintenance-window-toggle"
+                        onClick={() => handleToggle(maintenanceWindow)}
+                        disabled={busyWindowId === maintenanceWindow._id}
+                      >
+                        {maintenanceWindow.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        type="button"
+                        className="maintenance-window-delete"
+                        onClick={() => handleDelete(maintenanceWindow)}
+                        disabled={busyWindowId === maintenanceWindow._id}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <form className="maintenance-window-form" onSubmit={handleSubmit}>
+              <fieldset disabled={isSaving}>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="Name, e.g. Weekly deploy"
+                  className="field-input"
+                />
+
+                <div className="maintenance-window-row">
+                  <select name="type" value={formData.type} onChange={handleChange} className="field-input">
+                    <option value="recurring">Recurring</option>
+                    <option value="one-off">One-off</option>
+                  </select>
+                  <input
+                    type="text"
+                    name="timezone"
+                    value={formData.timezone}
+                    onChange={handleChange}
+                    list="maintenance-timezones"
+                    placeholder="Timezone, e.g. Europe/Berlin"
+                    className="field-input"
+                  />
+                  <datalist id="maintenance-timezones">
+                    {TIMEZONES.map(timezone => (
+                      <option key={timezone} value={timezone} />
+                    ))}
+                  </datalist>
+                </div>
+
+                {formData.type === 'recurring' ? (
+                  <div className="maintenance-window-row">
+                    <input
+                      type="text"
+                      name="cron"
+                      value={formData.cron}
+                      onChange={handleChange}
+                      placeholder="Starts at (cron), e.g. 0 2 * * sun"
+                      className="field-input"
+                    />
+                    <select name="durationMinutes" value={formData.durationMinutes} onChange={handleChange} className="field-input">
+                      {DURATION_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                ) : (
+                  <div className="maintenance-window-row">
+                    <label>
+                      From
+                      <input type="datetime-local" name="startsAt" value={formData.startsAt} onChange={handleChange} className="field-input" />
+                    </label>
+                    <label>
+                      To
+                      <input type="datetime-local" name="endsAt" value={formData.endsAt} onChange={handleChange} className="field-input" />
+                    </label>
+                  </div>
+                )}
+
+                {websites.length > 0 && (
+                  <div className="maintenance-window-websites">
+                    {websites.map(website => (
+                      <label key={website._id} className="field-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={formData.websites.includes(website._id)}
+                          onChange={() => toggleWebsite(website._id)}
+                        />
+                        {website.name}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                <input
+                  type="text"
+                  name="tags"
+                  value={formData.tags}
+                  onChange={handleChange}
+                  placeholder="And/or every website tagged, e.g. production, api"
+                  className="field-input"
+                />
+
+                <button type="submit" className="action-button primary">
+                  {isSaving ? 'Adding...' : 'Add Window'}
+                </button>
+              </fieldset>
+              {formError && <span className="field-error">{formError}</span>}
+            </form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default MaintenanceWindows;
@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import './NotificationChannels.css';
+
+const CHANNEL_TYPES = [
+  { value: 'slack', label: 'Slack (incoming webhook)' },
+  { value: 'webhook', label: 'Webhook (JSON POST)' },
+  { value: 'email', label: 'Email address' }
+];
+
+const EMPTY_CHANNEL = { name: '', type: 'slack', url: '', email: '' };
+
+const describeDelivery = (delivery) => {
+  if (!delivery?.at) return 'Never used';
+  const when = new Date(delivery.at).toLocaleString();
+  return delivery.success ? `Last delivered ${when}` : `Last delivery failed ${when}: ${delivery.error}`;
+};
+
+// Alert contacts: Slack, webhook and email channels that websites (and escalation
+// policies) can alert besides the website's own email
+const NotificationChannels = ({ channels, error, createChannel, updateChannel, deleteChannel, testChannel }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_CHANNEL);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyChannelId, setBusyChannelId] = useState(null);
+  const [testResults, setTestResults] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const isEmail = formData.type === 'email';
+    const target = (isEmail ? formData.email : formData.url).trim();
+    if (!formData.name.trim() || !target) {
+      setFormError(isEmail ? 'Please enter a name and an email address' : 'Please enter a name and a webhook URL');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await createChannel({ name: formData.name.trim(), type: formData.type, [isEmail ? 'email' : 'url']: target });
+      setFormData(EMPTY_CHANNEL);
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Run a channel action, keeping its buttons disabled meanwhile
+  const withChannel = async (channelId, action) => {
+    setBusyChannelId(channelId);
+    try {
+      await action();
+    } catch (error) {
+      setTestResults(prev => ({ ...prev, [channelId]: { success: false, message: error.message } }));
+    } finally {
+      setBusyChannelId(null);
+    }
+  };
+
+  const handleTest = (channel) => withChannel(channel._id, async () => {
+    const result = await testChannel(channel._id);
+    setTestResults(prev => ({
+      ...prev,
+      [channel._id]: {
+        success: result.success,
+        message: result.success ? 'Test notification delivered' : `Test failed: ${result.error}`
+      }
+    }));
+  });
+
+  const handleToggle = (channel) => withChannel(channel._id, () => (
+    updateChannel(channel._id, { enabled: !channel.enabled })
+  ));
+
+  const handleDelete = (channel) => {
+    if (!window.confirm(`Delete the "${channel.name}" channel? Websites using it will stop alerting it.`)) return;
+    withChannel(channel._id, () => deleteChannel(channel._id));
+  };
+
+  return (
+    <div className="notification-channels">
+      <button
+        type="button"
+        className="notification-channels-summary"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <span>🔔 Notification Channels</span>
+        <span className="notification-channels-count">
+          {error ? 'unavailable' : `${channels.length} configured`}
+        </span>
+      </button>
+
+      <AnimatePresence>
+        {isExpanded && (
+          <motion.div
+            className="notification-channels-body"
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <p className="notification-channels-hint">
+              Alerts go to each website&apos;s email. Add Slack, webhook or email contacts here, then pick them when adding or editing a website, or in an escalation policy.
+            </p>
+
+            {channels.length > 0 && (
+              <ul className="notification-channel-list">
+                {channels.map(channel => (
+                  <li key={channel._id} className={channel.enabled ? '' : 'disabled'}>
+                    <div className="notification-channel-info">
+                      <strong>{channel.name}</strong>
+                      <span className="notification-channel-type">{channel.type}</span>
+                      <span className="notification-channel-url" title={channel.url || channel.email}>{channel.url || channel.email}</span>
+                      <span className={`notification-channel-delivery ${channel.lastDelivery?.success === false ? 'failed' : ''}`}>
+                        {testResults[channel._id]?.message || describeDelivery(channel.lastDelivery)}
+                      </span>
+                    </div>
+                    <div className="notification-channel-actions">
+                      <button type="button" onClick={() => handleTest(channel)} disabled={busyChannelId === channel._id}>
+                        Send test
+                      </button>
+                      <button type="button" onClick={() => handleToggle(channel)} disabled={busyChannelId === channel._id}>
+                        {channel.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button type="button" className="danger" onClick={() => handleDelete(channel)} disabled={busyChannelId === channel._id}>
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <form className="notification-channel-form" onSubmit={handleSubmit}>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Name, e.g. #ops-alerts"
+                className="field-input"
+                disabled={isSaving}
+              />
+              <select name="type" value={formData.type} onChange={handleChange} className="field-input" disabled={isSaving}>
+                {CHANNEL_TYPES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {formData.type === 'email' ? (
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="oncall@example.com"
+                  className="field-input"
+                  disabled={isSaving}
+                />
+              ) : (
+                <input
+                  type="url"
+                  name="url"
+                  value={formData.url}
+                  onChange={handleChange}
+                  placeholder="https://hooks.slack.com/services/..."
+                  className="field-input"
+                  disabled={isSaving}
+                />
+              )}
+              <button type="submit" className="action-button primary" disabled={isSaving}>
+                {isSaving ? 'Adding...' : 'Add Channel'}
+              </button>
+              {formError && <span className="field-error">{formError}</span>}
+            </form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationChannels;
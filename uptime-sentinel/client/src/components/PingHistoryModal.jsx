@@ -1,19 +1,32 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { apiService } from '../services/api';
+import IncidentList from './IncidentList';
 import './PingHistoryModal.css';
 
+const UPTIME_WINDOWS = ['24h', '7d', '30d', '90d'];
+
+const ERROR_TYPE_LABELS = {
+  TIMEOUT: 'Timeout',
+  NETWORK_ERROR: 'Network error',
+  HEALTH_CHECK_FAILED: 'Health check failed',
+  NAVIGATION_FAILED: 'Navigation failed',
+  UNKNOWN: 'Unknown error'
+};
+
 const PingHistoryModal = ({ website, isOpen, onClose, onWebsiteUpdate }) => {
   const [pingHistory, setPingHistory] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isPausing, setIsPausing] = useState(false);
+  const [activeView, setActiveView] = useState('pings');
   const [filters, setFilters] = useState({
     sortBy: 'timestamp',
     sortOrder: 'desc',
     filterDate: '',
     status: '',
+    errorType: '',
     limit: 100
   });
 
@@ -54,6 +67,7 @@ const PingHistoryModal = ({ website, isOpen, onClose, onWebsiteUpdate }) => {
       sortOrder: 'desc',
       filterDate: '',
       status: '',
+      errorType: '',
       limit: 100
     });
   };
@@ -80,6 +94,33 @@ const PingHistoryModal = ({ website, isOpen, onClose, onWebsiteUpdate }) => {
     }
   };
 
+  // Pings record whether the check passed; older entries only have a status code
+  const isPingUp = (ping) => (
+    ping.success !== undefined && ping.success !== null
+      ? ping.success
+      : ping.statusCode >= 200 && ping.statusCode < 400
+  );
+
+  // Short label for the assertion a failed ping tripped over, e.g. "JSON $.db equals up"
+  const describeAssertion = (assertion) => {
+    if (!assertion) return null;
+
+    switch (assertion.type) {
+      case 'json':
+        return `JSON ${assertion.path} ${assertion.operator}${assertion.value !== undefined ? ` ${assertion.value}` : ''}`;
+      case 'statusCode':
+        return `Status code in ${assertion.value}`;
+      case 'contains':
+        return `Body contains "${assertion.value}"`;
+      case 'notContains':
+        return `Body does not contain "${assertion.value}"`;
+      case 'regex':
+        return `Body matches /${assertion.value}/`;
+      default:
+        return `${assertion.type} ${assertion.value ?? ''}`.trim();
+    }
+  };
+
   const getStatusColor = (statusCode) => {
     if (statusCode >= 200 && statusCode < 300) return '#10b981'; // Green for 2xx
     if (statusCode >= 300 && statusCode < 400) return '#f59e0b'; // Yellow for 3xx
@@ -88,9 +129,9 @@ const PingHistoryModal = ({ website, isOpen, onClose, onWebsiteUpdate }) => {
     return '#6b7280'; // Gray for 0 or unknown
   };
 
-  const getStatusIcon = (statusCode) => {
-    if (statusCode >= 200 && statusCode < 400) return '✅';
-    if (statusCode === 0) return '💥';
+  const getStatusIcon = (ping) => {
+    if (isPingUp(ping)) return '✅';
+    if (ping.statusCode === 0) return '💥';
     return '❌';
   };
 
@@ -156,174 +197,249 @@ const PingHistoryModal = ({ website, isOpen, onClose, onWebsiteUpdate }) => {
               </div>
             </div>
 
-            {/* Statistics Summary */}
-            {statistics && (
-              <div className="statistics-summary">
-                <div className="stat-card">
-                  <span className="stat-value">{statistics.totalPings}</span>
-                  <span className="stat-label">Total Pings</span>
-                </div>
-                <div className="stat-card">
-                  <span className="stat-value" style={{ color: '#10b981' }}>{statistics.successfulPings}</span>
-                  <span className="stat-label">Successful</span>
-                </div>
-                <div className="stat-card">
-                  <span className="stat-value" style={{ color: '#ef4444' }}>{statistics.failedPings}</span>
-                  <span className="stat-label">Failed</span>
-                </div>
-                <div className="stat-card">
-                  <span className="stat-value">{statistics.uptimePercentage}%</span>
-                  <span className="stat-label">Uptime</span>
-                </div>
-                <div className="stat-card">
-                  <span className="stat-value">{statistics.averageResponseTime}ms</span>
-                  <span className="stat-label">Avg Response</span>
-                </div>
-              </div>
-            )}
+            {/* View switch */}
+            <div className="modal-tabs">
+              <button
+                className={`modal-tab ${activeView === 'pings' ? 'active' : ''}`}
+                onClick={() => setActiveView('pings')}
+              >
+                Ping History
+              </button>
+              <button
+                className={`modal-tab ${activeView === 'incidents' ? 'active' : ''}`}
+                onClick={() => setActiveView('incidents')}
+              >
+                Incidents
+              </button>
+            </div>
 
-            {/* Filters */}
-            <div className="filters-section">
-              <div className="filters-row">
-                <div className="filter-group">
-                  <label>Sort By:</label>
-                  <select
-                    value={filters.sortBy}
-                    onChange={(e) => handleFilterChange('sortBy', e.target.value)}
-                  >
-                    <option value="timestamp">Date & Time</option>
-                    <option value="duration">Response Time</option>
-                    <option value="statusCode">Status Code</option>
-                  </select>
-                </div>
+            {activeView === 'incidents' ? (
+              <IncidentList website={website} />
+            ) : (
+              <>
+                {/* Statistics Summary */}
+                {statistics && (
+                  <div className="statistics-summary">
+                    <div className="stat-card">
+                      <span className="stat-value">{statistics.totalPings}</span>
+                      <span className="stat-label">Total Pings</span>
+                    </div>
+                    <div className="stat-card">
+                      <span className="stat-value" style={{ color: '#10b981' }}>{statistics.successfulPings}</span>
+                      <span className="stat-label">Successful</span>
+                    </div>
+                    <div className="stat-card">
+                      <span className="stat-value" style={{ color: '#ef4444' }}>{statistics.failedPings}</span>
+                      <span className="stat-label">Failed</span>
+                    </div>
+                    <div className="stat-card">
+                      <span className="stat-value">{statistics.uptimePercentage}%</span>
+                      <span className="stat-label">Uptime (90d)</span>
+                    </div>
+                    <div className="stat-card">
+                      <span className="stat-value">{statistics.averageResponseTime}ms</span>
+                      <span className="stat-label">Avg Response (24h)</span>
+                    </div>
+                  </div>
+                )}
 
-                <div className="filter-group">
-                  <label>Order:</label>
-                  <select
-                    value={filters.sortOrder}
-                    onChange={(e) => handleFilterChange('sortOrder', e.target.value)}
-                  >
-                    <option value="desc">Latest First</option>
-                    <option value="asc">Oldest First</option>
-                  </select>
-                </div>
+                {/* Uptime over each window */}
+                {statistics?.uptime && (
+                  <div className="uptime-windows">
+                    {UPTIME_WINDOWS.map(window => (
+                      <div key={window} className="uptime-window">
+                        <span className="uptime-window-label">{window}</span>
+                        <span className="uptime-window-value">
+                          {statistics.uptime[window] !== null && statistics.uptime[window] !== undefined
+                            ? `${statistics.uptime[window]}%`
+                            : '—'}
+                        </span>
+                      </div>
+                    ))}
+                    {statistics.maintenancePings > 0 && (
+                      <span className="uptime-windows-note">
+                        🛠️ {statistics.maintenancePings} check{statistics.maintenancePings === 1 ? '' : 's'} during maintenance not counted
+                      </span>
+                    )}
+                  </div>
+                )}
 
-                <div className="filter-group">
-                  <label>Status:</label>
-                  <select
-                    value={filters.status}
-                    onChange={(e) => handleFilterChange('status', e.target.value)}
-                  >
-                    <option value="">All</option>
-                    <option value="up">Up Only</option>
-                    <option value="down">Down Only</option>
-                  </select>
-                </div>
+                {/* Filters */}
+                <div className="filters-section">
+                  <div className="filters-row">
+                    <div className="filter-group">
+                      <label>Sort By:</label>
+                      <select
+                        value={filters.sortBy}
+                        onChange={(e) => handleFilterChange('sortBy', e.target.value)}
+                      >
+                        <option value="timestamp">Date & Time</option>
+                        <option value="duration">Response Time</option>
+                        <option value="statusCode">Status Code</option>
+                      </select>
+                    </div>
 
-                <div className="filter-group">
-                  <label>Date:</label>
-                  <input
-                    type="date"
-                    value={filters.filterDate}
-                    onChange={(e) => handleFilterChange('filterDate', e.target.value)}
-                  />
-                </div>
+                    <div className="filter-group">
+                      <label>Order:</label>
+                      <select
+                        value={filters.sortOrder}
+                        onChange={(e) => handleFilterChange('sortOrder', e.target.value)}
+                      >
+                        <option value="desc">Latest First</option>
+                        <option value="asc">Oldest First</option>
+                      </select>
+                    </div>
 
-                <div className="filter-group">
-                  <label>Limit:</label>
-                  <select
-                    value={filters.limit}
-                    onChange={(e) => handleFilterChange('limit', parseInt(e.target.value))}
-                  >
-                    <option value={50}>50 entries</option>
-                    <option value={100}>100 entries</option>
-                    <option value={200}>200 entries</option>
-                    <option value={0}>All entries</option>
-                  </select>
-                </div>
+                    <div className="filter-group">
+                      <label>Status:</label>
+                      <select
+                        value={filters.status}
+                        onChange={(e) => handleFilterChange('status', e.target.value)}
+                      >
+                        <option value="">All</option>
+                        <option value="up">Up Only</option>
+                        <option value="down">Down Only</option>
+                        <option value="maintenance">Maintenance Only</option>
+                      </select>
+                    </div>
 
-                <button className="clear-filters-btn" onClick={clearFilters}>
-                  Clear Filters
-                </button>
-              </div>
-            </div>
+                    <div className="filter-group">
+                      <label>Error Type:</label>
+                      <select
+                        value={filters.errorType}
+                        onChange={(e) => handleFilterChange('errorType', e.target.value)}
+                      >
+                        <option value="">All</option>
+                        {Object.entries(ERROR_TYPE_LABELS).map(([type, label]) => (
+                          <option key={type} value={type}>
+                            {label}{statistics?.errorTypeCounts?.[type] ? ` (${statistics.errorTypeCounts[type]})` : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
 
-            {/* Content */}
-            <div className="modal-content">
-              {loading ? (
-                <div className="loading-container">
-                  <motion.div
-                    className="loading-spinner"
-                    animate={{ rotate: 360 }}
-                    transition={{ duration: 1, repeat: Infinity, ease: 'linear' }}
-                  >
-                    ⟳
-                  </motion.div>
-                  <p>Loading ping history...</p>
-                </div>
-              ) : error ? (
-                <div className="error-container">
-                  <span className="error-icon">⚠️</span>
-                  <p>{error}</p>
-                  <button onClick={fetchPingHistory} className="retry-btn">
-                    Try Again
-                  </button>
-                </div>
-              ) : pingHistory.length === 0 ? (
-                <div className="empty-state">
-                  <span className="empty-icon">📊</span>
-                  <h3>No Ping Data</h3>
-                  <p>No ping history found for the selected filters.</p>
-                </div>
-              ) : (
-                <div className="ping-history-list">
-                  <div className="ping-history-header">
-                    <span className="header-status">Status</span>
-                    <span className="header-timestamp">Date & Time</span>
-                    <span className="header-code">Code</span>
-                    <span className="header-duration">Response Time</span>
+                    <div className="filter-group">
+                      <label>Date:</label>
+                      <input
+                        type="date"
+                        value={filters.filterDate}
+                        onChange={(e) => handleFilterChange('filterDate', e.target.value)}
+                      />
+                    </div>
+
+                    <div className="filter-group">
+                      <label>Limit:</label>
+                      <select
+                        value={filters.limit}
+                        onChange={(e) => handleFilterChange('limit', parseInt(e.target.value))}
+                      >
+                        <option value={50}>50 entries</option>
+                        <option value={100}>100 entries</option>
+                        <option value={200}>200 entries</option>
+                        <option value={0}>All entries</option>
+                      </select>
+                    </div>
+
+                    <button className="clear-filters-btn" onClick={clearFilters}>
+                      Clear Filters
+                    </button>
                   </div>
+                </div>
+
+                {/* Content */}
+                <div className="modal-content">
+                  {loading ? (
+                    <div className="loading-container">
+                      <motion.div
+                        className="loading-spinner"
+                        animate={{ rotate: 360 }}
+                        transition={{ duration: 1, repeat: Infinity, ease: 'linear' }}
+                      >
+                        ⟳
+                      </motion.div>
+                      <p>Loading ping history...</p>
+                    </div>
+                  ) : error ? (
+                    <div className="error-container">
+                      <span className="error-icon">⚠️</span>
+                      <p>{error}</p>
+                      <button onClick={fetchPingHistory} className="retry-btn">
+                        Try Again
+                      </button>
+                    </div>
+                  ) : pingHistory.length === 0 ? (
+                    <div className="empty-state">
+                      <span className="empty-icon">📊</span>
+                      <h3>No Ping Data</h3>
+                      <p>No ping history found for the selected filters.</p>
+                    </div>
+                  ) : (
+                    <div className="ping-history-list">
+                      <div className="ping-history-header">
+                        <span className="header-status">Status</span>
+                        <span className="header-timestamp">Date & Time</span>
+                        <span className="header-code">Code</span>
+                        <span className="header-duration">Response Time</span>
+                      </div>
                   
-                  <div className="ping-history-content">
-                    <AnimatePresence>
-                      {pingHistory.map((ping, index) => (
-                        <motion.div
-                          key={`${ping.timestamp}-${index}`}
-                          className="ping-entry"
-                          initial={{ opacity: 0, x: -20 }}
-                          animate={{ opacity: 1, x: 0 }}
-                          exit={{ opacity: 0, x: 20 }}
-                          transition={{ duration: 0.3, delay: index * 0.02 }}
-                        >
-                          <div className="ping-status">
-                            <span 
-                              className="status-indicator"
-                              style={{ backgroundColor: getStatusColor(ping.statusCode) }}
-                            >
-                              {getStatusIcon(ping.statusCode)}
-                            </span>
-                          </div>
-                          <div className="ping-timestamp">
-                            {formatTimestamp(ping.timestamp)}
-                          </div>
-                          <div className="ping-code">
-                            <span 
-                              className="status-code"
-                              style={{ color: getStatusColor(ping.statusCode) }}
+                      <div className="ping-history-content">
+                        <AnimatePresence>
+                          {pingHistory.map((ping, index) => (
+                            <motion.div
+                              key={`${ping.timestamp}-${index}`}
+                              className={`ping-entry${ping.maintenance ? ' maintenance' : ''}`}
+                              initial={{ opacity: 0, x: -20 }}
+                              animate={{ opacity: 1, x: 0 }}
+                              exit={{ opacity: 0, x: 20 }}
+                              transition={{ duration: 0.3, delay: index * 0.02 }}
                             >
-                              {ping.statusCode}
-                            </span>
-                          </div>
-                          <div className="ping-duration">
-                            {formatDuration(ping.duration)}
-                          </div>
-                        </motion.div>
-                      ))}
-                    </AnimatePresence>
-                  </div>
+                              <div className="ping-status">
+                                <span 
+                                  className="status-indicator"
+                                  style={{ backgroundColor: isPingUp(ping) ? getStatusColor(ping.statusCode) : '#ef4444' }}
+                                >
+                                  {getStatusIcon(ping)}
+                                </span>
+                              </div>
+                              <div className="ping-timestamp">
+                                {formatTimestamp(ping.timestamp)}
+                                {ping.maintenance && <span className="ping-maintenance-tag">Maintenance</span>}
+                              </div>
+                              <div className="ping-code">
+                                <span 
+                                  className="status-code"
+                                  style={{ color: getStatusColor(ping.statusCode) }}
+                                >
+                                  {ping.statusCode}
+                                </span>
+                              </div>
+                              <div className="ping-duration">
+                                {formatDuration(ping.duration)}
+                              </div>
+                              {(ping.errorType || ping.failureReason) && (
+                                <div className="ping-failure-reason" title={ping.failureReason}>
+                                  {ping.errorType && (
+                                    <span className={`ping-error-type ${ping.errorType.toLowerCase()}`}>
+                                      {ERROR_TYPE_LABELS[ping.errorType] || ping.errorType}
+                                    </span>
+                                  )}
+                                  {ping.failureReason}
+                                </div>
+                              )}
+                              {ping.failedAssertion && (
+                                <div className="ping-failed-assertion" title={describeAssertion(ping.failedAssertion)}>
+                                  Failed assertion: {describeAssertion(ping.failedAssertion)}
+                                </div>
+                              )}
+                            </motion.div>
+                          ))}
+                        </AnimatePresence>
+                      </div>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
+              </>
+            )}
           </motion.div>
         </motion.div>
       )}
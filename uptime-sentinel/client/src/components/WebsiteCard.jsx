@@ -1,14 +1,20 @@
 import { motion } from 'framer-motion';
 import { useState } from 'react';
 import PingHistoryModal from './PingHistoryModal';
+import AddWebsiteForm from './AddWebsiteForm';
 import { apiService } from '../services/api';
 import './WebsiteCard.css';
 
-const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
+const WebsiteCard = ({ website, onDelete, onUpdate, onEdit, onPause, onResume, onCheckNow, notificationChannels, escalationPolicies }) => {
   const [isDeleting, setIsDeleting] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [showPingHistory, setShowPingHistory] = useState(false);
   const [isPausing, setIsPausing] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  // lastChecked when "Check now" was clicked; the check is done once the website's lastChecked moves on
+  const [pendingCheck, setPendingCheck] = useState(null);
+  const isChecking = pendingCheck !== null && pendingCheck.lastChecked === website.lastChecked;
 
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
@@ -51,6 +57,15 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
     }
   };
 
+  // Tooltip with the longer uptime windows, e.g. "7d: 99.9% · 30d: 99.5% · 90d: —"
+  const formatUptimeWindows = (uptime) => {
+    if (!uptime) return undefined;
+
+    return ['7d', '30d', '90d']
+      .map(window => `${window}: ${uptime[window] !== null && uptime[window] !== undefined ? `${uptime[window]}%` : '—'}`)
+      .join(' · ');
+  };
+
   const formatLastChecked = (lastChecked) => {
     if (!lastChecked) return 'Never';
     
@@ -64,6 +79,25 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
     return `${Math.floor(diff / 86400000)}d ago`;
   };
 
+  // When the worker will check next, as scheduled by the website's backoff policy
+  // (an automatic pause ends at stopPingUntil; a manual one has none)
+  const nextCheckAt = website.isTemporarilyStopped ? website.stopPingUntil : website.nextPingTime;
+
+  const formatNextCheck = () => {
+    if (isChecking) return 'Checking now...';
+    if (website.isTemporarilyStopped && !website.stopPingUntil) return 'Paused';
+    if (!nextCheckAt) return 'Not scheduled';
+
+    const diff = new Date(nextCheckAt) - new Date();
+    const prefix = website.isTemporarilyStopped ? 'Resumes in' : 'In';
+
+    if (diff <= 0) return 'Due now';
+    if (diff < 60000) return `${prefix} ${Math.ceil(diff / 1000)}s`;
+    if (diff < 3600000) return `${prefix} ${Math.round(diff / 60000)}m`;
+    if (diff < 86400000) return `${prefix} ${Math.round(diff / 3600000)}h`;
+    return `${prefix} ${Math.round(diff / 86400000)}d`;
+  };
+
   const handleDelete = async () => {
     if (!showDeleteConfirm) {
       setShowDeleteConfirm(true);
@@ -85,8 +119,8 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
   };
 
   const handleCardClick = (e) => {
-    // Don't open modal if clicking on action buttons
-    if (e.target.closest('.card-actions')) {
+    // Don't open modal if clicking on action buttons or the edit form
+    if (e.target.closest('.card-actions') || e.target.closest('.add-website-form-container')) {
       return;
     }
     setShowPingHistory(true);
@@ -113,6 +147,36 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
     }
   };
 
+  const handleCheckNow = async (e) => {
+    e.stopPropagation(); // Prevent card click
+    setPendingCheck({ lastChecked: website.lastChecked });
+
+    try {
+      await onCheckNow(website._id);
+    } catch (error) {
+      console.error('Failed to request check:', error);
+      setPendingCheck(null);
+    }
+  };
+
+  const handleEditClick = (e) => {
+    e.stopPropagation(); // Prevent card click
+    setIsEditing(!isEditing);
+  };
+
+  const handleSaveEdit = async (changes) => {
+    setIsSaving(true);
+    try {
+      await onEdit(website._id, changes);
+      setIsEditing(false);
+    } catch (error) {
+      console.error('Failed to update website:', error);
+      throw error; // Let the form keep the user's input
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   return (
     <>
       <motion.div
@@ -147,9 +211,43 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
         <div className="website-info">
           <h3 className="website-name">{website.name}</h3>
           <p className="website-url">{formatUrl(website.url)}</p>
+          {website.tags?.length > 0 && (
+            <div className="website-tags">
+              {website.tags.map(tag => (
+                <span key={tag} className="website-tag">{tag}</span>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="card-actions">
+          {/* Check Now Button (paused websites are not checked) */}
+          {onCheckNow && !website.isTemporarilyStopped && (
+            <motion.button
+              className="check-now-button"
+              onClick={handleCheckNow}
+              disabled={isChecking}
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              title={isChecking ? 'Check in progress' : 'Check now'}
+            >
+              {isChecking ? '⏳' : '🔄'}
+            </motion.button>
+          )}
+
+          {/* Edit Button */}
+          {onEdit && (
+            <motion.button
+              className="edit-button"
+              onClick={handleEditClick}
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              title={isEditing ? 'Cancel editing' : 'Edit website'}
+            >
+              {isEditing ? '✕' : '✏️'}
+            </motion.button>
+          )}
+
           {/* Pause/Resume Button */}
           <motion.button
             className={`pause-button ${(website.status === 'paused' || website.isTemporarilyStopped) ? 'resumed' : 'paused'}`}
@@ -201,6 +299,18 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
         </div>
       </div>
 
+      {/* Edit form */}
+      {isEditing && (
+        <AddWebsiteForm
+          website={website}
+          onSubmit={handleSaveEdit}
+          onCancel={() => setIsEditing(false)}
+          isLoading={isSaving}
+          notificationChannels={notificationChannels}
+          escalationPolicies={escalationPolicies}
+        />
+      )}
+
       {/* Status details */}
       <div className="card-body">
         <div className="status-details">
@@ -211,6 +321,14 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
               {(website.status === 'paused' || website.isTemporarilyStopped) && (
                 <span className="paused-badge">• PAUSED</span>
               )}
+              {website.maintenance && (
+                <span
+                  className="maintenance-badge"
+                  title={`${website.maintenance.name} until ${new Date(website.maintenance.endsAt).toLocaleString()}`}
+                >
+                  • MAINTENANCE
+                </span>
+              )}
             </span>
           </div>
 
@@ -221,10 +339,17 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
             </span>
           </div>
 
+          <div className="detail-item">
+            <span className="detail-label">Next Check</span>
+            <span className="detail-value" title={nextCheckAt ? new Date(nextCheckAt).toLocaleString() : undefined}>
+              {formatNextCheck()}
+            </span>
+          </div>
+
           {website.uptimePercentage !== undefined && (
             <div className="detail-item">
-              <span className="detail-label">Uptime</span>
-              <span className="detail-value">
+              <span className="detail-label">Uptime (24h)</span>
+              <span className="detail-value" title={formatUptimeWindows(website.uptime)}>
                 {website.uptimePercentage.toFixed(1)}%
               </span>
             </div>
@@ -251,18 +376,18 @@ const WebsiteCard = ({ website, onDelete, onUpdate, onPause, onResume }) => {
             <div className="chart-label">Recent Pings</div>
             <div className="chart-bars">
               {website.recentPings.slice(-10).map((ping, index) => {
-                const isUp = ping.statusCode >= 200 && ping.statusCode < 400;
+                const isUp = ping.success ?? (ping.statusCode >= 200 && ping.statusCode < 400);
                 const height = Math.min(Math.max((ping.duration / 2000) * 100, 20), 100);
                 
                 return (
                   <motion.div
                     key={index}
-                    className={`chart-bar ${isUp ? 'success' : 'error'}`}
+                    className={`chart-bar ${isUp ? 'success' : 'error'}${ping.maintenance ? ' maintenance' : ''}`}
                     style={{ height: `${height}%` }}
                     initial={{ height: 0 }}
                     animate={{ height: `${height}%` }}
                     transition={{ duration: 0.6, delay: index * 0.05 }}
-                    title={`${ping.duration}ms - ${ping.statusCode}`}
+                    title={`${ping.duration}ms - ${ping.statusCode}${ping.failureReason ? ` - ${ping.failureReason}` : ''}${ping.maintenance ? ' (maintenance)' : ''}`}
                   />
                 );
               })}
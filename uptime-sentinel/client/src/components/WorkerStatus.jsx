@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { apiService } from '../services/api';
+import './WorkerStatus.css';
+
+const POLL_INTERVAL_MS = 30000;
+
+// "45s", "12m", "3h", "2d"
+const formatAge = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+};
+
+// Whether the ping worker is running, from its heartbeats (GET /api/ping/status)
+const WorkerStatus = () => {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [showDetails, setShowDetails] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const data = await apiService.getWorkerStatus();
+      setStatus(data);
+      setError(null);
+    } catch (error) {
+      console.error('Failed to fetch worker status:', error);
+      setError(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+    const interval = setInterval(fetchStatus, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchStatus]);
+
+  if (!status && !error) return null;
+
+  const healthy = status?.healthy;
+  const latest = status?.workers?.[0];
+
+  let summary;
+  if (error) {
+    summary = 'Worker status unavailable';
+  } else if (healthy) {
+    summary = `${status.aliveWorkers} ping worker${status.aliveWorkers === 1 ? '' : 's'} running`;
+    if (status.queueBacklog > 0) summary += ` · ${status.queueBacklog} check${status.queueBacklog === 1 ? '' : 's'} waiting`;
+  } else if (latest) {
+    summary = latest.state === 'stopped'
+      ? `Ping worker stopped ${formatAge(latest.secondsSinceHeartbeat)} ago - checks are not running`
+      : `No heartbeat from the ping worker for ${formatAge(latest.secondsSinceHeartbeat)} - checks are not running`;
+  } else {
+    summary = 'No ping worker has reported in - checks are not running';
+  }
+
+  return (
+    <motion.div
+      className={`worker-status ${healthy ? 'healthy' : 'unhealthy'}`}
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <button
+        type="button"
+        className="worker-status-summary"
+        onClick={() => setShowDetails(!showDetails)}
+        disabled={!status?.workers?.length}
+      >
+        <span className={`worker-status-dot ${healthy ? 'healthy' : 'unhealthy'}`} />
+        {summary}
+      </button>
+
+      {showDetails && status?.workers?.length > 0 && (
+        <ul className="worker-status-list">
+          {status.workers.map(worker => (
+            <li key={worker.workerId} className={worker.alive ? 'alive' : 'dead'}>
+              <strong>{worker.workerId}</strong>
+              <span>{worker.alive ? worker.state : (worker.state === 'stopped' ? 'stopped' : 'not responding')}</span>
+              <span>heartbeat {formatAge(worker.secondsSinceHeartbeat)} ago</span>
+              <span>up {formatAge(worker.uptimeSeconds || 0)}</span>
+              <span>{worker.totalPingsCompleted || 0} checks</span>
+              {worker.lastCycle && (
+                <span>last cycle {(worker.lastCycle.durationMs / 1000).toFixed(1)}s</span>
+              )}
+              <span>browser {worker.browser?.active ? 'running' : 'idle'}</span>
+              {worker.lastError && (
+                <span className="worker-status-error" title={new Date(worker.lastError.at).toLocaleString()}>
+                  {worker.lastError.message}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default WorkerStatus;
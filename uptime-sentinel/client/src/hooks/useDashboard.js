@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { websiteService } from '../services/websiteService';
-import websocketService from '../services/websocketService';
+import liveUpdateService from '../services/liveUpdateService';
+import { useAuth } from '../contexts/AuthContext';
 
 export const useDashboard = () => {
   const [state, setState] = useState({
@@ -10,9 +11,12 @@ export const useDashboard = () => {
     error: null,
     refreshing: false
   });
+  const [transport, setTransport] = useState(liveUpdateService.getTransport());
 
   const intervalRef = useRef(null);
   const mountedRef = useRef(true);
+  const { user } = useAuth();
+  const userId = user?._id;
 
   // Safe state update helper
   const safeSetState = useCallback((updates) => {
@@ -127,6 +131,15 @@ export const useDashboard = () => {
     }
   }, [updateWebsite]);
 
+  // Check websites now ({ websiteId }, { tag } or { all: true }); updated websites arrive over the WebSocket
+  const checkNow = useCallback(async (target) => {
+    try {
+      return await websiteService.checkNow(target);
+    } catch (error) {
+      throw error;
+    }
+  }, []);
+
   // Delete website
   const deleteWebsite = useCallback(async (websiteId) => {
     try {
@@ -151,6 +164,19 @@ export const useDashboard = () => {
     }
   }, [addWebsite]);
 
+  // Edit website (name, URL, email, check settings)
+  const editWebsite = useCallback(async (websiteId, changes) => {
+    try {
+      const result = await websiteService.updateWebsite(websiteId, changes);
+      if (result.success && result.data) {
+        updateWebsite(websiteId, result.data);
+      }
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }, [updateWebsite]);
+
   // Get filtered websites
   const getFilteredWebsites = useCallback((filters = {}) => {
     const { status, search } = filters;
@@ -217,18 +243,45 @@ export const useDashboard = () => {
 
     initDashboard();
 
-    // Setup WebSocket for real-time updates
+    // Setup live updates for real-time changes
     const handleWebsiteUpdate = (data) => {
       if (mounted && data && data.website) {
-        setState(prevState => ({
-          ...prevState,
-          websites: prevState.websites.map(website =>
+        setState(prevState => {
+          const websites = prevState.websites.map(website =>
             website._id === data.website._id ? data.website : website
-          )
-        }));
+          );
+
+          // Keep the totals in step with the pushed result
+          return {
+            ...prevState,
+            websites,
+            stats: websiteService.calculateDashboardStats(websites)
+          };
+        });
+
+        // Cached lists are now out of date
+        websiteService.invalidateCache(['websites', 'dashboard_stats', `website_${data.website._id}`]);
       }
     };
 
+    // A website deleted elsewhere (another tab or device)
+    const handleWebsiteRemoved = (data) => {
+      if (mounted && data && data.websiteId) {
+        setState(prevState => {
+          const websites = prevState.websites.filter(website => website._id !== data.websiteId);
+
+          return {
+            ...prevState,
+            websites,
+            stats: websiteService.calculateDashboardStats(websites)
+          };
+        });
+
+        websiteService.invalidateCache(['websites', 'dashboard_stats', `website_${data.websiteId}`]);
+      }
+    };
+
+    // Totals worked out by the server, which follow shortly after a burst of updates
     const handleStatsUpdate = (data) => {
       if (mounted && data) {
         setState(prevState => ({
@@ -238,27 +291,67 @@ export const useDashboard = () => {
       }
     };
 
-    // Connect WebSocket and subscribe to updates
-    websocketService.connect();
-    websocketService.on('website-update', handleWebsiteUpdate);
-    websocketService.on('stats-update', handleStatsUpdate);
-    websocketService.subscribeToWebsiteUpdates();
-    websocketService.subscribeToStats();
+    // After a reconnect, fetch what changed while the connection was down
+    const handleResync = async ({ since } = {}) => {
+      try {
+        const changes = since ? await websiteService.getChanges(since) : { resync: true };
+        if (!mounted) return;
+
+        if (changes.resync) {
+          await loadDashboardData({ forceRefresh: true, silent: true });
+          return;
+        }
+
+        const changed = new Map(changes.websites.map(website => [website._id, website]));
+        const removed = new Set(changes.removedIds);
+
+        setState(prevState => {
+          const websites = prevState.websites
+            .filter(website => !removed.has(website._id))
+            .map(website => changed.get(website._id) || website);
+
+          return {
+            ...prevState,
+            websites,
+            stats: websiteService.calculateDashboardStats(websites)
+          };
+        });
+      } catch (error) {
+        console.warn('Failed to catch up after reconnecting:', error.message);
+      }
+    };
+
+    // Connect live updates (WebSocket, else SSE, else just the auto-refresh) and subscribe to updates
+    const stopWatchingTransport = liveUpdateService.onTransportChange(setTransport);
+    liveUpdateService.connect();
+    liveUpdateService.on('website-update', handleWebsiteUpdate);
+    liveUpdateService.on('website-removed', handleWebsiteRemoved);
+    liveUpdateService.on('stats-update', handleStatsUpdate);
+    liveUpdateService.on('resync', handleResync);
 
     return () => {
       mounted = false;
       mountedRef.current = false;
       clearAutoRefresh();
       
-      // Cleanup WebSocket
-      websocketService.off('website-update', handleWebsiteUpdate);
-      websocketService.off('stats-update', handleStatsUpdate);
-      websocketService.unsubscribeFromWebsiteUpdates();
-      websocketService.unsubscribeFromStats();
-      websocketService.disconnect();
+      // Cleanup live updates
+      liveUpdateService.off('website-update', handleWebsiteUpdate);
+      liveUpdateService.off('website-removed', handleWebsiteRemoved);
+      liveUpdateService.off('stats-update', handleStatsUpdate);
+      liveUpdateService.off('resync', handleResync);
+      stopWatchingTransport();
+      liveUpdateService.disconnect();
     };
   }, []);
 
+  // Updates for the signed-in user's websites (sent once the connection is open)
+  useEffect(() => {
+    if (!userId) return;
+
+    liveUpdateService.subscribeToUser(userId);
+    return () => liveUpdateService.unsubscribeFromUser(userId);
+  }, [userId]);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -277,6 +370,7 @@ export const useDashboard = () => {
     loading: state.loading,
     error: state.error,
     refreshing: state.refreshing,
+    transport, // How live updates arrive: 'websocket', 'sse' or 'polling'
     
     // Actions
     refreshData,
@@ -285,9 +379,11 @@ export const useDashboard = () => {
     // Website operations
     createWebsite,
     updateWebsite,
+    editWebsite,
     deleteWebsite,
     pauseWebsite,
     resumeWebsite,
+    checkNow,
     
     // Utilities
     getFilteredWebsites,
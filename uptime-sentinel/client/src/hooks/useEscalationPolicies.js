@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+
+// The user's escalation policies, with actions to manage them
+export const useEscalationPolicies = () => {
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadPolicies = useCallback(async () => {
+    try {
+      setPolicies(await apiService.getEscalationPolicies());
+      setError(null);
+    } catch (error) {
+      console.error('Failed to load escalation policies:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPolicies();
+  }, [loadPolicies]);
+
+  const createPolicy = useCallback(async (policy) => {
+    const created = await apiService.createEscalationPolicy(policy);
+    setPolicies(prev => [...prev, created]);
+    return created;
+  }, []);
+
+  const updatePolicy = useCallback(async (id, updates) => {
+    const updated = await apiService.updateEscalationPolicy(id, updates);
+    setPolicies(prev => prev.map(policy => policy._id === id ? updated : policy));
+    return updated;
+  }, []);
+
+  const deletePolicy = useCallback(async (id) => {
+    await apiService.deleteEscalationPolicy(id);
+    setPolicies(prev => prev.filter(policy => policy._id !== id));
+  }, []);
+
+  return {
+    policies,
+    loading,
+    error,
+    loadPolicies,
+    createPolicy,
+    updatePolicy,
+    deletePolicy
+  };
+};
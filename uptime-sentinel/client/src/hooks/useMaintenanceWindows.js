@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+
+// The user's maintenance windows, with actions to manage them
+export const useMaintenanceWindows = () => {
+  const [windows, setWindows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadWindows = useCallback(async () => {
+    try {
+      setWindows(await apiService.getMaintenanceWindows());
+      setError(null);
+    } catch (error) {
+      console.error('Failed to load maintenance windows:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWindows();
+  }, [loadWindows]);
+
+  const createWindow = useCallback(async (maintenanceWindow) => {
+    const created = await apiService.createMaintenanceWindow(maintenanceWindow);
+    setWindows(prev => [...prev, created]);
+    return created;
+  }, []);
+
+  const updateWindow = useCallback(async (id, updates) => {
+    const updated = await apiService.updateMaintenanceWindow(id, updates);
+    setWindows(prev => prev.map(maintenanceWindow => maintenanceWindow._id === id ? updated : maintenanceWindow));
+    return updated;
+  }, []);
+
+  const deleteWindow = useCallback(async (id) => {
+    await apiService.deleteMaintenanceWindow(id);
+    setWindows(prev => prev.filter(maintenanceWindow => maintenanceWindow._id !== id));
+  }, []);
+
+  return {
+    windows,
+    loading,
+    error,
+    loadWindows,
+    createWindow,
+    updateWindow,
+    deleteWindow
+  };
+};
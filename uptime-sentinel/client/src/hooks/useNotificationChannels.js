@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+
+// The user's Slack, webhook and email notification channels, with actions to manage them
+export const useNotificationChannels = () => {
+  const [channels, setChannels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadChannels = useCallback(async () => {
+    try {
+      setChannels(await apiService.getNotificationChannels());
+      setError(null);
+    } catch (error) {
+      console.error('Failed to load notification channels:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadChannels();
+  }, [loadChannels]);
+
+  const createChannel = useCallback(async (channel) => {
+    const created = await apiService.createNotificationChannel(channel);
+    setChannels(prev => [...prev, created]);
+    return created;
+  }, []);
+
+  const updateChannel = useCallback(async (id, updates) => {
+    const updated = await apiService.updateNotificationChannel(id, updates);
+    setChannels(prev => prev.map(channel => channel._id === id ? updated : channel));
+    return updated;
+  }, []);
+
+  const deleteChannel = useCallback(async (id) => {
+    await apiService.deleteNotificationChannel(id);
+    setChannels(prev => prev.filter(channel => channel._id !== id));
+  }, []);
+
+  // The result is also stored as the channel's last delivery
+  const testChannel = useCallback(async (id) => {
+    const result = await apiService.testNotificationChannel(id);
+    setChannels(prev => prev.map(channel => (
+      channel._id === id ? { ...channel, lastDelivery: { at: new Date().toISOString(), ...result } } : channel
+    )));
+    return result;
+  }, []);
+
+  return {
+    channels,
+    loading,
+    error,
+    loadChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    testChannel
+  };
+};
@@ -1,8 +1,10 @@
 import axios from 'axios';
 
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api';
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api',
+  baseURL: API_BASE_URL,
   timeout: 30000, // 30 second timeout
   headers: {
     'Content-Type': 'application/json',
@@ -81,6 +83,16 @@ export const apiService = {
     }
   },
 
+  // Websites changed since a WebSocket message cursor ({ resync, cursor, websites, removedIds })
+  async getWebsiteChanges(since) {
+    try {
+      const response = await api.get('/websites/changes', { params: { since } });
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Add a new website
   async addWebsite(websiteData) {
     try {
@@ -101,6 +113,16 @@ export const apiService = {
     }
   },
 
+  // Edit a website (partial update)
+  async updateWebsite(id, changes) {
+    try {
+      const response = await api.patch(`/websites/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Delete a website
   async deleteWebsite(id) {
     try {
@@ -131,6 +153,7 @@ export const apiService = {
       if (filters.sortOrder) params.append('sortOrder', filters.sortOrder);
       if (filters.filterDate) params.append('filterDate', filters.filterDate);
       if (filters.status) params.append('status', filters.status);
+      if (filters.errorType) params.append('errorType', filters.errorType);
       if (filters.limit) params.append('limit', filters.limit.toString());
       
       const url = `/websites/${id}/ping-history${params.toString() ? '?' + params.toString() : ''}`;
@@ -141,6 +164,201 @@ export const apiService = {
     }
   },
 
+  // Get the incident (outage) history of a website
+  async getIncidents(id, filters = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (filters.status) params.append('status', filters.status);
+      if (filters.limit) params.append('limit', filters.limit.toString());
+
+      const url = `/websites/${id}/incidents${params.toString() ? '?' + params.toString() : ''}`;
+      const response = await api.get(url);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // One incident with its timeline (opened, alerts, acknowledgement, notes, resolved)
+  async getIncident(id) {
+    try {
+      const response = await api.get(`/incidents/${id}`);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // "I'm on it" - also stops the incident's escalation; resolves with the updated incident
+  async acknowledgeIncident(id) {
+    try {
+      const response = await api.post(`/incidents/${id}/acknowledge`);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async addIncidentNote(id, text) {
+    try {
+      const response = await api.post(`/incidents/${id}/notes`, { text });
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Queue checks now: { websiteId }, { tag } or { all: true }; results arrive as WebSocket website updates
+  async triggerChecks(target) {
+    try {
+      const response = await api.post('/ping/trigger', target);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Slack, webhook and email notification channels (alert contacts)
+  async getNotificationChannels() {
+    try {
+      const response = await api.get('/notifications/channels');
+      return response.data.data || [];
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async createNotificationChannel(channel) {
+    try {
+      const response = await api.post('/notifications/channels', channel);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async updateNotificationChannel(id, updates) {
+    try {
+      const response = await api.patch(`/notifications/channels/${id}`, updates);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async deleteNotificationChannel(id) {
+    try {
+      const response = await api.delete(`/notifications/channels/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Resolves with { success, statusCode, error } - a failed delivery is not an API error
+  async testNotificationChannel(id) {
+    try {
+      const response = await api.post(`/notifications/channels/${id}/test`);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Escalation policies: which contacts are alerted, and when, while a website stays down
+  async getEscalationPolicies() {
+    try {
+      const response = await api.get('/notifications/policies');
+      return response.data.data || [];
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async createEscalationPolicy(policy) {
+    try {
+      const response = await api.post('/notifications/policies', policy);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async updateEscalationPolicy(id, updates) {
+    try {
+      const response = await api.patch(`/notifications/policies/${id}`, updates);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async deleteEscalationPolicy(id) {
+    try {
+      const response = await api.delete(`/notifications/policies/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Maintenance windows: when checks of some websites raise no incidents or alerts
+  async getMaintenanceWindows() {
+    try {
+      const response = await api.get('/maintenance');
+      return response.data.data || [];
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async createMaintenanceWindow(maintenanceWindow) {
+    try {
+      const response = await api.post('/maintenance', maintenanceWindow);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async updateMaintenanceWindow(id, updates) {
+    try {
+      const response = await api.patch(`/maintenance/${id}`, updates);
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  async deleteMaintenanceWindow(id) {
+    try {
+      const response = await api.delete(`/maintenance/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Heartbeat status of the ping workers
+  async getWorkerStatus() {
+    try {
+      const response = await api.get('/ping/status');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Platform-wide numbers for the landing page (no login needed)
+  async getGlobalStats() {
+    try {
+      const response = await api.get('/stats/global');
+      return response.data.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Pause monitoring for a website
   async pauseWebsite(id) {
     try {
@@ -0,0 +1,135 @@
+import websocketService from './websocketService';
+import sseService from './sseService';
+
+// Attempts that fail before ever opening, after which the next transport is tried
+const MAX_FAILED_ATTEMPTS = 2;
+
+// Live dashboard updates over the best transport that works on this network:
+// the WebSocket, then the Server-Sent Events stream, then none ('polling', where
+// the dashboard's periodic refresh is all there is). The WebSocket keeps retrying
+// on its capped backoff while a fallback is in use, and takes over again as soon
+// as it connects. Listeners are registered on both transports; only the active
+// one ever emits.
+class LiveUpdateService {
+  constructor() {
+    this.transport = null; // 'websocket' | 'sse' | 'polling', null while disconnected
+    this.failedAttempts = 0; // Of the active transport
+    this.hasOpened = false;
+    this.transportListeners = new Set();
+
+    this.handleWebSocketOpen = this.handleWebSocketOpen.bind(this);
+    this.handleWebSocketClosed = this.handleWebSocketClosed.bind(this);
+    this.handleSseOpen = this.handleSseOpen.bind(this);
+    this.handleSseClosed = this.handleSseClosed.bind(this);
+  }
+
+  connect() {
+    if (this.transport) return;
+
+    websocketService.on('connected', this.handleWebSocketOpen);
+    websocketService.on('disconnected', this.handleWebSocketClosed);
+    this.setTransport('websocket');
+    websocketService.connect();
+  }
+
+  disconnect() {
+    websocketService.off('connected', this.handleWebSocketOpen);
+    websocketService.off('disconnected', this.handleWebSocketClosed);
+    this.stopSse();
+    websocketService.disconnect();
+    this.failedAttempts = 0;
+    this.hasOpened = false;
+    this.setTransport(null);
+  }
+
+  handleWebSocketOpen() {
+    if (this.transport !== 'websocket') {
+      console.log(`📡 WebSocket available, switching over from ${this.transport}`);
+      const wasPolling = this.transport === 'polling';
+      this.stopSse();
+      this.setTransport('websocket');
+
+      // Nothing was pushed while polling: reload instead of waiting for the next refresh
+      if (wasPolling) {
+        websocketService.emit('resync', { since: null });
+      }
+    }
+
+    this.hasOpened = true;
+    this.failedAttempts = 0;
+  }
+
+  // A WebSocket that worked once keeps reconnecting on its own; one that never
+  // opened is probably being blocked. It keeps retrying in the background either way.
+  handleWebSocketClosed() {
+    if (this.transport !== 'websocket') return;
+    if (this.hasOpened || ++this.failedAttempts < MAX_FAILED_ATTEMPTS) return;
+
+    console.warn('⚠️ WebSocket unavailable, falling back to Server-Sent Events');
+    this.failedAttempts = 0;
+
+    sseService.on('connected', this.handleSseOpen);
+    sseService.on('disconnected', this.handleSseClosed);
+    this.setTransport('sse');
+    sseService.connect();
+  }
+
+  handleSseOpen() {
+    this.hasOpened = true;
+    this.failedAttempts = 0;
+  }
+
+  handleSseClosed({ fatal } = {}) {
+    if (!fatal && (this.hasOpened || ++this.failedAttempts < MAX_FAILED_ATTEMPTS)) return;
+
+    console.warn('⚠️ Server-Sent Events unavailable, falling back to polling until the WebSocket connects');
+    this.stopSse();
+    this.setTransport('polling');
+  }
+
+  stopSse() {
+    sseService.off('connected', this.handleSseOpen);
+    sseService.off('disconnected', this.handleSseClosed);
+    sseService.disconnect();
+    this.failedAttempts = 0;
+    this.hasOpened = false;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+    this.transportListeners.forEach(listener => listener(transport));
+  }
+
+  // Calls `listener` with the transport whenever it changes; returns an unsubscribe function
+  onTransportChange(listener) {
+    this.transportListeners.add(listener);
+    return () => this.transportListeners.delete(listener);
+  }
+
+  getTransport() {
+    return this.transport;
+  }
+
+  on(eventType, callback) {
+    websocketService.on(eventType, callback);
+    sseService.on(eventType, callback);
+  }
+
+  off(eventType, callback) {
+    websocketService.off(eventType, callback);
+    sseService.off(eventType, callback);
+  }
+
+  // The SSE stream already carries all of the user's websites
+  subscribeToUser(userId) {
+    websocketService.subscribeToUser(userId);
+  }
+
+  unsubscribeFromUser(userId) {
+    websocketService.unsubscribeFromUser(userId);
+  }
+}
+
+// Create singleton instance
+export const liveUpdateService = new LiveUpdateService();
+export default liveUpdateService;
@@ -0,0 +1,112 @@
+import { API_BASE_URL } from './api';
+
+// Server-Sent Events client for GET /api/events, the fallback when WebSocket
+// upgrades are blocked. Messages have the same { type, payload } shape as the
+// WebSocket's and are emitted the same way; the stream always carries all of the
+// signed-in user's websites, so there is nothing to subscribe to.
+class SseService {
+  constructor() {
+    this.source = null;
+    this.listeners = new Map();
+    this.hasOpened = false; // Whether the stream was open before, so the next open is a reconnect
+    this.cursor = null; // Last event cursor received, for catching up after a reconnect
+  }
+
+  connect(url = `${API_BASE_URL}/events`) {
+    if (this.source) return;
+
+    try {
+      // The browser reconnects on its own after network errors
+      const source = new EventSource(url, { withCredentials: true });
+      this.source = source;
+
+      source.onopen = () => {
+        console.log('📡 SSE stream connected');
+        const isReconnect = this.hasOpened;
+        this.hasOpened = true;
+        this.emit('connected');
+
+        if (isReconnect) {
+          this.emit('resync', { since: this.cursor });
+        }
+      };
+
+      source.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          console.log('📨 SSE message:', data);
+          if (data.payload && data.payload.cursor && (data.type !== 'connected' || !this.cursor)) {
+            this.cursor = data.payload.cursor;
+          }
+          this.emit(data.type, data.payload);
+        } catch (error) {
+          console.error('SSE message parsing error:', error);
+        }
+      };
+
+      // CLOSED means the browser gave up (e.g. a 401 or a response that isn't an
+      // event stream); otherwise it is already retrying
+      source.onerror = () => {
+        const fatal = source.readyState === EventSource.CLOSED;
+        console.warn(`❌ SSE stream ${fatal ? 'closed' : 'interrupted'}`);
+        if (fatal) {
+          this.source = null;
+        }
+        this.emit('disconnected', { fatal });
+      };
+    } catch (error) {
+      console.error('Failed to open SSE stream:', error);
+      this.emit('disconnected', { fatal: true });
+    }
+  }
+
+  disconnect() {
+    this.hasOpened = false;
+    this.cursor = null;
+
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+      this.emit('disconnected', { fatal: false });
+    }
+  }
+
+  // Event listener management
+  on(eventType, callback) {
+    if (!this.listeners.has(eventType)) {
+      this.listeners.set(eventType, []);
+    }
+    this.listeners.get(eventType).push(callback);
+  }
+
+  off(eventType, callback) {
+    if (this.listeners.has(eventType)) {
+      const callbacks = this.listeners.get(eventType);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  // Iterates over a copy, so handlers may add or remove listeners while it runs
+  emit(eventType, data = null) {
+    if (this.listeners.has(eventType)) {
+      [...this.listeners.get(eventType)].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in SSE event handler for ${eventType}:`, error);
+        }
+      });
+    }
+  }
+
+  isConnected() {
+    return !!this.source && this.source.readyState === EventSource.OPEN;
+  }
+}
+
+// Create singleton instance
+export const sseService = new SseService();
+export default sseService;
@@ -63,11 +63,12 @@ class WebsiteService {
       sortBy = 'timestamp', 
       sortOrder = 'desc',
       status = null,
+      errorType = null,
       dateRange = null,
       forceRefresh = false
     } = options;
 
-    const params = { page, limit, sortBy, sortOrder, status, dateRange };
+    const params = { page, limit, sortBy, sortOrder, status, errorType, dateRange };
     const cacheKey = this.getCacheKey(`ping_history_${websiteId}`, params);
     
     if (!forceRefresh) {
@@ -86,6 +87,7 @@ class WebsiteService {
       };
 
       if (status) queryParams.status = status;
+      if (errorType) queryParams.errorType = errorType;
       if (dateRange) {
         queryParams.filterDate = dateRange;
       }
@@ -255,6 +257,20 @@ class WebsiteService {
     }
   }
 
+  // Edit website with cache invalidation
+  async updateWebsite(id, changes) {
+    try {
+      const result = await apiService.updateWebsite(id, changes);
+      
+      // Invalidate relevant caches
+      this.invalidateCache(['websites', 'dashboard_stats', `website_${id}`]);
+      
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Delete website with cache invalidation
   async deleteWebsite(id) {
     try {
@@ -283,6 +299,26 @@ class WebsiteService {
     }
   }
 
+  // Catch up after a WebSocket reconnect; cached lists are dropped since they missed the same changes
+  async getChanges(since) {
+    try {
+      const changes = await apiService.getWebsiteChanges(since);
+      this.invalidateCache(['websites', 'dashboard_stats']);
+      return changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Results are pushed over the WebSocket, so nothing is cached or invalidated here
+  async checkNow(target) {
+    try {
+      return await apiService.triggerChecks(target);
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async resumeWebsite(id) {
     try {
       const result = await apiService.resumeWebsite(id);
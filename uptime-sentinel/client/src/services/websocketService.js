@@ -1,73 +1,133 @@
+import { API_BASE_URL } from './api';
+
+// Close code the server uses when the login behind the connection has expired
+const TOKEN_EXPIRED_CODE = 4001;
+
+// The server's /ws endpoint, next to the API (http -> ws, https -> wss)
+const getWebSocketUrl = () => {
+  const url = new URL(API_BASE_URL, window.location.origin);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = url.pathname.replace(/\/api\/?$/, '') + '/ws';
+  url.search = '';
+  return url.toString();
+};
+
 class WebSocketService {
   constructor() {
     this.ws = null;
+    this.url = null;
     this.listeners = new Map();
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 1000;
-    this.isReconnecting = false;
+    this.reconnectDelay = 1000; // First retry; doubles on each failed attempt
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
+    this.shouldReconnect = false; // Cleared by disconnect()
+    this.hasConnected = false; // Whether an earlier connection was open, so the next one is a reconnect
+    this.channels = new Set(); // Subscribed channels, sent again whenever the connection opens
+    this.cursor = null; // Last event cursor received, for catching up after a reconnect
   }
 
-  connect(url = 'ws://localhost:5001/ws') {
+  connect(url = getWebSocketUrl()) {
+    if (this.ws && this.ws.readyState <= WebSocket.OPEN) return; // Already connecting or open
+
+    this.url = url;
+    this.shouldReconnect = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
     try {
-      this.ws = new WebSocket(url);
+      const ws = new WebSocket(url);
+      this.ws = ws;
       
-      this.ws.onopen = () => {
+      ws.onopen = () => {
         console.log('📡 WebSocket connected');
+        const isReconnect = this.hasConnected;
+        this.hasConnected = true;
         this.reconnectAttempts = 0;
-        this.isReconnecting = false;
+        this.channels.forEach(channel => this.send('subscribe', { channel }));
         this.emit('connected');
+
+        // Updates sent while the connection was down are lost; listeners fetch what
+        // changed since the last cursor (a full reload when there is none)
+        if (isReconnect) {
+          this.emit('resync', { since: this.cursor });
+        }
       };
 
-      this.ws.onmessage = (event) => {
+      ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
           console.log('📨 WebSocket message:', data);
+          this.trackCursor(data);
           this.emit(data.type, data.payload);
         } catch (error) {
           console.error('WebSocket message parsing error:', error);
         }
       };
 
-      this.ws.onclose = (event) => {
+      ws.onclose = (event) => {
         console.log('❌ WebSocket closed:', event.code, event.reason);
-        this.emit('disconnected');
+        if (this.ws !== ws) return; // Replaced or disconnected on purpose
+
+        this.ws = null;
+        this.emit('disconnected', { code: event.code, reason: event.reason });
         
-        // Attempt reconnection if not intentionally closed
-        if (event.code !== 1000 && !this.isReconnecting) {
-          this.reconnect();
+        // Attempt reconnection if not intentionally closed (listeners may have called
+        // disconnect()); an expired login needs a new one first
+        if (this.shouldReconnect && event.code !== 1000 && event.code !== TOKEN_EXPIRED_CODE) {
+          this.scheduleReconnect();
         }
       };
 
-      this.ws.onerror = (error) => {
+      ws.onerror = (error) => {
         console.error('❌ WebSocket error:', error);
         this.emit('error', error);
       };
 
     } catch (error) {
       console.error('Failed to create WebSocket connection:', error);
+      this.scheduleReconnect();
     }
   }
 
-  reconnect() {
-    if (this.isReconnecting || this.reconnectAttempts >= this.maxReconnectAttempts) {
-      return;
-    }
+  // Retry forever with exponential backoff (capped at maxReconnectDelay) and jitter,
+  // so clients dropped together by a server restart don't all come back at once
+  scheduleReconnect() {
+    if (this.reconnectTimer || !this.shouldReconnect) return;
 
-    this.isReconnecting = true;
+    const backoff = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
     this.reconnectAttempts++;
 
-    console.log(`🔄 Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+    console.log(`🔄 Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect(this.url);
+    }, delay);
+  }
 
-    setTimeout(() => {
-      this.connect();
-    }, this.reconnectDelay * this.reconnectAttempts);
+  // Messages about monitor events carry a cursor; 'connected' gives the starting point
+  trackCursor({ type, payload }) {
+    if (!payload || !payload.cursor) return;
+    if (type !== 'connected' || !this.cursor) {
+      this.cursor = payload.cursor;
+    }
   }
 
   disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.hasConnected = false;
+    this.cursor = null;
+
     if (this.ws) {
-      this.ws.close(1000, 'Client disconnect');
+      const ws = this.ws;
       this.ws = null;
+      ws.close(1000, 'Client disconnect');
+      this.emit('disconnected', { code: 1000, reason: 'Client disconnect' });
     }
   }
 
@@ -99,9 +159,10 @@ class WebSocketService {
     }
   }
 
+  // Iterates over a copy, so handlers may add or remove listeners while it runs
   emit(eventType, data = null) {
     if (this.listeners.has(eventType)) {
-      this.listeners.get(eventType).forEach(callback => {
+      [...this.listeners.get(eventType)].forEach(callback => {
         try {
           callback(data);
         } catch (error) {
@@ -111,21 +172,37 @@ class WebSocketService {
     }
   }
 
-  // Specific methods for dashboard updates
-  subscribeToWebsiteUpdates() {
-    this.send('subscribe', { channel: 'website-updates' });
+  // Subscriptions made before the connection opens are sent once it does
+  subscribe(channel) {
+    this.channels.add(channel);
+    if (this.isConnected()) {
+      this.send('subscribe', { channel });
+    }
+  }
+
+  unsubscribe(channel) {
+    this.channels.delete(channel);
+    if (this.isConnected()) {
+      this.send('unsubscribe', { channel });
+    }
+  }
+
+  // Specific methods for dashboard updates. The server only accepts the signed-in
+  // user's own channel and websites, and answers anything else with 'subscription-error'.
+  subscribeToUser(userId) {
+    this.subscribe(`user:${userId}`);
   }
 
-  subscribeToStats() {
-    this.send('subscribe', { channel: 'dashboard-stats' });
+  unsubscribeFromUser(userId) {
+    this.unsubscribe(`user:${userId}`);
   }
 
-  unsubscribeFromWebsiteUpdates() {
-    this.send('unsubscribe', { channel: 'website-updates' });
+  subscribeToWebsite(websiteId) {
+    this.subscribe(`website:${websiteId}`);
   }
 
-  unsubscribeFromStats() {
-    this.send('unsubscribe', { channel: 'dashboard-stats' });
+  unsubscribeFromWebsite(websiteId) {
+    this.unsubscribe(`website:${websiteId}`);
   }
 
   // Check connection status
@@ -0,0 +1,95 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const path = require('path');
+const { corsOptions, getAllowedOrigins } = require('./middleware/cors');
+
+// Import routes
+const websiteRoutes = require('./routes/websites');
+const pingRoutes = require('./routes/ping');
+const authRoutes = require('./routes/auth');
+const statsRoutes = require('./routes/stats');
+const eventsRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const incidentRoutes = require('./routes/incidents');
+const incidentLinkRoutes = require('./routes/incidentLinks');
+const maintenanceRoutes = require('./routes/maintenance');
+
+// The Express app: middleware, API routes and, in production, the client build.
+// index.js connects the database and starts it; tests use it without listening.
+const app = express();
+
+// Middleware
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
+
+// Signed links from downtime emails are opened in the browser straight from the API's
+// own origin (the confirmation page posts back to itself), which isn't one of the
+// dashboard origins (see middleware/cors.js), so they are mounted ahead of the CORS check
+app.use('/api/incidents', incidentLinkRoutes);
+
+app.use(cors(corsOptions));
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/websites', websiteRoutes);
+app.use('/api/ping', pingRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Uptime Sentinel API is running',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    version: '1.0.0',
+    uptime: process.uptime(),
+    cors: {
+      allowedOrigins: getAllowedOrigins()
+    }
+  });
+});
+
+// Serve static files in production
+if (process.env.NODE_ENV === 'production') {
+  // Set static folder
+  app.use(express.static(path.join(__dirname, '../client/dist')));
+
+  // Catch-all handler: send back React's index.html file for any non-API routes
+  app.get('*', (req, res) => {
+    // Don't serve index.html for API routes
+    if (req.path.startsWith('/api')) {
+      return res.status(404).json({
+        success: false,
+        message: 'API endpoint not found'
+      });
+    }
+    
+    res.sendFile(path.resolve(__dirname, '../client/dist/index.html'));
+  });
+}
+
+// API routes are handled above
+
+// Global error handler
+app.use((error, req, res, next) => {
+  console.error('❌ Unhandled Error:', error);
+  
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.message || 'Internal Server Error',
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+  });
+});
+
+module.exports = app;
@@ -20,7 +20,7 @@ const requiredEnvVars = {
   'PING_INTERVAL_MINUTES': process.env.PING_INTERVAL_MINUTES || '5 (default)',
   'DOWNTIME_MONITORING_HOURS': process.env.DOWNTIME_MONITORING_HOURS || '12 (default)',
   'PAUSE_MONITORING_HOURS': process.env.PAUSE_MONITORING_HOURS || '24 (default)',
-  'PING_FREQUENCY_CRON': process.env.PING_FREQUENCY_CRON || '*/1 * * * * (default)',
+  'PING_FREQUENCY_CRON': process.env.PING_FREQUENCY_CRON || '*/15 * * * * * (default)',
   'EMAIL_USER': process.env.EMAIL_USER ? '✅ Configured' : '⚠️ Optional (no email alerts)',
   'EMAIL_PASS': process.env.EMAIL_PASS ? '✅ Configured' : '⚠️ Optional (no email alerts)'
 };
@@ -84,6 +84,7 @@ const requiredFiles = [
   'models/Website.js',
   'services/emailService.js',
   'services/immediatePingService.js',
+  'services/checkService.js',
   'controllers/websiteController.js',
   'routes/websites.js',
   'ping-worker.js',
@@ -0,0 +1,192 @@
+const EscalationPolicy = require('../models/EscalationPolicy');
+const NotificationChannel = require('../models/NotificationChannel');
+const Website = require('../models/Website');
+
+// Fields a user can set on an escalation policy
+const POLICY_FIELDS = ['name', 'steps', 'repeatEveryMinutes'];
+
+const pickPolicyFields = (body = {}) => Object.fromEntries(
+  POLICY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Every step's contacts must be the user's own channels
+const hasOwnContacts = async (userId, steps) => {
+  if (!Array.isArray(steps)) return true; // Left to schema validation
+
+  const contactIds = steps.flatMap(step => (step && Array.isArray(step.contacts) ? step.contacts : []));
+  if (!contactIds.every(id => typeof id === 'string' && isValidId(id))) {
+    return false;
+  }
+
+  const uniqueIds = [...new Set(contactIds)];
+  const ownedCount = await NotificationChannel.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+  return ownedCount === uniqueIds.length;
+};
+
+// Mongoose validation errors as a 400 response, anything else as a 500
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  console.error(`Error trying to ${action} escalation policy:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action} escalation policy`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    Get the user's escalation policies
+// @route   GET /api/notifications/policies
+// @access  Private
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Error fetching escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch escalation policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add an escalation policy
+// @route   POST /api/notifications/policies
+// @access  Private
+const createPolicy = async (req, res) => {
+  try {
+    const fields = pickPolicyFields(req.body);
+
+    if (!(await hasOwnContacts(req.user._id, fields.steps))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Step contacts must be your own notification channels'
+      });
+    }
+
+    const policy = await EscalationPolicy.create({ ...fields, user: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Escalation policy added',
+      data: policy
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'add');
+  }
+};
+
+// @desc    Rename a policy or change its steps or repeat interval
+// @route   PATCH /api/notifications/policies/:id
+// @access  Private
+const updatePolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid policy ID format'
+      });
+    }
+
+    const updates = pickPolicyFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${POLICY_FIELDS.join(', ')}`
+      });
+    }
+
+    if (!(await hasOwnContacts(req.user._id, updates.steps))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Step contacts must be your own notification channels'
+      });
+    }
+
+    const policy = await EscalationPolicy.findOne({ _id: id, user: req.user._id });
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    // Incidents already escalating pick the changes up at their next step
+    policy.set(updates);
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Escalation policy updated',
+      data: policy
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'update');
+  }
+};
+
+// @desc    Delete an escalation policy (its websites go back to their email and channels)
+// @route   DELETE /api/notifications/policies/:id
+// @access  Private
+const deletePolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid policy ID format'
+      });
+    }
+
+    const policy = await EscalationPolicy.findOneAndDelete({ _id: id, user: req.user._id });
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    await Website.updateMany(
+      { user: req.user._id, escalationPolicy: policy._id },
+      { $set: { escalationPolicy: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Escalation policy deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete escalation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
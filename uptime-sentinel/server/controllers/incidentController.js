@@ -0,0 +1,292 @@
+const Incident = require('../models/Incident');
+const Website = require('../models/Website');
+const incidentService = require('../services/incidentService');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getDashboardUrl = () => (process.env.NODE_ENV === 'production'
+  ? process.env.CLIENT_URL_PROD
+  : process.env.CLIENT_URL_DEV) || 'http://localhost:5173';
+
+// Small standalone page for the email acknowledge link
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Uptime Sentinel</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #333; text-align: center; }
+    button, .link { display: inline-block; background: #3b82f6; color: white; border: none; padding: 12px 24px; border-radius: 6px; font-size: 16px; font-weight: 600; cursor: pointer; text-decoration: none; }
+    .muted { color: #6b7280; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+
+// An incident of one of the user's websites, with the website
+const findOwnIncident = async (id, userId) => {
+  const incident = await Incident.findOne({ _id: id, user: userId });
+  if (!incident) return {};
+
+  const website = await Website.findById(incident.website).select('name url user');
+  return { incident, website };
+};
+
+const toDetail = (incident, website) => ({
+  ...incident.toObject(),
+  website: website ? { _id: website._id, name: website.name, url: website.url } : null,
+  timeline: incidentService.getTimeline(incident)
+});
+
+// @desc    Get an incident with its timeline
+// @route   GET /api/incidents/:id
+// @access  Private
+const getIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID format'
+      });
+    }
+
+    const { incident, website } = await findOwnIncident(id, req.user._id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toDetail(incident, website)
+    });
+  } catch (error) {
+    console.error('Error fetching incident:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incident',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Acknowledge an open incident ("I'm on it"); stops its escalation
+// @route   POST /api/incidents/:id/acknowledge
+// @access  Private
+const acknowledgeIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID format'
+      });
+    }
+
+    const { incident, website } = await findOwnIncident(id, req.user._id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    if (incident.status !== 'open' || incident.acknowledgedAt) {
+      return res.status(400).json({
+        success: false,
+        message: incident.status !== 'open'
+          ? 'This incident is already resolved'
+          : `This incident was already acknowledged by ${incident.acknowledgedBy?.name || 'someone'}`
+      });
+    }
+
+    const acknowledged = await incidentService.acknowledge(incident, website, {
+      user: req.user._id,
+      name: req.user.fullName,
+      via: 'dashboard'
+    });
+    const current = acknowledged || await Incident.findById(incident._id);
+
+    res.status(200).json({
+      success: true,
+      message: acknowledged ? 'Incident acknowledged' : 'Incident was resolved or acknowledged meanwhile',
+      data: toDetail(current, website)
+    });
+  } catch (error) {
+    console.error('Error acknowledging incident:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge incident',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a note to an incident's timeline
+// @route   POST /api/incidents/:id/notes
+// @access  Private
+const addIncidentNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID format'
+      });
+    }
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the note text'
+      });
+    }
+
+    const { incident, website } = await findOwnIncident(id, req.user._id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const updated = await incidentService.addNote(incident, req.user, text);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: toDetail(updated, website)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    console.error('Error adding incident note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Incident and website for a signed email link, or an error page to send
+const findLinkedIncident = async (req) => {
+  const { id } = req.params;
+  const recipient = isValidId(id) ? incidentService.verifyAcknowledgeToken(id, req.query.token) : null;
+  if (!recipient) {
+    return { errorPage: renderPage('Link not valid', '<p>This acknowledge link is invalid or has expired. You can still acknowledge the incident from the dashboard.</p>') };
+  }
+
+  const incident = await Incident.findById(id);
+  const website = incident && await Website.findById(incident.website).select('name url user');
+  if (!incident || !website) {
+    return { errorPage: renderPage('Incident not found', '<p>This incident no longer exists.</p>') };
+  }
+
+  return { incident, website, recipient };
+};
+
+// Page shown for incidents that can't be acknowledged any more, or null
+const getClosedPage = (incident, website) => {
+  const dashboardLink = `<p><a class="link" href="${escapeHtml(getDashboardUrl())}">Open the dashboard</a></p>`;
+
+  if (incident.status !== 'open') {
+    return renderPage('Already resolved', `<p>${escapeHtml(website.name)} is back up; this incident was resolved.</p>${dashboardLink}`);
+  }
+  if (incident.acknowledgedAt) {
+    return renderPage('Already acknowledged', `<p>${escapeHtml(incident.acknowledgedBy?.name || 'Someone')} is already on it (since ${escapeHtml(incident.acknowledgedAt.toUTCString())}).</p>${dashboardLink}`);
+  }
+  return null;
+};
+
+// @desc    Confirmation page for the acknowledge link in downtime emails (a GET never
+//          acknowledges, so mail scanners that open links don't either)
+// @route   GET /api/incidents/:id/email-acknowledge?token=
+// @access  Public (signed link)
+const showEmailAcknowledge = async (req, res) => {
+  try {
+    const { incident, website, errorPage } = await findLinkedIncident(req);
+    if (errorPage) {
+      return res.status(400).type('html').send(errorPage);
+    }
+
+    const closedPage = getClosedPage(incident, website);
+    if (closedPage) {
+      return res.status(200).type('html').send(closedPage);
+    }
+
+    res.status(200).type('html').send(renderPage(`${website.name} is down`, `
+  <p>Down since ${escapeHtml(incident.startedAt.toUTCString())}${incident.rootCause?.message ? `: ${escapeHtml(incident.rootCause.message)}` : ''}</p>
+  <form method="post" action="?token=${encodeURIComponent(req.query.token)}">
+    <button type="submit">I'm on it - Acknowledge</button>
+  </form>
+  <p class="muted">Your team will see you are handling it, and no further escalation alerts will be sent.</p>`));
+  } catch (error) {
+    console.error('Error showing acknowledge page:', error);
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again, or acknowledge the incident from the dashboard.</p>'));
+  }
+};
+
+// @desc    Acknowledge an incident from the downtime email link
+// @route   POST /api/incidents/:id/email-acknowledge?token=
+// @access  Public (signed link)
+const emailAcknowledge = async (req, res) => {
+  try {
+    const { incident, website, recipient, errorPage } = await findLinkedIncident(req);
+    if (errorPage) {
+      return res.status(400).type('html').send(errorPage);
+    }
+
+    const closedPage = getClosedPage(incident, website);
+    if (closedPage) {
+      return res.status(200).type('html').send(closedPage);
+    }
+
+    const acknowledged = await incidentService.acknowledge(incident, website, { name: recipient, via: 'email' });
+    if (!acknowledged) {
+      const current = await Incident.findById(incident._id);
+      return res.status(200).type('html').send(
+        getClosedPage(current, website) || renderPage('Please try again', '<p>The incident changed meanwhile; open the link again.</p>')
+      );
+    }
+
+    res.status(200).type('html').send(renderPage('Acknowledged', `
+  <p>Thanks, your team can see you are on ${escapeHtml(website.name)}. No further escalation alerts will be sent for this incident.</p>
+  <p><a class="link" href="${escapeHtml(getDashboardUrl())}">Open the dashboard</a></p>`));
+  } catch (error) {
+    console.error('Error acknowledging incident from email:', error);
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again, or acknowledge the incident from the dashboard.</p>'));
+  }
+};
+
+module.exports = {
+  getIncident,
+  acknowledgeIncident,
+  addIncidentNote,
+  showEmailAcknowledge,
+  emailAcknowledge
+};
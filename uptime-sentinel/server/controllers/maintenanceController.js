@@ -0,0 +1,209 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Website = require('../models/Website');
+const cronService = require('../services/cronService');
+
+// Fields a user can set on a maintenance window
+const WINDOW_FIELDS = ['name', 'websites', 'tags', 'type', 'startsAt', 'endsAt', 'cron', 'durationMinutes', 'timezone', 'enabled'];
+
+const pickWindowFields = (body = {}) => Object.fromEntries(
+  WINDOW_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// One-off times without an offset ("2026-10-20T02:00", as a datetime-local input sends
+// them) are wall-clock times in the window's timezone; anything else is taken as is
+const toInstant = (value, timezone) => {
+  if (typeof value !== 'string' || !cronService.isValidTimezone(timezone)) {
+    return value; // Left to schema validation
+  }
+  return cronService.zonedTimeToUtc(value, timezone) || value;
+};
+
+const resolveTimes = (fields, timezone) => {
+  ['startsAt', 'endsAt'].forEach(field => {
+    if (fields[field] !== undefined) {
+      fields[field] = toInstant(fields[field], timezone);
+    }
+  });
+};
+
+// Every picked website must be the user's own
+const hasOwnWebsites = async (userId, websites) => {
+  if (!Array.isArray(websites)) return true; // Left to schema validation
+  if (!websites.every(id => typeof id === 'string' && isValidId(id))) {
+    return false;
+  }
+
+  const uniqueIds = [...new Set(websites)];
+  const ownedCount = await Website.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+  return ownedCount === uniqueIds.length;
+};
+
+// A window with whether (and until when) it is active right now
+const toResponse = (window) => ({
+  ...window.toObject(),
+  activeUntil: window.getActiveUntil()
+});
+
+// Mongoose validation errors as a 400 response, anything else as a 500
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  console.error(`Error trying to ${action} maintenance window:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action} maintenance window`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    Get the user's maintenance windows, with `activeUntil` set for those active now
+// @route   GET /api/maintenance
+// @access  Private
+const getWindows = async (req, res) => {
+  try {
+    const windows = await MaintenanceWindow.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: windows.length,
+      data: windows.map(toResponse)
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch maintenance windows',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a maintenance window
+// @route   POST /api/maintenance
+// @access  Private
+const createWindow = async (req, res) => {
+  try {
+    const fields = pickWindowFields(req.body);
+
+    if (!(await hasOwnWebsites(req.user._id, fields.websites))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maintenance windows can only cover your own websites'
+      });
+    }
+
+    resolveTimes(fields, fields.timezone || 'UTC');
+    const window = await MaintenanceWindow.create({ ...fields, user: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window added',
+      data: toResponse(window)
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'add');
+  }
+};
+
+// @desc    Change a maintenance window's websites, tags, schedule or enabled flag
+// @route   PATCH /api/maintenance/:id
+// @access  Private
+const updateWindow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance window ID format'
+      });
+    }
+
+    const updates = pickWindowFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${WINDOW_FIELDS.join(', ')}`
+      });
+    }
+
+    if (!(await hasOwnWebsites(req.user._id, updates.websites))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maintenance windows can only cover your own websites'
+      });
+    }
+
+    const window = await MaintenanceWindow.findOne({ _id: id, user: req.user._id });
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    resolveTimes(updates, updates.timezone || window.timezone);
+    window.set(updates);
+    await window.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance window updated',
+      data: toResponse(window)
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'update');
+  }
+};
+
+// @desc    Delete a maintenance window
+// @route   DELETE /api/maintenance/:id
+// @access  Private
+const deleteWindow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance window ID format'
+      });
+    }
+
+    const window = await MaintenanceWindow.findOneAndDelete({ _id: id, user: req.user._id });
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance window deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete maintenance window',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getWindows,
+  createWindow,
+  updateWindow,
+  deleteWindow
+};
@@ -0,0 +1,215 @@
+const NotificationChannel = require('../models/NotificationChannel');
+const Website = require('../models/Website');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const notificationService = require('../services/notificationService');
+
+// Fields a user can set on a notification channel (alert contact)
+const CHANNEL_FIELDS = ['name', 'type', 'url', 'email', 'enabled'];
+
+const pickChannelFields = (body = {}) => Object.fromEntries(
+  CHANNEL_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Mongoose validation errors as a 400 response, anything else as a 500
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  console.error(`Error trying to ${action} notification channel:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action} notification channel`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    Get the user's notification channels
+// @route   GET /api/notifications/channels
+// @access  Private
+const getChannels = async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: channels.length,
+      data: channels
+    });
+  } catch (error) {
+    console.error('Error fetching notification channels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification channels',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a Slack, webhook or email notification channel
+// @route   POST /api/notifications/channels
+// @access  Private
+const createChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.create({
+      ...pickChannelFields(req.body),
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification channel added',
+      data: channel
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'add');
+  }
+};
+
+// @desc    Rename, re-point, enable or disable a notification channel
+// @route   PATCH /api/notifications/channels/:id
+// @access  Private
+const updateChannel = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid channel ID format'
+      });
+    }
+
+    const updates = pickChannelFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${CHANNEL_FIELDS.join(', ')}`
+      });
+    }
+
+    const channel = await NotificationChannel.findOne({ _id: id, user: req.user._id });
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    channel.set(updates);
+    await channel.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification channel updated',
+      data: channel
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'update');
+  }
+};
+
+// @desc    Delete a notification channel (websites stop alerting it)
+// @route   DELETE /api/notifications/channels/:id
+// @access  Private
+const deleteChannel = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid channel ID format'
+      });
+    }
+
+    // Removing it would leave escalation steps without anyone to alert
+    const policies = await EscalationPolicy.find({ user: req.user._id, 'steps.contacts': id }).select('name').lean();
+    if (policies.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This channel is used by escalation policies: ${policies.map(policy => policy.name).join(', ')}. Remove it from them first`
+      });
+    }
+
+    const channel = await NotificationChannel.findOneAndDelete({ _id: id, user: req.user._id });
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    await Website.updateMany(
+      { user: req.user._id, notificationChannels: channel._id },
+      { $pull: { notificationChannels: channel._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification channel deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting notification channel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification channel',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Send a test notification through a channel
+// @route   POST /api/notifications/channels/:id/test
+// @access  Private
+const testChannel = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid channel ID format'
+      });
+    }
+
+    const channel = await NotificationChannel.findOne({ _id: id, user: req.user._id });
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    const result = await notificationService.sendTest(channel);
+
+    // The webhook's answer is the result, so a failed delivery is still a 200
+    res.status(200).json({
+      success: true,
+      message: result.success ? 'Test notification delivered' : `Test notification failed: ${result.error}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel
+};
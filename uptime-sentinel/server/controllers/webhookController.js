@@ -0,0 +1,218 @@
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Fields a user can set on a webhook endpoint
+const ENDPOINT_FIELDS = ['url', 'description', 'events', 'enabled'];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Most deliveries returned by one request of the delivery log
+const MAX_DELIVERY_LIMIT = 100;
+
+const pickEndpointFields = (body = {}) => Object.fromEntries(
+  ENDPOINT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Mongoose validation errors as a 400 response, anything else as a 500
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  console.error(`Error trying to ${action} webhook endpoint:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action} webhook endpoint`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    Get the user's webhook endpoints
+// @route   GET /api/webhooks
+// @access  Private
+const getEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: endpoints.length,
+      events: WebhookEndpoint.WEBHOOK_EVENTS,
+      data: endpoints
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook endpoints',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a webhook endpoint; the response is the only time its signing secret is shown
+// @route   POST /api/webhooks
+// @access  Private
+const createEndpoint = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.create({
+      ...pickEndpointFields(req.body),
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint added. Store the secret now, it will not be shown again',
+      data: { ...endpoint.toObject(), secret: endpoint.secret }
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'add');
+  }
+};
+
+// @desc    Change a webhook endpoint's URL, description, events or enabled flag
+// @route   PATCH /api/webhooks/:id
+// @access  Private
+const updateEndpoint = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook endpoint ID format'
+      });
+    }
+
+    const updates = pickEndpointFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${ENDPOINT_FIELDS.join(', ')}`
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: id, user: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    endpoint.set(updates);
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint updated',
+      data: endpoint
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'update');
+  }
+};
+
+// @desc    Delete a webhook endpoint and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private
+const deleteEndpoint = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook endpoint ID format'
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOneAndDelete({ _id: id, user: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a webhook endpoint's delivery log, newest first
+// @route   GET /api/webhooks/:id/deliveries?status=failed&limit=50
+// @access  Private
+const getDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_DELIVERY_LIMIT);
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook endpoint ID format'
+      });
+    }
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.exists({ _id: id, user: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const deliveries = await WebhookDelivery.find({ endpoint: id, ...(status && { status }) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries.map(({ body, ...delivery }) => ({ ...delivery, payload: JSON.parse(body) }))
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  getDeliveries
+};
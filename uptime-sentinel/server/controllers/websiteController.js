@@ -1,52 +1,79 @@
 const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const PingRollup = require('../models/PingRollup');
+const Incident = require('../models/Incident');
+const NotificationChannel = require('../models/NotificationChannel');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const statsService = require('../services/statsService');
 const immediatePingService = require('../services/immediatePingService');
+const schedulingService = require('../services/schedulingService');
+const eventBus = require('../services/eventBus');
+const webhookService = require('../services/webhookService');
+const maintenanceService = require('../services/maintenanceService');
+
+// Per-website check settings that users may set on create and update
+const CHECK_SETTING_FIELDS = [
+  'intervalSeconds',
+  'timeoutMs',
+  'retries',
+  'failureThreshold',
+  'degradedThresholdMs',
+  'confirmFailures',
+  'backoffPolicy',
+  'acceptedStatusCodes',
+  'assertions'
+];
+
+// Fields that can be changed through PATCH /api/websites/:id
+const EDITABLE_FIELDS = ['name', 'url', 'email', 'probeEngine', 'tags', 'notificationChannels', 'escalationPolicy', ...CHECK_SETTING_FIELDS];
+
+// Most ping history entries returned by one request ("All entries" in the client)
+const MAX_PING_HISTORY_LIMIT = 1000;
+
+// Most incidents returned by one request
+const MAX_INCIDENTS_LIMIT = 200;
+
+// Fields the ping history can be sorted by
+const PING_HISTORY_SORT_FIELDS = ['timestamp', 'duration', 'statusCode'];
+
+// Pick the check settings present in a request body (validated by the schema on save)
+const pickCheckSettings = (body = {}) => {
+  const settings = {};
+  CHECK_SETTING_FIELDS.forEach(field => {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+      settings[field] = body[field];
+    }
+  });
+  return settings;
+};
+
+// Whether `channelIds` is a list of the user's own notification channels
+const isOwnChannelList = async (userId, channelIds) => {
+  if (!Array.isArray(channelIds) || !channelIds.every(id => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id))) {
+    return false;
+  }
+
+  const uniqueIds = [...new Set(channelIds)];
+  const ownedCount = await NotificationChannel.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+  return ownedCount === uniqueIds.length;
+};
+
+// null clears the policy; otherwise it must be one of the user's escalation policies
+const isOwnPolicyOrNull = async (userId, policyId) => {
+  if (policyId === null) return true;
+  if (typeof policyId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(policyId)) return false;
+
+  return !!(await EscalationPolicy.exists({ _id: policyId, user: userId }));
+};
 
 // @desc    Get user's websites
 // @route   GET /api/websites
 // @access  Private
 const getWebsites = async (req, res) => {
   try {
-    // Get websites for the authenticated user
-    const websites = await Website.aggregate([
-      {
-        $match: { user: req.user._id }
-      },
-      {
-        $addFields: {
-          recentPings: { $slice: ['$pingHistory', -10] },
-          averageResponseTime: {
-            $avg: '$pingHistory.duration'
-          },
-          uptimePercentage: {
-            $cond: {
-              if: { $eq: [{ $size: '$pingHistory' }, 0] },
-              then: 0,
-              else: {
-                $multiply: [
-                  {
-                    $divide: [
-                      {
-                        $size: {
-                          $filter: {
-                            input: '$pingHistory',
-                            cond: { $and: [{ $gte: ['$$this.statusCode', 200] }, { $lt: ['$$this.statusCode', 400] }] }
-                          }
-                        }
-                      },
-                      { $size: '$pingHistory' }
-                    ]
-                  },
-                  100
-                ]
-              }
-            }
-          }
-        }
-      },
-      {
-        $sort: { createdAt: -1 }
-      }
-    ]);
+    // Get websites for the authenticated user, with uptime over 24h/7d/30d/90d
+    const websites = await Website.getWebsitesWithStats({ user: req.user._id });
     
     res.status(200).json({
       success: true,
@@ -63,13 +90,63 @@ const getWebsites = async (req, res) => {
   }
 };
 
+// @desc    Get the websites changed since a cursor (the `cursor` of a WebSocket message),
+//          for clients catching up after a reconnect
+// @route   GET /api/websites/changes?since=<cursor>
+// @access  Private
+const getWebsiteChanges = async (req, res) => {
+  try {
+    const { since } = req.query;
+
+    if (typeof since !== 'string' || !since.match(/^\d{1,15}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid since cursor'
+      });
+    }
+
+    const { resync, cursor, events } = await eventBus.getEventsSince(Number(since), { user: req.user._id });
+
+    // Too much was missed: the client should reload everything
+    if (resync) {
+      return res.status(200).json({
+        success: true,
+        data: { resync: true, cursor, websites: [], removedIds: [] }
+      });
+    }
+
+    const changedIds = [...new Set(events.map(event => String(event.website)))];
+    const websites = changedIds.length > 0
+      ? await Website.getWebsitesWithStats({ _id: { $in: changedIds }, user: req.user._id })
+      : [];
+    const foundIds = new Set(websites.map(website => String(website._id)));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resync: false,
+        cursor,
+        websites,
+        removedIds: changedIds.filter(id => !foundIds.has(id))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching website changes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch website changes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Add a new website
 // @route   POST /api/websites
 // @access  Private
 const addWebsite = async (req, res) => {
   try {
     console.log('📝 Request body:', req.body);
-    const { url, name, email } = req.body;
+    const { url, name, email, probeEngine, tags, notificationChannels, escalationPolicy } = req.body;
 
     // Validate required fields
     if (!url || !name) {
@@ -98,13 +175,32 @@ const addWebsite = async (req, res) => {
       });
     }
 
+    if (notificationChannels !== undefined && !(await isOwnChannelList(req.user._id, notificationChannels))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notification channels must be a list of your own channels'
+      });
+    }
+
+    if (escalationPolicy !== undefined && !(await isOwnPolicyOrNull(req.user._id, escalationPolicy))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Escalation policy must be one of your own policies'
+      });
+    }
+
     // Create new website
     console.log('📎 Creating website for user:', req.user._id, { url: formattedUrl, name: name.trim() });
     const website = new Website({
       user: req.user._id,
       url: formattedUrl,
       name: name.trim(),
-      email: email ? email.trim() : req.user.email // Use user's email if not provided
+      email: email ? email.trim() : req.user.email, // Use user's email if not provided
+      ...(probeEngine && { probeEngine }),
+      ...(Array.isArray(tags) && { tags }),
+      ...(notificationChannels && { notificationChannels: [...new Set(notificationChannels)] }),
+      ...(escalationPolicy && { escalationPolicy }),
+      ...pickCheckSettings(req.body)
     });
 
     const savedWebsite = await website.save();
@@ -180,6 +276,14 @@ const deleteWebsite = async (req, res) => {
     }
 
     await Website.findByIdAndDelete(id);
+    await PingResult.deleteMany({ website: website._id });
+    await PingRollup.deleteMany({ website: website._id });
+    await Incident.deleteMany({ website: website._id });
+    await webhookService.cancelForWebsite(website._id);
+    await MaintenanceWindow.updateMany({ user: req.user._id, websites: website._id }, { $pull: { websites: website._id } });
+
+    // Open dashboards drop the card; clients catching up get it in `removedIds`
+    await eventBus.publish('website-removed', website);
 
     res.status(204).json({
       success: true,
@@ -239,7 +343,7 @@ const getWebsiteById = async (req, res) => {
 const updatePingResult = async (req, res) => {
   try {
     const { id } = req.params;
-    const { statusCode, duration } = req.body;
+    const { statusCode, duration, success, errorType, failureReason, failedAssertion } = req.body;
 
     // Validate input
     if (!statusCode || !duration) {
@@ -258,7 +362,7 @@ const updatePingResult = async (req, res) => {
     }
 
     // Use the instance method to add ping result
-    await website.addPingResult(statusCode, duration);
+    await website.addPingResult(statusCode, duration, { success, errorType, failureReason, failedAssertion });
 
     res.status(200).json({
       success: true,
@@ -276,8 +380,9 @@ const updatePingResult = async (req, res) => {
 };
 
 // @desc    Get detailed ping history for a website with filtering
+//          (?status=up|down|maintenance; up and down leave out maintenance checks)
 // @route   GET /api/websites/:id/ping-history
-// @access  Public
+// @access  Private
 const getPingHistory = async (req, res) => {
   try {
     const { id } = req.params;
@@ -286,6 +391,7 @@ const getPingHistory = async (req, res) => {
       sortOrder = 'desc', 
       filterDate = null,
       status = null,
+      errorType = null,
       limit = 100 
     } = req.query;
 
@@ -297,7 +403,14 @@ const getPingHistory = async (req, res) => {
       });
     }
 
-    const website = await Website.findById(id);
+    if (errorType && !PingResult.ERROR_TYPES.includes(errorType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid error type. Must be one of: ${PingResult.ERROR_TYPES.join(', ')}`
+      });
+    }
+
+    const website = await Website.findOne({ _id: id, user: req.user._id });
 
     if (!website) {
       return res.status(404).json({
@@ -306,54 +419,63 @@ const getPingHistory = async (req, res) => {
       });
     }
 
-    let pingHistory = [...website.pingHistory];
+    // Build the query against the ping results collection
+    const query = { website: website._id };
 
-    // Apply filters
     if (filterDate) {
       const targetDate = new Date(filterDate);
       const startOfDay = new Date(targetDate.setHours(0, 0, 0, 0));
       const endOfDay = new Date(targetDate.setHours(23, 59, 59, 999));
-      
-      pingHistory = pingHistory.filter(ping => {
-        const pingDate = new Date(ping.timestamp);
-        return pingDate >= startOfDay && pingDate <= endOfDay;
-      });
+      query.timestamp = { $gte: startOfDay, $lte: endOfDay };
     }
 
-    if (status) {
-      if (status === 'up') {
-        pingHistory = pingHistory.filter(ping => ping.statusCode >= 200 && ping.statusCode < 400);
-      } else if (status === 'down') {
-        pingHistory = pingHistory.filter(ping => ping.statusCode < 200 || ping.statusCode >= 400);
-      }
+    if (status === 'up') {
+      query.success = true;
+      query.maintenance = { $ne: true };
+    } else if (status === 'down') {
+      query.success = false;
+      query.maintenance = { $ne: true };
+    } else if (status === 'maintenance') {
+      query.maintenance = true;
     }
 
-    // Apply sorting
-    pingHistory.sort((a, b) => {
-      const aValue = sortBy === 'timestamp' ? new Date(a.timestamp) : a[sortBy];
-      const bValue = sortBy === 'timestamp' ? new Date(b.timestamp) : b[sortBy];
-      
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
-
-    // Apply limit
-    const limitNum = parseInt(limit);
-    if (limitNum > 0) {
-      pingHistory = pingHistory.slice(0, limitNum);
+    if (errorType) {
+      query.errorType = errorType;
     }
 
-    // Calculate summary statistics
-    const totalPings = website.pingHistory.length;
-    const successfulPings = website.pingHistory.filter(ping => 
-      ping.statusCode >= 200 && ping.statusCode < 400
-    ).length;
-    const uptimePercentage = totalPings > 0 ? (successfulPings / totalPings) * 100 : 0;
-    const averageResponseTime = totalPings > 0 ? 
-      website.pingHistory.reduce((sum, ping) => sum + ping.duration, 0) / totalPings : 0;
+    // Sort on a known field, newest first as the tie-breaker; 0 means "all" up to the cap
+    const sortField = PING_HISTORY_SORT_FIELDS.includes(sortBy) ? sortBy : 'timestamp';
+    const sortDirection = sortOrder === 'asc' ? 1 : -1;
+    const sort = sortField === 'timestamp'
+      ? { timestamp: sortDirection }
+      : { [sortField]: sortDirection, timestamp: -1 };
+
+    const limitNum = parseInt(limit) || 0;
+    const pingHistory = await PingResult.find(query)
+      .sort(sort)
+      .limit(limitNum > 0 ? Math.min(limitNum, MAX_PING_HISTORY_LIMIT) : MAX_PING_HISTORY_LIMIT)
+      .select('-_id -website')
+      .lean();
+
+    // Summary statistics over the uptime windows (up to 90 days), without maintenance checks
+    const stats = (await statsService.getStatsForWebsites([website._id])).get(String(website._id)) || statsService.emptyStats();
+    const { totalPings, successfulPings } = stats;
+
+    // Failed pings per error category, and the checks run during maintenance windows
+    const [errorTypeRows, maintenancePings, maintenance] = await Promise.all([
+      PingResult.aggregate([
+        { $match: { website: website._id, success: false, maintenance: { $ne: true } } },
+        { $group: { _id: '$errorType', count: { $sum: 1 } } }
+      ]),
+      PingResult.countDocuments({ website: website._id, maintenance: true }),
+      maintenanceService.getActiveWindow(website)
+    ]);
+    const errorTypeCounts = errorTypeRows.reduce((counts, row) => {
+      if (row._id) {
+        counts[row._id] = row.count;
+      }
+      return counts;
+    }, {});
 
     res.status(200).json({
       success: true,
@@ -363,20 +485,25 @@ const getPingHistory = async (req, res) => {
           name: website.name,
           url: website.url,
           status: website.status,
-          lastChecked: website.lastChecked
+          lastChecked: website.lastChecked,
+          maintenance: maintenanceService.summarize(maintenance)
         },
         pingHistory,
         statistics: {
           totalPings,
           successfulPings,
           failedPings: totalPings - successfulPings,
-          uptimePercentage: Math.round(uptimePercentage * 100) / 100,
-          averageResponseTime: Math.round(averageResponseTime),
+          uptimePercentage: stats.uptime['90d'] ?? 0,
+          uptime: stats.uptime,
+          averageResponseTime: stats.averageResponseTime || 0,
+          errorTypeCounts,
+          maintenancePings,
           filters: {
             sortBy,
             sortOrder,
             filterDate,
             status,
+            errorType,
             limit: limitNum
           }
         }
@@ -392,9 +519,273 @@ const getPingHistory = async (req, res) => {
   }
 };
 
+// @desc    Get the incident (outage) history of a website
+// @route   GET /api/websites/:id/incidents
+// @access  Private
+const getIncidents = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = null, limit = 50 } = req.query;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid website ID format'
+      });
+    }
+
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be one of: open, resolved'
+      });
+    }
+
+    const website = await Website.findOne({ _id: id, user: req.user._id });
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: 'Website not found or you do not have permission to access it'
+      });
+    }
+
+    const query = { website: website._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const limitNum = Math.min(parseInt(limit) || 50, MAX_INCIDENTS_LIMIT);
+    const incidents = await Incident.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limitNum)
+      .lean();
+
+    // Summary over every incident of the website, including mean time to recovery
+    const [summary] = await Incident.aggregate([
+      { $match: { website: website._id } },
+      {
+        $group: {
+          _id: null,
+          totalIncidents: { $sum: 1 },
+          openIncidents: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+          mttrSeconds: { $avg: '$durationSeconds' },
+          totalDowntimeSeconds: { $sum: { $ifNull: ['$durationSeconds', 0] } }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incidents,
+        statistics: {
+          totalIncidents: summary ? summary.totalIncidents : 0,
+          openIncidents: summary ? summary.openIncidents : 0,
+          mttrSeconds: summary && summary.mttrSeconds !== null ? Math.round(summary.mttrSeconds) : null,
+          totalDowntimeSeconds: summary ? summary.totalDowntimeSeconds : 0
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching incidents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incidents',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Edit a website (partial update, keeps ping history)
+// @route   PATCH /api/websites/:id
+// @access  Private
+const updateWebsite = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid website ID format'
+      });
+    }
+
+    const body = req.body || {};
+    const unknownFields = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be updated: ${unknownFields.join(', ')}`
+      });
+    }
+
+    if (Object.keys(body).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    const website = await Website.findOne({ _id: id, user: req.user._id });
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: 'Website not found or you do not have permission to update it'
+      });
+    }
+
+    const updates = pickCheckSettings(body);
+
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Website name cannot be empty'
+        });
+      }
+      updates.name = body.name.trim();
+    }
+
+    if (body.email !== undefined) {
+      if (typeof body.email !== 'string' || !body.email.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email cannot be empty'
+        });
+      }
+      updates.email = body.email.trim();
+    }
+
+    if (body.probeEngine !== undefined) {
+      updates.probeEngine = body.probeEngine;
+    }
+
+    if (body.tags !== undefined) {
+      if (!Array.isArray(body.tags)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tags must be a list'
+        });
+      }
+      updates.tags = body.tags;
+    }
+
+    if (body.notificationChannels !== undefined) {
+      if (!(await isOwnChannelList(req.user._id, body.notificationChannels))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Notification channels must be a list of your own channels'
+        });
+      }
+      updates.notificationChannels = [...new Set(body.notificationChannels)];
+    }
+
+    if (body.escalationPolicy !== undefined) {
+      if (!(await isOwnPolicyOrNull(req.user._id, body.escalationPolicy))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Escalation policy must be one of your own policies'
+        });
+      }
+      updates.escalationPolicy = body.escalationPolicy;
+    }
+
+    if (body.url !== undefined) {
+      if (typeof body.url !== 'string' || !body.url.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'URL cannot be empty'
+        });
+      }
+
+      // Ensure URL has protocol
+      let formattedUrl = body.url.trim();
+      if (!/^https?:\/\//i.test(formattedUrl)) {
+        formattedUrl = 'https://' + formattedUrl;
+      }
+
+      if (formattedUrl !== website.url) {
+        // Check if user already monitors the new URL
+        const existingWebsite = await Website.findOne({
+          user: req.user._id,
+          url: formattedUrl,
+          _id: { $ne: website._id }
+        });
+        if (existingWebsite) {
+          return res.status(400).json({
+            success: false,
+            message: 'You already have this website in your monitoring list'
+          });
+        }
+
+        updates.url = formattedUrl;
+      }
+    }
+
+    const checkChanged = ['url', 'probeEngine', ...CHECK_SETTING_FIELDS].some(field => updates[field] !== undefined);
+
+    website.set(updates);
+
+    // The current status belongs to the old URL - start over, but keep the history
+    if (updates.url) {
+      website.status = 'PENDING';
+      website.consecutiveFailures = 0;
+      website.emailNotificationSent = false;
+      website.failingSince = null;
+    }
+
+    // Check again on the worker's next tick with the new settings (unless paused); this is the
+    // only rescheduling rule for edits, so e.g. a shorter interval takes effect straight away
+    if (checkChanged && !website.isTemporarilyStopped) {
+      website.nextPingTime = new Date();
+    }
+
+    await website.save();
+
+    // Open dashboards (and clients catching up with GET /api/websites/changes) pick up the edit
+    await eventBus.publish('website-updated', website);
+
+    res.status(200).json({
+      success: true,
+      message: `${website.name} updated successfully`,
+      data: website
+    });
+  } catch (error) {
+    console.error('Error updating website:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Website with this URL already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update website',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Pause monitoring for a website
 // @route   PUT /api/websites/:id/pause
-// @access  Public
+// @access  Private
 const pauseWebsite = async (req, res) => {
   try {
     const { id } = req.params;
@@ -407,7 +798,7 @@ const pauseWebsite = async (req, res) => {
       });
     }
 
-    const website = await Website.findById(id);
+    const website = await Website.findOne({ _id: id, user: req.user._id });
 
     if (!website) {
       return res.status(404).json({
@@ -416,10 +807,10 @@ const pauseWebsite = async (req, res) => {
       });
     }
 
-    // Pause the website monitoring
-    website.isTemporarilyStopped = true;
-    website.stopPingUntil = null; // Indefinite pause until manually resumed
+    // Indefinite pause until manually resumed
+    schedulingService.pause(website);
     await website.save();
+    await webhookService.emit('monitor.paused', website, { reason: 'manual' });
 
     res.status(200).json({
       success: true,
@@ -438,7 +829,7 @@ const pauseWebsite = async (req, res) => {
 
 // @desc    Resume monitoring for a website
 // @route   PUT /api/websites/:id/resume
-// @access  Public
+// @access  Private
 const resumeWebsite = async (req, res) => {
   try {
     const { id } = req.params;
@@ -451,7 +842,7 @@ const resumeWebsite = async (req, res) => {
       });
     }
 
-    const website = await Website.findById(id);
+    const website = await Website.findOne({ _id: id, user: req.user._id });
 
     if (!website) {
       return res.status(404).json({
@@ -460,13 +851,10 @@ const resumeWebsite = async (req, res) => {
       });
     }
 
-    // Resume the website monitoring
-    website.isTemporarilyStopped = false;
-    website.stopPingUntil = null;
-    
-    // Set next ping time to now so it gets picked up immediately
-    website.nextPingTime = new Date();
+    // Resume the website monitoring; the worker picks it up on its next tick
+    schedulingService.resume(website);
     await website.save();
+    await webhookService.emit('monitor.resumed', website, { reason: 'manual' });
 
     res.status(200).json({
       success: true,
@@ -485,11 +873,14 @@ const resumeWebsite = async (req, res) => {
 
 module.exports = {
   getWebsites,
+  getWebsiteChanges,
   addWebsite,
   deleteWebsite,
   getWebsiteById,
   updatePingResult,
   getPingHistory,
+  getIncidents,
+  updateWebsite,
   pauseWebsite,
   resumeWebsite
 };
@@ -33,18 +33,52 @@ const createSendToken = (user, statusCode, res) => {
   });
 };
 
+// Get the JWT from the Authorization header or the jwt cookie. WebSocket upgrade
+// requests don't go through cookie-parser, so the raw Cookie header is read as well.
+const getTokenFromRequest = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  if (req.cookies && req.cookies.jwt) {
+    return req.cookies.jwt;
+  }
+
+  const jwtCookie = (req.headers.cookie || '')
+    .split(';')
+    .map(cookie => cookie.trim())
+    .find(cookie => cookie.startsWith('jwt='));
+  return jwtCookie ? decodeURIComponent(jwtCookie.slice('jwt='.length)) : undefined;
+};
+
+// Verify a token and load its user. Throws the jwt errors as they are, or an
+// error with `isAuthError` set when the user no longer exists or is deactivated.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'uptime-sentinel-secret');
+
+  const currentUser = await User.findById(decoded.id).select('+isActive');
+  if (!currentUser) {
+    const error = new Error('The user belonging to this token does no longer exist.');
+    error.isAuthError = true;
+    throw error;
+  }
+
+  if (!currentUser.isActive) {
+    const error = new Error('Your account has been deactivated. Please contact support.');
+    error.isAuthError = true;
+    throw error;
+  }
+
+  return { user: currentUser, decoded };
+};
+
 const protect = async (req, res, next) => {
   try {
     // 1) Getting token and check if it's there
-    let token;
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies.jwt) {
-      token = req.cookies.jwt;
-    }
+    const token = getTokenFromRequest(req);
 
     if (!token) {
       return res.status(401).json({
@@ -53,31 +87,20 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // 2) Verification token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'uptime-sentinel-secret');
-
-    // 3) Check if user still exists
-    const currentUser = await User.findById(decoded.id).select('+isActive');
-    if (!currentUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'The user belonging to this token does no longer exist.'
-      });
-    }
+    // 2) Verify the token and check the user still exists and is active
+    const { user, decoded } = await authenticateToken(token);
 
-    // 4) Check if user is active
-    if (!currentUser.isActive) {
+    // Grant access to protected route (long-lived responses such as /api/events end at token expiry)
+    req.user = user;
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    next();
+  } catch (error) {
+    if (error.isAuthError) {
       return res.status(401).json({
         success: false,
-        message: 'Your account has been deactivated. Please contact support.'
+        message: error.message
       });
-    }
-
-    // Grant access to protected route
-    req.user = currentUser;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    } else if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
         message: 'Invalid token. Please log in again!'
@@ -111,15 +134,7 @@ const restrictTo = (...roles) => {
 
 const optionalAuth = async (req, res, next) => {
   try {
-    let token;
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies.jwt) {
-      token = req.cookies.jwt;
-    }
+    const token = getTokenFromRequest(req);
 
     if (!token) {
       return next(); // No token, continue without authentication
@@ -144,6 +159,8 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   signToken,
   createSendToken,
+  getTokenFromRequest,
+  authenticateToken,
   protect,
   restrictTo,
   optionalAuth
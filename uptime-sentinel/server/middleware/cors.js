@@ -0,0 +1,34 @@
+// Dashboard origins allowed to call the API and open a WebSocket, from the environment
+const getAllowedOrigins = () => [
+  process.env.CLIENT_URL_DEV || 'http://localhost:5173',
+  process.env.CLIENT_URL_DEV_ALT || 'http://localhost:5174',
+  process.env.CLIENT_URL_PROD || 'https://uptime-sentinel-frontend.onrender.com',
+  process.env.CLIENT_URL_CUSTOM, // For custom domains
+  process.env.CLIENT_URL_STAGING // For staging environments
+].filter(Boolean); // Remove undefined values
+
+// Requests with no origin (like mobile apps, curl, postman) aren't from a browser page
+// and are allowed; browsers always send one
+const isAllowedOrigin = (origin) => !origin || getAllowedOrigins().includes(origin);
+
+// CORS configuration - dynamic based on environment
+const corsOptions = {
+  origin: function (origin, callback) {
+    if (isAllowedOrigin(origin)) {
+      callback(null, true);
+    } else {
+      console.log('🚫 CORS blocked origin:', origin);
+      console.log('📋 Allowed origins:', getAllowedOrigins());
+      callback(new Error('Not allowed by CORS'));
+    }
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+};
+
+module.exports = {
+  getAllowedOrigins,
+  isAllowedOrigin,
+  corsOptions
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A named sequence shared by every process, e.g. the order of monitor events
+const counterSchema = new Schema({
+  _id: {
+    type: String, // Sequence name
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Next value of the named sequence (1 the first time); $inc makes it unique across processes
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
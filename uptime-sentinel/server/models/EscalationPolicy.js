@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Who to alert, and how long after the incident opened
+const escalationStepSchema = new Schema({
+  delayMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Step delay cannot be negative'],
+    max: [1440, 'Step delay cannot be more than 24 hours']
+  },
+  contacts: {
+    type: [{ type: Schema.Types.ObjectId, ref: 'NotificationChannel' }],
+    validate: {
+      validator: contacts => contacts.length > 0,
+      message: 'Each step needs at least one contact'
+    }
+  }
+}, { _id: false });
+
+// How a down website's alerts escalate while its incident stays open, e.g. the
+// primary contact at once, the secondary after 15 minutes, then everyone every hour.
+// Websites that pick a policy (`escalationPolicy`) are alerted through it instead of
+// their email and notification channels; see escalationService.
+const escalationPolicySchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Escalation policy must belong to a user'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [50, 'Policy name cannot be longer than 50 characters']
+  },
+  steps: {
+    type: [escalationStepSchema],
+    validate: [
+      {
+        validator: steps => steps.length > 0 && steps.length <= 10,
+        message: 'A policy needs between 1 and 10 steps'
+      },
+      {
+        validator: steps => steps.every((step, i) => i === 0 || step.delayMinutes >= steps[i - 1].delayMinutes),
+        message: 'Step delays must not decrease'
+      }
+    ]
+  },
+  // After the last step, alert every contact reached so far again this often (0 = don't repeat)
+  repeatEveryMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Repeat interval cannot be negative'],
+    max: [1440, 'Repeat interval cannot be more than 24 hours'],
+    validate: {
+      validator: minutes => minutes === 0 || minutes >= 5,
+      message: 'Repeat interval must be at least 5 minutes'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Notification sent about an incident
+const incidentNotificationSchema = new Schema({
+  channel: {
+    type: String,
+    required: true,
+    default: 'email'
+  },
+  type: {
+    type: String,
+    enum: ['down', 'recovery'],
+    required: true
+  },
+  recipient: {
+    type: String
+  },
+  escalationStep: {
+    type: Number // 1-based step of the website's escalation policy; missing for direct alerts and repeats
+  },
+  success: {
+    type: Boolean, // Whether the notification was delivered to the channel
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A teammate's note on the incident timeline
+const incidentNoteSchema = new Schema({
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorName: {
+    type: String // Kept as written, in case the user is renamed or removed
+  },
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [2000, 'Notes cannot be longer than 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// An outage of one website: opened when the failure threshold is crossed,
+// resolved by the next successful check
+const incidentSchema = new Schema({
+  website: {
+    type: Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  startedAt: {
+    type: Date, // First failed check of the outage
+    required: true
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  durationSeconds: {
+    type: Number, // Set when the incident is resolved
+    default: null
+  },
+  rootCause: {
+    errorType: String,
+    message: String,
+    statusCode: Number,
+    failedAssertion: Schema.Types.Mixed
+  },
+  failedChecks: {
+    type: Number, // Failed checks while the incident was open, including the ones that opened it
+    default: 0
+  },
+  notifications: {
+    type: [incidentNotificationSchema],
+    default: []
+  },
+  // "I'm on it": set once, from the dashboard or the link in the downtime email; stops escalation
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String, // The user's name, or the email address the link was sent to
+    via: {
+      type: String,
+      enum: ['dashboard', 'email']
+    }
+  },
+  notes: {
+    type: [incidentNoteSchema],
+    default: []
+  },
+  // Progress through the website's escalation policy (see escalationService)
+  escalation: {
+    policy: {
+      type: Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    nextStep: {
+      type: Number, // Index of the next step; steps.length once all have run (then it repeats)
+      default: 0
+    },
+    nextNotifyAt: {
+      type: Date, // Null once there is nothing left to send
+      default: null
+    },
+    notifiedContacts: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'NotificationChannel' }],
+      default: undefined
+    },
+    repeats: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Incident history of a website, newest first
+incidentSchema.index({ website: 1, startedAt: -1 });
+
+// Used to find escalations that are due
+incidentSchema.index({ status: 1, 'escalation.nextNotifyAt': 1 });
+
+// At most one open incident per website
+incidentSchema.index({ website: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const cronService = require('../services/cronService');
+
+const WINDOW_TYPES = ['one-off', 'recurring'];
+
+// A planned maintenance period (e.g. a deploy) for some of a user's websites,
+// picked directly or by tag. Either one-off (startsAt to endsAt) or recurring:
+// starting whenever `cron` matches in `timezone` and lasting `durationMinutes`.
+// While a window is active, checks still run but are recorded as maintenance:
+// they don't count towards failures, incidents, alerts or uptime (see maintenanceService).
+const maintenanceWindowSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Maintenance window must belong to a user'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Maintenance window name is required'],
+    trim: true,
+    maxlength: [50, 'Maintenance window name cannot be longer than 50 characters']
+  },
+  websites: {
+    type: [{ type: Schema.Types.ObjectId, ref: 'Website' }],
+    default: [],
+    validate: [
+      {
+        validator: function(websites) {
+          return websites.length > 0 || (this.tags && this.tags.length > 0);
+        },
+        message: 'Please pick at least one website or tag'
+      },
+      {
+        validator: websites => websites.length <= 100,
+        message: 'A maintenance window can cover at most 100 websites'
+      }
+    ]
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tags cannot be longer than 30 characters']
+    }],
+    default: [],
+    validate: {
+      validator: tags => tags.length <= 10 && tags.every(tag => tag.length > 0),
+      message: 'A maintenance window can have at most 10 tags, none of them empty'
+    }
+  },
+  type: {
+    type: String,
+    required: [true, 'Maintenance window type is required'],
+    enum: {
+      values: WINDOW_TYPES,
+      message: `Maintenance window type must be one of: ${WINDOW_TYPES.join(', ')}`
+    }
+  },
+  startsAt: {
+    type: Date,
+    required: [function() { return this.type === 'one-off'; }, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [function() { return this.type === 'one-off'; }, 'End time is required'],
+    validate: {
+      validator: function(endsAt) {
+        return !this.startsAt || endsAt > this.startsAt;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  cron: {
+    type: String, // When a recurring window starts, e.g. "0 2 * * sun" (every Sunday at 02:00)
+    trim: true,
+    required: [function() { return this.type === 'recurring'; }, 'Cron expression is required'],
+    validate: {
+      validator: expression => cronService.isValidExpression(expression),
+      message: props => {
+        try {
+          cronService.parse(props.value);
+          return 'Invalid cron expression';
+        } catch (error) {
+          return `Invalid cron expression: ${error.message}`;
+        }
+      }
+    }
+  },
+  durationMinutes: {
+    type: Number,
+    required: [function() { return this.type === 'recurring'; }, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot be more than 24 hours']
+  },
+  timezone: {
+    type: String, // IANA timezone the cron expression (and the dashboard's one-off times) are in
+    default: 'UTC',
+    trim: true,
+    validate: {
+      validator: timezone => cronService.isValidTimezone(timezone),
+      message: props => `Unknown timezone "${props.value}"`
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Drop the schedule fields of the other type, e.g. after a one-off window was made recurring
+maintenanceWindowSchema.pre('validate', function(next) {
+  if (this.type === 'one-off') {
+    this.cron = undefined;
+    this.durationMinutes = undefined;
+  } else if (this.type === 'recurring') {
+    this.startsAt = undefined;
+    this.endsAt = undefined;
+  }
+  next();
+});
+
+// Instance method: end of the window's occurrence that covers `at`, or null if it isn't active then
+maintenanceWindowSchema.methods.getActiveUntil = function(at = new Date()) {
+  if (!this.enabled) return null;
+
+  if (this.type === 'one-off') {
+    return this.startsAt <= at && at < this.endsAt ? this.endsAt : null;
+  }
+
+  return cronService.getActiveUntil(this.cron, this.timezone, this.durationMinutes, at);
+};
+
+// Instance method: does the window cover this website (directly or by one of its tags)?
+maintenanceWindowSchema.methods.covers = function(website) {
+  const websiteId = String(website._id);
+  return this.websites.some(id => String(id) === websiteId) ||
+    (website.tags || []).some(tag => this.tags.includes(tag));
+};
+
+maintenanceWindowSchema.statics.WINDOW_TYPES = WINDOW_TYPES;
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const EVENT_TYPES = [
+  'check-result',
+  'status-change',
+  'incident-opened',
+  'incident-acknowledged',
+  'incident-resolved',
+  'website-updated',
+  'website-removed'
+];
+
+// Size of the capped collection (EVENT_BUS_SIZE_MB, default 16); the oldest events are
+// overwritten once it is full, so this only needs to cover the time it takes to deliver them
+const getCollectionSizeBytes = () => (parseInt(process.env.EVENT_BUS_SIZE_MB) || 16) * 1024 * 1024;
+
+// Something that happened to a website, published by whichever process saw it
+// (usually the ping worker, or the API for edits and deletions) and delivered to the API's WebSocket layer by eventBus
+const monitorEventSchema = new Schema({
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  website: {
+    type: Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seq: {
+    type: Number, // Position in the order events were published, from the `monitor-events` counter
+    required: true
+  },
+  payload: {
+    type: Schema.Types.Mixed, // e.g. { statusCode, duration, success } or { from: 'UP', to: 'DOWN' }
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Capped so the API can follow new events with a tailable cursor (works on a
+  // standalone MongoDB, unlike change streams)
+  capped: { size: getCollectionSizeBytes() },
+  versionKey: false
+});
+
+// Followers and catching-up clients read events in `seq` order
+monitorEventSchema.index({ seq: 1 });
+
+monitorEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('MonitorEvent', monitorEventSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const CHANNEL_TYPES = ['slack', 'webhook', 'email'];
+
+// Custom validator for URL
+const urlValidator = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// An alert contact: where a user's alerts can go besides the website's own email.
+// A Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat...), a plain
+// webhook that receives JSON, or an email address. Websites pick the channels they
+// alert in `notificationChannels`, and escalation policies reach them step by step.
+const notificationChannelSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification channel must belong to a user'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    trim: true,
+    maxlength: [50, 'Channel name cannot be longer than 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Channel type is required'],
+    enum: {
+      values: CHANNEL_TYPES,
+      message: `Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`
+    }
+  },
+  url: {
+    type: String,
+    required: [function() { return this.type !== 'email'; }, 'Webhook URL is required'],
+    trim: true,
+    validate: {
+      validator: urlValidator,
+      message: 'Please provide a valid http(s) webhook URL'
+    }
+  },
+  email: {
+    type: String,
+    required: [function() { return this.type === 'email'; }, 'Email address is required'],
+    trim: true,
+    validate: {
+      validator: function(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+      },
+      message: 'Please provide a valid email address'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDelivery: {
+    at: Date,
+    success: Boolean,
+    statusCode: Number,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+notificationChannelSchema.statics.CHANNEL_TYPES = CHANNEL_TYPES;
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Why a check failed, worked out by probeService.classifyError
+const ERROR_TYPES = ['TIMEOUT', 'NETWORK_ERROR', 'HEALTH_CHECK_FAILED', 'NAVIGATION_FAILED', 'UNKNOWN'];
+
+// How long check results are kept before MongoDB expires them (PING_RETENTION_DAYS, default 90)
+const getRetentionSeconds = () => (parseInt(process.env.PING_RETENTION_DAYS) || 90) * 24 * 60 * 60;
+
+// One check result. Stored in a time-series collection with the website as
+// its meta field, so MongoDB buckets each website's results by time.
+const pingResultSchema = new Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  website: {
+    type: Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    required: true
+  },
+  duration: {
+    type: Number, // Duration in milliseconds
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  errorType: {
+    type: String,
+    enum: ERROR_TYPES,
+    default: undefined
+  },
+  failureReason: {
+    type: String, // Error message of a failed check
+    default: undefined
+  },
+  failedAssertion: {
+    type: Schema.Types.Mixed, // Description of the assertion that failed, e.g. { type: 'json', path: '$.db', operator: 'equals', value: 'up' }
+    default: undefined
+  },
+  maintenance: {
+    type: Boolean, // Ran during a maintenance window: not counted towards uptime, failures or alerts
+    default: undefined
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'website',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: getRetentionSeconds(),
+  versionKey: false
+});
+
+// Ping history and stats always read one website's results newest first
+pingResultSchema.index({ website: 1, timestamp: -1 });
+
+pingResultSchema.statics.ERROR_TYPES = ERROR_TYPES;
+
+// Apply PING_RETENTION_DAYS to an existing collection (expireAfterSeconds is
+// only set by the schema when the collection is first created)
+pingResultSchema.statics.syncRetention = async function() {
+  const expireAfterSeconds = getRetentionSeconds();
+  await this.db.db.command({ collMod: this.collection.collectionName, expireAfterSeconds });
+  return expireAfterSeconds / (24 * 60 * 60);
+};
+
+module.exports = mongoose.model('PingResult', pingResultSchema);
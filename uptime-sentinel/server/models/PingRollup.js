@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Pre-aggregated check results for one website over one hour or one day,
+// written by rollupService from the raw ping results
+const pingRollupSchema = new Schema({
+  website: {
+    type: Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true
+  },
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  bucketStart: {
+    type: Date, // Start of the hour/day, UTC
+    required: true
+  },
+  checks: {
+    type: Number,
+    required: true
+  },
+  failures: {
+    type: Number,
+    required: true
+  },
+  minLatency: {
+    type: Number // Milliseconds
+  },
+  avgLatency: {
+    type: Number
+  },
+  p95Latency: {
+    type: Number
+  },
+  maxLatency: {
+    type: Number
+  },
+  downtimeSeconds: {
+    type: Number, // Time from each failed check to the next check, capped at the bucket length
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One bucket per website, granularity and start; also serves range queries per website
+pingRollupSchema.index({ website: 1, granularity: 1, bucketStart: 1 }, { unique: true });
+
+// Used to find where the last rollup run stopped
+pingRollupSchema.index({ granularity: 1, bucketStart: -1 });
+
+// End of the newest bucket of a granularity, or null before the first rollup
+pingRollupSchema.statics.getCoveredUntil = async function(granularity) {
+  const latest = await this.findOne({ granularity }).sort({ bucketStart: -1 }).select('bucketStart').lean();
+  if (!latest) return null;
+
+  const bucketMs = granularity === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  return new Date(latest.bucketStart.getTime() + bucketMs);
+};
+
+module.exports = mongoose.model('PingRollup', pingRollupSchema);
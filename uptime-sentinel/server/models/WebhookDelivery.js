@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Days of delivery log to keep (WEBHOOK_DELIVERY_RETENTION_DAYS, default 30)
+const getRetentionSeconds = () => (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30) * 24 * 60 * 60;
+
+// One try at POSTing a delivery
+const deliveryAttemptSchema = new Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  statusCode: Number, // Missing when there was no response
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// One event sent to one webhook endpoint, with its attempts (the delivery log).
+// `body` is kept exactly as sent so retries carry the same payload.
+const webhookDeliverySchema = new Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  endpoint: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  website: {
+    type: Schema.Types.ObjectId,
+    ref: 'Website'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  // When the next attempt is due; also pushed forward while an attempt runs, so
+  // another process doesn't pick the same delivery up
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: [deliveryAttemptSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Delivery log of an endpoint, newest first
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+
+// Used to find deliveries due for a retry
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Old log entries are removed by MongoDB
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: getRetentionSeconds() });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
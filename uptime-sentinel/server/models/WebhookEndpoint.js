@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { Schema } = mongoose;
+
+const WEBHOOK_EVENTS = ['monitor.down', 'monitor.up', 'monitor.degraded', 'monitor.paused', 'monitor.resumed'];
+
+// Custom validator for URL
+const urlValidator = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// A user's endpoint for signed monitor event webhooks (see webhookService). Covers all
+// of the user's websites; `events` picks which event types it receives.
+const webhookEndpointSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Webhook endpoint must belong to a user'],
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    validate: {
+      validator: urlValidator,
+      message: 'Please provide a valid http(s) webhook URL'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot be longer than 100 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: `Events must be some of: ${WEBHOOK_EVENTS.join(', ')}`
+      }
+    }],
+    default: () => [...WEBHOOK_EVENTS],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Please subscribe to at least one event'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // HMAC-SHA256 key for the signature header; only returned when the endpoint is created
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+  }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const PingResult = require('./PingResult');
+const statsService = require('../services/statsService');
+const schedulingService = require('../services/schedulingService');
+const eventBus = require('../services/eventBus');
+const maintenanceService = require('../services/maintenanceService');
+const assertionService = require('../services/assertionService');
 
 // Custom validator for URL
 const urlValidator = (url) => {
@@ -11,23 +17,87 @@ const urlValidator = (url) => {
   }
 };
 
-// Ping history entry schema
-const pingHistorySchema = new Schema({
-  timestamp: {
-    type: Date,
-    required: true,
-    default: Date.now
+// Interval used when a website has no intervalSeconds of its own (legacy data)
+const getDefaultIntervalSeconds = () => (parseInt(process.env.PING_INTERVAL_MINUTES) || 5) * 60;
+
+// JSON operators that don't compare against a value
+const valuelessJsonOperators = ['exists', 'notExists'];
+
+// First regex assertion whose pattern assertionService refuses to run, if any
+const findUnsafeRegex = (assertions) => assertions.find(assertion => (
+  assertion.type === 'regex' && assertionService.getUnsafeRegexReason(assertion.value)
+));
+
+// Content assertion evaluated against the response body
+const assertionSchema = new Schema({
+  type: {
+    type: String,
+    required: [true, 'Assertion type is required'],
+    enum: {
+      values: ['contains', 'notContains', 'regex', 'json'],
+      message: 'Assertion type must be one of: contains, notContains, regex, json'
+    }
   },
-  statusCode: {
-    type: Number,
-    required: true
+  value: {
+    type: String,
+    required: [function() {
+      return this.type !== 'json' || !valuelessJsonOperators.includes(this.operator);
+    }, 'Assertion value is required']
+  },
+  path: {
+    type: String, // JSONPath-style expression for json assertions, e.g. "$.status" or "$.checks[0].ok"
+    trim: true,
+    required: [function() {
+      return this.type === 'json';
+    }, 'JSON assertions require a path']
+  },
+  operator: {
+    type: String,
+    enum: {
+      values: ['equals', 'notEquals', 'exists', 'notExists', 'gt', 'gte', 'lt', 'lte'],
+      message: 'JSON operator must be one of: equals, notEquals, exists, notExists, gt, gte, lt, lte'
+    },
+    default: function() {
+      return this.type === 'json' ? 'equals' : undefined;
+    }
   },
-  duration: {
-    type: Number, // Duration in milliseconds
-    required: true
+  caseSensitive: {
+    type: Boolean,
+    default: false
   }
 }, { _id: false });
 
+// What happens to the check schedule while a website is down (see schedulingService).
+// Unset hours/caps fall back to the environment defaults at check time.
+const backoffPolicySchema = new Schema({
+  strategy: {
+    type: String,
+    enum: {
+      values: ['fixed', 'exponential', 'never'],
+      message: 'Backoff strategy must be one of: fixed, exponential, never'
+    },
+    default: 'fixed'
+  },
+  monitorHours: {
+    type: Number, // fixed: keep checking this long before pausing (DOWNTIME_MONITORING_HOURS)
+    min: [1, 'Monitoring window must be at least 1 hour'],
+    max: [168, 'Monitoring window cannot exceed 168 hours']
+  },
+  pauseHours: {
+    type: Number, // fixed: how long to pause once the window has passed (PAUSE_MONITORING_HOURS)
+    min: [1, 'Pause must be at least 1 hour'],
+    max: [168, 'Pause cannot exceed 168 hours']
+  },
+  maxIntervalSeconds: {
+    type: Number, // exponential: longest wait between checks (default 1 hour)
+    min: [60, 'Backoff cap must be at least 60 seconds'],
+    max: [86400, 'Backoff cap cannot exceed 24 hours']
+  }
+}, { _id: false });
+
+// Accepted status code entry: a single code ("204") or an inclusive range ("200-299")
+const statusCodePattern = /^[1-5]\d{2}(-[1-5]\d{2})?$/;
+
 // Main Website schema
 const websiteSchema = new Schema({
   user: {
@@ -49,6 +119,21 @@ const websiteSchema = new Schema({
     required: [true, 'Website name is required'],
     trim: true
   },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tags cannot be longer than 30 characters']
+    }],
+    default: [],
+    validate: {
+      validator: function(tags) {
+        return tags.length <= 10 && tags.every(tag => tag.length > 0);
+      },
+      message: 'A website can have at most 10 tags, none of them empty'
+    }
+  },
   email: {
     type: String,
     required: [true, 'Email is required for notifications'],
@@ -60,6 +145,108 @@ const websiteSchema = new Schema({
       message: 'Please provide a valid email address'
     }
   },
+  // Slack/webhook channels alerted along with the email (the user's own NotificationChannels)
+  notificationChannels: {
+    type: [{ type: Schema.Types.ObjectId, ref: 'NotificationChannel' }],
+    default: []
+  },
+  // When set, down alerts follow this policy instead of going to the email and channels above
+  escalationPolicy: {
+    type: Schema.Types.ObjectId,
+    ref: 'EscalationPolicy',
+    default: null
+  },
+  probeEngine: {
+    type: String,
+    enum: {
+      values: ['http', 'browser'],
+      message: 'Probe engine must be either "http" or "browser"'
+    },
+    default: 'http' // Plain HTTP(S) request; 'browser' loads the page in headless Chromium
+  },
+  intervalSeconds: {
+    type: Number,
+    min: [30, 'Check interval must be at least 30 seconds'],
+    max: [86400, 'Check interval cannot exceed 24 hours'],
+    default: function() {
+      return getDefaultIntervalSeconds();
+    }
+  },
+  timeoutMs: {
+    type: Number,
+    min: [1000, 'Timeout must be at least 1000 ms'],
+    max: [60000, 'Timeout cannot exceed 60000 ms'],
+    default: 30000
+  },
+  retries: {
+    type: Number,
+    min: [0, 'Retries cannot be negative'],
+    max: [5, 'Retries cannot exceed 5'],
+    default: 0, // Extra attempts within a single check before it counts as failed
+    validate: {
+      validator: Number.isInteger,
+      message: 'Retries must be a whole number'
+    }
+  },
+  failureThreshold: {
+    type: Number,
+    min: [1, 'Failure threshold must be at least 1'],
+    max: [10, 'Failure threshold cannot exceed 10'],
+    default: 3, // Consecutive failed checks before an alert is sent and an incident opened
+    validate: {
+      validator: Number.isInteger,
+      message: 'Failure threshold must be a whole number'
+    }
+  },
+  degradedThresholdMs: {
+    type: Number,
+    min: [0, 'Degraded threshold cannot be negative'],
+    max: [120000, 'Degraded threshold cannot exceed 120000ms'],
+    default: 0 // A healthy check slower than this counts as degraded (0 = never)
+  },
+  confirmFailures: {
+    type: Boolean,
+    default: true // Re-check a first failure before it counts (see probeService.probeWithConfirmation)
+  },
+  backoffPolicy: {
+    type: backoffPolicySchema,
+    default: () => ({})
+  },
+  acceptedStatusCodes: {
+    type: [String],
+    default: ['200-399'],
+    validate: {
+      validator: function(codes) {
+        return codes.length > 0 && codes.every(code => statusCodePattern.test(code));
+      },
+      message: 'Accepted status codes must be codes like "200" or ranges like "200-299"'
+    }
+  },
+  assertions: {
+    type: [assertionSchema],
+    default: [],
+    validate: [
+      {
+        validator: function(assertions) {
+          return assertions.every(assertion => {
+            if (assertion.type === 'json' && ['gt', 'gte', 'lt', 'lte'].includes(assertion.operator)) {
+              return assertion.value !== '' && Number.isFinite(Number(assertion.value));
+            }
+            return true;
+          });
+        },
+        message: 'Numeric JSON comparisons must compare against a number'
+      },
+      {
+        // Patterns run on the shared ping worker, so ones that can backtrack for too long are refused
+        validator: assertions => !findUnsafeRegex(assertions),
+        message: props => {
+          const assertion = findUnsafeRegex(props.value);
+          return `Regex assertion /${assertion.value}/ can't be used: ${assertionService.getUnsafeRegexReason(assertion.value)}`;
+        }
+      }
+    ]
+  },
   status: {
     type: String,
     enum: ['PENDING', 'UP', 'DOWN'],
@@ -73,6 +260,10 @@ const websiteSchema = new Schema({
     type: Number,
     default: 0
   },
+  isDegraded: {
+    type: Boolean, // Last check was healthy but slower than degradedThresholdMs
+    default: false
+  },
   emailNotificationSent: {
     type: Boolean,
     default: false
@@ -80,8 +271,8 @@ const websiteSchema = new Schema({
   nextPingTime: {
     type: Date,
     default: function() {
-      // Set next ping to 5 minutes from now by default
-      return new Date(Date.now() + 5 * 60 * 1000);
+      // Schedule the first ping one check interval from now
+      return new Date(Date.now() + (this.intervalSeconds || getDefaultIntervalSeconds()) * 1000);
     }
   },
   isTemporarilyStopped: {
@@ -89,18 +280,24 @@ const websiteSchema = new Schema({
     default: false
   },
   stopPingUntil: {
-    type: Date,
+    type: Date, // End of an automatic pause; null while paused by hand
     default: null
   },
-  pingHistory: {
-    type: [pingHistorySchema],
-    default: [],
-    validate: {
-      validator: function(array) {
-        return array.length <= 100; // Cap at 100 entries
-      },
-      message: 'Ping history cannot exceed 100 entries'
-    }
+  failingSince: {
+    type: Date, // Start of the current downtime monitoring window (fixed backoff policy)
+    default: null
+  },
+  checkRequestedAt: {
+    type: Date, // Set by "check now"; such checks are claimed ahead of scheduled ones (cleared when claimed)
+    default: null
+  },
+  leaseOwner: {
+    type: String, // ID of the worker currently checking this website (see leaseService)
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date, // After this the check is considered abandoned and can be claimed again
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
@@ -109,116 +306,100 @@ const websiteSchema = new Schema({
 // Compound index to ensure a user can't add the same URL twice
 websiteSchema.index({ user: 1, url: 1 }, { unique: true });
 
-// Middleware to manage ping history cap
-websiteSchema.pre('save', function(next) {
-  if (this.pingHistory && this.pingHistory.length > 100) {
-    // Keep only the latest 100 entries
-    this.pingHistory = this.pingHistory.slice(-100);
-  }
-  next();
-});
+// Index used by the worker to find websites that are due
+websiteSchema.index({ nextPingTime: 1 });
+
+// Index used to check all of a user's websites with a tag
+websiteSchema.index({ user: 1, tags: 1 });
+
+// Index used by the worker to find expired leases
+websiteSchema.index({ leaseExpiresAt: 1 });
+
+// Instance method to get this website's check interval in milliseconds
+websiteSchema.methods.getIntervalMs = function() {
+  return (this.intervalSeconds || getDefaultIntervalSeconds()) * 1000;
+};
+
+// Instance method to add ping result with individual scheduling.
+// `details.success` overrides the status code range check (assertions may fail a 200,
+// or accept a 404); `details.failureReason` explains a failed check; `details.maintenance`
+// marks a check run during a maintenance window.
+websiteSchema.methods.addPingResult = async function(statusCode, duration, details = {}) {
+  const isUp = details.success !== undefined ? details.success : statusCode >= 200 && statusCode < 400;
 
-// Instance method to add ping result with individual scheduling
-websiteSchema.methods.addPingResult = function(statusCode, duration) {
   const pingEntry = {
+    website: this._id,
     timestamp: new Date(),
     statusCode,
-    duration
+    duration,
+    success: isUp
   };
-  
-  this.pingHistory.push(pingEntry);
-  
-  // Ensure we don't exceed 100 entries
-  if (this.pingHistory.length > 100) {
-    this.pingHistory = this.pingHistory.slice(-100);
+
+  if (!isUp) {
+    pingEntry.errorType = details.errorType || 'UNKNOWN';
   }
-  
-  const isUp = statusCode >= 200 && statusCode < 400;
-  
-  // Update status based on status code
+
+  if (!isUp && details.failureReason) {
+    pingEntry.failureReason = details.failureReason;
+  }
+
+  if (!isUp && details.failedAssertion) {
+    pingEntry.failedAssertion = details.failedAssertion;
+  }
+
+  if (details.maintenance) {
+    pingEntry.maintenance = true;
+  }
+
+  // Check results live in their own time-series collection (see PingResult)
+  await PingResult.create(pingEntry);
+
+  // Update status based on the check result
+  const previousStatus = this.status;
   this.status = isUp ? 'UP' : 'DOWN';
   this.lastChecked = new Date();
   
-  // Set next ping time based on current status
-  const pingIntervalMinutes = parseInt(process.env.PING_INTERVAL_MINUTES) || 5;
-  const pingInterval = pingIntervalMinutes * 60 * 1000; // Convert minutes to milliseconds
-  
+  // Schedule the next check according to the backoff policy (which failures during maintenance don't trigger)
   if (isUp) {
-    // Website is up - continue normal monitoring
-    this.nextPingTime = new Date(Date.now() + pingInterval);
-    this.isTemporarilyStopped = false;
-    this.stopPingUntil = null;
+    schedulingService.scheduleAfterSuccess(this);
+  } else if (details.maintenance) {
+    schedulingService.scheduleDuringMaintenance(this);
   } else {
-    // Website is down
-    const now = new Date();
-    
-    // Get configurable monitoring durations (default to 12 and 24 hours)
-    const downtimeMonitoringHours = parseInt(process.env.DOWNTIME_MONITORING_HOURS) || 12;
-    const pauseMonitoringHours = parseInt(process.env.PAUSE_MONITORING_HOURS) || 24;
-    
-    const monitoringLimitTime = new Date(now.getTime() + downtimeMonitoringHours * 60 * 60 * 1000);
-    
-    // Continue monitoring for the configured duration, then pause
-    if (!this.stopPingUntil) {
-      // First time going down - set monitoring limit
-      this.stopPingUntil = monitoringLimitTime;
-      this.nextPingTime = new Date(Date.now() + pingInterval);
-      console.log(`⏰ ${this.name} went down. Will continue monitoring for ${downtimeMonitoringHours} hours until ${this.stopPingUntil}`);
-    } else if (now < this.stopPingUntil) {
-      // Still within monitoring window - continue monitoring
-      this.nextPingTime = new Date(Date.now() + pingInterval);
-      const timeLeft = Math.ceil((this.stopPingUntil - now) / (60 * 60 * 1000));
-      console.log(`🔄 ${this.name} still down. Continuing monitoring for ${timeLeft} more hours.`);
-    } else {
-      // Monitoring period has passed - temporarily stop pinging
-      this.isTemporarilyStopped = true;
-      this.nextPingTime = new Date(now.getTime() + pauseMonitoringHours * 60 * 60 * 1000);
-      console.log(`🛑 ${this.name} has been down for ${downtimeMonitoringHours}+ hours. Pausing monitoring for ${pauseMonitoringHours} hours.`);
-    }
+    schedulingService.scheduleAfterFailure(this);
   }
-  
-  return this.save();
+
+  await this.save();
+
+  // Tell the API server (and so the dashboard) about the result, whichever process ran the check
+  await eventBus.publish('check-result', this, {
+    success: isUp,
+    statusCode,
+    duration,
+    ...(pingEntry.errorType && { errorType: pingEntry.errorType }),
+    ...(pingEntry.maintenance && { maintenance: true })
+  });
+
+  if (previousStatus !== this.status) {
+    await eventBus.publish('status-change', this, { from: previousStatus, to: this.status });
+  }
+
+  return this;
 };
 
-// Static method to get websites with recent ping statistics
-websiteSchema.statics.getWebsitesWithStats = function() {
-  return this.aggregate([
-    {
-      $addFields: {
-        recentPings: { $slice: ['$pingHistory', -10] }, // Get last 10 pings
-        averageResponseTime: {
-          $avg: '$pingHistory.duration'
-        },
-        uptimePercentage: {
-          $cond: {
-            if: { $eq: [{ $size: '$pingHistory' }, 0] },
-            then: 0,
-            else: {
-              $multiply: [
-                {
-                  $divide: [
-                    {
-                      $size: {
-                        $filter: {
-                          input: '$pingHistory',
-                          cond: { $and: [{ $gte: ['$$this.statusCode', 200] }, { $lt: ['$$this.statusCode', 400] }] }
-                        }
-                      }
-                    },
-                    { $size: '$pingHistory' }
-                  ]
-                },
-                100
-              ]
-            }
-          }
-        }
-      }
-    },
-    {
-      $sort: { createdAt: -1 }
-    }
+// Static method to get websites with their uptime, response time, recent pings
+// and the maintenance window they are in (or null)
+websiteSchema.statics.getWebsitesWithStats = async function(filter = {}) {
+  const websites = await this.find(filter).sort({ createdAt: -1 }).lean();
+  const [stats, maintenance] = await Promise.all([
+    statsService.getStatsForWebsites(websites.map(website => website._id)),
+    maintenanceService.getActiveWindowsForWebsites(websites)
   ]);
+
+  return websites.map(website => ({
+    ...website,
+    ...(stats.get(String(website._id)) || statsService.emptyStats()),
+    maintenance: maintenanceService.summarize(maintenance.get(String(website._id)))
+  }));
 };
 
 module.exports = mongoose.model('Website', websiteSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Records of workers that stopped heartbeating are removed after this long
+const STALE_RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Summary of a worker's most recent ping cycle
+const cycleSummarySchema = new Schema({
+  startedAt: Date,
+  durationMs: Number,
+  due: Number,
+  completed: Number,
+  healthy: Number,
+  unhealthy: Number,
+  errors: Number,
+  peakConcurrency: Number,
+  averagePingMs: Number,
+  maxQueueWaitMs: Number
+}, { _id: false });
+
+// Latest heartbeat of one ping worker process, overwritten every
+// WORKER_HEARTBEAT_SECONDS (see PingWorker.writeHeartbeat)
+const workerStatusSchema = new Schema({
+  workerId: {
+    type: String, // Same ID the worker uses for its leases
+    required: true,
+    unique: true
+  },
+  hostname: String,
+  pid: Number,
+  state: {
+    type: String,
+    enum: ['idle', 'running', 'stopped'], // running = a ping cycle is in progress
+    default: 'idle'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  lastHeartbeat: {
+    type: Date,
+    required: true
+  },
+  heartbeatIntervalSeconds: {
+    type: Number,
+    required: true
+  },
+  uptimeSeconds: Number,
+  totalPingsCompleted: Number,
+  skippedCycles: Number,
+  lastCycle: cycleSummarySchema,
+  queueBacklog: Number, // Due websites not yet claimed by any worker
+  browser: {
+    active: Boolean // Whether this worker has Chromium running
+  },
+  lastError: {
+    message: String,
+    at: Date
+  }
+}, {
+  versionKey: false
+});
+
+workerStatusSchema.index({ lastHeartbeat: 1 }, { expireAfterSeconds: STALE_RECORD_TTL_SECONDS });
+
+// A worker counts as alive while its last heartbeat is within three intervals
+workerStatusSchema.methods.isAlive = function(now = new Date()) {
+  return this.state !== 'stopped' && now - this.lastHeartbeat <= this.heartbeatIntervalSeconds * 3 * 1000;
+};
+
+module.exports = mongoose.model('WorkerStatus', workerStatusSchema);
@@ -1,66 +1,42 @@
 const mongoose = require('mongoose');
-const puppeteer = require('puppeteer');
 const cron = require('node-cron');
+const os = require('os');
 require('dotenv').config();
 
 // Import Website model and services
 const Website = require('./models/Website');
-const emailService = require('./services/emailService');
+const PingResult = require('./models/PingResult');
+const WorkerStatus = require('./models/WorkerStatus');
+const webhookService = require('./services/webhookService');
+const escalationService = require('./services/escalationService');
+const probeService = require('./services/probeService');
+const PingScheduler = require('./services/pingScheduler');
+const rollupService = require('./services/rollupService');
+const schedulingService = require('./services/schedulingService');
+const leaseService = require('./services/leaseService');
+const checkService = require('./services/checkService');
 
 class PingWorker {
   constructor() {
-    this.browser = null;
     this.isRunning = false;
     this.currentPings = 0;
     this.totalPingsCompleted = 0;
+    this.skippedCycles = 0;
+    this.lastCycleMetrics = null;
+    this.lastError = null;
     this.startTime = new Date();
-  }
 
-  // Initialize browser instance
-  async initBrowser() {
-    try {
-      console.log('🔧 Initializing Puppeteer browser...');
-      
-      // Configure Puppeteer for production deployment
-      const isProduction = process.env.NODE_ENV === 'production';
-      const puppeteerOptions = {
-        headless: 'new', // Use new headless mode
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding'
-        ],
-        defaultViewport: {
-          width: 1280,
-          height: 720
-        },
-        ignoreDefaultArgs: ['--disable-extensions']
-      };
-      
-      // Add production-specific options
-      if (isProduction && process.env.PUPPETEER_EXECUTABLE_PATH) {
-        puppeteerOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-      }
-      
-      this.browser = await puppeteer.launch(puppeteerOptions);
-      
-      // Test the browser
-      const version = await this.browser.version();
-      console.log(`✅ Browser initialized successfully (${version})`);
-      
-    } catch (error) {
-      console.error('❌ Failed to initialize browser:', error.message);
-      throw error;
-    }
+    // Heartbeats let the API tell whether the worker is alive (GET /api/ping/status)
+    this.heartbeatIntervalSeconds = parseInt(process.env.WORKER_HEARTBEAT_SECONDS) || 30;
+    this.heartbeatTimer = null;
+
+    // Bounded pool used to run each cycle's checks concurrently
+    this.scheduler = new PingScheduler({
+      concurrency: parseInt(process.env.PING_CONCURRENCY) || 10,
+      perHostConcurrency: parseInt(process.env.PING_PER_HOST_CONCURRENCY) || 2,
+      hostSpacingMs: parseInt(process.env.PING_HOST_SPACING_MS) || 1000,
+      browserConcurrency: parseInt(process.env.PING_BROWSER_CONCURRENCY) || 2
+    });
   }
 
   // Connect to MongoDB
@@ -87,157 +63,13 @@ class PingWorker {
 
   // Perform ping on a single website
   async pingWebsite(website) {
-    let context = null;
-    let page = null;
-    const startTime = Date.now();
-
-    try {
-      console.log(`🏃 Pinging: ${website.name} (${website.url})`);
-
-      // Create isolated browser context (incognito mode)
-      context = await this.browser.createBrowserContext();
-      page = await context.newPage();
-
-      // Enable request interception to block unnecessary resources
-      await page.setRequestInterception(true);
-
-      page.on('request', (request) => {
-        const resourceType = request.resourceType();
-        
-        // Block images, stylesheets, fonts, and media to speed up loading
-        const blockedTypes = ['image', 'stylesheet', 'font', 'media', 'other'];
-        
-        if (blockedTypes.includes(resourceType)) {
-          request.abort();
-        } else {
-          request.continue();
-        }
-      });
-
-      // Set a reasonable user agent
-      await page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 UptimeSentinel/1.0'
-      );
-      
-      // Set additional page settings for better performance
-      await page.setDefaultTimeout(30000);
-      await page.setDefaultNavigationTimeout(30000);
-
-      // Navigate to the website
-      console.log(`🌍 Navigating to: ${website.url}`);
-      const response = await page.goto(website.url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000
-      });
-
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      const statusCode = response ? response.status() : 0;
-      
-      // Additional check for health endpoints
-      let isHealthy = false;
-      if (response && statusCode >= 200 && statusCode < 400) {
-        try {
-          // If it's a health endpoint, check for success indicators
-          if (website.url.includes('/health') || website.url.includes('/status')) {
-            const pageText = await page.evaluate(() => document.body.innerText.toLowerCase());
-            isHealthy = pageText.includes('ok') || 
-                       pageText.includes('success') || 
-                       pageText.includes('healthy') ||
-                       pageText.includes('up') ||
-                       (statusCode >= 200 && statusCode < 300);
-            console.log(`🩺 Health check result for ${website.name}: ${isHealthy ? 'HEALTHY' : 'UNHEALTHY'} (${statusCode})`);
-          } else {
-            // For regular websites, just check status code
-            isHealthy = statusCode >= 200 && statusCode < 400;
-          }
-        } catch (error) {
-          console.log(`⚠️ Error checking page content for ${website.name}:`, error.message);
-          isHealthy = statusCode >= 200 && statusCode < 400;
-        }
-      }
-
-      if (isHealthy) {
-        console.log(`✅ ${website.name}: ${statusCode} (${duration}ms) - HEALTHY`);
-
-        // Check if this is a recovery from previous failures
-        const wasDown = website.consecutiveFailures >= 3;
-
-        // Reset failure count on successful ping
-        website.consecutiveFailures = 0;
-        website.emailNotificationSent = false;
-        
-        // Update website with ping result (this will also handle scheduling)
-        await website.addPingResult(statusCode, duration);
-        
-        // Send recovery notification if website was previously down
-        if (wasDown) {
-          console.log(`💬 Sending recovery notification for ${website.name}`);
-          await emailService.sendRecoveryNotification(website);
-        }
-      } else {
-        // Treat as failure even if we got a response
-        throw new Error(`Health check failed - Status: ${statusCode}, Response indicates unhealthy state`);
-      }
-
-    } catch (error) {
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
-      // Determine error type for better logging
-      let errorType = 'UNKNOWN';
-      if (error.message.includes('timeout')) {
-        errorType = 'TIMEOUT';
-      } else if (error.message.includes('net::ERR')) {
-        errorType = 'NETWORK_ERROR';
-      } else if (error.message.includes('Health check failed')) {
-        errorType = 'HEALTH_CHECK_FAILED';
-      } else if (error.message.includes('Navigation failed')) {
-        errorType = 'NAVIGATION_FAILED';
-      }
-      
-      console.log(`❌ ${website.name}: FAILED (${duration}ms) - ${errorType}: ${error.message}`);
-
-      // Increment consecutive failures
-      website.consecutiveFailures += 1;
-      
-      // Record failure with status code 0 (this will also handle scheduling)
-      await website.addPingResult(0, duration);
-      
-      // Send email notification after 3 consecutive failures
-      if (website.consecutiveFailures >= 3 && !website.emailNotificationSent) {
-        console.log(`📧 Sending downtime alert for ${website.name} (${website.consecutiveFailures} failures)`);
-        
-        const failureDetails = {
-          error: error.message,
-          duration: duration,
-          timestamp: new Date().toISOString()
-        };
-        
-        const emailSent = await emailService.sendDowntimeAlert(website, failureDetails);
-        
-        if (emailSent) {
-          website.emailNotificationSent = true;
-          await website.save();
-        }
-      } else if (website.consecutiveFailures < 3) {
-        console.log(`⚠️ ${website.name}: ${website.consecutiveFailures} consecutive failures`);
-      }
-
-    } finally {
-      // CRITICAL: Always clean up resources
-      try {
-        if (page) await page.close();
-        if (context) await context.close();
-      } catch (cleanupError) {
-        console.error('⚠️  Cleanup error:', cleanupError.message);
-      }
-    }
+    return checkService.runCheck(website);
   }
 
   // Run ping cycle for websites that are ready
   async runPingCycle() {
     if (this.isRunning) {
+      this.skippedCycles++;
       console.log('⚠️  Ping cycle already running, skipping...');
       return;
     }
@@ -248,29 +80,11 @@ class PingWorker {
     try {
       console.log('🔄 Starting ping cycle...');
 
-      // Get websites that are ready to be pinged
+      // Claim the websites that are ready to be pinged; other workers skip them while the lease lasts
       const now = new Date();
-      console.log('🔍 Querying database for websites ready to ping...');
+      console.log('🔍 Claiming websites ready to ping...');
       
-      const websites = await Website.find({
-        $and: [
-          {
-            $or: [
-              // Websites whose nextPingTime has arrived or passed
-              { nextPingTime: { $lte: now } },
-              // Websites that don't have a nextPingTime set yet (legacy data)
-              { nextPingTime: { $exists: false } }
-            ]
-          },
-          {
-            $or: [
-              // Websites that are not temporarily stopped
-              { isTemporarilyStopped: { $ne: true } },
-              { isTemporarilyStopped: { $exists: false } }
-            ]
-          }
-        ]
-      });
+      const websites = await leaseService.claimDueWebsites(now);
       
       console.log(`📊 Database query result: ${websites.length} website(s) ready for monitoring`);
       
@@ -289,25 +103,36 @@ class PingWorker {
         return;
       }
 
-      // Process websites sequentially to avoid overwhelming the browser
-      for (const website of websites) {
-        await this.pingWebsite(website);
-        this.totalPingsCompleted++;
-        
-        // Small delay between pings to avoid being too aggressive
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      // Run the checks through the bounded pool (global, per-host and browser limits)
+      const metrics = await this.scheduler.run(websites, async (website) => {
+        try {
+          const isHealthy = await this.pingWebsite(website);
+          this.totalPingsCompleted++;
+          return isHealthy;
+        } finally {
+          await leaseService.release(website);
+        }
+      });
 
       // Check if any temporarily stopped websites should be resumed
       await this.checkAndResumeStoppedWebsites();
 
       const cycleEnd = Date.now();
       const cycleDuration = ((cycleEnd - cycleStart) / 1000).toFixed(2);
-      
+
+      this.lastCycleMetrics = {
+        ...metrics,
+        startedAt: new Date(cycleStart),
+        cycleDurationMs: cycleEnd - cycleStart
+      };
+
       console.log(`✅ Ping cycle completed in ${cycleDuration}s`);
+      console.log(`   • ${metrics.completed}/${metrics.due} checks (${metrics.healthy} healthy, ${metrics.unhealthy} unhealthy, ${metrics.errors} errors)`);
+      console.log(`   • Peak concurrency: ${metrics.peakConcurrency}, avg check: ${metrics.averagePingMs}ms, max queue wait: ${metrics.maxQueueWaitMs}ms`);
       
     } catch (error) {
       console.error('❌ Error during ping cycle:', error.message);
+      this.recordError(error);
     } finally {
       this.isRunning = false;
     }
@@ -318,32 +143,70 @@ class PingWorker {
     try {
       const now = new Date();
       
-      // Find websites that are temporarily stopped but their stopPingUntil time has passed
-      const websitesToResume = await Website.find({
-        isTemporarilyStopped: true,
-        $or: [
-          { stopPingUntil: { $lte: now } },
-          { stopPingUntil: { $exists: false } }
-        ]
-      });
-      
-      if (websitesToResume.length > 0) {
-        console.log(`🔄 Resuming monitoring for ${websitesToResume.length} website(s)`);
-        
-        for (const website of websitesToResume) {
-          website.isTemporarilyStopped = false;
-          website.stopPingUntil = null;
-          
-          // Use configurable ping interval (default 5 minutes)
-          const pingIntervalMinutes = parseInt(process.env.PING_INTERVAL_MINUTES) || 5;
-          website.nextPingTime = new Date(Date.now() + pingIntervalMinutes * 60 * 1000);
-          await website.save();
-          
-          console.log(`✅ Resumed monitoring for ${website.name}`);
-        }
+      // Claim websites whose automatic pause has run out (manual pauses have no stopPingUntil)
+      // one at a time; each is resumed, and reported, by whichever worker claims it first
+      let website;
+      while ((website = await Website.findOneAndUpdate(
+        schedulingService.dueForResumeQuery(now),
+        schedulingService.resumeUpdate(now),
+        { new: true }
+      ))) {
+        await webhookService.emit('monitor.resumed', website, { reason: 'scheduled' });
+        console.log(`✅ Resumed monitoring for ${website.name}`);
       }
     } catch (error) {
       console.error('❌ Error checking stopped websites:', error.message);
+      this.recordError(error);
+    }
+  }
+
+  // Kept for the heartbeat, so the dashboard can show why a worker is struggling
+  recordError(error) {
+    this.lastError = { message: error.message, at: new Date() };
+  }
+
+  // Write this worker's status to the WorkerStatus collection
+  async writeHeartbeat(state = this.isRunning ? 'running' : 'idle') {
+    const now = new Date();
+    const last = this.lastCycleMetrics;
+
+    try {
+      const queueBacklog = await Website.countDocuments(leaseService.dueFilter(now));
+
+      await WorkerStatus.updateOne(
+        { workerId: leaseService.workerId },
+        {
+          $set: {
+            hostname: os.hostname(),
+            pid: process.pid,
+            state,
+            startedAt: this.startTime,
+            lastHeartbeat: now,
+            heartbeatIntervalSeconds: this.heartbeatIntervalSeconds,
+            uptimeSeconds: Math.round((now - this.startTime) / 1000),
+            totalPingsCompleted: this.totalPingsCompleted,
+            skippedCycles: this.skippedCycles,
+            lastCycle: last && {
+              startedAt: last.startedAt,
+              durationMs: last.cycleDurationMs,
+              due: last.due,
+              completed: last.completed,
+              healthy: last.healthy,
+              unhealthy: last.unhealthy,
+              errors: last.errors,
+              peakConcurrency: last.peakConcurrency,
+              averagePingMs: last.averagePingMs,
+              maxQueueWaitMs: last.maxQueueWaitMs
+            },
+            queueBacklog,
+            browser: { active: probeService.isBrowserActive() },
+            lastError: this.lastError
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('⚠️ Could not write worker heartbeat:', error.message);
     }
   }
 
@@ -355,10 +218,17 @@ class PingWorker {
     const remainingMinutes = uptimeMinutes % 60;
 
     console.log('📈 Worker Statistics:');
+    console.log(`   • Worker ID: ${leaseService.workerId}`);
     console.log(`   • Uptime: ${uptimeHours}h ${remainingMinutes}m`);
     console.log(`   • Total pings completed: ${this.totalPingsCompleted}`);
     console.log(`   • Current ping cycle: ${this.isRunning ? 'Running' : 'Idle'}`);
-    console.log(`   • Browser status: ${this.browser ? 'Connected' : 'Disconnected'}`);
+    console.log(`   • Skipped cycles (previous cycle still running): ${this.skippedCycles}`);
+    console.log(`   • Pool size: ${this.scheduler.concurrency} (per host: ${this.scheduler.perHostConcurrency}, browser: ${this.scheduler.browserConcurrency})`);
+    if (this.lastCycleMetrics) {
+      const last = this.lastCycleMetrics;
+      console.log(`   • Last cycle: ${last.completed} checks in ${(last.cycleDurationMs / 1000).toFixed(2)}s (${last.throughputPerMinute}/min)`);
+    }
+    console.log(`   • Browser status: ${probeService.isBrowserActive() ? 'Connected' : 'Not running (launched on demand)'}`);
   }
 
   // Start the worker
@@ -370,13 +240,32 @@ class PingWorker {
       // Initialize database connection
       await this.connectDB();
 
-      // Initialize browser
-      await this.initBrowser();
+      // Ping results go to a time-series collection; keep its expiry in line with PING_RETENTION_DAYS
+      await PingResult.init();
+      try {
+        const retentionDays = await PingResult.syncRetention();
+        console.log(`🗄️  Keeping ping results for ${retentionDays} days`);
+      } catch (error) {
+        console.error('⚠️ Could not apply ping result retention:', error.message);
+      }
+
+      // Several workers can run side by side; each claims due checks under its own ID
+      console.log(`🪪 Worker ID: ${leaseService.workerId} (lease ${leaseService.leaseMs / 1000}s, up to ${leaseService.batchSize} checks per cycle)`);
+
+      // Report status now and every WORKER_HEARTBEAT_SECONDS
+      await this.writeHeartbeat();
+      this.heartbeatTimer = setInterval(() => this.writeHeartbeat(), this.heartbeatIntervalSeconds * 1000);
+      console.log(`💓 Writing heartbeats every ${this.heartbeatIntervalSeconds}s`);
+
+      // Browser probe launches Chromium lazily, only when a website uses it
+      console.log('🔎 Probe engines: http (default), browser (launched on demand)');
 
       // Setup cron job
-      const cronExpression = process.env.PING_FREQUENCY_CRON || '*/1 * * * *'; // Changed default to every 1 minute for testing
+      // The cron only decides how often the worker looks for due websites; each website's
+      // intervalSeconds decides when it is actually due, so this must tick at least as often
+      // as the shortest interval (30s). Six fields = seconds precision.
+      const cronExpression = process.env.PING_FREQUENCY_CRON || '*/15 * * * * *';
       console.log(`⏰ Scheduling pings with cron: ${cronExpression}`);
-      console.log('📝 Note: Using 1-minute intervals for testing. Set PING_FREQUENCY_CRON=*/5 * * * * for production.');
 
       cron.schedule(cronExpression, async () => {
         await this.runPingCycle();
@@ -390,6 +279,34 @@ class PingWorker {
         this.printStats();
       });
 
+      // Send escalation steps (and repeats) that are due
+      cron.schedule('*/30 * * * * *', async () => {
+        try {
+          await escalationService.processDueEscalations();
+        } catch (error) {
+          console.error('❌ Error processing escalations:', error.message);
+          this.recordError(error);
+        }
+      });
+
+      // Retry failed webhook deliveries that are due
+      cron.schedule('*/30 * * * * *', async () => {
+        try {
+          await webhookService.processDueDeliveries();
+        } catch (error) {
+          console.error('❌ Error retrying webhook deliveries:', error.message);
+          this.recordError(error);
+        }
+      });
+
+      // Roll completed hours and days up into per-website buckets (a few minutes
+      // past the hour, so the last checks of the hour have been written)
+      cron.schedule('5 * * * *', async () => {
+        await rollupService.run();
+      }, {
+        timezone: "UTC"
+      });
+
       // Run initial ping cycle
       setTimeout(async () => {
         console.log('🎬 Running initial ping cycle...');
@@ -418,12 +335,20 @@ class PingWorker {
         }
       }
 
-      // Close browser
-      if (this.browser) {
-        await this.browser.close();
-        console.log('✅ Browser closed');
+      clearInterval(this.heartbeatTimer);
+
+      // Hand back any claimed checks so other workers can pick them up straight away
+      const released = await leaseService.releaseAll();
+      if (released > 0) {
+        console.log(`🔓 Released ${released} lease(s)`);
       }
 
+      // Close probe engines (closes the browser if one was launched)
+      await probeService.close();
+
+      // Mark this worker as stopped rather than letting it look dead
+      await this.writeHeartbeat('stopped');
+
       // Close database connection
       await mongoose.connection.close();
       console.log('✅ Database connection closed');
@@ -449,6 +374,7 @@ process.on('SIGINT', () => worker.shutdown());
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
   console.error('❌ Uncaught Exception:', error);
+  worker.recordError(error);
   worker.shutdown();
 });
 
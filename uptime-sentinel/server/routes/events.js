@@ -0,0 +1,14 @@
+const express = require('express');
+const sseManager = require('../sse');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of live updates about the user's websites, for
+//          clients that can't open the WebSocket
+// @access  Private
+router.get('/', protect, (req, res) => {
+  sseManager.addClient(req, res);
+});
+
+module.exports = router;
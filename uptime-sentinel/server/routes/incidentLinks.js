@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  showEmailAcknowledge,
+  emailAcknowledge
+} = require('../controllers/incidentController');
+
+// Signed links from downtime emails; mounted on /api/incidents ahead of the CORS
+// check (see app.js), since the page and its form come from the API's own origin
+const router = express.Router();
+
+// @route   GET /api/incidents/:id/email-acknowledge?token=
+// @desc    Confirmation page for the acknowledge link in downtime emails
+// @access  Public (signed link)
+router.get('/:id/email-acknowledge', showEmailAcknowledge);
+
+// @route   POST /api/incidents/:id/email-acknowledge?token=
+// @desc    Acknowledge an incident from the downtime email link
+// @access  Public (signed link)
+router.post('/:id/email-acknowledge', emailAcknowledge);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getIncident,
+  acknowledgeIncident,
+  addIncidentNote
+} = require('../controllers/incidentController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication (the email acknowledge links are in incidentLinks.js)
+router.use(protect);
+
+// @route   GET /api/incidents/:id
+// @desc    Get an incident with its timeline
+// @access  Private
+router.get('/:id', getIncident);
+
+// @route   POST /api/incidents/:id/acknowledge
+// @desc    Acknowledge an open incident; stops its escalation
+// @access  Private
+router.post('/:id/acknowledge', acknowledgeIncident);
+
+// @route   POST /api/incidents/:id/notes
+// @desc    Add a note to an incident's timeline ({ text })
+// @access  Private
+router.post('/:id/notes', addIncidentNote);
+
+module.exports = router;
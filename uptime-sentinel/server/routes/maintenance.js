@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getWindows,
+  createWindow,
+  updateWindow,
+  deleteWindow
+} = require('../controllers/maintenanceController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/maintenance
+// @desc    Get the user's maintenance windows
+// @access  Private
+router.get('/', getWindows);
+
+// @route   POST /api/maintenance
+// @desc    Add a maintenance window ({ name, websites, tags, timezone, type: 'one-off', startsAt, endsAt }
+//          or { ..., type: 'recurring', cron, durationMinutes })
+// @access  Private
+router.post('/', createWindow);
+
+// @route   PATCH /api/maintenance/:id
+// @desc    Update a maintenance window's websites, tags, schedule or enabled flag
+// @access  Private
+router.patch('/:id', updateWindow);
+
+// @route   DELETE /api/maintenance/:id
+// @desc    Delete a maintenance window
+// @access  Private
+router.delete('/:id', deleteWindow);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel
+} = require('../controllers/notificationController');
+const {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/escalationPolicyController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/notifications/channels
+// @desc    Get the user's Slack, webhook and email notification channels (alert contacts)
+// @access  Private
+router.get('/channels', getChannels);
+
+// @route   POST /api/notifications/channels
+// @desc    Add a notification channel ({ name, type: 'slack' | 'webhook', url } or { name, type: 'email', email })
+// @access  Private
+router.post('/channels', createChannel);
+
+// @route   PATCH /api/notifications/channels/:id
+// @desc    Update a notification channel's name, type, URL, email or enabled flag
+// @access  Private
+router.patch('/channels/:id', updateChannel);
+
+// @route   DELETE /api/notifications/channels/:id
+// @desc    Delete a notification channel
+// @access  Private
+router.delete('/channels/:id', deleteChannel);
+
+// @route   POST /api/notifications/channels/:id/test
+// @desc    Send a test notification through a channel
+// @access  Private
+router.post('/channels/:id/test', testChannel);
+
+// @route   GET /api/notifications/policies
+// @desc    Get the user's escalation policies
+// @access  Private
+router.get('/policies', getPolicies);
+
+// @route   POST /api/notifications/policies
+// @desc    Add an escalation policy ({ name, steps: [{ delayMinutes, contacts }], repeatEveryMinutes })
+// @access  Private
+router.post('/policies', createPolicy);
+
+// @route   PATCH /api/notifications/policies/:id
+// @desc    Update an escalation policy's name, steps or repeat interval
+// @access  Private
+router.patch('/policies/:id', updatePolicy);
+
+// @route   DELETE /api/notifications/policies/:id
+// @desc    Delete an escalation policy
+// @access  Private
+router.delete('/policies/:id', deletePolicy);
+
+module.exports = router;
@@ -1,44 +1,109 @@
 const express = require('express');
 const { exec } = require('child_process');
+const crypto = require('crypto');
+const probeService = require('../services/probeService');
+const WorkerStatus = require('../models/WorkerStatus');
+const checkTriggerService = require('../services/checkTriggerService');
+const { protect } = require('../middleware/auth');
 const router = express.Router();
 
+// Compare the X-Probe-Secret header with PROBE_SECRET in constant time
+const hasValidProbeSecret = (req) => {
+  const expected = Buffer.from(process.env.PROBE_SECRET || '');
+  const provided = Buffer.from(req.get('X-Probe-Secret') || '');
+  return expected.length > 0 && expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
 // @route   POST /api/ping/trigger
-// @desc    Manually trigger a ping cycle (for testing)
-// @access  Public (in development - should be protected in production)
-router.post('/trigger', async (req, res) => {
+// @desc    Check one website ({ websiteId }), every website with a tag ({ tag }) or all
+//          of the user's websites ({ all: true }) now; results are pushed over the WebSocket
+// @access  Private
+router.post('/trigger', protect, async (req, res) => {
   try {
-    console.log('🔧 Manual ping trigger requested');
-    
-    // For now, we'll just return success
-    // In a production environment, you might want to use a message queue
-    // or a shared event system to trigger the worker
-    
-    res.status(200).json({
+    const { websiteId, tag, all } = req.body || {};
+
+    const targetCount = [websiteId !== undefined, tag !== undefined, all === true].filter(Boolean).length;
+    if (targetCount !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide exactly one of: websiteId, tag, all'
+      });
+    }
+
+    const filter = { user: req.user._id };
+
+    if (websiteId !== undefined) {
+      // Validate MongoDB ObjectId format
+      if (typeof websiteId !== 'string' || !websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid website ID format'
+        });
+      }
+      filter._id = websiteId;
+    } else if (tag !== undefined) {
+      if (typeof tag !== 'string' || !tag.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tag cannot be empty'
+        });
+      }
+      filter.tags = tag.trim().toLowerCase();
+    }
+
+    console.log('🔧 Manual check requested:', websiteId ? `website ${websiteId}` : tag ? `tag "${tag}"` : 'all websites');
+    const result = await checkTriggerService.requestChecks(filter);
+
+    if (websiteId !== undefined && result.matched === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Website not found or you do not have permission to check it'
+      });
+    }
+
+    res.status(202).json({
       success: true,
-      message: 'Ping trigger request received. The worker will pick up changes on the next scheduled cycle.',
-      nextScheduledRun: 'Every 5 minutes as configured'
+      message: result.queued.length > 0
+        ? `${result.queued.length} check(s) queued${result.skippedPaused > 0 ? `, ${result.skippedPaused} paused website(s) skipped` : ''}`
+        : 'No websites to check (paused websites are skipped)',
+      data: result
     });
     
   } catch (error) {
-    console.error('❌ Error triggering ping:', error.message);
+    console.error('❌ Error triggering checks:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Failed to trigger ping cycle',
-      error: error.message
+      message: 'Failed to queue checks',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 // @route   GET /api/ping/status
-// @desc    Get ping worker status
-// @access  Public
-router.get('/status', async (req, res) => {
+// @desc    Get the status of every ping worker from its latest heartbeat
+// @access  Private
+router.get('/status', protect, async (req, res) => {
   try {
+    const now = new Date();
+    const statuses = await WorkerStatus.find().sort({ lastHeartbeat: -1 });
+
+    const workers = statuses.map(status => ({
+      ...status.toObject(),
+      alive: status.isAlive(now),
+      secondsSinceHeartbeat: Math.round((now - status.lastHeartbeat) / 1000)
+    }));
+    const aliveWorkers = workers.filter(worker => worker.alive);
+
     res.status(200).json({
       success: true,
-      message: 'Ping status endpoint',
-      info: 'The ping worker runs as a separate process. Check the worker logs for detailed status.',
-      schedule: process.env.PING_FREQUENCY_CRON || '*/5 * * * *'
+      data: {
+        healthy: aliveWorkers.length > 0,
+        aliveWorkers: aliveWorkers.length,
+        lastHeartbeat: workers.length > 0 ? workers[0].lastHeartbeat : null,
+        queueBacklog: aliveWorkers.length > 0 ? aliveWorkers[0].queueBacklog : null,
+        schedule: process.env.PING_FREQUENCY_CRON || '*/15 * * * * *',
+        workers
+      }
     });
     
   } catch (error) {
@@ -51,4 +116,67 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// @route   POST /api/ping/probe
+// @desc    Run one check from this server, for another server using it as its secondary probe location
+// @access  Internal (requires the shared PROBE_SECRET in the X-Probe-Secret header)
+router.post('/probe', async (req, res) => {
+  if (!process.env.PROBE_SECRET) {
+    return res.status(404).json({
+      success: false,
+      message: 'Probe location is not enabled on this server'
+    });
+  }
+
+  if (!hasValidProbeSecret(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid probe secret'
+    });
+  }
+
+  const { website } = req.body || {};
+  if (!website || !website.url) {
+    return res.status(400).json({
+      success: false,
+      message: 'Website with a URL is required'
+    });
+  }
+
+  const location = process.env.PROBE_LOCATION_NAME || 'secondary';
+  const startTime = Date.now();
+
+  try {
+    const result = await probeService.probe(website, {
+      timeoutMs: Math.min(website.timeoutMs || 30000, 60000),
+      retries: 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location,
+        statusCode: result.statusCode,
+        duration: result.duration,
+        timings: result.timings,
+        isHealthy: result.isHealthy,
+        failureReason: result.failureReason,
+        failedAssertion: result.failedAssertion
+      }
+    });
+  } catch (error) {
+    // A failed check is a valid answer, not an error of this endpoint
+    res.status(200).json({
+      success: true,
+      data: {
+        location,
+        statusCode: 0,
+        duration: Date.now() - startTime,
+        isHealthy: false,
+        failureReason: error.message,
+        errorType: probeService.classifyError(error)
+      }
+    });
+  }
+});
+
 module.exports = router;
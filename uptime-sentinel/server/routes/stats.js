@@ -0,0 +1,28 @@
+const express = require('express');
+const globalStatsService = require('../services/globalStatsService');
+const router = express.Router();
+
+// @route   GET /api/stats/global
+// @desc    Platform-wide numbers for the landing page (cached; live updates are
+//          published on the `global-stats` WebSocket channel)
+// @access  Public
+router.get('/global', async (req, res) => {
+  try {
+    const stats = await globalStatsService.getStats();
+
+    res.status(200).json({
+      success: true,
+      message: 'Global stats retrieved successfully',
+      data: stats
+    });
+  } catch (error) {
+    console.error('❌ Error getting global stats:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get global stats',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
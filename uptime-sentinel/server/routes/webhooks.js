@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  getEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  getDeliveries
+} = require('../controllers/webhookController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/webhooks
+// @desc    Get the user's webhook endpoints
+// @access  Private
+router.get('/', getEndpoints);
+
+// @route   POST /api/webhooks
+// @desc    Add a webhook endpoint ({ url, description, events }); returns its signing secret once
+// @access  Private
+router.post('/', createEndpoint);
+
+// @route   PATCH /api/webhooks/:id
+// @desc    Update a webhook endpoint's URL, description, events or enabled flag
+// @access  Private
+router.patch('/:id', updateEndpoint);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook endpoint and its delivery log
+// @access  Private
+router.delete('/:id', deleteEndpoint);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get an endpoint's delivery log (?status=pending|succeeded|failed&limit=)
+// @access  Private
+router.get('/:id/deliveries', getDeliveries);
+
+module.exports = router;
@@ -1,11 +1,14 @@
 const express = require('express');
 const {
   getWebsites,
+  getWebsiteChanges,
   addWebsite,
   deleteWebsite,
   getWebsiteById,
   updatePingResult,
   getPingHistory,
+  getIncidents,
+  updateWebsite,
   pauseWebsite,
   resumeWebsite
 } = require('../controllers/websiteController');
@@ -32,11 +35,21 @@ router.get('/', getWebsites);
 // @access  Private
 router.post('/', addWebsite);
 
+// @route   GET /api/websites/changes?since=<cursor>
+// @desc    Websites changed since a WebSocket message cursor (catch-up after a reconnect)
+// @access  Private
+router.get('/changes', getWebsiteChanges);
+
 // @route   GET /api/websites/:id
 // @desc    Get a single website by ID
 // @access  Private
 router.get('/:id', getWebsiteById);
 
+// @route   PATCH /api/websites/:id
+// @desc    Edit a website's name, URL, email, tags, alerting or check settings (keeps history)
+// @access  Private
+router.patch('/:id', updateWebsite);
+
 // @route   DELETE /api/websites/:id
 // @desc    Delete a website from monitoring
 // @access  Private
@@ -47,6 +60,11 @@ router.delete('/:id', deleteWebsite);
 // @access  Private
 router.get('/:id/ping-history', getPingHistory);
 
+// @route   GET /api/websites/:id/incidents
+// @desc    Get the incident (outage) history of a website with MTTR
+// @access  Private
+router.get('/:id/incidents', getIncidents);
+
 // @route   PUT /api/websites/:id/pause
 // @desc    Pause monitoring for a website
 // @access  Private
@@ -1,8 +1,9 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 
-// Import Website model
+// Import models
 const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
 
 const connectDB = async () => {
   try {
@@ -57,6 +58,7 @@ const addTestData = async () => {
     const existingWebsites = await Website.find({ email: 'test@example.com' });
     if (existingWebsites.length > 0) {
       console.log('🔄 Test data already exists, removing old data first...');
+      await PingResult.deleteMany({ website: { $in: existingWebsites.map(website => website._id) } });
       await Website.deleteMany({ email: 'test@example.com' });
     }
     
@@ -104,9 +106,16 @@ const addTestData = async () => {
     ];
     
     // Insert test websites
-    for (const websiteData of testWebsites) {
+    for (const { pingHistory, ...websiteData } of testWebsites) {
       const website = new Website(websiteData);
       await website.save();
+
+      // Ping results are stored in their own collection
+      await PingResult.insertMany(pingHistory.map(ping => ({
+        ...ping,
+        website: website._id,
+        success: ping.statusCode >= 200 && ping.statusCode < 400
+      })));
       console.log(`✅ Added test website: ${websiteData.name}`);
     }
     
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+
+// Copies the ping history embedded in website documents (capped at 100
+// entries) into the ping results time-series collection, then removes it.
+// Safe to run more than once: websites without embedded history are skipped.
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 30000,
+      socketTimeoutMS: 45000,
+      family: 4
+    });
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ MongoDB Connection Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const migratePingHistory = async () => {
+  try {
+    console.log('🚚 Migrating embedded ping history...');
+
+    // Make sure the time-series collection exists before inserting into it
+    await PingResult.init();
+
+    // pingHistory is no longer part of the Website schema, so read the raw documents
+    const cursor = Website.collection.find(
+      { 'pingHistory.0': { $exists: true } },
+      { projection: { name: 1, pingHistory: 1 } }
+    );
+
+    let websitesMigrated = 0;
+    let pingsMigrated = 0;
+
+    for await (const website of cursor) {
+      const results = website.pingHistory.map(ping => {
+        const success = ping.success !== undefined && ping.success !== null
+          ? ping.success
+          : ping.statusCode >= 200 && ping.statusCode < 400;
+
+        return {
+          website: website._id,
+          timestamp: ping.timestamp,
+          statusCode: ping.statusCode,
+          duration: ping.duration,
+          success,
+          ...(!success && { errorType: ping.errorType || 'UNKNOWN' }),
+          ...(ping.failureReason && { failureReason: ping.failureReason }),
+          ...(ping.failedAssertion && { failedAssertion: ping.failedAssertion })
+        };
+      });
+
+      await PingResult.insertMany(results);
+      await Website.collection.updateOne({ _id: website._id }, { $unset: { pingHistory: '' } });
+
+      websitesMigrated++;
+      pingsMigrated += results.length;
+      console.log(`✅ ${website.name}: ${results.length} pings`);
+    }
+
+    console.log(`🎉 Migrated ${pingsMigrated} pings from ${websitesMigrated} websites`);
+  } catch (error) {
+    console.error('❌ Error migrating ping history:', error.message);
+  } finally {
+    mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+const main = async () => {
+  await connectDB();
+  await migratePingHistory();
+};
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
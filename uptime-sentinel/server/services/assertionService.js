@@ -0,0 +1,391 @@
+/**
+ * Assertion Service
+ *
+ * Decides whether a probe result is healthy for a website:
+ *   1. the status code must be one of `website.acceptedStatusCodes`
+ *      (codes like "200" or ranges like "200-299"; default "200-399")
+ *   2. every entry of `website.assertions` must pass against the body
+ *      - contains:    body includes `value`
+ *      - notContains: body does not include `value`
+ *      - regex:       body matches the regular expression `value`
+ *      - json:        body parses as JSON and the value at `path` (JSONPath-style,
+ *                     e.g. "$.status" or "$.checks[0].latency") satisfies
+ *                     `operator` (equals, notEquals, exists, notExists, gt, gte, lt, lte)
+ *
+ * The body is the raw response for the HTTP probe and the page's visible
+ * text for the browser probe. Returns `{ passed, reason, assertion }` where
+ * `reason` explains the first failure.
+ *
+ * Regex assertions are user-supplied patterns run on the shared ping worker,
+ * so they are kept from blocking it: patterns prone to catastrophic
+ * backtracking (nested or alternated repetition, backreferences) are rejected
+ * when the website is saved (getUnsafeRegexReason), only the first
+ * `maxRegexBodyLength` characters are searched, and a match that still takes
+ * longer than `regexTimeoutMs` is stopped and fails the check.
+ */
+const vm = require('vm');
+
+const DEFAULT_ACCEPTED_STATUS_CODES = ['200-399'];
+
+// Longest regex assertion pattern accepted
+const MAX_REGEX_LENGTH = 200;
+
+const NUMERIC_OPERATORS = {
+  gt: { symbol: '>', test: (actual, expected) => actual > expected },
+  gte: { symbol: '>=', test: (actual, expected) => actual >= expected },
+  lt: { symbol: '<', test: (actual, expected) => actual < expected },
+  lte: { symbol: '<=', test: (actual, expected) => actual <= expected }
+};
+
+class AssertionService {
+  constructor() {
+    this.maxRegexBodyLength = 100 * 1024;
+    this.regexTimeoutMs = 50;
+    this.regexScript = new vm.Script('pattern.test(body)');
+    this.regexContext = vm.createContext({ pattern: null, body: '' });
+  }
+
+  evaluate(website, result) {
+    const statusCheck = this.checkStatusCode(website, result.statusCode);
+    if (!statusCheck.passed) {
+      return statusCheck;
+    }
+
+    const assertions = website.assertions || [];
+    const context = { body: result.body }; // Shared so the body is only parsed as JSON once
+    for (const assertion of assertions) {
+      const check = this.evaluateAssertion(assertion, context);
+      if (!check.passed) {
+        return check;
+      }
+    }
+
+    return { passed: true, reason: null, assertion: null };
+  }
+
+  checkStatusCode(website, statusCode) {
+    const accepted = website.acceptedStatusCodes && website.acceptedStatusCodes.length > 0
+      ? website.acceptedStatusCodes
+      : DEFAULT_ACCEPTED_STATUS_CODES;
+
+    const isAccepted = !!statusCode && accepted.some(code => this.matchesStatusCode(code, statusCode));
+
+    if (isAccepted) {
+      return { passed: true, reason: null, assertion: null };
+    }
+
+    return {
+      passed: false,
+      reason: `Status code ${statusCode || 'none'} is not one of the accepted codes (${accepted.join(', ')})`,
+      assertion: { type: 'statusCode', value: accepted.join(', ') }
+    };
+  }
+
+  // "200" matches exactly, "200-299" matches the inclusive range
+  matchesStatusCode(code, statusCode) {
+    const [min, max] = String(code).split('-').map(part => parseInt(part, 10));
+    return max === undefined ? statusCode === min : statusCode >= min && statusCode <= max;
+  }
+
+  evaluateAssertion(assertion, context) {
+    const { type, value, caseSensitive } = assertion;
+    const { body } = context;
+    const describe = { type, value };
+
+    if (body === null || body === undefined) {
+      return { passed: false, reason: 'Response body could not be read', assertion: this.describe(assertion) };
+    }
+
+    if (type === 'json') {
+      return this.evaluateJsonAssertion(assertion, context);
+    }
+
+    const text = caseSensitive ? body : body.toLowerCase();
+    const needle = caseSensitive ? value : String(value).toLowerCase();
+
+    switch (type) {
+      case 'contains':
+        return text.includes(needle)
+          ? { passed: true, reason: null, assertion: null }
+          : { passed: false, reason: `Response body does not contain "${value}"`, assertion: describe };
+
+      case 'notContains':
+        return !text.includes(needle)
+          ? { passed: true, reason: null, assertion: null }
+          : { passed: false, reason: `Response body contains "${value}"`, assertion: describe };
+
+      case 'regex': {
+        // Websites saved before patterns were checked may still have an unsafe one
+        const unsafeReason = this.getUnsafeRegexReason(value);
+        if (unsafeReason) {
+          return { passed: false, reason: `Regular expression /${value}/ not run: ${unsafeReason}`, assertion: describe };
+        }
+
+        let matched;
+        try {
+          matched = this.testRegex(new RegExp(value, caseSensitive ? '' : 'i'), body.slice(0, this.maxRegexBodyLength));
+        } catch (error) {
+          if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            return { passed: false, reason: `Regular expression /${value}/ took longer than ${this.regexTimeoutMs}ms`, assertion: describe };
+          }
+          return { passed: false, reason: `Invalid regular expression /${value}/`, assertion: describe };
+        }
+
+        return matched
+          ? { passed: true, reason: null, assertion: null }
+          : { passed: false, reason: `Response body does not match /${value}/`, assertion: describe };
+      }
+
+      default:
+        return { passed: false, reason: `Unknown assertion type "${type}"`, assertion: describe };
+    }
+  }
+
+  // Run the match in a vm context so it can be interrupted after regexTimeoutMs
+  testRegex(pattern, body) {
+    this.regexContext.pattern = pattern;
+    this.regexContext.body = body;
+    try {
+      return this.regexScript.runInContext(this.regexContext, { timeout: this.regexTimeoutMs });
+    } finally {
+      this.regexContext.pattern = null;
+      this.regexContext.body = '';
+    }
+  }
+
+  /**
+   * Why a regex assertion pattern may not be used, or null if it may. Rejects
+   * patterns that don't compile, are longer than MAX_REGEX_LENGTH, use
+   * backreferences, or repeat a group that itself contains a quantifier or an
+   * alternation, e.g. "(a+)+" or "(a|aa)*", which can backtrack exponentially.
+   */
+  getUnsafeRegexReason(value) {
+    const pattern = String(value);
+
+    if (pattern.length > MAX_REGEX_LENGTH) {
+      return `the pattern is longer than ${MAX_REGEX_LENGTH} characters`;
+    }
+
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return 'it is not a valid regular expression';
+    }
+
+    const root = { hasQuantifier: false, hasAlternation: false };
+    const groups = [root];
+    let lastAtom = null; // The group just closed, or a plain atom ({})
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      const current = groups[groups.length - 1];
+
+      if (char === '\\') {
+        const next = pattern[i + 1];
+        if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+          return 'backreferences are not allowed';
+        }
+        i++;
+        lastAtom = {};
+      } else if (char === '[') {
+        // Skip the character class; it is one atom
+        for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+          if (pattern[i] === '\\') i++;
+        }
+        lastAtom = {};
+      } else if (char === '(') {
+        groups.push({ hasQuantifier: false, hasAlternation: false });
+        lastAtom = null;
+        // Skip "?:", "?=", "?!", "?<=", "?<!" and "?<name>"
+        if (pattern[i + 1] === '?') {
+          const prefix = pattern.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+          i += prefix ? prefix[0].length : 1;
+        }
+      } else if (char === ')') {
+        const group = groups.length > 1 ? groups.pop() : root;
+        const parent = groups[groups.length - 1];
+        parent.hasQuantifier = parent.hasQuantifier || group.hasQuantifier;
+        lastAtom = group;
+      } else if (char === '|') {
+        current.hasAlternation = true;
+        lastAtom = null;
+      } else if ('*+?{'.includes(char)) {
+        let repeats = char !== '?';
+        let variable = true; // "{3}" always matches the same number of times
+        if (char === '{') {
+          const bounds = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+          if (!bounds) {
+            lastAtom = {}; // A literal "{"
+            continue;
+          }
+          repeats = bounds[2] !== undefined ? bounds[3] === '' || parseInt(bounds[3]) > 1 : parseInt(bounds[1]) > 1;
+          variable = bounds[2] !== undefined && bounds[3] !== bounds[1];
+          i += bounds[0].length - 1;
+        }
+        if (pattern[i + 1] === '?') i++; // Lazy quantifier
+
+        if (repeats && lastAtom && (lastAtom.hasQuantifier || lastAtom.hasAlternation)) {
+          return 'a repeated group may not contain quantifiers or alternatives (e.g. "(a+)+"), as it can take exponential time';
+        }
+        current.hasQuantifier = current.hasQuantifier || variable;
+        lastAtom = null;
+      } else {
+        lastAtom = {};
+      }
+    }
+
+    return null;
+  }
+
+  evaluateJsonAssertion(assertion, context) {
+    const { path, operator = 'equals', value } = assertion;
+    const describe = this.describe(assertion);
+    const fail = (reason) => ({ passed: false, reason, assertion: describe });
+    const pass = { passed: true, reason: null, assertion: null };
+
+    if (context.json === undefined) {
+      try {
+        context.json = JSON.parse(context.body);
+      } catch (error) {
+        context.json = error;
+      }
+    }
+
+    if (context.json instanceof Error) {
+      return fail('Response body is not valid JSON');
+    }
+
+    let segments;
+    try {
+      segments = this.parsePath(path);
+    } catch (error) {
+      return fail(error.message);
+    }
+
+    const { found, value: actual } = this.resolvePath(context.json, segments);
+
+    switch (operator) {
+      case 'exists':
+        return found ? pass : fail(`${path} does not exist`);
+
+      case 'notExists':
+        return !found ? pass : fail(`${path} exists`);
+
+      case 'equals':
+      case 'notEquals': {
+        if (!found) {
+          return operator === 'notEquals' ? pass : fail(`${path} does not exist`);
+        }
+
+        const isEqual = this.jsonValueEquals(actual, value);
+        if (operator === 'equals') {
+          return isEqual ? pass : fail(`${path} is ${JSON.stringify(actual)}, expected ${value}`);
+        }
+        return !isEqual ? pass : fail(`${path} is ${JSON.stringify(actual)}, expected anything else`);
+      }
+
+      default: {
+        const comparison = NUMERIC_OPERATORS[operator];
+        if (!comparison) {
+          return fail(`Unknown JSON operator "${operator}"`);
+        }
+
+        if (!found) {
+          return fail(`${path} does not exist`);
+        }
+
+        const actualNumber = Number(actual);
+        const expectedNumber = Number(value);
+        if (actual === null || actual === '' || typeof actual === 'object' || !Number.isFinite(actualNumber)) {
+          return fail(`${path} is ${JSON.stringify(actual)}, expected a number`);
+        }
+
+        return comparison.test(actualNumber, expectedNumber)
+          ? pass
+          : fail(`${path} is ${actualNumber}, expected ${comparison.symbol} ${expectedNumber}`);
+      }
+    }
+  }
+
+  // Compare a JSON value with the expected value, which is always stored as a string
+  jsonValueEquals(actual, expected) {
+    if (actual !== null && typeof actual === 'object') {
+      try {
+        return JSON.stringify(actual) === JSON.stringify(JSON.parse(expected));
+      } catch (error) {
+        return false;
+      }
+    }
+
+    if (typeof actual === 'number') {
+      return actual === Number(expected);
+    }
+
+    return String(actual) === String(expected);
+  }
+
+  /**
+   * Split a JSONPath-style expression into keys and array indexes.
+   * Supports "$", ".key", "['key']" / ["key"] and "[0]"; the leading "$" is optional.
+   */
+  parsePath(path) {
+    if (typeof path !== 'string' || !path.trim()) {
+      throw new Error('JSON assertion path is empty');
+    }
+
+    const expression = path.trim().replace(/^\$/, '');
+    const segments = [];
+    const tokenPattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\s*(['"])(.*?)\3\s*\]/y;
+    let rest = expression;
+
+    // Allow "status.db" as shorthand for "$.status.db"
+    if (rest && !rest.startsWith('.') && !rest.startsWith('[')) {
+      rest = `.${rest}`;
+    }
+
+    tokenPattern.lastIndex = 0;
+    while (tokenPattern.lastIndex < rest.length) {
+      const match = tokenPattern.exec(rest);
+      if (!match) {
+        throw new Error(`Invalid JSON path "${path}"`);
+      }
+
+      if (match[1] !== undefined) {
+        segments.push(match[1]);
+      } else if (match[2] !== undefined) {
+        segments.push(parseInt(match[2], 10));
+      } else {
+        segments.push(match[4]);
+      }
+    }
+
+    return segments;
+  }
+
+  resolvePath(json, segments) {
+    let current = json;
+
+    for (const segment of segments) {
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+        return { found: false, value: undefined };
+      }
+      current = current[segment];
+    }
+
+    return { found: true, value: current };
+  }
+
+  // Plain description of an assertion, saved with the ping result when it fails
+  describe(assertion) {
+    const { type, value, path, operator } = assertion;
+
+    if (type === 'json') {
+      return { type, path, operator: operator || 'equals', ...(value !== undefined && { value }) };
+    }
+
+    return { type, value };
+  }
+}
+
+// Export singleton instance
+module.exports = new AssertionService();
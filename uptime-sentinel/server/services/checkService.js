@@ -0,0 +1,198 @@
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const escalationService = require('./escalationService');
+const probeService = require('./probeService');
+const incidentService = require('./incidentService');
+const maintenanceService = require('./maintenanceService');
+
+/**
+ * Check Service
+ *
+ * Runs one check of a website and acts on its result. Shared by the ping
+ * worker and the immediate ping service so a check started from the API is
+ * confirmed, recorded and reported exactly like a scheduled one.
+ */
+class CheckService {
+  /**
+   * Check a website and record the result: the ping history, scheduling,
+   * incidents, recovery and downtime notifications, escalation and webhooks.
+   * `probeOptions` override the website's timeout and retries (see
+   * probeService.probe). Resolves with whether the website was healthy.
+   */
+  async runCheck(website, probeOptions = {}) {
+    // Checks still run during a maintenance window, but their failures raise nothing.
+    // If the window can't be looked up the check is skipped rather than counted as a
+    // failure of the website: nothing is recorded, so it stays due for the next cycle.
+    let maintenance;
+    try {
+      maintenance = await maintenanceService.getActiveWindow(website);
+    } catch (error) {
+      console.error(`❌ Skipping check of ${website.name}, maintenance lookup failed:`, error.message);
+      throw error;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      console.log(`🏃 Pinging: ${website.name} (${website.url}) [${website.probeEngine || 'http'} probe]`);
+
+      // Uses the website's own timeout and retry settings unless overridden; a first
+      // failure is confirmed with a re-check before it counts
+      const result = await probeService.probeWithConfirmation(website, probeOptions);
+      const { statusCode, duration, isHealthy } = result;
+
+      const timings = probeService.formatTimings(result.timings);
+      if (timings) {
+        console.log(`⏱️  ${website.name}: ${timings}`);
+      }
+
+      if (isHealthy) {
+        console.log(`✅ ${website.name}: ${statusCode} (${duration}ms) - HEALTHY`);
+
+        // Check if this is a recovery from previous failures
+        const wasDown = website.consecutiveFailures >= incidentService.getFailureThreshold(website);
+
+        // Healthy but slower than the website's degraded threshold (if it has one)
+        const wasDegraded = website.isDegraded;
+        const isDegraded = website.degradedThresholdMs > 0 && duration > website.degradedThresholdMs;
+
+        // Reset failure count on successful ping
+        website.consecutiveFailures = 0;
+        website.emailNotificationSent = false;
+        website.isDegraded = isDegraded;
+        
+        // Update website with ping result (this will also handle scheduling)
+        await website.addPingResult(statusCode, duration, { success: true, maintenance: !!maintenance });
+
+        const incident = await incidentService.resolveIncident(website);
+        
+        // Send recovery notifications (email and the website's channels) if it was previously down
+        if (wasDown) {
+          console.log(`💬 Sending recovery notification for ${website.name}`);
+          await notificationService.notifyRecovery(website, incident);
+        }
+
+        // Webhooks for the transitions: down -> up, up <-> degraded
+        if (wasDown || (wasDegraded && !isDegraded)) {
+          await webhookService.emit('monitor.up', website, {
+            previousState: wasDown ? 'down' : 'degraded',
+            statusCode,
+            responseTimeMs: duration,
+            ...(incident && { incidentId: String(incident._id), downtimeSeconds: incident.durationSeconds })
+          });
+        }
+        if (isDegraded && (wasDown || !wasDegraded)) {
+          console.log(`🐢 ${website.name}: responding slowly (${duration}ms > ${website.degradedThresholdMs}ms)`);
+          await webhookService.emit('monitor.degraded', website, {
+            statusCode,
+            responseTimeMs: duration,
+            thresholdMs: website.degradedThresholdMs
+          });
+        }
+
+        return true;
+      } else {
+        // Treat as failure even if we got a response
+        const healthError = new Error(`Health check failed - ${result.failureReason}`);
+        healthError.statusCode = statusCode;
+        healthError.errorType = 'HEALTH_CHECK_FAILED';
+        healthError.failedAssertion = result.failedAssertion;
+        throw healthError;
+      }
+
+    } catch (error) {
+      const endTime = Date.now();
+      const duration = endTime - startTime;
+      
+      // Determine error type for logging and the ping history
+      const errorType = probeService.classifyError(error);
+      
+      console.log(`❌ ${website.name}: FAILED (${duration}ms) - ${errorType}: ${error.message}`);
+
+      // During maintenance: recorded, but not counted towards the failure threshold and no incident or alerts
+      if (maintenance) {
+        console.log(`🛠️ ${website.name}: in maintenance window "${maintenance.window.name}" until ${maintenance.endsAt.toISOString()}, failure not counted`);
+        website.isDegraded = false;
+        await website.addPingResult(error.statusCode || 0, duration, {
+          success: false,
+          errorType,
+          failureReason: error.message,
+          failedAssertion: error.failedAssertion,
+          maintenance: true
+        });
+        return false;
+      }
+
+      // Increment consecutive failures
+      website.consecutiveFailures += 1;
+      website.isDegraded = false;
+      const wasPaused = website.isTemporarilyStopped;
+      
+      // Record failure with the response's status code, or 0 if there was no response
+      // (this will also handle scheduling)
+      await website.addPingResult(error.statusCode || 0, duration, {
+        success: false,
+        errorType,
+        failureReason: error.message,
+        failedAssertion: error.failedAssertion
+      });
+
+      // Opens an incident once the failure threshold is crossed
+      const incident = await incidentService.recordFailure(website, {
+        errorType,
+        message: error.message,
+        statusCode: error.statusCode || 0,
+        failedAssertion: error.failedAssertion
+      });
+      
+      // Webhooks once, as the failure threshold is crossed (and if the backoff policy paused checks)
+      if (website.consecutiveFailures === incidentService.getFailureThreshold(website)) {
+        await webhookService.emit('monitor.down', website, {
+          errorType,
+          error: error.message,
+          statusCode: error.statusCode || 0,
+          consecutiveFailures: website.consecutiveFailures,
+          ...(incident && { incidentId: String(incident._id) })
+        });
+      }
+      if (!wasPaused && website.isTemporarilyStopped) {
+        await webhookService.emit('monitor.paused', website, {
+          reason: 'backoff',
+          resumesAt: website.stopPingUntil
+        });
+      }
+
+      // Send downtime notifications (email and the website's channels, or the website's
+      // escalation policy) once the failure threshold is crossed
+      if (website.consecutiveFailures >= incidentService.getFailureThreshold(website) && !website.emailNotificationSent) {
+        console.log(`📧 Sending downtime alert for ${website.name} (${website.consecutiveFailures} failures)`);
+        
+        const failureDetails = {
+          error: error.message,
+          duration: duration,
+          timestamp: new Date().toISOString()
+        };
+        
+        // Retried on the next failure until one destination accepts it; an escalation
+        // policy takes over from here (later steps are sent by processDueEscalations),
+        // and the website's own email and channels are alerted if it reached no one
+        const escalated = website.escalationPolicy && incident
+          ? await escalationService.start(website, incident)
+          : false;
+        const notificationSent = escalated || await notificationService.notifyDown(website, failureDetails, incident);
+        
+        if (notificationSent) {
+          website.emailNotificationSent = true;
+          await website.save();
+        }
+      } else if (website.consecutiveFailures < incidentService.getFailureThreshold(website)) {
+        console.log(`⚠️ ${website.name}: ${website.consecutiveFailures}/${incidentService.getFailureThreshold(website)} consecutive failures`);
+      }
+
+      return false;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new CheckService();
@@ -0,0 +1,35 @@
+const Website = require('../models/Website');
+
+/**
+ * Check Trigger Service
+ *
+ * Backs "check now" (POST /api/ping/trigger). Requested checks are queued for the
+ * ping worker by making the websites due now with `checkRequestedAt` set, which the
+ * worker claims ahead of scheduled checks. Each result reaches the dashboard like
+ * any other check result, through the event bus and the WebSocket.
+ */
+class CheckTriggerService {
+  // Queue checks for the websites matching `filter`; paused websites are skipped
+  async requestChecks(filter) {
+    const requestedAt = new Date();
+    const websites = await Website.find(filter).select('_id isTemporarilyStopped').lean();
+    const queued = websites.filter(website => !website.isTemporarilyStopped).map(website => website._id);
+
+    if (queued.length > 0) {
+      await Website.updateMany(
+        { _id: { $in: queued } },
+        { $set: { nextPingTime: requestedAt, checkRequestedAt: requestedAt } }
+      );
+    }
+
+    return {
+      requestedAt,
+      matched: websites.length,
+      queued: queued.map(String),
+      skippedPaused: websites.length - queued.length
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CheckTriggerService();
@@ -22,8 +22,12 @@ class ConfigService {
       clientUrlProd: process.env.CLIENT_URL_PROD || 'https://uptime-sentinel.onrender.com',
       
       // Ping Configuration
-      pingFrequencyCron: process.env.PING_FREQUENCY_CRON || '*/5 * * * *', // Default: every 5 minutes
+      pingFrequencyCron: process.env.PING_FREQUENCY_CRON || '*/15 * * * * *', // Default: look for due websites every 15 seconds
       pingIntervalMinutes: parseInt(process.env.PING_INTERVAL_MINUTES) || 5,
+      pingConcurrency: parseInt(process.env.PING_CONCURRENCY) || 10,
+      pingPerHostConcurrency: parseInt(process.env.PING_PER_HOST_CONCURRENCY) || 2,
+      pingHostSpacingMs: parseInt(process.env.PING_HOST_SPACING_MS) || 1000,
+      pingBrowserConcurrency: parseInt(process.env.PING_BROWSER_CONCURRENCY) || 2,
       
       // Downtime Monitoring Configuration
       downtimeMonitoringHours: parseInt(process.env.DOWNTIME_MONITORING_HOURS) || 12,
@@ -84,6 +88,10 @@ class ConfigService {
       frequencyCron: this.config.pingFrequencyCron,
       intervalMinutes: this.config.pingIntervalMinutes,
       intervalMs: this.config.pingIntervalMinutes * 60 * 1000,
+      concurrency: this.config.pingConcurrency,
+      perHostConcurrency: this.config.pingPerHostConcurrency,
+      hostSpacingMs: this.config.pingHostSpacingMs,
+      browserConcurrency: this.config.pingBrowserConcurrency,
       downtimeMonitoringHours: this.config.downtimeMonitoringHours,
       downtimeMonitoringMs: this.config.downtimeMonitoringHours * 60 * 60 * 1000,
       pauseMonitoringHours: this.config.pauseMonitoringHours,
@@ -145,6 +153,7 @@ class ConfigService {
     console.log(`   • Downtime Monitoring: ${pingConfig.downtimeMonitoringHours} hours`);
     console.log(`   • Pause Monitoring: ${pingConfig.pauseMonitoringHours} hours`);
     console.log(`   • Ping Frequency: ${pingConfig.frequencyCron}`);
+    console.log(`   • Ping Concurrency: ${pingConfig.concurrency} (per host: ${pingConfig.perHostConcurrency})`);
     console.log(`   • Email Service: ${config.emailUser ? '[CONFIGURED]' : '[NOT SET]'}`);
   }
 }
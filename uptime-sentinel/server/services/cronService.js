@@ -0,0 +1,268 @@
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead getActiveUntil looks for the next start of an inactive window; its
+// answer is cached for that long when there is none (one scan per window per day)
+const MAX_LOOKAHEAD_MINUTES = 24 * 60;
+
+// Cached ranges kept before expired ones are cleared out
+const MAX_CACHED_RANGES = 1000;
+
+// The five fields of a cron expression: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Cron Service
+ *
+ * Matches standard five-field cron expressions ("0 2 * * sun") against
+ * points in time in a given IANA timezone, for maintenance windows.
+ * node-cron only schedules callbacks in this process; it can't tell whether
+ * an expression matched at some past minute, which is what a window needs.
+ * Supports *, lists, ranges, steps and month/weekday names; as in cron, a
+ * day matches if either the day of month or the day of week does when both
+ * are restricted.
+ *
+ * Matching takes a formatToParts call per minute, so getActiveUntil caches
+ * each window's answer until the next minute at which it can change.
+ */
+class CronService {
+  constructor() {
+    this.parsed = new Map(); // Expression -> parsed fields
+    this.formatters = new Map(); // Timezone -> Intl.DateTimeFormat
+    this.ranges = new Map(); // Window schedule -> { from, until, endsAt }, see getActiveUntil
+  }
+
+  isValidTimezone(timeZone) {
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isValidExpression(expression) {
+    try {
+      this.parse(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Throws with a readable message if the expression is invalid
+  parse(expression) {
+    if (this.parsed.has(expression)) {
+      return this.parsed.get(expression);
+    }
+
+    const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (parts.length !== FIELDS.length) {
+      throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => this.parseField(part, FIELDS[i]));
+
+    // Sunday is both 0 and 7
+    if (daysOfWeek.has(7)) {
+      daysOfWeek.add(0);
+    }
+
+    const result = {
+      minutes,
+      hours,
+      daysOfMonth,
+      months,
+      daysOfWeek,
+      anyDayOfMonth: parts[2] === '*',
+      anyDayOfWeek: parts[4] === '*'
+    };
+    this.parsed.set(expression, result);
+    return result;
+  }
+
+  parseField(text, field) {
+    const values = new Set();
+
+    text.toLowerCase().split(',').forEach(item => {
+      const match = item.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid ${field.name} "${item}"`);
+      }
+
+      const [, range, stepText] = match;
+      const step = stepText ? parseInt(stepText) : 1;
+      if (step < 1) {
+        throw new Error(`Invalid ${field.name} step "${item}"`);
+      }
+
+      let from = field.min;
+      let to = field.max;
+      if (range !== '*') {
+        const [start, end] = range.split('-');
+        from = this.parseValue(start, field);
+        // "5/15" means from 5 to the end, stepping by 15
+        to = end !== undefined ? this.parseValue(end, field) : (stepText ? field.max : from);
+      }
+
+      if (from > to) {
+        throw new Error(`Invalid ${field.name} range "${item}"`);
+      }
+
+      for (let value = from; value <= to; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  }
+
+  parseValue(text, field) {
+    const nameIndex = field.names ? field.names.indexOf(text) : -1;
+    if (!/^\d+$/.test(text) && nameIndex < 0) {
+      throw new Error(`Invalid ${field.name} "${text}"`);
+    }
+
+    const value = nameIndex >= 0 ? nameIndex + (field.min === 1 ? 1 : 0) : Number(text);
+    if (value < field.min || value > field.max) {
+      throw new Error(`The ${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    return value;
+  }
+
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      }));
+    }
+    return this.formatters.get(timeZone);
+  }
+
+  // Wall-clock time of `date` in the timezone
+  getZonedParts(date, timeZone) {
+    const parts = {};
+    this.getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      hour: parseInt(parts.hour) % 24,
+      minute: parseInt(parts.minute),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  // Does the expression match the minute containing `date`, in the timezone?
+  matches(expression, date, timeZone) {
+    const cron = this.parse(expression);
+    const { month, day, hour, minute, weekday } = this.getZonedParts(date, timeZone);
+
+    if (!cron.minutes.has(minute) || !cron.hours.has(hour) || !cron.months.has(month)) {
+      return false;
+    }
+
+    const dayOfMonthMatches = cron.daysOfMonth.has(day);
+    const dayOfWeekMatches = cron.daysOfWeek.has(weekday);
+    if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+      return dayOfMonthMatches || dayOfWeekMatches;
+    }
+    return dayOfMonthMatches && dayOfWeekMatches;
+  }
+
+  // Latest minute in the `minutes` minutes up to `at` at which the expression matched, or null
+  getLastMatch(expression, timeZone, at, minutes) {
+    const currentMinute = at.getTime() - (at.getTime() % MINUTE_MS);
+
+    for (let i = 0; i < minutes; i++) {
+      const candidate = new Date(currentMinute - i * MINUTE_MS);
+      if (this.matches(expression, candidate, timeZone)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // Earliest minute in [from, until) at which the expression matches, or null
+  getNextMatch(expression, timeZone, from, until) {
+    for (let time = from - (from % MINUTE_MS); time < until; time += MINUTE_MS) {
+      const candidate = new Date(time);
+      if (this.matches(expression, candidate, timeZone)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // End of the occurrence (lasting `durationMinutes` from a match) that covers `at`, or
+  // null if none does. The answer holds from the occurrence's start (or the current
+  // minute) until it ends or the expression next matches, and is cached for that range.
+  getActiveUntil(expression, timeZone, durationMinutes, at = new Date()) {
+    const key = `${expression}|${timeZone}|${durationMinutes}`;
+    const time = at.getTime();
+    const cached = this.ranges.get(key);
+    if (cached && cached.from <= time && time < cached.until) {
+      return cached.endsAt;
+    }
+
+    const currentMinute = time - (time % MINUTE_MS);
+    const startedAt = this.getLastMatch(expression, timeZone, at, durationMinutes);
+    const endsAt = startedAt ? new Date(startedAt.getTime() + durationMinutes * MINUTE_MS) : null;
+
+    const horizon = endsAt ? endsAt.getTime() : currentMinute + MAX_LOOKAHEAD_MINUTES * MINUTE_MS;
+    const nextMatch = this.getNextMatch(expression, timeZone, currentMinute + MINUTE_MS, horizon);
+
+    if (this.ranges.size >= MAX_CACHED_RANGES) {
+      this.ranges.forEach((range, rangeKey) => {
+        if (range.until <= time) this.ranges.delete(rangeKey);
+      });
+    }
+    this.ranges.set(key, {
+      from: startedAt ? startedAt.getTime() : currentMinute,
+      until: nextMatch ? nextMatch.getTime() : horizon,
+      endsAt
+    });
+
+    return endsAt;
+  }
+
+  // The instant a wall-clock time ("2026-03-01T02:00") has in the timezone
+  zonedTimeToUtc(localTime, timeZone) {
+    const match = String(localTime).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Offset of the timezone at a point in time, in milliseconds
+    const offsetAt = (time) => {
+      const parts = this.getZonedParts(new Date(time), timeZone);
+      const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+      return wallClock - (time - (time % MINUTE_MS));
+    };
+
+    // Once more with the offset at the result, in case it sits across a DST change
+    const guess = asUtc - offsetAt(asUtc);
+    return new Date(asUtc - offsetAt(guess));
+  }
+}
+
+// Export singleton instance
+module.exports = new CronService();
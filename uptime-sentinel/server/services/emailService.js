@@ -26,7 +26,8 @@ class EmailService {
     }
   }
 
-  async sendDowntimeAlert(website, failureDetails) {
+  // `to` defaults to the website's email; escalation policies send to their own contacts
+  async sendDowntimeAlert(website, failureDetails, to = website.email) {
     if (!this.transporter) {
       console.error('❌ Email transporter not initialized');
       return false;
@@ -46,13 +47,13 @@ class EmailService {
           name: 'Uptime Sentinel',
           address: process.env.EMAIL_USER
         },
-        to: website.email,
+        to: to,
         subject: subject,
         html: html
       };
 
       const result = await this.transporter.sendMail(mailOptions);
-      console.log(`📧 Downtime alert sent to ${website.email} for ${website.name}`);
+      console.log(`📧 Downtime alert sent to ${to} for ${website.name}`);
       return true;
     } catch (error) {
       console.error(`❌ Failed to send downtime alert for ${website.name}:`, error.message);
@@ -60,7 +61,7 @@ class EmailService {
     }
   }
 
-  async sendRecoveryNotification(website) {
+  async sendRecoveryNotification(website, to = website.email) {
     if (!this.transporter) {
       console.error('❌ Email transporter not initialized');
       return false;
@@ -80,13 +81,13 @@ class EmailService {
           name: 'Uptime Sentinel',
           address: process.env.EMAIL_USER
         },
-        to: website.email,
+        to: to,
         subject: subject,
         html: html
       };
 
       const result = await this.transporter.sendMail(mailOptions);
-      console.log(`📧 Recovery notification sent to ${website.email} for ${website.name}`);
+      console.log(`📧 Recovery notification sent to ${to} for ${website.name}`);
       return true;
     } catch (error) {
       console.error(`❌ Failed to send recovery notification for ${website.name}:`, error.message);
@@ -94,6 +95,36 @@ class EmailService {
     }
   }
 
+  // "Send test" for an email alert contact
+  async sendTestNotification(to, message) {
+    if (!this.transporter) {
+      console.error('❌ Email transporter not initialized');
+      return false;
+    }
+
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('⚠️ Email credentials not configured, skipping test notification');
+      return false;
+    }
+
+    try {
+      await this.transporter.sendMail({
+        from: {
+          name: 'Uptime Sentinel',
+          address: process.env.EMAIL_USER
+        },
+        to: to,
+        subject: '🔔 Test notification from Uptime Sentinel',
+        html: `<p>${message}</p><p>Down and recovery alerts for your websites will arrive like this one.</p>`
+      });
+      console.log(`📧 Test notification sent to ${to}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to send test notification to ${to}:`, error.message);
+      return false;
+    }
+  }
+
   generateDowntimeEmailTemplate(website, failureDetails) {
     const timestamp = new Date().toLocaleString();
     
@@ -156,6 +187,15 @@ class EmailService {
           font-size: 12px; 
           font-weight: 600; 
         }
+        .ack-button { 
+          display: inline-block; 
+          background: #3b82f6; 
+          color: white; 
+          padding: 12px 24px; 
+          border-radius: 6px; 
+          text-decoration: none; 
+          font-weight: 600; 
+        }
       </style>
     </head>
     <body>
@@ -193,12 +233,24 @@ class EmailService {
             <strong>Error Details:</strong>
             <span>${failureDetails.error || 'Connection failed'}</span>
           </div>
+          ${failureDetails.duration !== undefined ? `
           <div class="detail-row">
             <strong>Response Time:</strong>
             <span>${failureDetails.duration}ms</span>
-          </div>
+          </div>` : ''}
+          ${failureDetails.escalationStep ? `
+          <div class="detail-row">
+            <strong>Escalation:</strong>
+            <span>Step ${failureDetails.escalationStep}</span>
+          </div>` : ''}
         </div>
         
+        ${failureDetails.acknowledgeUrl ? `
+        <p style="text-align: center; margin: 24px 0;">
+          <a class="ack-button" href="${failureDetails.acknowledgeUrl}">I'm on it - Acknowledge</a>
+        </p>
+        <p style="text-align: center; color: #6b7280; font-size: 14px;">Acknowledging tells your team someone is handling it and stops further escalation.</p>` : ''}
+
         <h3>What's Next?</h3>
         <ul>
           <li>Check your website manually to confirm the issue</li>
@@ -0,0 +1,190 @@
+const Incident = require('../models/Incident');
+const Website = require('../models/Website');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const notificationService = require('./notificationService');
+const maintenanceService = require('./maintenanceService');
+
+/**
+ * Escalation Service
+ *
+ * Alerts for websites with an escalation policy. When the website's incident
+ * opens, the policy is attached to it (`incident.escalation`) and each step's
+ * contacts are alerted `delayMinutes` after the incident opened, as long as it
+ * is still open and unacknowledged. After the last step everyone reached so far
+ * is alerted again every `repeatEveryMinutes`, if the policy repeats.
+ * Acknowledging the incident stops it (incidentService.acknowledge), and a
+ * maintenance window puts it on hold until the window ends. Due steps
+ * are sent by the ping worker (processDueEscalations); the recovery alert goes
+ * to the same contacts (see notificationService.notifyRecovery).
+ */
+class EscalationService {
+  constructor() {
+    this.claimMs = 2 * 60 * 1000; // A step being sent is not due again before this
+    this.batchSize = 50; // Most steps sent per processDueEscalations run
+  }
+
+  // Attach the website's policy to its newly opened incident and send the steps
+  // that are already due. Returns whether the alert is taken care of: true once a
+  // due step reached one of its contacts, or when the first step is not due yet
+  // (processDueEscalations sends it). False if the policy is gone, no contact was
+  // reached, or the incident was escalated before (a retry after such a failure),
+  // so the caller can fall back to the website's own email and channels.
+  async start(website, incident) {
+    const policy = await EscalationPolicy.findOne({ _id: website.escalationPolicy, user: website.user });
+    if (!policy) {
+      console.warn(`⚠️ Escalation policy of ${website.name} not found, alerting its email and channels`);
+      return false;
+    }
+
+    // Only once per incident, even if several processes see the threshold crossed
+    const claimed = await Incident.findOneAndUpdate(
+      { _id: incident._id, status: 'open', acknowledgedAt: null, 'escalation.policy': { $exists: false } },
+      {
+        $set: {
+          escalation: {
+            policy: policy._id,
+            nextStep: 0,
+            nextNotifyAt: new Date(Date.now() + this.claimMs),
+            notifiedContacts: [],
+            repeats: 0
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    console.log(`📟 Escalating ${website.name} with policy "${policy.name}"`);
+    const delivered = await this.runDueSteps(claimed, website, policy);
+    if (delivered === false) {
+      console.warn(`⚠️ No contact of ${website.name}'s escalation policy was reached, alerting its email and channels`);
+    }
+    return delivered !== false;
+  }
+
+  // Send the steps of escalated incidents that are due; called periodically by the ping worker
+  async processDueEscalations() {
+    let processed = 0;
+
+    while (processed < this.batchSize) {
+      const now = new Date();
+      const incident = await Incident.findOneAndUpdate(
+        { status: 'open', acknowledgedAt: null, 'escalation.nextNotifyAt': { $lte: now } },
+        { $set: { 'escalation.nextNotifyAt': new Date(now.getTime() + this.claimMs) } },
+        { sort: { 'escalation.nextNotifyAt': 1 }, new: true }
+      );
+      if (!incident) break;
+
+      const [website, policy] = await Promise.all([
+        Website.findById(incident.website),
+        EscalationPolicy.findById(incident.escalation.policy)
+      ]);
+
+      if (!website || !policy) {
+        await this.stop(incident);
+        continue;
+      }
+
+      const maintenance = await maintenanceService.getActiveWindow(website, now);
+      if (maintenance) {
+        await Incident.updateOne(
+          { _id: incident._id, acknowledgedAt: null },
+          { $set: { 'escalation.nextNotifyAt': maintenance.endsAt } }
+        );
+        continue;
+      }
+
+      await this.runDueSteps(incident, website, policy);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  // Send every step due by now (several when they share a delay), then schedule the next one.
+  // Returns whether any contact was reached, or null if nothing was due.
+  async runDueSteps(incident, website, policy) {
+    const escalation = incident.escalation;
+    const openedAt = incident.createdAt || new Date();
+    const now = Date.now();
+    const notified = new Set((escalation.notifiedContacts || []).map(String));
+    let { nextStep, repeats } = escalation;
+    let sentRepeat = false;
+    let delivered = null;
+
+    const stepDueAt = (step) => openedAt.getTime() + step.delayMinutes * 60 * 1000;
+
+    while (nextStep < policy.steps.length && stepDueAt(policy.steps[nextStep]) <= now) {
+      const step = policy.steps[nextStep];
+      delivered = await this.notify(website, incident, step.contacts, nextStep + 1) || delivered === true;
+      step.contacts.forEach(contact => notified.add(String(contact)));
+      nextStep++;
+    }
+
+    // Past the last step: a repeat is due if the previous alert was one interval ago
+    if (nextStep >= policy.steps.length && policy.repeatEveryMinutes > 0 && escalation.nextStep >= policy.steps.length) {
+      delivered = await this.notify(website, incident, [...notified], null) || delivered === true;
+      repeats++;
+      sentRepeat = true;
+    }
+
+    let nextNotifyAt = null;
+    if (nextStep < policy.steps.length) {
+      nextNotifyAt = new Date(stepDueAt(policy.steps[nextStep]));
+    } else if (policy.repeatEveryMinutes > 0) {
+      nextNotifyAt = new Date(now + policy.repeatEveryMinutes * 60 * 1000);
+    }
+
+    await Incident.updateOne(
+      { _id: incident._id },
+      {
+        $set: {
+          'escalation.nextStep': nextStep,
+          'escalation.notifiedContacts': [...notified],
+          'escalation.repeats': repeats
+        }
+      }
+    );
+    // Unless it was acknowledged meanwhile
+    await Incident.updateOne(
+      { _id: incident._id, acknowledgedAt: null },
+      { $set: { 'escalation.nextNotifyAt': nextNotifyAt } }
+    );
+
+    // Keep the in-memory incident in step, for the recovery alert
+    incident.escalation.nextStep = nextStep;
+    incident.escalation.nextNotifyAt = nextNotifyAt;
+    incident.escalation.notifiedContacts = [...notified];
+    incident.escalation.repeats = repeats;
+
+    if (sentRepeat) {
+      console.log(`🔁 Repeated escalation for ${website.name} (${repeats})`);
+    }
+
+    return delivered;
+  }
+
+  async notify(website, incident, contacts, escalationStep) {
+    const details = {
+      error: incident.rootCause?.message,
+      consecutiveFailures: website.consecutiveFailures,
+      timestamp: new Date().toISOString(),
+      ...(escalationStep && { escalationStep })
+    };
+
+    return notificationService.sendToChannels(website, {
+      type: 'down',
+      website,
+      details,
+      incident,
+      escalationStep: escalationStep || undefined
+    }, contacts);
+  }
+
+  async stop(incident) {
+    await Incident.updateOne({ _id: incident._id }, { $set: { 'escalation.nextNotifyAt': null } });
+  }
+}
+
+// Export singleton instance
+module.exports = new EscalationService();
@@ -0,0 +1,176 @@
+const MonitorEvent = require('../models/MonitorEvent');
+const Counter = require('../models/Counter');
+
+const SEQUENCE_NAME = 'monitor-events';
+
+/**
+ * Event Bus
+ *
+ * Carries check results, status changes, incident events and website edits and
+ * removals between processes
+ * through the capped `monitorevents` collection. Any process publishes by inserting
+ * an event; the API server follows the collection with a tailable cursor and hands
+ * each new event to its listeners (see realtimeService). Events published while no
+ * API server is listening are not replayed.
+ *
+ * Every event gets the next number of a shared counter (`seq`) when it is published;
+ * ObjectIds from different processes don't sort in publishing order, so following,
+ * resuming and catching up all go by `seq`. A follower resumes after the highest `seq`
+ * it has delivered and also asks again for lower ones it skipped (see trackSeq). It doubles as the cursor: clients remember
+ * the last one they were sent and, after reconnecting, ask for what they missed with
+ * getEventsSince.
+ */
+class EventBus {
+  constructor() {
+    this.listeners = [];
+    this.isRunning = false;
+    this.cursor = null;
+    this.retryDelayMs = 1000;
+    this.initPromise = null;
+    this.lastSeq = null; // Latest event delivered to the listeners
+    this.maxCatchUpEvents = 1000;
+    // Seqs below lastSeq that haven't been delivered yet, and when the gap was noticed
+    this.missingSeqs = new Map();
+    this.gapTimeoutMs = 60 * 1000; // A seq still missing after this was never published
+    this.maxMissingSeqs = 1000;
+  }
+
+  // The collection has to exist as a capped collection before it is written to or tailed
+  ensureCollection() {
+    if (!this.initPromise) {
+      this.initPromise = MonitorEvent.init();
+    }
+    return this.initPromise;
+  }
+
+  async publish(type, website, payload = {}) {
+    try {
+      await this.ensureCollection();
+      const seq = await Counter.next(SEQUENCE_NAME);
+      await MonitorEvent.create({ type, website: website._id, user: website.user, seq, payload });
+    } catch (error) {
+      console.error(`⚠️ Could not publish ${type} event for ${website.name}:`, error.message);
+    }
+  }
+
+  on(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Start delivering events published from now on
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    await this.ensureCollection();
+    const latest = await this.findLatest();
+    this.lastSeq = latest ? latest.seq : null;
+    this.missingSeqs.clear();
+
+    this.follow();
+    console.log('📬 Event bus listening for worker events');
+  }
+
+  // The latest event by `seq`; events written before `seq` existed are left out
+  findLatest() {
+    return MonitorEvent.findOne({ seq: { $gt: 0 } }).sort({ seq: -1 }).select('seq').lean();
+  }
+
+  async follow() {
+    while (this.isRunning) {
+      try {
+        this.cursor = MonitorEvent.find(this.resumeFilter()).tailable(true, { awaitData: true }).lean().cursor();
+
+        for await (const event of this.cursor) {
+          this.trackSeq(event.seq);
+          this.dispatch(event);
+        }
+      } catch (error) {
+        if (this.isRunning) {
+          console.error('⚠️ Event bus cursor closed:', error.message);
+        }
+      }
+
+      // A tailable cursor ends right away on an empty collection, and whenever it is
+      // lost; open a new one after the last event delivered
+      if (this.isRunning) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+      }
+    }
+  }
+
+  // A tailable cursor returns events in insertion order, which differs from `seq` order
+  // when processes publish at the same moment: an event can be inserted after one with a
+  // higher `seq`. The seqs skipped on the way to a delivered event are remembered until
+  // they arrive (or time out, for a publish that failed after taking its number)
+  trackSeq(seq, now = Date.now()) {
+    if (this.missingSeqs.delete(seq)) return;
+
+    if (this.lastSeq !== null && seq > this.lastSeq + 1) {
+      for (let missing = Math.max(this.lastSeq + 1, seq - this.maxMissingSeqs); missing < seq; missing++) {
+        this.missingSeqs.set(missing, now);
+      }
+      while (this.missingSeqs.size > this.maxMissingSeqs) {
+        this.missingSeqs.delete(this.missingSeqs.keys().next().value);
+      }
+    }
+
+    this.lastSeq = Math.max(this.lastSeq || 0, seq);
+  }
+
+  // Where a new cursor picks up: after the last event delivered, plus the missing seqs
+  resumeFilter(now = Date.now()) {
+    for (const [seq, noticedAt] of this.missingSeqs) {
+      if (now - noticedAt > this.gapTimeoutMs) {
+        this.missingSeqs.delete(seq);
+      }
+    }
+
+    const after = { seq: { $gt: this.lastSeq || 0 } };
+    return this.missingSeqs.size > 0
+      ? { $or: [after, { seq: { $in: [...this.missingSeqs.keys()] } }] }
+      : after;
+  }
+
+  // Events matching `filter` published after the `since` event, up to the latest one.
+  // `resync` is set when they can't all be returned: the `since` event has already been
+  // overwritten in the capped collection, or more than maxCatchUpEvents match
+  async getEventsSince(since, filter = {}) {
+    await this.ensureCollection();
+    const [known, latest] = await Promise.all([
+      MonitorEvent.exists({ seq: since }),
+      this.findLatest()
+    ]);
+
+    if (!known) {
+      return { resync: true, cursor: latest ? String(latest.seq) : null, events: [] };
+    }
+
+    const events = await MonitorEvent.find({ ...filter, seq: { $gt: since, $lte: latest.seq } })
+      .sort({ seq: 1 })
+      .limit(this.maxCatchUpEvents + 1)
+      .lean();
+    const resync = events.length > this.maxCatchUpEvents;
+
+    return { resync, cursor: String(latest.seq), events: resync ? [] : events };
+  }
+
+  dispatch(event) {
+    this.listeners.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch(error => console.error(`❌ Error handling ${event.type} event:`, error.message));
+    });
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.cursor) {
+      await this.cursor.close().catch(() => {});
+      this.cursor = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EventBus();
@@ -0,0 +1,76 @@
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+
+/**
+ * Global Stats Service
+ *
+ * Platform-wide numbers for the landing page: websites monitored, checks run
+ * today (UTC), and uptime and average response time over the last 24 hours.
+ * Computed at most once per GLOBAL_STATS_CACHE_SECONDS (default 60) and shared
+ * by GET /api/stats/global and the `global-stats` WebSocket channel.
+ */
+class GlobalStatsService {
+  constructor() {
+    this.cacheMs = (parseInt(process.env.GLOBAL_STATS_CACHE_SECONDS) || 60) * 1000;
+    this.cached = null;
+    this.pending = null; // Computation in progress, shared by concurrent callers
+  }
+
+  async getStats({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.cached && Date.now() - this.cached.computedAt < this.cacheMs) {
+      return this.cached.stats;
+    }
+
+    if (!this.pending) {
+      this.pending = this.computeStats()
+        .then(stats => {
+          this.cached = { stats, computedAt: Date.now() };
+          return stats;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  }
+
+  async computeStats() {
+    const now = new Date();
+    const startOfToday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const since24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+    const [totalWebsitesMonitored, pingsToday, [last24h]] = await Promise.all([
+      Website.countDocuments(),
+      PingResult.countDocuments({ timestamp: { $gte: startOfToday } }),
+      PingResult.aggregate([
+        // Checks during a maintenance window count towards neither average
+        { $match: { timestamp: { $gte: since24h }, maintenance: { $ne: true } } },
+        {
+          $group: {
+            _id: null,
+            checks: { $sum: 1 },
+            successfulChecks: { $sum: { $cond: ['$success', 1, 0] } },
+            // Failed checks are left out: their duration is mostly time spent waiting for a timeout
+            averageResponseTime: { $avg: { $cond: ['$success', '$duration', null] } }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      totalWebsitesMonitored,
+      pingsToday,
+      averageUptime: last24h && last24h.checks > 0
+        ? Math.round((last24h.successfulChecks / last24h.checks) * 1000) / 10
+        : null,
+      averageResponseTime: last24h && last24h.averageResponseTime !== null
+        ? Math.round(last24h.averageResponseTime)
+        : null,
+      updatedAt: now
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GlobalStatsService();
@@ -0,0 +1,240 @@
+const jwt = require('jsonwebtoken');
+const Incident = require('../models/Incident');
+const PingResult = require('../models/PingResult');
+const eventBus = require('./eventBus');
+
+/**
+ * Incident Service
+ *
+ * Keeps the incident record of each website in step with its checks:
+ * a failure that takes `consecutiveFailures` to the website's
+ * `failureThreshold` opens an incident, further failures are counted on it,
+ * and the next successful check resolves it. Used by the ping worker and the immediate ping service.
+ *
+ * While it is open, an incident can be acknowledged once (which stops its
+ * escalation), from the dashboard or a signed link in the downtime email, and
+ * teammates can add notes to its timeline.
+ */
+class IncidentService {
+  constructor() {
+    this.defaultFailureThreshold = 3; // For websites saved before failureThreshold existed
+    this.ackLinkDays = parseInt(process.env.INCIDENT_ACK_LINK_DAYS) || 7;
+    this.publicApiUrl = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/$/, '');
+  }
+
+  // Consecutive failed checks before a website counts as down
+  getFailureThreshold(website) {
+    return website.failureThreshold || this.defaultFailureThreshold;
+  }
+
+  async getOpenIncident(website) {
+    return Incident.findOne({ website: website._id, status: 'open' });
+  }
+
+  // Call after a failed check has been recorded (consecutiveFailures already incremented)
+  async recordFailure(website, failure) {
+    try {
+      const openIncident = await this.getOpenIncident(website);
+
+      if (openIncident) {
+        openIncident.failedChecks += 1;
+        return await openIncident.save();
+      }
+
+      if (website.consecutiveFailures < this.getFailureThreshold(website)) {
+        return null;
+      }
+
+      return await this.openIncident(website, failure);
+    } catch (error) {
+      console.error(`❌ Failed to record incident for ${website.name}:`, error.message);
+      return null;
+    }
+  }
+
+  async openIncident(website, failure) {
+    const incident = new Incident({
+      website: website._id,
+      user: website.user,
+      startedAt: await this.findOutageStart(website),
+      rootCause: {
+        errorType: failure.errorType,
+        message: failure.message,
+        statusCode: failure.statusCode,
+        failedAssertion: failure.failedAssertion
+      },
+      failedChecks: website.consecutiveFailures
+    });
+
+    try {
+      await incident.save();
+    } catch (error) {
+      // Another process opened it first
+      if (error.code === 11000) {
+        return this.getOpenIncident(website);
+      }
+      throw error;
+    }
+
+    console.log(`🚨 Incident opened for ${website.name}: ${failure.message}`);
+    await eventBus.publish('incident-opened', website, {
+      incidentId: String(incident._id),
+      startedAt: incident.startedAt,
+      errorType: failure.errorType,
+      message: failure.message
+    });
+    return incident;
+  }
+
+  // The outage started with the first failed check after the last successful one.
+  // Failures during a maintenance window are not part of it (they aren't counted
+  // towards the threshold); a success then still ends the outage before it.
+  async findOutageStart(website) {
+    const lastSuccess = await PingResult.findOne({ website: website._id, success: true })
+      .sort({ timestamp: -1 })
+      .select('timestamp')
+      .lean();
+
+    const firstFailure = await PingResult.findOne({
+      website: website._id,
+      success: false,
+      maintenance: { $ne: true },
+      ...(lastSuccess && { timestamp: { $gt: lastSuccess.timestamp } })
+    })
+      .sort({ timestamp: 1 })
+      .select('timestamp')
+      .lean();
+
+    return firstFailure ? firstFailure.timestamp : new Date();
+  }
+
+  // Call after a successful check; returns the resolved incident, if there was one
+  async resolveIncident(website) {
+    try {
+      const incident = await this.getOpenIncident(website);
+      if (!incident) return null;
+
+      incident.status = 'resolved';
+      incident.resolvedAt = new Date();
+      incident.durationSeconds = Math.round((incident.resolvedAt - incident.startedAt) / 1000);
+      await incident.save();
+
+      console.log(`✅ Incident resolved for ${website.name} after ${incident.durationSeconds}s`);
+      await eventBus.publish('incident-resolved', website, {
+        incidentId: String(incident._id),
+        startedAt: incident.startedAt,
+        resolvedAt: incident.resolvedAt,
+        durationSeconds: incident.durationSeconds
+      });
+      return incident;
+    } catch (error) {
+      console.error(`❌ Failed to resolve incident for ${website.name}:`, error.message);
+      return null;
+    }
+  }
+
+  // Returns the acknowledged incident, or null if it is resolved or was already acknowledged
+  async acknowledge(incident, website, { user = null, name, via }) {
+    const acknowledged = await Incident.findOneAndUpdate(
+      { _id: incident._id, status: 'open', acknowledgedAt: null },
+      {
+        $set: {
+          acknowledgedAt: new Date(),
+          acknowledgedBy: { user, name, via },
+          'escalation.nextNotifyAt': null // Stops escalation
+        }
+      },
+      { new: true }
+    );
+    if (!acknowledged) return null;
+
+    console.log(`🙋 Incident for ${website.name} acknowledged by ${name} (${via})`);
+    await eventBus.publish('incident-acknowledged', website, {
+      incidentId: String(acknowledged._id),
+      acknowledgedAt: acknowledged.acknowledgedAt,
+      acknowledgedBy: name
+    });
+    return acknowledged;
+  }
+
+  async addNote(incident, user, text) {
+    return Incident.findOneAndUpdate(
+      { _id: incident._id },
+      { $push: { notes: { author: user._id, authorName: user.fullName, text } } },
+      { new: true, runValidators: true }
+    );
+  }
+
+  // What happened, oldest first: opened, alerts sent, acknowledged, notes, resolved
+  getTimeline(incident) {
+    const entries = [
+      { type: 'opened', at: incident.startedAt, text: incident.rootCause?.message || 'Website went down' },
+      ...incident.notifications.map(notification => ({
+        type: 'notification',
+        at: notification.sentAt,
+        text: `${notification.type === 'down' ? 'Alert' : 'Recovery notice'} to ${notification.recipient || notification.channel} via ${notification.channel}` +
+          `${notification.escalationStep ? ` (escalation step ${notification.escalationStep})` : ''}` +
+          `${notification.success ? '' : ' failed'}`
+      })),
+      ...incident.notes.map(note => ({
+        type: 'note',
+        at: note.createdAt,
+        author: note.authorName,
+        text: note.text
+      }))
+    ];
+
+    if (incident.acknowledgedAt) {
+      entries.push({
+        type: 'acknowledged',
+        at: incident.acknowledgedAt,
+        author: incident.acknowledgedBy?.name,
+        text: `Acknowledged from the ${incident.acknowledgedBy?.via === 'email' ? 'downtime email' : 'dashboard'}`
+      });
+    }
+    if (incident.resolvedAt) {
+      entries.push({ type: 'resolved', at: incident.resolvedAt, text: 'Website is back up' });
+    }
+
+    return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  // Link for the downtime email; the token names the incident and who it was sent to
+  getAcknowledgeUrl(incident, recipient) {
+    if (!incident) return null;
+
+    const token = jwt.sign(
+      { incidentId: String(incident._id), recipient, purpose: 'incident-ack' },
+      process.env.JWT_SECRET || 'uptime-sentinel-secret',
+      { expiresIn: `${this.ackLinkDays}d` }
+    );
+    return `${this.publicApiUrl}/api/incidents/${incident._id}/email-acknowledge?token=${encodeURIComponent(token)}`;
+  }
+
+  // The recipient the link was sent to, or null if the token isn't valid for this incident
+  verifyAcknowledgeToken(incidentId, token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'uptime-sentinel-secret');
+      if (decoded.purpose !== 'incident-ack' || decoded.incidentId !== incidentId) return null;
+      return decoded.recipient || 'email recipient';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async addNotification(incident, notification) {
+    if (!incident) return;
+
+    try {
+      await Incident.updateOne(
+        { _id: incident._id },
+        { $push: { notifications: { channel: 'email', sentAt: new Date(), ...notification } } }
+      );
+    } catch (error) {
+      console.error('❌ Failed to log incident notification:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new IncidentService();
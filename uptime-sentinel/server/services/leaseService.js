@@ -0,0 +1,119 @@
+const os = require('os');
+const Website = require('../models/Website');
+
+/**
+ * Lease Service
+ *
+ * Lets several ping workers share the websites collection. A worker claims a
+ * due website by setting itself as the lease owner in the same atomic update
+ * that finds it, so no two workers check the same website. The lease is released
+ * once the check has been recorded; if the worker dies first, the lease expires
+ * and another worker recovers the check.
+ *
+ * Claiming a website answers the "check now" requests made so far. One made
+ * while the check runs is left in `checkRequestedAt` and queued again when the
+ * lease is released, so it isn't overwritten by the running check's result.
+ */
+class LeaseService {
+  constructor() {
+    this.workerId = process.env.WORKER_ID || `${os.hostname()}:${process.pid}`;
+    // Must outlast a full cycle, or a slow check could be claimed a second time
+    this.leaseMs = (parseInt(process.env.PING_LEASE_SECONDS) || 600) * 1000;
+    // Most websites one worker claims per cycle; the rest are left to other workers or the next cycle
+    this.batchSize = parseInt(process.env.PING_CLAIM_BATCH_SIZE) || 100;
+  }
+
+  // Websites that are due, not paused and not leased by a worker
+  dueFilter(now) {
+    return {
+      $and: [
+        {
+          $or: [
+            // Websites whose nextPingTime has arrived or passed
+            { nextPingTime: { $lte: now } },
+            // Websites that don't have a nextPingTime set yet (legacy data)
+            { nextPingTime: { $exists: false } }
+          ]
+        },
+        { isTemporarilyStopped: { $ne: true } }, // Also matches websites without the field
+        { leaseExpiresAt: null } // Also matches websites saved before leases existed
+      ]
+    };
+  }
+
+  // Clear leases left behind by a worker that stopped mid-cycle
+  async recoverExpiredLeases(now = new Date()) {
+    const result = await Website.updateMany(
+      { leaseExpiresAt: { $lte: now } },
+      { $set: { leaseOwner: null, leaseExpiresAt: null } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`♻️ Recovered ${result.modifiedCount} check(s) whose lease expired`);
+    }
+    return result.modifiedCount;
+  }
+
+  // Claim up to batchSize due websites for this worker: requested checks first, then the most overdue
+  async claimDueWebsites(now = new Date()) {
+    await this.recoverExpiredLeases(now);
+
+    const claimed = [];
+    const leaseExpiresAt = new Date(now.getTime() + this.leaseMs);
+
+    while (claimed.length < this.batchSize) {
+      const website = await Website.findOneAndUpdate(
+        this.dueFilter(now),
+        { $set: { leaseOwner: this.workerId, leaseExpiresAt, checkRequestedAt: null } },
+        { new: true, sort: { checkRequestedAt: -1, nextPingTime: 1 } }
+      );
+
+      if (!website) break;
+      claimed.push(website);
+    }
+
+    return claimed;
+  }
+
+  // Clears the lease and makes the website due again if a check was requested while it was leased
+  // (unless the check's result paused it)
+  releaseUpdate() {
+    return [{
+      $set: {
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        nextPingTime: {
+          $cond: [
+            { $and: [{ $ifNull: ['$checkRequestedAt', false] }, { $ne: ['$isTemporarilyStopped', true] }] },
+            '$checkRequestedAt',
+            '$nextPingTime'
+          ]
+        }
+      }
+    }];
+  }
+
+  // Release a lease after the check has been recorded (unless another worker has since recovered it)
+  async release(website) {
+    try {
+      await Website.updateOne(
+        { _id: website._id, leaseOwner: this.workerId },
+        this.releaseUpdate()
+      );
+    } catch (error) {
+      console.error(`❌ Failed to release lease for ${website.name}:`, error.message);
+    }
+  }
+
+  // Release every lease this worker still holds (on shutdown)
+  async releaseAll() {
+    const result = await Website.updateMany(
+      { leaseOwner: this.workerId },
+      this.releaseUpdate()
+    );
+    return result.modifiedCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new LeaseService();
@@ -0,0 +1,63 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+
+/**
+ * Maintenance Service
+ *
+ * Tells whether websites are inside one of their user's maintenance windows.
+ * The ping worker (and "check now") still run checks during a window but
+ * record them as maintenance: a failure there doesn't count towards the
+ * failure threshold, opens no incident and sends no alert or webhook, and
+ * statsService leaves maintenance checks out of uptime.
+ */
+class MaintenanceService {
+  // The active window covering the website that lasts longest, as { window, endsAt }, or null
+  async getActiveWindow(website, at = new Date()) {
+    const windows = await MaintenanceWindow.find({
+      user: website.user,
+      enabled: true,
+      $or: [{ websites: website._id }, { tags: { $in: website.tags || [] } }]
+    });
+
+    return this.findActiveWindow(website, this.getActiveWindows(windows, at));
+  }
+
+  // Map of website id -> { window, endsAt } for the websites currently in maintenance
+  async getActiveWindowsForWebsites(websites, at = new Date()) {
+    const result = new Map();
+    if (websites.length === 0) return result;
+
+    const userIds = [...new Set(websites.map(website => String(website.user)))];
+    const windows = await MaintenanceWindow.find({ user: { $in: userIds }, enabled: true });
+    const active = this.getActiveWindows(windows, at);
+
+    websites.forEach(website => {
+      const match = this.findActiveWindow(website, active.filter(({ window }) => String(window.user) === String(website.user)));
+      if (match) {
+        result.set(String(website._id), match);
+      }
+    });
+
+    return result;
+  }
+
+  // The windows active at `at`, each worked out once however many websites it covers
+  getActiveWindows(windows, at) {
+    return windows
+      .map(window => ({ window, endsAt: window.getActiveUntil(at) }))
+      .filter(({ endsAt }) => endsAt);
+  }
+
+  findActiveWindow(website, activeWindows) {
+    return activeWindows
+      .filter(({ window }) => window.covers(website))
+      .reduce((longest, current) => (!longest || current.endsAt > longest.endsAt ? current : longest), null);
+  }
+
+  // What the dashboard shows for a website in maintenance
+  summarize(active) {
+    return active ? { windowId: active.window._id, name: active.window.name, endsAt: active.endsAt } : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new MaintenanceService();
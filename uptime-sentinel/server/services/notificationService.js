@@ -0,0 +1,135 @@
+const NotificationChannel = require('../models/NotificationChannel');
+const emailService = require('./emailService');
+const incidentService = require('./incidentService');
+const WebhookChannel = require('./notifications/webhookChannel');
+const SlackChannel = require('./notifications/slackChannel');
+const EmailChannel = require('./notifications/emailChannel');
+
+/**
+ * Notification Service
+ *
+ * Sends down and recovery alerts for a website: by email to `website.email`,
+ * and to each enabled channel the website picked in `notificationChannels`.
+ * Websites with an escalation policy are alerted by escalationService instead,
+ * and their recovery goes to the contacts it reached. Every delivery attempt is
+ * logged on the incident. Channel types are implemented in services/notifications.
+ */
+class NotificationService {
+  constructor() {
+    this.channelTypes = {
+      slack: new SlackChannel(),
+      webhook: new WebhookChannel(),
+      email: new EmailChannel()
+    };
+  }
+
+  // Returns whether the alert reached at least one destination
+  async notifyDown(website, failureDetails, incident) {
+    const emailSent = await emailService.sendDowntimeAlert(website, {
+      ...failureDetails,
+      acknowledgeUrl: incidentService.getAcknowledgeUrl(incident, website.email)
+    });
+    await incidentService.addNotification(incident, { type: 'down', recipient: website.email, success: emailSent });
+
+    const channelsSent = await this.sendToChannels(website, {
+      type: 'down',
+      website,
+      details: { ...failureDetails, consecutiveFailures: website.consecutiveFailures },
+      incident
+    });
+
+    return emailSent || channelsSent;
+  }
+
+  async notifyRecovery(website, incident) {
+    const recovery = {
+      type: 'recovery',
+      website,
+      details: incident ? { downtimeMs: incident.durationSeconds * 1000 } : {},
+      incident
+    };
+
+    // Escalated incidents: tell everyone who was alerted, and only them
+    const escalatedContacts = incident?.escalation?.notifiedContacts;
+    if (escalatedContacts && escalatedContacts.length > 0) {
+      return this.sendToChannels(website, recovery, escalatedContacts);
+    }
+
+    const emailSent = await emailService.sendRecoveryNotification(website);
+    await incidentService.addNotification(incident, { type: 'recovery', recipient: website.email, success: emailSent });
+
+    const channelsSent = await this.sendToChannels(website, recovery);
+
+    return emailSent || channelsSent;
+  }
+
+  // "Send test notification"; the result is also kept as the channel's last delivery
+  async sendTest(channel) {
+    return this.send(channel, {
+      type: 'test',
+      website: { name: 'Uptime Sentinel', url: process.env.CLIENT_URL_PROD || 'https://uptime-sentinel.app' },
+      details: { message: `Test notification for channel "${channel.name}"` }
+    });
+  }
+
+  // Sends to the website's channels, or to `channelIds` (an escalation step's contacts)
+  async sendToChannels(website, notification, channelIds = website.notificationChannels) {
+    if (!channelIds || channelIds.length === 0) {
+      return false;
+    }
+
+    const channels = await NotificationChannel.find({
+      _id: { $in: channelIds },
+      user: website.user,
+      enabled: true
+    });
+
+    const results = await Promise.all(channels.map(async (channel) => {
+      const result = await this.send(channel, notification);
+      await incidentService.addNotification(notification.incident, {
+        channel: channel.type,
+        type: notification.type,
+        recipient: channel.type === 'email' ? channel.email : channel.name,
+        escalationStep: notification.escalationStep,
+        success: result.success
+      });
+      return result.success;
+    }));
+
+    return results.some(Boolean);
+  }
+
+  // Never throws: failures are returned as { success: false, error }
+  async send(channel, notification) {
+    const channelType = this.channelTypes[channel.type];
+    let result;
+
+    try {
+      if (!channelType) {
+        throw new Error(`Unknown channel type: ${channel.type}`);
+      }
+      result = await channelType.send(channel, notification);
+      if (!result.success && !result.error) {
+        result.error = `Webhook responded with HTTP ${result.statusCode}`;
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      console.log(`💬 ${notification.type} notification sent to ${channel.type} channel "${channel.name}"`);
+    } else {
+      console.error(`❌ Failed to send ${notification.type} notification to ${channel.type} channel "${channel.name}":`, result.error);
+    }
+
+    await NotificationChannel.updateOne(
+      { _id: channel._id },
+      { $set: { lastDelivery: { at: new Date(), ...result } } }
+    ).catch(error => console.error('❌ Failed to record channel delivery:', error.message));
+
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
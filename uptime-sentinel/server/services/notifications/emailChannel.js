@@ -0,0 +1,32 @@
+const emailService = require('../emailService');
+const incidentService = require('../incidentService');
+
+/**
+ * Email channel
+ *
+ * Sends the usual downtime and recovery emails to the channel's address
+ * instead of the website's own email. Downtime emails carry an acknowledge
+ * link signed for that address.
+ */
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  async send(channel, { type, website, details = {}, incident }) {
+    let sent;
+
+    if (type === 'down') {
+      const acknowledgeUrl = incidentService.getAcknowledgeUrl(incident, channel.email);
+      sent = await emailService.sendDowntimeAlert(website, { ...details, acknowledgeUrl }, channel.email);
+    } else if (type === 'recovery') {
+      sent = await emailService.sendRecoveryNotification(website, channel.email);
+    } else {
+      sent = await emailService.sendTestNotification(channel.email, details.message);
+    }
+
+    return sent ? { success: true } : { success: false, error: 'Email could not be sent' };
+  }
+}
+
+module.exports = EmailChannel;
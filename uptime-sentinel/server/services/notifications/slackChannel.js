@@ -0,0 +1,59 @@
+const WebhookChannel = require('./webhookChannel');
+
+const COLORS = {
+  down: '#ef4444',
+  recovery: '#10b981',
+  test: '#3b82f6'
+};
+
+/**
+ * Slack-compatible incoming webhook channel
+ *
+ * Sends a `text` summary with a colored attachment, which Slack and the
+ * Slack-compatible webhooks of Mattermost, Rocket.Chat and Discord (`/slack`)
+ * all render.
+ */
+class SlackChannel extends WebhookChannel {
+  constructor() {
+    super();
+    this.name = 'slack';
+  }
+
+  format({ type, website, details = {} }) {
+    const fields = [{ title: 'URL', value: website.url, short: false }];
+    let text;
+
+    if (type === 'down') {
+      text = `:rotating_light: *${website.name}* is DOWN`;
+      if (details.error) fields.push({ title: 'Error', value: details.error, short: false });
+      if (details.consecutiveFailures) fields.push({ title: 'Failed checks', value: String(details.consecutiveFailures), short: true });
+      if (details.duration !== undefined) fields.push({ title: 'Response time', value: `${details.duration}ms`, short: true });
+    } else if (type === 'recovery') {
+      text = `:white_check_mark: *${website.name}* is back UP`;
+      if (details.downtimeMs) fields.push({ title: 'Down for', value: formatDuration(details.downtimeMs), short: true });
+    } else {
+      text = ':bell: Test notification from Uptime Sentinel';
+    }
+
+    return {
+      text,
+      attachments: [{
+        color: COLORS[type] || COLORS.test,
+        fallback: text,
+        fields,
+        footer: 'Uptime Sentinel',
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  }
+}
+
+// "45s", "12m 3s", "2h 5m"
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+module.exports = SlackChannel;
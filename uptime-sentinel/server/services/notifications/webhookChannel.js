@@ -0,0 +1,68 @@
+const http = require('http');
+const https = require('https');
+
+const USER_AGENT = 'UptimeSentinel/1.0 (+notifications)';
+
+/**
+ * Generic webhook channel
+ *
+ * POSTs a JSON description of the alert to the channel's URL. Any 2xx
+ * response counts as delivered. Subclasses only change the body (`format`).
+ */
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+    this.timeoutMs = parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 10000;
+  }
+
+  // `notification` is { type: 'down' | 'recovery' | 'test', website, details, incident }
+  format({ type, website, details = {}, incident }) {
+    return {
+      event: type,
+      website: {
+        id: website._id ? String(website._id) : null,
+        name: website.name,
+        url: website.url
+      },
+      incident: incident ? { id: String(incident._id), startedAt: incident.startedAt } : null,
+      details,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async send(channel, notification) {
+    const { statusCode } = await this.post(channel.url, this.format(notification));
+    return { success: statusCode >= 200 && statusCode < 300, statusCode };
+  }
+
+  // Resolves with the response status code; rejects on network errors and timeouts.
+  // `body` is sent as is when it is already a string (e.g. a signed payload).
+  post(url, body, headers = {}) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          'User-Agent': USER_AGENT,
+          ...headers
+        },
+        timeout: this.timeoutMs
+      }, (response) => {
+        response.resume(); // The body isn't needed
+        response.on('end', () => resolve({ statusCode: response.statusCode }));
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`No response within ${this.timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(payload);
+    });
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,163 @@
+/**
+ * Ping Scheduler
+ *
+ * Runs the checks of one ping cycle through a bounded worker pool:
+ *   - at most `concurrency` checks in flight overall
+ *   - at most `perHostConcurrency` checks in flight against the same host,
+ *     and at least `hostSpacingMs` between two checks starting on that host
+ *   - at most `browserConcurrency` browser-probe checks in flight, since each
+ *     one holds a Chromium page open
+ *
+ * `run()` resolves with the metrics of the cycle once every check has settled.
+ */
+class PingScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 10);
+    this.perHostConcurrency = Math.max(1, options.perHostConcurrency || 2);
+    this.hostSpacingMs = Math.max(0, options.hostSpacingMs ?? 1000);
+    this.browserConcurrency = Math.max(1, options.browserConcurrency || 2);
+  }
+
+  getHost(website) {
+    try {
+      return new URL(website.url).hostname.toLowerCase();
+    } catch (error) {
+      return website.url;
+    }
+  }
+
+  run(websites, task) {
+    return new Promise((resolve) => {
+      const cycleStart = Date.now();
+      const queue = websites.map(website => ({ website, host: this.getHost(website), queuedAt: cycleStart }));
+      const hostActive = new Map();
+      const hostLastStart = new Map();
+      let active = 0;
+      let browserActive = 0;
+      let timer = null;
+
+      const metrics = {
+        due: websites.length,
+        completed: 0,
+        healthy: 0,
+        unhealthy: 0,
+        errors: 0,
+        peakConcurrency: 0,
+        totalPingMs: 0,
+        maxPingMs: 0,
+        maxQueueWaitMs: 0,
+        hostThrottles: 0
+      };
+
+      const finish = () => {
+        const durationMs = Date.now() - cycleStart;
+        const { totalPingMs, ...rest } = metrics;
+
+        resolve({
+          ...rest,
+          durationMs,
+          averagePingMs: metrics.completed > 0 ? Math.round(totalPingMs / metrics.completed) : 0,
+          throughputPerMinute: durationMs > 0 ? Math.round((metrics.completed / durationMs) * 60000) : metrics.completed
+        });
+      };
+
+      // Returns 0 if the entry can start now, the ms to wait if it is only held back
+      // by host spacing, or -1 if it has to wait for a running check to finish
+      const canStart = (entry, now) => {
+        if ((hostActive.get(entry.host) || 0) >= this.perHostConcurrency) {
+          return -1;
+        }
+
+        if (entry.website.probeEngine === 'browser' && browserActive >= this.browserConcurrency) {
+          return -1;
+        }
+
+        const lastStart = hostLastStart.get(entry.host);
+        if (lastStart !== undefined && now - lastStart < this.hostSpacingMs) {
+          return this.hostSpacingMs - (now - lastStart);
+        }
+
+        return 0;
+      };
+
+      const start = (entry, now) => {
+        const isBrowser = entry.website.probeEngine === 'browser';
+
+        active++;
+        if (isBrowser) browserActive++;
+        hostActive.set(entry.host, (hostActive.get(entry.host) || 0) + 1);
+        hostLastStart.set(entry.host, now);
+
+        metrics.peakConcurrency = Math.max(metrics.peakConcurrency, active);
+        metrics.maxQueueWaitMs = Math.max(metrics.maxQueueWaitMs, now - entry.queuedAt);
+
+        const pingStart = Date.now();
+
+        Promise.resolve()
+          .then(() => task(entry.website))
+          .then((isHealthy) => {
+            if (isHealthy) {
+              metrics.healthy++;
+            } else {
+              metrics.unhealthy++;
+            }
+          })
+          .catch((error) => {
+            metrics.errors++;
+            console.error(`❌ Unexpected error while checking ${entry.website.name}:`, error.message);
+          })
+          .finally(() => {
+            const pingMs = Date.now() - pingStart;
+            metrics.completed++;
+            metrics.totalPingMs += pingMs;
+            metrics.maxPingMs = Math.max(metrics.maxPingMs, pingMs);
+
+            active--;
+            if (isBrowser) browserActive--;
+            hostActive.set(entry.host, hostActive.get(entry.host) - 1);
+
+            dispatch();
+          });
+      };
+
+      const dispatch = () => {
+        if (queue.length === 0 && active === 0) {
+          if (timer) clearTimeout(timer);
+          return finish();
+        }
+
+        const now = Date.now();
+        let waitMs = Infinity;
+
+        for (let i = 0; i < queue.length && active < this.concurrency;) {
+          const blockedFor = canStart(queue[i], now);
+
+          if (blockedFor === 0) {
+            start(queue.splice(i, 1)[0], now);
+          } else {
+            if (blockedFor > 0) {
+              waitMs = Math.min(waitMs, blockedFor);
+            }
+            if (!queue[i].throttled) {
+              queue[i].throttled = true;
+              metrics.hostThrottles++;
+            }
+            i++;
+          }
+        }
+
+        // Wake up again when the earliest host-spaced check becomes eligible
+        if (waitMs !== Infinity && active < this.concurrency && !timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            dispatch();
+          }, waitMs);
+        }
+      };
+
+      dispatch();
+    });
+  }
+}
+
+module.exports = PingScheduler;
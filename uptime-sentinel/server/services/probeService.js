@@ -0,0 +1,211 @@
+const HttpProbe = require('./probes/httpProbe');
+const BrowserProbe = require('./probes/browserProbe');
+const assertionService = require('./assertionService');
+
+const DEFAULT_PROBE_ENGINE = 'http';
+
+// Website fields a remote probe location needs to run the same check
+const PROBE_SETTING_FIELDS = ['name', 'url', 'probeEngine', 'timeoutMs', 'acceptedStatusCodes', 'assertions'];
+
+/**
+ * Probe Service
+ *
+ * Runs a check against a website using the probe engine the website asked
+ * for (`website.probeEngine`) and decides whether the response is healthy
+ * using the website's accepted status codes and content assertions.
+ * Shared by the ping worker and the immediate ping service so both paths
+ * behave identically.
+ *
+ * A failure can be confirmed before it counts: re-checked locally after a
+ * short delay and, when PROBE_SECONDARY_URL is set, probed from a second
+ * location (another Uptime Sentinel server sharing PROBE_SECRET).
+ */
+class ProbeService {
+  constructor() {
+    this.engines = {
+      http: new HttpProbe(),
+      browser: new BrowserProbe()
+    };
+    this.retryDelayMs = 1000; // Pause between attempts of the same check
+    this.confirmationDelayMs = parseInt(process.env.CONFIRMATION_DELAY_MS) || 2000;
+    this.secondaryLocationUrl = process.env.PROBE_SECONDARY_URL || null;
+  }
+
+  getEngine(name) {
+    return this.engines[name] || this.engines[DEFAULT_PROBE_ENGINE];
+  }
+
+  /**
+   * Probe a website and attach the health verdict to the result.
+   *
+   * Uses the website's own `timeoutMs` and `retries` unless the caller
+   * overrides them; makes up to `retries` extra attempts before giving up.
+   * The last attempt's result is returned (or its error thrown).
+   */
+  async probe(website, options = {}) {
+    const engine = this.getEngine(website.probeEngine);
+    const timeoutMs = options.timeoutMs || website.timeoutMs || 30000;
+    const retries = options.retries !== undefined ? options.retries : (website.retries || 0);
+    const maxAttempts = 1 + retries;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await engine.run(website, { timeoutMs });
+        const verdict = this.evaluateHealth(website, result);
+        result.isHealthy = verdict.passed;
+        result.failureReason = verdict.reason;
+        result.failedAssertion = verdict.assertion;
+        result.attempts = attempt;
+
+        if (result.isHealthy || attempt >= maxAttempts) {
+          return result;
+        }
+
+        console.log(`🔁 ${website.name}: ${result.failureReason}, retrying (${attempt}/${maxAttempts - 1})`);
+      } catch (error) {
+        if (attempt >= maxAttempts) {
+          throw error;
+        }
+
+        console.log(`🔁 ${website.name}: ${error.message}, retrying (${attempt}/${maxAttempts - 1})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+    }
+  }
+
+  /**
+   * Probe a website; if the check fails while the website is not already
+   * failing, confirm the failure before returning it. Resolves with the first
+   * healthy result from the re-check or the secondary location, otherwise
+   * with the original result (or throws the original error). `options`
+   * override the website's timeout and retries, as for probe().
+   */
+  async probeWithConfirmation(website, options = {}) {
+    let result = null;
+    let probeError = null;
+
+    try {
+      result = await this.probe(website, options);
+    } catch (error) {
+      probeError = error;
+    }
+
+    const failed = probeError || !result.isHealthy;
+    const needsConfirmation = failed && website.confirmFailures !== false && !website.consecutiveFailures;
+
+    if (needsConfirmation) {
+      const reason = probeError ? probeError.message : result.failureReason;
+      console.log(`🔍 ${website.name}: ${reason}, confirming before counting the failure`);
+
+      const confirmation = await this.confirmFailure(website, options);
+      if (confirmation) {
+        console.log(`✅ ${website.name}: failure not confirmed by ${confirmation.source}, treating it as transient`);
+        return confirmation.result;
+      }
+    }
+
+    if (probeError) {
+      throw probeError;
+    }
+    return result;
+  }
+
+  // Returns { result, source } with a healthy result, or null if the failure is confirmed
+  async confirmFailure(website, options = {}) {
+    await new Promise(resolve => setTimeout(resolve, this.confirmationDelayMs));
+
+    try {
+      const recheck = await this.probe(website, { ...options, retries: 0 });
+      if (recheck.isHealthy) {
+        return { result: { ...recheck, confirmation: 'recheck' }, source: 'recheck' };
+      }
+    } catch (error) {
+      // Still failing locally
+    }
+
+    if (this.secondaryLocationUrl) {
+      try {
+        const remote = await this.probeRemote(website);
+        if (remote.isHealthy) {
+          return { result: { ...remote, confirmation: 'secondary' }, source: `secondary location (${remote.location || this.secondaryLocationUrl})` };
+        }
+      } catch (error) {
+        console.error(`⚠️ Secondary probe location failed for ${website.name}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  // Ask the secondary probe location to run the check (see POST /api/ping/probe)
+  async probeRemote(website) {
+    const settings = {};
+    PROBE_SETTING_FIELDS.forEach(field => {
+      if (website[field] !== undefined) {
+        settings[field] = website[field];
+      }
+    });
+
+    const timeoutMs = (website.timeoutMs || 30000) + 5000;
+    const response = await fetch(`${this.secondaryLocationUrl.replace(/\/$/, '')}/api/ping/probe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Probe-Secret': process.env.PROBE_SECRET || ''
+      },
+      body: JSON.stringify({ website: settings }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Secondary probe location responded with ${response.status}`);
+    }
+
+    const { data } = await response.json();
+    return data;
+  }
+
+  // Status code and content assertions (see assertionService)
+  evaluateHealth(website, result) {
+    const verdict = assertionService.evaluate(website, result);
+
+    if (!verdict.passed) {
+      console.log(`🩺 Assertion failed for ${website.name}: ${verdict.reason}`);
+    }
+
+    return verdict;
+  }
+
+  // Category of a failed check, stored with the ping result as `errorType`
+  classifyError(error) {
+    if (error.errorType) return error.errorType;
+
+    const message = error.message || '';
+    if (message.toLowerCase().includes('timeout')) return 'TIMEOUT';
+    if (message.includes('net::ERR')) return 'NETWORK_ERROR';
+    if (message.includes('Health check failed')) return 'HEALTH_CHECK_FAILED';
+    if (message.includes('Navigation failed')) return 'NAVIGATION_FAILED';
+    return 'UNKNOWN';
+  }
+
+  // Human readable timing breakdown for logs, e.g. "dns 4ms, connect 12ms, tls 31ms, ttfb 88ms"
+  formatTimings(timings) {
+    if (!timings || timings.firstByte === undefined) {
+      return '';
+    }
+
+    return `dns ${timings.dns}ms, connect ${timings.connect}ms, tls ${timings.tls}ms, ttfb ${timings.firstByte}ms, download ${timings.download}ms`;
+  }
+
+  isBrowserActive() {
+    return this.engines.browser.isActive();
+  }
+
+  async close() {
+    await Promise.all(Object.values(this.engines).map(engine => engine.close()));
+  }
+}
+
+// Export singleton instance
+module.exports = new ProbeService();
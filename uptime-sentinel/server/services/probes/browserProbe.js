@@ -0,0 +1,174 @@
+const puppeteer = require('puppeteer');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 UptimeSentinel/1.0';
+
+/**
+ * Headless Chromium probe
+ *
+ * Loads the page in an isolated browser context, like a real visitor would.
+ * The browser is launched lazily on the first check that needs it, so a
+ * process that only runs HTTP probes never starts Chromium at all.
+ */
+class BrowserProbe {
+  constructor() {
+    this.name = 'browser';
+    this.browser = null;
+    this.launching = null;
+  }
+
+  // Initialize browser instance (shared by every browser check in this process)
+  async initBrowser() {
+    if (this.browser) {
+      return this.browser;
+    }
+
+    // Another check is already launching the browser - wait for it
+    if (this.launching) {
+      return this.launching;
+    }
+
+    this.launching = this.launchBrowser();
+
+    try {
+      this.browser = await this.launching;
+      return this.browser;
+    } finally {
+      this.launching = null;
+    }
+  }
+
+  async launchBrowser() {
+    try {
+      console.log('🔧 Initializing Puppeteer browser...');
+
+      const puppeteerOptions = {
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu',
+          '--disable-web-security',
+          '--disable-features=VizDisplayCompositor',
+          '--disable-background-timer-throttling',
+          '--disable-backgrounding-occluded-windows',
+          '--disable-renderer-backgrounding'
+        ],
+        defaultViewport: {
+          width: 1280,
+          height: 720
+        },
+        ignoreDefaultArgs: ['--disable-extensions']
+      };
+
+      // Add production-specific options
+      if (process.env.NODE_ENV === 'production' && process.env.PUPPETEER_EXECUTABLE_PATH) {
+        puppeteerOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+      }
+
+      const browser = await puppeteer.launch(puppeteerOptions);
+
+      // Forget the instance if Chromium crashes so the next check relaunches it
+      browser.on('disconnected', () => {
+        if (this.browser === browser) {
+          this.browser = null;
+        }
+      });
+
+      const version = await browser.version();
+      console.log(`✅ Browser initialized successfully (${version})`);
+
+      return browser;
+    } catch (error) {
+      console.error('❌ Failed to initialize browser:', error.message);
+      throw error;
+    }
+  }
+
+  async run(website, { timeoutMs = 30000 } = {}) {
+    let context = null;
+    let page = null;
+    const startTime = Date.now();
+
+    try {
+      const browser = await this.initBrowser();
+
+      // Create isolated browser context (incognito mode)
+      context = await browser.createBrowserContext();
+      page = await context.newPage();
+
+      // Block images, stylesheets, fonts, and media to speed up loading
+      await page.setRequestInterception(true);
+
+      page.on('request', (request) => {
+        const blockedTypes = ['image', 'stylesheet', 'font', 'media', 'other'];
+
+        if (blockedTypes.includes(request.resourceType())) {
+          request.abort();
+        } else {
+          request.continue();
+        }
+      });
+
+      await page.setUserAgent(USER_AGENT);
+      await page.setDefaultTimeout(timeoutMs);
+      await page.setDefaultNavigationTimeout(timeoutMs);
+
+      console.log(`🌍 Navigating to: ${website.url}`);
+      const response = await page.goto(website.url, {
+        waitUntil: 'domcontentloaded',
+        timeout: timeoutMs
+      });
+
+      const duration = Date.now() - startTime;
+
+      // Page text is used by the health checks; a failure here is not a failed ping
+      let body = null;
+      try {
+        body = await page.evaluate(() => (document.body ? document.body.innerText : ''));
+      } catch (error) {
+        console.log(`⚠️ Error reading page content for ${website.name}:`, error.message);
+      }
+
+      return {
+        engine: this.name,
+        url: response ? response.url() : website.url,
+        statusCode: response ? response.status() : 0,
+        headers: response ? response.headers() : {},
+        body,
+        duration,
+        timings: { total: duration }
+      };
+    } finally {
+      // CRITICAL: Always clean up resources
+      try {
+        if (page) await page.close();
+        if (context) await context.close();
+      } catch (cleanupError) {
+        console.error('⚠️  Cleanup error:', cleanupError.message);
+      }
+    }
+  }
+
+  isActive() {
+    return !!this.browser;
+  }
+
+  async close() {
+    if (this.browser) {
+      try {
+        await this.browser.close();
+        console.log('✅ Browser closed');
+      } catch (error) {
+        console.error('❌ Error closing browser:', error.message);
+      } finally {
+        this.browser = null;
+      }
+    }
+  }
+}
+
+module.exports = BrowserProbe;
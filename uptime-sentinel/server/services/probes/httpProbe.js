@@ -0,0 +1,178 @@
+const http = require('http');
+const https = require('https');
+
+// Map Node socket/TLS error codes to the Chromium names used by the browser probe,
+// so the worker can classify failures the same way regardless of the engine
+const NETWORK_ERROR_NAMES = {
+  ENOTFOUND: 'ERR_NAME_NOT_RESOLVED',
+  EAI_AGAIN: 'ERR_NAME_NOT_RESOLVED',
+  ECONNREFUSED: 'ERR_CONNECTION_REFUSED',
+  ECONNRESET: 'ERR_CONNECTION_RESET',
+  ECONNABORTED: 'ERR_CONNECTION_ABORTED',
+  EHOSTUNREACH: 'ERR_ADDRESS_UNREACHABLE',
+  ENETUNREACH: 'ERR_ADDRESS_UNREACHABLE',
+  EPIPE: 'ERR_CONNECTION_CLOSED',
+  CERT_HAS_EXPIRED: 'ERR_CERT_DATE_INVALID',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'ERR_CERT_AUTHORITY_INVALID',
+  SELF_SIGNED_CERT_IN_CHAIN: 'ERR_CERT_AUTHORITY_INVALID',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'ERR_CERT_AUTHORITY_INVALID',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'ERR_CERT_COMMON_NAME_INVALID'
+};
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; UptimeSentinel/1.0; +http-probe)';
+
+/**
+ * Plain HTTP(S) probe
+ *
+ * Issues a single GET request (following redirects) with Node's http/https
+ * modules and records a per-phase timing breakdown. Much cheaper than the
+ * browser probe, so it is the default engine for new monitors.
+ */
+class HttpProbe {
+  constructor() {
+    this.name = 'http';
+    this.maxRedirects = 5;
+    this.maxBodyBytes = 1024 * 1024; // Only the first 1MB of the body is kept for health checks
+  }
+
+  async run(website, { timeoutMs = 30000 } = {}) {
+    const startTime = Date.now();
+    const deadline = startTime + timeoutMs;
+    let url = website.url;
+    let redirects = 0;
+
+    while (true) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw this.timeoutError(timeoutMs);
+      }
+
+      const response = await this.request(url, remaining, timeoutMs);
+      const location = response.headers.location;
+
+      if (response.statusCode >= 300 && response.statusCode < 400 && location && redirects < this.maxRedirects) {
+        url = new URL(location, url).toString();
+        redirects++;
+        continue;
+      }
+
+      return {
+        engine: this.name,
+        url,
+        redirects,
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: response.body,
+        duration: Date.now() - startTime,
+        timings: response.timings
+      };
+    }
+  }
+
+  // Perform a single request without following redirects
+  request(url, timeoutMs, totalTimeoutMs) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+      const marks = { start: Date.now() };
+
+      const req = client.request(target, {
+        method: 'GET',
+        agent: false, // Fresh connection every time so DNS/TCP/TLS timings are real
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': '*/*',
+          'Cache-Control': 'no-cache'
+        }
+      }, (res) => {
+        marks.firstByte = Date.now();
+        const chunks = [];
+        let size = 0;
+        let done = false;
+
+        const finish = () => {
+          if (done) return;
+          done = true;
+          clearTimeout(timer);
+          marks.end = Date.now();
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).subarray(0, this.maxBodyBytes).toString('utf8'),
+            timings: this.buildTimings(marks)
+          });
+        };
+
+        res.on('data', (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+
+          // The rest of the body is never looked at, so stop downloading it
+          if (size >= this.maxBodyBytes) {
+            finish();
+            res.destroy();
+          }
+        });
+
+        res.on('end', finish);
+
+        res.on('error', (error) => {
+          if (done) return;
+          done = true;
+          clearTimeout(timer);
+          reject(this.networkError(error, url));
+        });
+      });
+
+      const timer = setTimeout(() => {
+        req.destroy(this.timeoutError(totalTimeoutMs));
+      }, timeoutMs);
+
+      req.on('socket', (socket) => {
+        socket.once('lookup', () => { marks.lookup = Date.now(); });
+        socket.once('connect', () => { marks.connect = Date.now(); });
+        socket.once('secureConnect', () => { marks.secureConnect = Date.now(); });
+      });
+
+      req.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error.isProbeTimeout ? error : this.networkError(error, url));
+      });
+
+      req.end();
+    });
+  }
+
+  // Convert raw timestamps into phase durations (ms)
+  buildTimings(marks) {
+    const connected = marks.secureConnect || marks.connect || marks.lookup || marks.start;
+
+    return {
+      dns: marks.lookup ? marks.lookup - marks.start : 0,
+      connect: marks.connect ? marks.connect - (marks.lookup || marks.start) : 0,
+      tls: marks.secureConnect && marks.connect ? marks.secureConnect - marks.connect : 0,
+      firstByte: marks.firstByte - connected,
+      download: marks.end - marks.firstByte,
+      total: marks.end - marks.start
+    };
+  }
+
+  timeoutError(timeoutMs) {
+    const error = new Error(`Request timeout of ${timeoutMs} ms exceeded`);
+    error.isProbeTimeout = true;
+    return error;
+  }
+
+  networkError(error, url) {
+    const name = NETWORK_ERROR_NAMES[error.code] || 'ERR_FAILED';
+    const wrapped = new Error(`net::${name} at ${url}${error.code ? ` (${error.code})` : ''}`);
+    wrapped.code = error.code;
+    return wrapped;
+  }
+
+  async close() {
+    // Nothing to release - every request uses its own connection
+  }
+}
+
+module.exports = HttpProbe;
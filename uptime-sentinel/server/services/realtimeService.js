@@ -0,0 +1,165 @@
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const eventBus = require('./eventBus');
+const globalStatsService = require('./globalStatsService');
+const websocketManager = require('../websocket');
+const sseManager = require('../sse');
+
+// Live updates go out over the WebSocket and the Server-Sent Events fallback
+const transports = [websocketManager, sseManager];
+
+/**
+ * Realtime Service
+ *
+ * Runs in the API server and turns events from the event bus into WebSocket (and
+ * Server-Sent Events) messages: each check result or edit sends the website with fresh
+ * stats (`website-update`), a deleted website is announced with `website-removed`, and
+ * status changes and incidents are passed on as they are. The owner's dashboard totals
+ * follow as `stats-update`, at most once per STATS_UPDATE_DELAY_MS (default 2000) per user.
+ * Every message carries the event's `seq` as `cursor`, for catching up after a reconnect.
+ * It also publishes the platform-wide landing page numbers on `global-stats` every
+ * GLOBAL_STATS_INTERVAL_SECONDS (default 60).
+ */
+class RealtimeService {
+  constructor() {
+    this.globalStatsIntervalMs = (parseInt(process.env.GLOBAL_STATS_INTERVAL_SECONDS) || 60) * 1000;
+    this.globalStatsTimer = null;
+    this.removedWebsites = new Set(); // Websites deleted since this process started
+    this.maxRemovedWebsites = 10000;
+    this.statsUpdateDelayMs = parseInt(process.env.STATS_UPDATE_DELAY_MS) || 2000;
+    this.pendingStatsUpdates = new Map(); // User ID -> timer of the stats-update to send
+  }
+
+  async start() {
+    eventBus.on(event => this.handleEvent(event));
+    await eventBus.start();
+
+    this.globalStatsTimer = setInterval(() => this.publishGlobalStats(), this.globalStatsIntervalMs);
+  }
+
+  async publishGlobalStats() {
+    try {
+      const stats = await globalStatsService.getStats({ forceRefresh: true });
+      websocketManager.broadcastGlobalStats(stats);
+    } catch (error) {
+      console.error('❌ Error publishing global stats:', error.message);
+    }
+  }
+
+  async handleEvent(event) {
+    // A deleted website's events can't be deleted from the capped collection; they age out
+    // of it instead, and any published after its website-removed event are dropped here
+    const websiteId = String(event.website);
+    if (this.removedWebsites.has(websiteId)) {
+      return;
+    }
+
+    switch (event.type) {
+      case 'check-result':
+      case 'website-updated': {
+        const [website] = await Website.getWebsitesWithStats({ _id: event.website });
+        if (website) {
+          transports.forEach(transport => transport.broadcastWebsiteUpdate(website, String(event.seq)));
+        }
+        this.scheduleStatsUpdate(event.user);
+        break;
+      }
+      case 'status-change':
+        transports.forEach(transport => transport.broadcastStatusChange(event.user, this.toMessage(event)));
+        break;
+      case 'incident-opened':
+      case 'incident-acknowledged':
+      case 'incident-resolved':
+        transports.forEach(transport => transport.broadcastIncidentUpdate(event.user, this.toMessage(event)));
+        break;
+      case 'website-removed':
+        this.removedWebsites.add(websiteId);
+        if (this.removedWebsites.size > this.maxRemovedWebsites) {
+          this.removedWebsites.delete(this.removedWebsites.values().next().value);
+        }
+        transports.forEach(transport => transport.broadcastWebsiteRemoved(event.user, this.toMessage(event)));
+        this.scheduleStatsUpdate(event.user);
+        break;
+      default:
+        console.warn(`Unknown monitor event type: ${event.type}`);
+    }
+  }
+
+  // Results arrive in bursts (a cycle checks many websites at once), so one update
+  // covers every event for the user within statsUpdateDelayMs
+  scheduleStatsUpdate(userId) {
+    const key = String(userId);
+    if (this.pendingStatsUpdates.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingStatsUpdates.delete(key);
+      this.publishStatsUpdate(key);
+    }, this.statsUpdateDelayMs);
+    this.pendingStatsUpdates.set(key, timer);
+  }
+
+  async publishStatsUpdate(userId) {
+    const listening = transports.filter(transport => transport.hasUserClients(userId));
+    if (listening.length === 0) return;
+
+    try {
+      const stats = await this.getDashboardStats(userId);
+      listening.forEach(transport => transport.broadcastStatsUpdate(userId, stats));
+    } catch (error) {
+      console.error(`❌ Error publishing stats for user ${userId}:`, error.message);
+    }
+  }
+
+  // A user's dashboard totals, with the fields of the dashboard's own
+  // calculateDashboardStats; checks today are counted from midnight UTC
+  async getDashboardStats(userId) {
+    const now = new Date();
+    const startOfToday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    const websites = await Website.getWebsitesWithStats({ user: userId });
+    const totalPingsToday = websites.length > 0
+      ? await PingResult.countDocuments({ website: { $in: websites.map(website => website._id) }, timestamp: { $gte: startOfToday } })
+      : 0;
+
+    const websitesByStatus = { up: 0, down: 0, warning: 0, paused: 0 };
+    websites.forEach(website => {
+      const status = website.isTemporarilyStopped ? 'paused' : String(website.status).toLowerCase();
+      websitesByStatus[status] = (websitesByStatus[status] || 0) + 1;
+    });
+
+    const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+    // Uptime over 24 hours, of the websites checked in that time
+    const checked = websites.filter(website => website.uptime && website.uptime['24h'] !== null);
+    const responding = websites.filter(website => website.averageResponseTime > 0);
+
+    return {
+      totalWebsites: websites.length,
+      activeWebsites: websites.filter(website => !website.isTemporarilyStopped).length,
+      totalPingsToday,
+      averageUptime: average(checked.map(website => website.uptime['24h'])),
+      averageResponseTime: average(responding.map(website => website.averageResponseTime)),
+      websitesByStatus
+    };
+  }
+
+  toMessage(event) {
+    return {
+      type: event.type,
+      websiteId: String(event.website),
+      ...event.payload,
+      timestamp: event.createdAt,
+      cursor: String(event.seq)
+    };
+  }
+
+  stop() {
+    clearInterval(this.globalStatsTimer);
+    this.globalStatsTimer = null;
+    this.pendingStatsUpdates.forEach(timer => clearTimeout(timer));
+    this.pendingStatsUpdates.clear();
+    return eventBus.stop();
+  }
+}
+
+// Export singleton instance
+module.exports = new RealtimeService();
@@ -0,0 +1,170 @@
+const PingResult = require('../models/PingResult');
+const PingRollup = require('../models/PingRollup');
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Rollup Service
+ *
+ * Aggregates raw ping results into per-website hourly and daily buckets
+ * (check count, failures, min/avg/p95/max latency, downtime seconds).
+ * Checks run during a maintenance window are left out. Only completed
+ * buckets are written. Each run picks up where the previous one stopped,
+ * so missed runs are caught up; the first run backfills from the oldest
+ * ping result still kept.
+ */
+class RollupService {
+  constructor() {
+    // Range aggregated per query, so a large backfill doesn't run as one huge aggregation
+    this.chunkMs = {
+      hour: BUCKET_MS.day,
+      day: 7 * BUCKET_MS.day
+    };
+    this.isRunning = false;
+  }
+
+  // Start of the bucket containing `date` (UTC)
+  truncate(date, granularity) {
+    const time = date.getTime();
+    return new Date(time - (time % BUCKET_MS[granularity]));
+  }
+
+  // Roll up every completed hour, then every completed day
+  async run() {
+    if (this.isRunning) {
+      console.log('⏭️ Rollup still running, skipping');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const hours = await this.rollUp('hour');
+      const days = await this.rollUp('day');
+
+      console.log(`📦 Rollups written: ${hours} hourly, ${days} daily (${Date.now() - startTime}ms)`);
+      return { hours, days };
+    } catch (error) {
+      console.error('❌ Error during rollup:', error.message);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Write all completed buckets of one granularity that haven't been written yet
+  async rollUp(granularity, now = new Date()) {
+    const until = this.truncate(now, granularity);
+    let from = await PingRollup.getCoveredUntil(granularity);
+
+    if (!from) {
+      const oldest = await PingResult.findOne().sort({ timestamp: 1 }).select('timestamp').lean();
+      if (!oldest) return 0;
+      from = this.truncate(oldest.timestamp, granularity);
+    }
+
+    let written = 0;
+    while (from < until) {
+      const to = new Date(Math.min(from.getTime() + this.chunkMs[granularity], until.getTime()));
+      written += await this.rollUpRange(granularity, from, to);
+      from = to;
+    }
+
+    return written;
+  }
+
+  // Aggregate the ping results in [from, to) into buckets and upsert them
+  async rollUpRange(granularity, from, to) {
+    const bucketSeconds = BUCKET_MS[granularity] / 1000;
+
+    const buckets = await PingResult.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to } } },
+      {
+        // When did this website's next check happen? A failed check counts as downtime until then
+        $setWindowFields: {
+          partitionBy: '$website',
+          sortBy: { timestamp: 1 },
+          output: {
+            nextTimestamp: { $shift: { output: '$timestamp', by: 1 } }
+          }
+        }
+      },
+      // Maintenance checks still end the downtime of the check before them, but aren't counted
+      { $match: { maintenance: { $ne: true } } },
+      {
+        $addFields: {
+          bucketStart: { $dateTrunc: { date: '$timestamp', unit: granularity, timezone: 'UTC' } }
+        }
+      },
+      {
+        $addFields: {
+          downtimeMs: {
+            $cond: [
+              '$success',
+              0,
+              {
+                $subtract: [
+                  { $ifNull: ['$nextTimestamp', { $dateAdd: { startDate: '$bucketStart', unit: granularity, amount: 1 } }] },
+                  '$timestamp'
+                ]
+              }
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: { website: '$website', bucketStart: '$bucketStart' },
+          checks: { $sum: 1 },
+          failures: { $sum: { $cond: ['$success', 0, 1] } },
+          minLatency: { $min: '$duration' },
+          avgLatency: { $avg: '$duration' },
+          maxLatency: { $max: '$duration' },
+          latencies: { $push: '$duration' },
+          downtimeMs: { $sum: '$downtimeMs' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          website: '$_id.website',
+          bucketStart: '$_id.bucketStart',
+          checks: 1,
+          failures: 1,
+          minLatency: 1,
+          avgLatency: { $round: ['$avgLatency', 0] },
+          maxLatency: 1,
+          // Nearest-rank 95th percentile
+          p95Latency: {
+            $arrayElemAt: [
+              { $sortArray: { input: '$latencies', sortBy: 1 } },
+              { $subtract: [{ $ceil: { $multiply: [0.95, { $size: '$latencies' }] } }, 1] }
+            ]
+          },
+          downtimeSeconds: { $min: [{ $round: [{ $divide: ['$downtimeMs', 1000] }, 0] }, bucketSeconds] }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    if (buckets.length === 0) {
+      return 0;
+    }
+
+    await PingRollup.bulkWrite(buckets.map(bucket => ({
+      updateOne: {
+        filter: { website: bucket.website, granularity, bucketStart: bucket.bucketStart },
+        update: { $set: { ...bucket, granularity } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return buckets.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new RollupService();
@@ -0,0 +1,137 @@
+/**
+ * Scheduling Service
+ *
+ * Decides when a website is checked next. After a failed check the website's
+ * backoff policy applies:
+ *   - fixed:       keep checking at the normal interval for `monitorHours`,
+ *                  then pause for `pauseHours` and start over
+ *   - exponential: double the wait after every consecutive failure, up to
+ *                  `maxIntervalSeconds`; never pauses
+ *   - never:       keep checking at the normal interval; never pauses
+ *
+ * Used by Website.addPingResult, the worker's resume pass and the pause/resume endpoints.
+ * A website is paused while `isTemporarilyStopped` is set: until `stopPingUntil`,
+ * or until resumed by hand when `stopPingUntil` is null.
+ */
+class SchedulingService {
+  constructor() {
+    this.strategies = ['fixed', 'exponential', 'never'];
+    this.backoffMultiplier = 2;
+    this.defaultMaxIntervalSeconds = 3600;
+  }
+
+  // The website's policy with defaults filled in (DOWNTIME_MONITORING_HOURS / PAUSE_MONITORING_HOURS for fixed)
+  getPolicy(website) {
+    const policy = website.backoffPolicy || {};
+
+    return {
+      strategy: this.strategies.includes(policy.strategy) ? policy.strategy : 'fixed',
+      monitorHours: policy.monitorHours || parseInt(process.env.DOWNTIME_MONITORING_HOURS) || 12,
+      pauseHours: policy.pauseHours || parseInt(process.env.PAUSE_MONITORING_HOURS) || 24,
+      maxIntervalSeconds: policy.maxIntervalSeconds || this.defaultMaxIntervalSeconds
+    };
+  }
+
+  scheduleAfterSuccess(website, now = new Date()) {
+    website.nextPingTime = new Date(now.getTime() + website.getIntervalMs());
+    website.isTemporarilyStopped = false;
+    website.stopPingUntil = null;
+    website.failingSince = null;
+  }
+
+  // Call after a failed check has been counted (consecutiveFailures already incremented)
+  scheduleAfterFailure(website, now = new Date()) {
+    const policy = this.getPolicy(website);
+
+    if (!website.failingSince) {
+      website.failingSince = now;
+    }
+
+    if (policy.strategy === 'exponential') {
+      const delayMs = this.getBackoffDelayMs(website, policy);
+      website.nextPingTime = new Date(now.getTime() + delayMs);
+      console.log(`📉 ${website.name} down. Backing off: next check in ${Math.round(delayMs / 1000)}s`);
+      return;
+    }
+
+    if (policy.strategy === 'never') {
+      website.nextPingTime = new Date(now.getTime() + website.getIntervalMs());
+      return;
+    }
+
+    const windowEnd = new Date(website.failingSince.getTime() + policy.monitorHours * 60 * 60 * 1000);
+
+    if (now < windowEnd) {
+      website.nextPingTime = new Date(now.getTime() + website.getIntervalMs());
+      const timeLeft = Math.ceil((windowEnd - now) / (60 * 60 * 1000));
+      console.log(`🔄 ${website.name} down. Continuing monitoring for ${timeLeft} more hour(s).`);
+      return;
+    }
+
+    // Monitoring window has passed - pause until the worker resumes it
+    website.isTemporarilyStopped = true;
+    website.stopPingUntil = new Date(now.getTime() + policy.pauseHours * 60 * 60 * 1000);
+    website.nextPingTime = website.stopPingUntil;
+    console.log(`🛑 ${website.name} has been down for ${policy.monitorHours}+ hours. Pausing monitoring for ${policy.pauseHours} hours.`);
+  }
+
+  // Failed check during a maintenance window: keep the normal interval and leave the
+  // backoff policy's state alone, so the window doesn't pause or slow down checks
+  scheduleDuringMaintenance(website, now = new Date()) {
+    website.nextPingTime = new Date(now.getTime() + website.getIntervalMs());
+  }
+
+  // Normal interval doubled for every failure after the first, capped by the policy
+  getBackoffDelayMs(website, policy = this.getPolicy(website)) {
+    const intervalMs = website.getIntervalMs();
+    const failures = Math.max(website.consecutiveFailures || 1, 1);
+    const capMs = Math.max(policy.maxIntervalSeconds * 1000, intervalMs);
+
+    // Exponent bounded so the multiplication can't overflow for long outages
+    return Math.min(intervalMs * Math.pow(this.backoffMultiplier, Math.min(failures - 1, 30)), capMs);
+  }
+
+  // Paused by hand: stays paused until resumed
+  pause(website) {
+    website.isTemporarilyStopped = true;
+    website.stopPingUntil = null;
+  }
+
+  // Resumed by hand or by the worker once stopPingUntil has passed; checks straight away
+  // and starts a new monitoring window if the website is still down
+  resume(website, now = new Date()) {
+    website.isTemporarilyStopped = false;
+    website.stopPingUntil = null;
+    website.nextPingTime = now;
+    if (website.failingSince) {
+      website.failingSince = now;
+    }
+  }
+
+  // Query for paused websites whose pause has run out
+  dueForResumeQuery(now = new Date()) {
+    return {
+      isTemporarilyStopped: true,
+      $or: [
+        { stopPingUntil: { $lte: now } },
+        { stopPingUntil: { $exists: false } } // Legacy data
+      ]
+    };
+  }
+
+  // resume() as an update pipeline, so a worker can claim a due website with one
+  // findOneAndUpdate on dueForResumeQuery and only the winner reports the resume
+  resumeUpdate(now = new Date()) {
+    return [{
+      $set: {
+        isTemporarilyStopped: false,
+        stopPingUntil: null,
+        nextPingTime: now,
+        failingSince: { $cond: [{ $ifNull: ['$failingSince', false] }, now, null] }
+      }
+    }];
+  }
+}
+
+// Export singleton instance
+module.exports = new SchedulingService();
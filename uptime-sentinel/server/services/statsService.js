@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const PingResult = require('../models/PingResult');
+const PingRollup = require('../models/PingRollup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows (in days) that uptime is reported over
+const UPTIME_WINDOWS = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 };
+
+/**
+ * Stats Service
+ *
+ * Uptime, response time and recent pings for websites. The 24h figures come
+ * from raw ping results; the longer windows add up daily rollups (see
+ * rollupService) and only read raw results for the time after the newest
+ * daily rollup, so their cost doesn't grow with the window. Checks run during
+ * a maintenance window count towards none of the figures, but are listed in
+ * the recent pings.
+ */
+class StatsService {
+  /**
+   * Returns a Map of website id -> {
+   *   uptime: { '24h', '7d', '30d', '90d' } (percentages, null without checks in that window),
+   *   uptimePercentage (24h, 0 without checks), averageResponseTime (24h),
+   *   totalPings, successfulPings (90d), recentPings (last 10, oldest first)
+   * }
+   */
+  async getStatsForWebsites(websiteIds) {
+    const ids = websiteIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const now = Date.now();
+    const windowStart = (days) => new Date(now - days * DAY_MS);
+    const longestWindow = Math.max(...Object.values(UPTIME_WINDOWS));
+    const longestKey = Object.keys(UPTIME_WINDOWS).find(key => UPTIME_WINDOWS[key] === longestWindow);
+
+    // Daily rollups cover everything before this point; raw results cover the rest
+    const coveredUntil = await PingRollup.getCoveredUntil('day');
+    const rawFrom = new Date(Math.max(
+      windowStart(longestWindow).getTime(),
+      Math.min(coveredUntil ? coveredUntil.getTime() : 0, windowStart(1).getTime())
+    ));
+    const rollupUntil = coveredUntil || rawFrom;
+
+    const [rawRows, rollupRows] = await Promise.all([
+      this.aggregateRaw(ids, rawFrom, windowStart(1), rollupUntil),
+      coveredUntil ? this.aggregateRollups(ids, windowStart, rollupUntil) : []
+    ]);
+
+    const rollupsByWebsite = new Map(rollupRows.map(row => [String(row._id), row]));
+    const stats = new Map();
+
+    rawRows.forEach(row => {
+      stats.set(String(row._id), this.buildStats(row, rollupsByWebsite.get(String(row._id)), longestKey));
+      rollupsByWebsite.delete(String(row._id));
+    });
+
+    // Websites with rollups but no recent raw results
+    rollupsByWebsite.forEach((rollup, id) => {
+      stats.set(id, this.buildStats(null, rollup, longestKey));
+    });
+
+    return stats;
+  }
+
+  // Raw results since `from`: the 24h window, everything after the rollups, and the last 10 pings
+  aggregateRaw(ids, from, dayStart, rollupUntil) {
+    const counted = { $ne: ['$maintenance', true] };
+    const inDay = { $and: [{ $gte: ['$timestamp', dayStart] }, counted] };
+    const afterRollups = { $and: [{ $gte: ['$timestamp', rollupUntil] }, counted] };
+
+    return PingResult.aggregate([
+      { $match: { website: { $in: ids }, timestamp: { $gte: from } } },
+      {
+        $group: {
+          _id: '$website',
+          total_24h: { $sum: { $cond: [inDay, 1, 0] } },
+          up_24h: { $sum: { $cond: [{ $and: [inDay, '$success'] }, 1, 0] } },
+          total_recent: { $sum: { $cond: [afterRollups, 1, 0] } },
+          up_recent: { $sum: { $cond: [{ $and: [afterRollups, '$success'] }, 1, 0] } },
+          averageResponseTime: { $avg: { $cond: [inDay, '$duration', null] } },
+          recentPings: {
+            $topN: {
+              n: 10,
+              sortBy: { timestamp: -1 },
+              output: {
+                timestamp: '$timestamp',
+                statusCode: '$statusCode',
+                duration: '$duration',
+                success: '$success',
+                errorType: '$errorType',
+                failureReason: '$failureReason',
+                maintenance: '$maintenance'
+              }
+            }
+          }
+        }
+      }
+    ]);
+  }
+
+  // Daily rollups per window, up to where raw results take over
+  aggregateRollups(ids, windowStart, rollupUntil) {
+    const group = { _id: '$website' };
+
+    Object.entries(UPTIME_WINDOWS).forEach(([key, days]) => {
+      if (days <= 1) return;
+      const inWindow = { $gte: ['$bucketStart', windowStart(days)] };
+      group[`checks_${key}`] = { $sum: { $cond: [inWindow, '$checks', 0] } };
+      group[`failures_${key}`] = { $sum: { $cond: [inWindow, '$failures', 0] } };
+    });
+
+    const longestWindow = Math.max(...Object.values(UPTIME_WINDOWS));
+
+    return PingRollup.aggregate([
+      {
+        $match: {
+          website: { $in: ids },
+          granularity: 'day',
+          bucketStart: { $gte: windowStart(longestWindow), $lt: rollupUntil }
+        }
+      },
+      { $group: group }
+    ]);
+  }
+
+  buildStats(raw, rollup, longestKey) {
+    const stats = this.emptyStats();
+
+    Object.entries(UPTIME_WINDOWS).forEach(([key, days]) => {
+      let total;
+      let up;
+
+      if (days <= 1) {
+        total = raw ? raw.total_24h : 0;
+        up = raw ? raw.up_24h : 0;
+      } else {
+        const checks = rollup ? rollup[`checks_${key}`] : 0;
+        total = (raw ? raw.total_recent : 0) + checks;
+        up = (raw ? raw.up_recent : 0) + checks - (rollup ? rollup[`failures_${key}`] : 0);
+      }
+
+      stats.uptime[key] = total > 0 ? Math.round((up / total) * 10000) / 100 : null;
+
+      if (key === longestKey) {
+        stats.totalPings = total;
+        stats.successfulPings = up;
+      }
+    });
+
+    stats.uptimePercentage = stats.uptime['24h'] ?? 0;
+
+    if (raw) {
+      stats.averageResponseTime = raw.averageResponseTime !== null ? Math.round(raw.averageResponseTime) : null;
+      stats.recentPings = raw.recentPings.reverse();
+    }
+
+    return stats;
+  }
+
+  // Stats for a website without any check results in the uptime windows
+  emptyStats() {
+    const uptime = {};
+    Object.keys(UPTIME_WINDOWS).forEach(key => {
+      uptime[key] = null;
+    });
+
+    return {
+      uptime,
+      uptimePercentage: 0,
+      averageResponseTime: null,
+      totalPings: 0,
+      successfulPings: 0,
+      recentPings: []
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StatsService();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookChannel = require('./notifications/webhookChannel');
+
+/**
+ * Webhook Service
+ *
+ * Sends monitor events (monitor.down, monitor.up, monitor.degraded,
+ * monitor.paused, monitor.resumed) to the website owner's webhook endpoints.
+ * Each event becomes one WebhookDelivery per endpoint, tried right away and
+ * retried with exponential backoff by the ping worker (processDueDeliveries)
+ * until it succeeds or WEBHOOK_MAX_ATTEMPTS (default 6) is reached.
+ *
+ * Requests carry the event, delivery ID and timestamp as headers, and
+ * `X-Uptime-Sentinel-Signature: sha256=<hex>`, an HMAC-SHA256 of
+ * `<timestamp>.<body>` with the endpoint's secret.
+ */
+class WebhookService {
+  constructor() {
+    this.http = new WebhookChannel(); // For its post()
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60;
+    this.claimMs = 2 * 60 * 1000; // A delivery being attempted is not due again before this
+    this.batchSize = 50; // Most retries per processDueDeliveries run
+  }
+
+  // Queue an event for every enabled endpoint of the website's owner that wants it.
+  // Never throws: a webhook problem must not break the check or request behind it.
+  async emit(event, website, data = {}) {
+    try {
+      const endpoints = await WebhookEndpoint.find({ user: website.user, enabled: true, events: event }).select('+secret');
+      if (endpoints.length === 0) return;
+
+      const createdAt = new Date().toISOString();
+
+      await Promise.all(endpoints.map(async (endpoint) => {
+        const deliveryId = crypto.randomUUID();
+        const body = JSON.stringify({
+          id: deliveryId,
+          event,
+          createdAt,
+          data: { monitor: this.describeMonitor(website), ...data }
+        });
+
+        // Claimed by this process for the first attempt
+        const delivery = await WebhookDelivery.create({
+          deliveryId,
+          endpoint: endpoint._id,
+          user: website.user,
+          website: website._id,
+          event,
+          body,
+          nextAttemptAt: new Date(Date.now() + this.claimMs)
+        });
+
+        // Not awaited, so a slow endpoint doesn't hold up the caller
+        this.attempt(delivery, endpoint)
+          .catch(error => console.error(`❌ Webhook delivery ${deliveryId} failed:`, error.message));
+      }));
+    } catch (error) {
+      console.error(`⚠️ Could not queue ${event} webhooks for ${website.name}:`, error.message);
+    }
+  }
+
+  describeMonitor(website) {
+    return {
+      id: String(website._id),
+      name: website.name,
+      url: website.url,
+      status: website.status,
+      tags: website.tags || []
+    };
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // 1, 2, 4, 8... times WEBHOOK_RETRY_BASE_SECONDS after the nth failed attempt
+  getRetryDelayMs(failedAttempts) {
+    return this.retryBaseSeconds * 1000 * 2 ** (failedAttempts - 1);
+  }
+
+  async attempt(delivery, endpoint) {
+    const startedAt = new Date();
+    const timestamp = Math.floor(startedAt.getTime() / 1000);
+    const result = { at: startedAt };
+
+    try {
+      const { statusCode } = await this.http.post(endpoint.url, delivery.body, {
+        'X-Uptime-Sentinel-Event': delivery.event,
+        'X-Uptime-Sentinel-Delivery': delivery.deliveryId,
+        'X-Uptime-Sentinel-Timestamp': String(timestamp),
+        'X-Uptime-Sentinel-Signature': `sha256=${this.sign(endpoint.secret, timestamp, delivery.body)}`
+      });
+      result.statusCode = statusCode;
+      if (statusCode < 200 || statusCode >= 300) {
+        result.error = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.durationMs = Date.now() - startedAt.getTime();
+
+    const attemptCount = delivery.attempts.length + 1;
+    let next;
+    if (!result.error) {
+      next = { status: 'succeeded', nextAttemptAt: null };
+    } else if (attemptCount >= this.maxAttempts) {
+      next = { status: 'failed', nextAttemptAt: null };
+    } else {
+      next = { nextAttemptAt: new Date(Date.now() + this.getRetryDelayMs(attemptCount)) };
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $push: { attempts: result }, $set: next });
+
+    if (result.error) {
+      console.warn(`⚠️ Webhook ${delivery.event} to ${endpoint.url} failed (attempt ${attemptCount}/${this.maxAttempts}): ${result.error}`);
+    } else {
+      console.log(`🪝 Webhook ${delivery.event} delivered to ${endpoint.url}`);
+    }
+  }
+
+  // Retry deliveries whose next attempt is due; called periodically by the ping worker
+  async processDueDeliveries() {
+    let processed = 0;
+
+    while (processed < this.batchSize) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + this.claimMs) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+
+      const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+      if (!endpoint || !endpoint.enabled) {
+        await WebhookDelivery.updateOne(
+          { _id: delivery._id },
+          { $set: { status: 'failed', nextAttemptAt: null } }
+        );
+        continue;
+      }
+
+      await this.attempt(delivery, endpoint);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  // Stop retrying a deleted website's deliveries; they stay in the log as failed
+  cancelForWebsite(websiteId) {
+    return WebhookDelivery.updateMany(
+      { website: websiteId, status: 'pending' },
+      { $set: { status: 'failed', nextAttemptAt: null } }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
@@ -0,0 +1,140 @@
+const eventBus = require('./services/eventBus');
+
+// Comment frame sent to idle streams so proxies don't time them out
+const HEARTBEAT_MS = 25000;
+
+// How long (ms) a browser waits before reconnecting a dropped stream
+const RETRY_MS = 5000;
+
+// Longest setTimeout delay (about 24.8 days)
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Server-Sent Events fallback for networks that strip WebSocket upgrades
+ * (GET /api/events). A stream carries the same messages as the WebSocket
+ * `user:<id>` channel, framed as `data: { type, payload }` with the event
+ * cursor as the SSE id.
+ */
+class SseManager {
+  constructor() {
+    this.clients = new Map();
+    this.heartbeatTimer = null;
+  }
+
+  // Open a stream for a request already authenticated by `protect`
+  addClient(req, res) {
+    const clientId = this.generateClientId();
+    const userId = String(req.user._id);
+    console.log(`📡 SSE client connected: ${clientId} (${req.user.email})`);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    this.clients.set(clientId, { res, userId });
+    this.startHeartbeat();
+
+    // Don't keep sending updates after the login has expired
+    const expiryTimer = req.tokenExpiresAt
+      ? setTimeout(() => res.end(), Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS))
+      : null;
+
+    req.on('close', () => {
+      console.log(`❌ SSE client disconnected: ${clientId}`);
+      clearTimeout(expiryTimer);
+      this.clients.delete(clientId);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+
+    this.sendToClient(clientId, 'connected', {
+      clientId,
+      userChannel: `user:${userId}`,
+      cursor: eventBus.lastSeq ? String(eventBus.lastSeq) : null
+    });
+  }
+
+  generateClientId() {
+    return Math.random().toString(36).substr(2, 9);
+  }
+
+  sendToClient(clientId, type, payload = {}) {
+    const client = this.clients.get(clientId);
+    if (client && !client.res.writableEnded) {
+      const id = payload.cursor ? `id: ${payload.cursor}\n` : '';
+      client.res.write(`${id}data: ${JSON.stringify({ type, payload })}\n\n`);
+    }
+  }
+
+  // Send to every stream opened by one user
+  broadcastToUser(userId, type, payload = {}) {
+    let sentCount = 0;
+
+    this.clients.forEach((client, clientId) => {
+      if (client.userId === String(userId)) {
+        this.sendToClient(clientId, type, payload);
+        sentCount++;
+      }
+    });
+
+    if (sentCount > 0) {
+      console.log(`📡 Sent ${type} to ${sentCount} SSE clients of user ${userId}`);
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(client => {
+        if (!client.res.writableEnded) {
+          client.res.write(': keep-alive\n\n');
+        }
+      });
+    }, HEARTBEAT_MS);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  // Same update methods as the WebSocket manager
+  broadcastWebsiteUpdate(website, cursor = null) {
+    this.broadcastToUser(website.user, 'website-update', { website, cursor });
+  }
+
+  broadcastStatusChange(userId, change) {
+    this.broadcastToUser(userId, 'status-change', change);
+  }
+
+  broadcastIncidentUpdate(userId, incident) {
+    this.broadcastToUser(userId, 'incident-update', incident);
+  }
+
+  broadcastWebsiteRemoved(userId, removal) {
+    this.broadcastToUser(userId, 'website-removed', removal);
+  }
+
+  broadcastStatsUpdate(userId, stats) {
+    this.broadcastToUser(userId, 'stats-update', stats);
+  }
+
+  hasUserClients(userId) {
+    return [...this.clients.values()].some(client => client.userId === String(userId));
+  }
+
+  getConnectionCount() {
+    return this.clients.size;
+  }
+}
+
+// Create singleton instance
+const sseManager = new SseManager();
+
+module.exports = sseManager;
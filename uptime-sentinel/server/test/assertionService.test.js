@@ -0,0 +1,181 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID } = require('./helpers');
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const eventBus = require('../services/eventBus');
+const assertionService = require('../services/assertionService');
+const probeService = require('../services/probeService');
+
+const check = (website, result) => assertionService.evaluate({ acceptedStatusCodes: ['200-399'], assertions: [], ...website }, {
+  statusCode: 200,
+  body: '',
+  ...result
+});
+
+describe('assertionService', () => {
+  describe('status codes', () => {
+    it('accepts 200-399 by default, and codes or ranges when given', () => {
+      assert.equal(assertionService.evaluate({}, { statusCode: 302 }).passed, true);
+      assert.equal(check({ acceptedStatusCodes: ['200', '404'] }, { statusCode: 404 }).passed, true);
+      assert.equal(check({ acceptedStatusCodes: ['200-204'] }, { statusCode: 204 }).passed, true);
+    });
+
+    it('explains a status code that is not accepted', () => {
+      assert.deepEqual(check({ acceptedStatusCodes: ['200', '204'] }, { statusCode: 503 }), {
+        passed: false,
+        reason: 'Status code 503 is not one of the accepted codes (200, 204)',
+        assertion: { type: 'statusCode', value: '200, 204' }
+      });
+    });
+  });
+
+  describe('content', () => {
+    it('checks the body contains, or does not contain, a string', () => {
+      const assertions = [
+        { type: 'contains', value: 'Healthy' },
+        { type: 'notContains', value: 'maintenance' }
+      ];
+
+      assert.equal(check({ assertions }, { body: 'Service HEALTHY' }).passed, true);
+      assert.deepEqual(check({ assertions }, { body: 'healthy, maintenance at 2am' }), {
+        passed: false,
+        reason: 'Response body contains "maintenance"',
+        assertion: { type: 'notContains', value: 'maintenance' }
+      });
+    });
+
+    it('compares case-sensitively when asked', () => {
+      const assertions = [{ type: 'contains', value: 'OK', caseSensitive: true }];
+
+      assert.equal(check({ assertions }, { body: 'status: ok' }).reason, 'Response body does not contain "OK"');
+    });
+
+    it('no longer passes any page that merely contains "up"', () => {
+      const assertions = [{ type: 'regex', value: '"status"\\s*:\\s*"up"' }];
+
+      assert.equal(check({ assertions }, { body: 'Sign up for our newsletter' }).reason, 'Response body does not match /"status"\\s*:\\s*"up"/');
+      assert.equal(check({ assertions }, { body: '{"status": "UP"}' }).passed, true);
+    });
+  });
+
+  describe('regex safety', () => {
+    it('refuses patterns that can backtrack exponentially', () => {
+      assert.match(assertionService.getUnsafeRegexReason('(a+)+$'), /repeated group/);
+      assert.match(assertionService.getUnsafeRegexReason('(a|aa)*b'), /repeated group/);
+      assert.equal(assertionService.getUnsafeRegexReason('(\\w)\\1'), 'backreferences are not allowed');
+      assert.equal(assertionService.getUnsafeRegexReason('('), 'it is not a valid regular expression');
+      assert.equal(assertionService.getUnsafeRegexReason('^(ok|up)$'), null);
+      assert.equal(assertionService.getUnsafeRegexReason('[a-z]{2,8}\\d+'), null);
+    });
+
+    it('fails a check whose pattern is unsafe instead of running it', () => {
+      const result = check({ assertions: [{ type: 'regex', value: '(a+)+$' }] }, { body: 'aaaa' });
+
+      assert.equal(result.passed, false);
+      assert.match(result.reason, /^Regular expression \/\(a\+\)\+\$\/ not run: /);
+    });
+
+    it('stops a match that runs longer than regexTimeoutMs', () => {
+      // Polynomial rather than exponential, so it passes the pattern check, but still slow on a large body
+      const startedAt = Date.now();
+      const result = check({ assertions: [{ type: 'regex', value: 'a*a*a*a*b' }] }, { body: 'a'.repeat(50000) });
+
+      assert.equal(result.reason, 'Regular expression /a*a*a*a*b/ took longer than 50ms');
+      assert.ok(Date.now() - startedAt < 1000);
+    });
+
+    it('is refused when the website is saved', () => {
+      const website = new Website({
+        user: USER_ID,
+        name: 'Shop API',
+        url: 'https://shop.example.com/health',
+        email: 'owner@example.com',
+        assertions: [{ type: 'regex', value: '(a+)+$' }]
+      });
+
+      assert.match(website.validateSync().errors.assertions.message, /^Regex assertion \/\(a\+\)\+\$\/ can't be used: a repeated group/);
+    });
+  });
+
+  describe('json', () => {
+    const body = JSON.stringify({ status: 'ok', db: 'up', checks: [{ name: 'cache', latency: 12 }], version: { major: 2 }, 'queue-depth': 0 });
+    const json = (path, operator, value) => ({ type: 'json', path, operator, ...(value !== undefined && { value }) });
+
+    afterEach(() => mock.restoreAll());
+
+    it('resolves JSONPath-style paths', () => {
+      const assertions = [
+        json('$.status', 'equals', 'ok'),
+        json('db', 'equals', 'up'),
+        json('$.checks[0].latency', 'lt', '100'),
+        json("$['queue-depth']", 'equals', '0'),
+        json('$.version', 'equals', '{"major":2}')
+      ];
+
+      assert.deepEqual(check({ assertions }, { body }), { passed: true, reason: null, assertion: null });
+    });
+
+    it('supports exists, notExists, notEquals and numeric comparisons', () => {
+      const passes = (assertion) => check({ assertions: [assertion] }, { body }).passed;
+
+      assert.equal(passes(json('$.checks[0].name', 'exists')), true);
+      assert.equal(passes(json('$.error', 'notExists')), true);
+      assert.equal(passes(json('$.status', 'notEquals', 'degraded')), true);
+      assert.equal(passes(json('$.checks[0].latency', 'gte', '12')), true);
+      assert.equal(passes(json('$.checks[0].latency', 'gt', '12')), false);
+      assert.equal(passes(json('$.checks[1]', 'exists')), false);
+    });
+
+    it('reports the assertion that failed and why', () => {
+      assert.deepEqual(check({ assertions: [json('$.db', 'equals', 'down')] }, { body }), {
+        passed: false,
+        reason: '$.db is "up", expected down',
+        assertion: { type: 'json', path: '$.db', operator: 'equals', value: 'down' }
+      });
+      assert.equal(check({ assertions: [json('$.status', 'gt', '1')] }, { body }).reason, '$.status is "ok", expected a number');
+      assert.equal(check({ assertions: [json('$.missing', 'lte', '1')] }, { body }).reason, '$.missing does not exist');
+    });
+
+    it('fails a body that is not JSON, or a path it cannot read', () => {
+      assert.equal(check({ assertions: [json('$.status', 'exists')] }, { body: '<html>' }).reason, 'Response body is not valid JSON');
+      assert.equal(check({ assertions: [json('$..status', 'exists')] }, { body }).reason, 'Invalid JSON path "$..status"');
+    });
+
+    it('is evaluated on the probe path, which keeps the failed assertion', async () => {
+      mock.method(probeService.getEngine('http'), 'run', async () => ({ statusCode: 200, headers: {}, body }));
+
+      const result = await probeService.probe({ name: 'Shop API', assertions: [json('$.db', 'equals', 'down')] });
+
+      assert.equal(result.isHealthy, false);
+      assert.equal(result.failureReason, '$.db is "up", expected down');
+      assert.deepEqual(result.failedAssertion, { type: 'json', path: '$.db', operator: 'equals', value: 'down' });
+    });
+  });
+
+  describe('failure reason', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('is saved with the ping result', async () => {
+      mock.method(PingResult, 'create', async (doc) => doc);
+      mock.method(eventBus, 'publish', async () => null);
+
+      const website = new Website({ user: USER_ID, name: 'Shop API', url: 'https://shop.example.com/health', email: 'owner@example.com' });
+      mock.method(website, 'save', async () => website);
+
+      await website.addPingResult(200, 85, {
+        success: false,
+        errorType: 'HEALTH_CHECK_FAILED',
+        failureReason: 'Response body does not contain "ok"',
+        failedAssertion: { type: 'contains', value: 'ok' }
+      });
+
+      const [saved] = PingResult.create.mock.calls[0].arguments;
+      assert.equal(saved.success, false);
+      assert.equal(saved.statusCode, 200);
+      assert.equal(saved.failureReason, 'Response body does not contain "ok"');
+      assert.deepEqual(saved.failedAssertion, { type: 'contains', value: 'ok' });
+      assert.equal(website.status, 'DOWN');
+    });
+  });
+});
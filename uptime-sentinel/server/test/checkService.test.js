@@ -0,0 +1,180 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeWebsite } = require('./helpers');
+const probeService = require('../services/probeService');
+const incidentService = require('../services/incidentService');
+const maintenanceService = require('../services/maintenanceService');
+const notificationService = require('../services/notificationService');
+const escalationService = require('../services/escalationService');
+const webhookService = require('../services/webhookService');
+const checkService = require('../services/checkService');
+const immediatePingService = require('../services/immediatePingService');
+
+const healthy = { statusCode: 200, duration: 120, isHealthy: true };
+const unhealthy = { statusCode: 503, duration: 90, isHealthy: false, failureReason: 'Status code 503 is not accepted' };
+
+// One check and what follows from its result, for the worker and immediate pings alike
+describe('checkService', () => {
+  let website;
+  let probeResults;
+  let confirmationDelayMs;
+  const incident = { _id: 'i1', durationSeconds: 300 };
+
+  // A website whose ping results are kept in memory
+  const trackedWebsite = (overrides) => {
+    const tracked = makeWebsite({ consecutiveFailures: 0, isDegraded: false, emailNotificationSent: false, pings: [], ...overrides });
+    tracked.addPingResult = mock.fn(async (statusCode, duration, details) => {
+      tracked.pings.push({ statusCode, duration, ...details });
+    });
+    tracked.save = mock.fn(async () => tracked);
+    return tracked;
+  };
+
+  beforeEach(() => {
+    confirmationDelayMs = probeService.confirmationDelayMs;
+    probeService.confirmationDelayMs = 0;
+
+    // Each probe takes the next result (an Error is thrown)
+    probeResults = [];
+    mock.method(probeService, 'probe', async () => {
+      const next = probeResults.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return { ...next };
+    });
+
+    mock.method(maintenanceService, 'getActiveWindow', async () => null);
+    mock.method(incidentService, 'resolveIncident', async () => incident);
+    mock.method(incidentService, 'recordFailure', async () => incident);
+    mock.method(notificationService, 'notifyRecovery', async () => true);
+    mock.method(notificationService, 'notifyDown', async () => true);
+    mock.method(escalationService, 'start', async () => true);
+    mock.method(webhookService, 'emit', async () => null);
+  });
+
+  afterEach(() => {
+    probeService.confirmationDelayMs = confirmationDelayMs;
+    mock.restoreAll();
+  });
+
+  const emittedEvents = () => webhookService.emit.mock.calls.map(call => call.arguments[0]);
+
+  it('announces a recovery once the website was down', async () => {
+    website = trackedWebsite({ consecutiveFailures: 3, failureThreshold: 3 });
+    probeResults = [healthy];
+
+    assert.equal(await checkService.runCheck(website), true);
+
+    assert.equal(website.consecutiveFailures, 0);
+    assert.deepEqual(website.pings, [{ statusCode: 200, duration: 120, success: true, maintenance: false }]);
+    assert.deepEqual(notificationService.notifyRecovery.mock.calls[0].arguments, [website, incident]);
+    assert.deepEqual(emittedEvents(), ['monitor.up']);
+    assert.deepEqual(webhookService.emit.mock.calls[0].arguments[2], {
+      previousState: 'down',
+      statusCode: 200,
+      responseTimeMs: 120,
+      incidentId: 'i1',
+      downtimeSeconds: 300
+    });
+  });
+
+  it('does not count a failure that a re-check does not confirm', async () => {
+    website = trackedWebsite();
+    probeResults = [unhealthy, healthy];
+
+    assert.equal(await checkService.runCheck(website), true);
+
+    assert.equal(probeService.probe.mock.callCount(), 2);
+    assert.equal(website.consecutiveFailures, 0);
+    assert.equal(website.pings[0].success, true);
+    assert.equal(incidentService.recordFailure.mock.callCount(), 0);
+  });
+
+  it('alerts and emits monitor.down as the failure threshold is crossed', async () => {
+    website = trackedWebsite({ consecutiveFailures: 2, failureThreshold: 3 });
+    probeResults = [unhealthy];
+
+    assert.equal(await checkService.runCheck(website), false);
+
+    assert.equal(website.consecutiveFailures, 3);
+    assert.equal(website.pings[0].errorType, 'HEALTH_CHECK_FAILED');
+    assert.equal(website.pings[0].failureReason, 'Health check failed - Status code 503 is not accepted');
+    assert.deepEqual(emittedEvents(), ['monitor.down']);
+    assert.equal(notificationService.notifyDown.mock.callCount(), 1);
+    assert.equal(website.emailNotificationSent, true);
+  });
+
+  it('alerts through the escalation policy, and directly when it reached no one', async () => {
+    website = trackedWebsite({ consecutiveFailures: 2, failureThreshold: 3, escalationPolicy: 'p1' });
+    probeResults = [unhealthy];
+
+    await checkService.runCheck(website);
+
+    assert.deepEqual(escalationService.start.mock.calls[0].arguments, [website, incident]);
+    assert.equal(notificationService.notifyDown.mock.callCount(), 0);
+    assert.equal(website.emailNotificationSent, true);
+
+    website = trackedWebsite({ consecutiveFailures: 2, failureThreshold: 3, escalationPolicy: 'p1' });
+    probeResults = [unhealthy];
+    escalationService.start.mock.mockImplementation(async () => false);
+
+    await checkService.runCheck(website);
+
+    assert.equal(notificationService.notifyDown.mock.callCount(), 1);
+    assert.equal(website.emailNotificationSent, true);
+  });
+
+  it('records a failure during maintenance without counting or reporting it', async () => {
+    maintenanceService.getActiveWindow.mock.mockImplementation(async () => ({ window: { name: 'Deploy' }, endsAt: new Date() }));
+    website = trackedWebsite({ consecutiveFailures: 2, failureThreshold: 3 });
+    probeResults = [new Error('Request timeout of 30000 ms exceeded')];
+
+    assert.equal(await checkService.runCheck(website), false);
+
+    assert.equal(website.consecutiveFailures, 2);
+    assert.equal(website.pings[0].maintenance, true);
+    assert.equal(website.pings[0].errorType, 'TIMEOUT');
+    assert.equal(incidentService.recordFailure.mock.callCount(), 0);
+    assert.equal(webhookService.emit.mock.callCount(), 0);
+  });
+
+  it('skips the check without recording anything when maintenance windows cannot be looked up', async () => {
+    maintenanceService.getActiveWindow.mock.mockImplementation(async () => {
+      throw new Error('connection closed');
+    });
+    website = trackedWebsite({ consecutiveFailures: 2, failureThreshold: 3 });
+
+    await assert.rejects(checkService.runCheck(website), /connection closed/);
+
+    assert.equal(probeService.probe.mock.callCount(), 0);
+    assert.equal(website.consecutiveFailures, 2);
+    assert.deepEqual(website.pings, []);
+    assert.equal(incidentService.recordFailure.mock.callCount(), 0);
+  });
+
+  describe('immediatePingService', () => {
+    it('caps the timeout and skips retries, confirming a failure like the worker', async () => {
+      website = trackedWebsite({ timeoutMs: 60000, retries: 3 });
+      probeResults = [new Error('Request timeout of 15000 ms exceeded'), healthy];
+
+      assert.equal(await immediatePingService.pingWebsite(website), true);
+
+      assert.deepEqual(probeService.probe.mock.calls.map(call => call.arguments[1]), [
+        { timeoutMs: 15000, retries: 0 },
+        { timeoutMs: 15000, retries: 0 }
+      ]);
+      assert.equal(website.pings[0].success, true);
+    });
+
+    it('announces a recovery', async () => {
+      website = trackedWebsite({ consecutiveFailures: 5 });
+      probeResults = [healthy];
+
+      await immediatePingService.pingWebsite(website);
+
+      assert.equal(notificationService.notifyRecovery.mock.callCount(), 1);
+      assert.deepEqual(emittedEvents(), ['monitor.up']);
+    });
+  });
+});
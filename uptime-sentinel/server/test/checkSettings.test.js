@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi } = require('./helpers');
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const eventBus = require('../services/eventBus');
+const probeService = require('../services/probeService');
+const immediatePingService = require('../services/immediatePingService');
+
+const makeDocument = (fields = {}) => new Website({
+  user: USER_ID,
+  name: 'Payments API',
+  url: 'https://pay.example.com/health',
+  email: 'owner@example.com',
+  ...fields
+});
+
+// Per-website check interval, timeout and retries
+describe('check settings', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('Website schema', () => {
+    it('defaults to PING_INTERVAL_MINUTES, a 30s timeout and no retries', () => {
+      const website = makeDocument();
+
+      assert.equal(website.intervalSeconds, 300);
+      assert.equal(website.timeoutMs, 30000);
+      assert.equal(website.retries, 0);
+      assert.equal(website.getIntervalMs(), 300000);
+    });
+
+    it('rejects settings out of range', () => {
+      const error = makeDocument({ intervalSeconds: 10, timeoutMs: 90000, retries: 1.5 }).validateSync();
+
+      assert.equal(error.errors.intervalSeconds.message, 'Check interval must be at least 30 seconds');
+      assert.equal(error.errors.timeoutMs.message, 'Timeout cannot exceed 60000 ms');
+      assert.equal(error.errors.retries.message, 'Retries must be a whole number');
+    });
+  });
+
+  describe('scheduling', () => {
+    beforeEach(() => {
+      mock.method(PingResult, 'create', async (doc) => doc);
+      mock.method(eventBus, 'publish', async () => null);
+    });
+
+    it('schedules the next check one interval out', async () => {
+      const website = makeDocument({ intervalSeconds: 30 });
+      mock.method(website, 'save', async () => website);
+
+      const startedAt = Date.now();
+      await website.addPingResult(200, 120);
+
+      const delayMs = website.nextPingTime - startedAt;
+      assert.ok(delayMs >= 30000 && delayMs < 31000, `${delayMs}ms`);
+    });
+  });
+
+  describe('probing', () => {
+    it('passes the website timeout to the engine and retries a failing check', async () => {
+      const engine = probeService.getEngine('http');
+      const responses = [{ statusCode: 503 }, { statusCode: 200 }];
+      const run = mock.method(engine, 'run', async () => ({ body: '', headers: {}, ...responses.shift() }));
+      const { retryDelayMs } = probeService;
+      probeService.retryDelayMs = 0;
+
+      let result;
+      try {
+        result = await probeService.probe(makeDocument({ timeoutMs: 5000, retries: 1 }));
+      } finally {
+        probeService.retryDelayMs = retryDelayMs;
+      }
+
+      assert.equal(result.isHealthy, true);
+      assert.equal(result.attempts, 2);
+      assert.deepEqual(run.mock.calls.map(call => call.arguments[1]), [{ timeoutMs: 5000 }, { timeoutMs: 5000 }]);
+    });
+  });
+
+  describe('POST /api/websites', () => {
+    let api;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    beforeEach(() => {
+      mockSignedInUser();
+      mock.method(Website, 'findOne', async () => null);
+      mock.method(Website.prototype, 'save', async function() { return this; });
+      mock.method(Website, 'findById', async () => null);
+      mock.method(immediatePingService, 'pingWebsite', async () => null);
+    });
+
+    it('saves the check settings it is given', async () => {
+      const response = await api.request('/api/websites', {
+        method: 'POST',
+        body: { name: 'Payments API', url: 'pay.example.com/health', intervalSeconds: 30, timeoutMs: 5000, retries: 2 }
+      });
+
+      assert.equal(response.status, 201);
+
+      const [saved] = immediatePingService.pingWebsite.mock.calls[0].arguments;
+      assert.equal(saved.url, 'https://pay.example.com/health');
+      assert.equal(saved.intervalSeconds, 30);
+      assert.equal(saved.timeoutMs, 5000);
+      assert.equal(saved.retries, 2);
+    });
+
+    it('reports invalid settings as a validation error', async () => {
+      Website.prototype.save.mock.mockImplementation(async function() {
+        throw this.validateSync();
+      });
+
+      const response = await api.request('/api/websites', {
+        method: 'POST',
+        body: { name: 'Payments API', url: 'https://pay.example.com/health', intervalSeconds: 90000 }
+      });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.errors, ['Check interval cannot exceed 24 hours']);
+    });
+  });
+});
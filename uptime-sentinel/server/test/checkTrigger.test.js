@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi } = require('./helpers');
+const Website = require('../models/Website');
+const schedulingService = require('../services/schedulingService');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+// "Check now" for one website, a tag or all of a user's websites
+describe('POST /api/ping/trigger', () => {
+  let api;
+  let websites;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    mockSignedInUser();
+    websites = [{ _id: WEBSITE_ID }];
+    mock.method(Website, 'find', () => ({ select: () => ({ lean: async () => websites }) }));
+    mock.method(Website, 'updateMany', async () => ({ modifiedCount: websites.length }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const trigger = (body) => api.request('/api/ping/trigger', { method: 'POST', body });
+
+  it('makes the website due now with the request flag the worker claims first', async () => {
+    const response = await trigger({ websiteId: WEBSITE_ID });
+
+    assert.equal(response.status, 202);
+    assert.deepEqual(response.body.data.queued, [WEBSITE_ID]);
+    assert.deepEqual(Website.find.mock.calls[0].arguments[0], { user: USER_ID, _id: WEBSITE_ID });
+
+    const [filter, { $set }] = Website.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: { $in: [WEBSITE_ID] } });
+    assert.deepEqual($set.nextPingTime, $set.checkRequestedAt);
+    assert.equal($set.checkRequestedAt.toISOString(), response.body.data.requestedAt);
+  });
+
+  it('checks every website with a tag, skipping paused ones', async () => {
+    websites = [{ _id: WEBSITE_ID }, { _id: '64b000000000000000000002', isTemporarilyStopped: true }];
+
+    const response = await trigger({ tag: ' Production ' });
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.message, '1 check(s) queued, 1 paused website(s) skipped');
+    assert.deepEqual(Website.find.mock.calls[0].arguments[0], { user: USER_ID, tags: 'production' });
+  });
+
+  it("checks all of the user's websites", async () => {
+    await trigger({ all: true });
+
+    assert.deepEqual(Website.find.mock.calls[0].arguments[0], { user: USER_ID });
+  });
+
+  it('needs exactly one target', async () => {
+    const response = await trigger({ websiteId: WEBSITE_ID, all: true });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Please provide exactly one of: websiteId, tag, all');
+  });
+
+  it("refuses a website that isn't the user's", async () => {
+    websites = [];
+
+    const response = await trigger({ websiteId: WEBSITE_ID });
+
+    assert.equal(response.status, 404);
+    assert.equal(Website.updateMany.mock.callCount(), 0);
+  });
+
+  it('keeps a request made while the website is being checked, for the lease release to queue', () => {
+    const requestedAt = new Date();
+    const website = new Website({ _id: WEBSITE_ID, user: USER_ID, name: 'Shop API', url: 'https://shop.example.com', checkRequestedAt: requestedAt });
+
+    schedulingService.scheduleAfterSuccess(website);
+    schedulingService.scheduleAfterFailure(website);
+
+    assert.deepEqual(website.checkRequestedAt, requestedAt);
+  });
+});
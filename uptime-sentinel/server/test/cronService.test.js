@@ -0,0 +1,60 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const cronService = require('../services/cronService');
+
+const MINUTE_MS = 60 * 1000;
+
+// What getActiveUntil answers, worked out from scratch for one point in time
+const expectedActiveUntil = (expression, timeZone, durationMinutes, at) => {
+  const startedAt = cronService.getLastMatch(expression, timeZone, at, durationMinutes);
+  return startedAt ? new Date(startedAt.getTime() + durationMinutes * MINUTE_MS) : null;
+};
+
+describe('cronService.getActiveUntil', () => {
+  beforeEach(() => cronService.ranges.clear());
+
+  afterEach(() => mock.restoreAll());
+
+  const schedules = [
+    ['0 2 * * *', 'Europe/Berlin', 30],
+    ['*/20 * * * *', 'UTC', 15], // Occurrences back to back
+    ['0 23 * * sun', 'America/New_York', 120] // Crosses midnight
+  ];
+
+  schedules.forEach(([expression, timeZone, durationMinutes]) => {
+    it(`matches the uncached answer every minute for "${expression}" (${timeZone}, ${durationMinutes} min)`, () => {
+      const start = Date.parse('2026-10-24T18:00:00Z');
+
+      for (let time = start; time < start + 2 * 24 * 60 * MINUTE_MS; time += 7 * MINUTE_MS) {
+        const at = new Date(time + 13 * 1000); // Mid-minute
+        assert.deepEqual(
+          cronService.getActiveUntil(expression, timeZone, durationMinutes, at),
+          expectedActiveUntil(expression, timeZone, durationMinutes, at),
+          at.toISOString()
+        );
+      }
+    });
+  });
+
+  it('answers from the cache until the window next starts or ends', () => {
+    const at = new Date('2026-10-20T01:00:00Z'); // 03:00 in Berlin, after the 02:00-02:30 window
+    assert.equal(cronService.getActiveUntil('0 2 * * *', 'Europe/Berlin', 30, at), null);
+
+    const getZonedParts = mock.method(cronService, 'getZonedParts');
+
+    // Still inactive up to 02:00 Berlin time the next day
+    assert.equal(cronService.getActiveUntil('0 2 * * *', 'Europe/Berlin', 30, new Date('2026-10-20T12:00:00Z')), null);
+    assert.equal(cronService.getActiveUntil('0 2 * * *', 'Europe/Berlin', 30, new Date('2026-10-20T23:59:59Z')), null);
+    assert.equal(getZonedParts.mock.callCount(), 0);
+
+    // The next occurrence has started: worked out again, then cached until it ends
+    const endsAt = cronService.getActiveUntil('0 2 * * *', 'Europe/Berlin', 30, new Date('2026-10-21T00:00:30Z'));
+    assert.deepEqual(endsAt, new Date('2026-10-21T00:30:00Z'));
+    assert.ok(getZonedParts.mock.callCount() > 0);
+
+    getZonedParts.mock.resetCalls();
+    assert.deepEqual(cronService.getActiveUntil('0 2 * * *', 'Europe/Berlin', 30, new Date('2026-10-21T00:29:00Z')), endsAt);
+    assert.equal(getZonedParts.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeWebsite } = require('./helpers');
+const app = require('../app');
+const Incident = require('../models/Incident');
+const Website = require('../models/Website');
+const incidentService = require('../services/incidentService');
+
+const INCIDENT_ID = '64b0000000000000000000ff';
+
+// The acknowledge link from a downtime email: the page it opens posts its form back to
+// the API's own origin, which isn't one of the dashboard origins CORS lets through
+describe('email acknowledge link', () => {
+  let server;
+  let origin;
+  let incident;
+
+  before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    incident = {
+      _id: INCIDENT_ID,
+      website: '64b000000000000000000001',
+      status: 'open',
+      acknowledgedAt: null,
+      startedAt: new Date('2026-10-19T10:00:00Z'),
+      rootCause: { message: 'Connection refused' }
+    };
+
+    mock.method(Incident, 'findById', async () => incident);
+    mock.method(Website, 'findById', () => ({ select: async () => makeWebsite() }));
+    mock.method(incidentService, 'acknowledge', async (current, website, acknowledgedBy) => ({
+      ...current,
+      acknowledgedAt: new Date(),
+      acknowledgedBy
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Path and query of the link sent to `recipient`
+  const getLink = (recipient = 'oncall@example.com') => {
+    const url = new URL(incidentService.getAcknowledgeUrl({ _id: INCIDENT_ID }, recipient));
+    return `${url.pathname}${url.search}`;
+  };
+
+  it('shows a confirmation page whose form acknowledges the incident', async () => {
+    const link = getLink();
+
+    // Opening the link only shows the page
+    const page = await fetch(`${origin}${link}`);
+    const html = await page.text();
+    assert.equal(page.status, 200);
+    assert.match(html, /Shop API is down/);
+    assert.equal(incidentService.acknowledge.mock.callCount(), 0);
+
+    // Submitting its form, as a browser would: same path, from the API's origin
+    const action = html.match(/<form method="post" action="([^"]+)"/)[1].replace(/&amp;/g, '&');
+    const confirmed = await fetch(new URL(action, `${origin}${link}`), {
+      method: 'POST',
+      headers: { Origin: origin, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: ''
+    });
+
+    assert.equal(confirmed.status, 200);
+    assert.match(await confirmed.text(), /Acknowledged/);
+
+    const [acknowledged, , acknowledgedBy] = incidentService.acknowledge.mock.calls[0].arguments;
+    assert.equal(acknowledged._id, INCIDENT_ID);
+    assert.deepEqual(acknowledgedBy, { name: 'oncall@example.com', via: 'email' });
+  });
+
+  it('refuses a link signed for another incident', async () => {
+    const link = getLink().replace(INCIDENT_ID, '64b0000000000000000000fe');
+
+    const response = await fetch(`${origin}${link}`, { method: 'POST', headers: { Origin: origin } });
+
+    assert.equal(response.status, 400);
+    assert.match(await response.text(), /Link not valid/);
+    assert.equal(incidentService.acknowledge.mock.callCount(), 0);
+  });
+
+  it('still applies CORS to the rest of the API', async () => {
+    const response = await fetch(`${origin}/api/incidents/${INCIDENT_ID}/acknowledge`, {
+      method: 'POST',
+      headers: { Origin: origin }
+    });
+
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).message, 'Not allowed by CORS');
+  });
+});
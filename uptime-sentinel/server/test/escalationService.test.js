@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeWebsite } = require('./helpers');
+const Incident = require('../models/Incident');
+const Website = require('../models/Website');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const notificationService = require('../services/notificationService');
+const maintenanceService = require('../services/maintenanceService');
+const escalationService = require('../services/escalationService');
+
+const PRIMARY = '64b0000000000000000000c1';
+const SECONDARY = '64b0000000000000000000c2';
+const MINUTE = 60 * 1000;
+
+// Alerting a down website's contacts step by step
+describe('escalationService', () => {
+  let website;
+  let policy;
+  let reachable;
+
+  // An open incident with the policy attached, opened `minutesAgo`
+  const escalatedIncident = (minutesAgo, escalation = {}) => ({
+    _id: 'i1',
+    status: 'open',
+    createdAt: new Date(Date.now() - minutesAgo * MINUTE),
+    escalation: { policy: policy._id, nextStep: 0, notifiedContacts: [], repeats: 0, ...escalation }
+  });
+
+  const alertedContacts = () => notificationService.sendToChannels.mock.calls.map(call => call.arguments[2]);
+
+  beforeEach(() => {
+    website = makeWebsite({ escalationPolicy: 'p1', consecutiveFailures: 3 });
+    policy = {
+      _id: 'p1',
+      name: 'On call',
+      steps: [{ delayMinutes: 0, contacts: [PRIMARY] }, { delayMinutes: 15, contacts: [SECONDARY] }],
+      repeatEveryMinutes: 0
+    };
+    reachable = true;
+
+    mock.method(EscalationPolicy, 'findOne', async () => policy);
+    mock.method(Incident, 'findOneAndUpdate', async () => escalatedIncident(0));
+    mock.method(Incident, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(notificationService, 'sendToChannels', async () => reachable);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('start', () => {
+    it('alerts the first step at once and schedules the next', async () => {
+      assert.equal(await escalationService.start(website, { _id: 'i1' }), true);
+
+      assert.deepEqual(alertedContacts(), [[PRIMARY]]);
+      assert.equal(notificationService.sendToChannels.mock.calls[0].arguments[1].escalationStep, 1);
+
+      const [, progress] = Incident.updateOne.mock.calls[0].arguments;
+      assert.deepEqual(progress.$set, {
+        'escalation.nextStep': 1,
+        'escalation.notifiedContacts': [PRIMARY],
+        'escalation.repeats': 0
+      });
+      const [, schedule] = Incident.updateOne.mock.calls[1].arguments;
+      assert.ok(Math.abs(schedule.$set['escalation.nextNotifyAt'] - (Date.now() + 15 * MINUTE)) < 1000);
+    });
+
+    it('reports that no one was reached, so the website is alerted directly', async () => {
+      reachable = false;
+
+      assert.equal(await escalationService.start(website, { _id: 'i1' }), false);
+      assert.equal(notificationService.sendToChannels.mock.callCount(), 1);
+    });
+
+    it('counts the alert as taken care of when the first step is not due yet', async () => {
+      policy.steps[0].delayMinutes = 5;
+
+      assert.equal(await escalationService.start(website, { _id: 'i1' }), true);
+      assert.equal(notificationService.sendToChannels.mock.callCount(), 0);
+    });
+
+    it('leaves the alert to the website when its policy is gone', async () => {
+      EscalationPolicy.findOne.mock.mockImplementation(async () => null);
+
+      assert.equal(await escalationService.start(website, { _id: 'i1' }), false);
+      assert.equal(Incident.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('does not escalate an incident twice', async () => {
+      Incident.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+      assert.equal(await escalationService.start(website, { _id: 'i1' }), false);
+      assert.equal(notificationService.sendToChannels.mock.callCount(), 0);
+    });
+  });
+
+  describe('runDueSteps', () => {
+    it('sends the steps that are due together', async () => {
+      const incident = escalatedIncident(20);
+
+      assert.equal(await escalationService.runDueSteps(incident, website, policy), true);
+
+      assert.deepEqual(alertedContacts(), [[PRIMARY], [SECONDARY]]);
+      assert.equal(incident.escalation.nextStep, 2);
+      assert.equal(incident.escalation.nextNotifyAt, null);
+    });
+
+    it('alerts everyone reached so far again after the last step, if the policy repeats', async () => {
+      policy.repeatEveryMinutes = 30;
+      const incident = escalatedIncident(60, { nextStep: 2, notifiedContacts: [PRIMARY, SECONDARY] });
+
+      await escalationService.runDueSteps(incident, website, policy);
+
+      assert.deepEqual(alertedContacts(), [[PRIMARY, SECONDARY]]);
+      assert.equal(notificationService.sendToChannels.mock.calls[0].arguments[1].escalationStep, undefined);
+      assert.equal(incident.escalation.repeats, 1);
+      assert.ok(Math.abs(incident.escalation.nextNotifyAt - (Date.now() + 30 * MINUTE)) < 1000);
+    });
+  });
+
+  describe('processDueEscalations', () => {
+    let due;
+
+    beforeEach(() => {
+      due = [escalatedIncident(20, { nextStep: 1, notifiedContacts: [PRIMARY] })];
+      Incident.findOneAndUpdate.mock.mockImplementation(async () => due.shift() || null);
+      mock.method(Website, 'findById', async () => website);
+      mock.method(EscalationPolicy, 'findById', async () => policy);
+      mock.method(maintenanceService, 'getActiveWindow', async () => null);
+    });
+
+    it('sends the next step of each escalated incident that is due', async () => {
+      assert.equal(await escalationService.processDueEscalations(), 1);
+      assert.deepEqual(alertedContacts(), [[SECONDARY]]);
+    });
+
+    it('holds an escalation until the maintenance window ends', async () => {
+      const endsAt = new Date(Date.now() + 45 * MINUTE);
+      maintenanceService.getActiveWindow.mock.mockImplementation(async () => ({ window: { name: 'Deploy' }, endsAt }));
+
+      assert.equal(await escalationService.processDueEscalations(), 0);
+
+      assert.equal(notificationService.sendToChannels.mock.callCount(), 0);
+      assert.deepEqual(Incident.updateOne.mock.calls[0].arguments, [
+        { _id: 'i1', acknowledgedAt: null },
+        { $set: { 'escalation.nextNotifyAt': endsAt } }
+      ]);
+    });
+
+    it('stops escalating once the website or policy is deleted', async () => {
+      EscalationPolicy.findById.mock.mockImplementation(async () => null);
+
+      assert.equal(await escalationService.processDueEscalations(), 0);
+
+      assert.deepEqual(Incident.updateOne.mock.calls[0].arguments, [{ _id: 'i1' }, { $set: { 'escalation.nextNotifyAt': null } }]);
+    });
+  });
+});
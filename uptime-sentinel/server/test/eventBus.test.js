@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const MonitorEvent = require('../models/MonitorEvent');
+const Counter = require('../models/Counter');
+const eventBus = require('../services/eventBus');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+const makeEvent = (seq) => ({ seq, type: 'check-result', website: WEBSITE_ID, payload: {} });
+
+// Events between processes through the capped collection, in `seq` order
+describe('eventBus', () => {
+  let retryDelayMs;
+
+  beforeEach(() => {
+    retryDelayMs = eventBus.retryDelayMs;
+    eventBus.retryDelayMs = 0;
+    eventBus.initPromise = Promise.resolve();
+    eventBus.missingSeqs.clear();
+    eventBus.listeners = [];
+  });
+
+  afterEach(() => {
+    eventBus.retryDelayMs = retryDelayMs;
+    eventBus.isRunning = false;
+    eventBus.initPromise = null;
+    eventBus.lastSeq = null;
+    eventBus.listeners = [];
+    mock.restoreAll();
+  });
+
+  it('publishes with the next number of the shared counter', async () => {
+    mock.method(Counter, 'next', async () => 42);
+    mock.method(MonitorEvent, 'create', async () => null);
+
+    await eventBus.publish('status-change', { _id: WEBSITE_ID, user: 'u1', name: 'Shop API' }, { from: 'UP', to: 'DOWN' });
+
+    assert.deepEqual(MonitorEvent.create.mock.calls[0].arguments[0], {
+      type: 'status-change',
+      website: WEBSITE_ID,
+      user: 'u1',
+      seq: 42,
+      payload: { from: 'UP', to: 'DOWN' }
+    });
+  });
+
+  describe('follow', () => {
+    // Each tailable cursor opened yields the next batch of events; the bus stops after the last
+    const followBatches = async (batches) => {
+      const filters = [];
+      const delivered = [];
+      mock.method(MonitorEvent, 'find', (filter) => {
+        filters.push(filter);
+        const batch = batches.shift();
+        if (!batch) {
+          eventBus.isRunning = false;
+        }
+        const cursor = (async function* () { yield* batch || []; })();
+        const chain = { tailable: () => chain, lean: () => chain, cursor: () => cursor };
+        return chain;
+      });
+      mock.method(eventBus, 'dispatch', (event) => delivered.push(event.seq));
+
+      eventBus.isRunning = true;
+      await eventBus.follow();
+      return { filters, delivered };
+    };
+
+    it('resumes after the highest seq delivered', async () => {
+      eventBus.lastSeq = 10;
+
+      const { filters, delivered } = await followBatches([[makeEvent(11), makeEvent(12)]]);
+
+      assert.deepEqual(delivered, [11, 12]);
+      assert.deepEqual(filters, [{ seq: { $gt: 10 } }, { seq: { $gt: 12 } }]);
+    });
+
+    it('still delivers an event inserted after one with a higher seq', async () => {
+      eventBus.lastSeq = 10;
+
+      // 12 was written before 11; the cursor was lost before 11 arrived
+      const { filters, delivered } = await followBatches([[makeEvent(12), makeEvent(14)], [makeEvent(11), makeEvent(13)]]);
+
+      assert.deepEqual(delivered, [12, 14, 11, 13]);
+      assert.deepEqual(filters[1], { $or: [{ seq: { $gt: 14 } }, { seq: { $in: [11, 13] } }] });
+      assert.deepEqual(filters[2], { seq: { $gt: 14 } });
+      assert.equal(eventBus.lastSeq, 14);
+    });
+
+    it('gives up on a missing seq after gapTimeoutMs', () => {
+      eventBus.lastSeq = 10;
+      eventBus.trackSeq(12, 1000);
+
+      assert.deepEqual(eventBus.resumeFilter(1000 + eventBus.gapTimeoutMs), { $or: [{ seq: { $gt: 12 } }, { seq: { $in: [11] } }] });
+      assert.deepEqual(eventBus.resumeFilter(1001 + eventBus.gapTimeoutMs), { seq: { $gt: 12 } });
+    });
+
+    it('remembers at most maxMissingSeqs', () => {
+      eventBus.lastSeq = 10;
+      eventBus.trackSeq(10 + eventBus.maxMissingSeqs + 50);
+
+      assert.equal(eventBus.missingSeqs.size, eventBus.maxMissingSeqs);
+      assert.equal(eventBus.missingSeqs.has(60), true);
+      assert.equal(eventBus.missingSeqs.has(59), false);
+    });
+  });
+
+  describe('getEventsSince', () => {
+    let events;
+
+    beforeEach(() => {
+      events = [makeEvent(11), makeEvent(12)];
+      mock.method(MonitorEvent, 'exists', async () => ({ _id: 'e10' }));
+      mock.method(MonitorEvent, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => ({ seq: 12 }) }) }) }));
+      mock.method(MonitorEvent, 'find', () => {
+        const chain = { sort: () => chain, limit: () => chain, lean: async () => events };
+        return chain;
+      });
+    });
+
+    it('returns the events after the cursor up to the latest one', async () => {
+      const result = await eventBus.getEventsSince(10, { user: 'u1' });
+
+      assert.deepEqual(result, { resync: false, cursor: '12', events });
+      assert.deepEqual(MonitorEvent.find.mock.calls[0].arguments[0], { user: 'u1', seq: { $gt: 10, $lte: 12 } });
+    });
+
+    it('asks for a resync once the cursor event has been overwritten', async () => {
+      MonitorEvent.exists.mock.mockImplementation(async () => null);
+
+      assert.deepEqual(await eventBus.getEventsSince(3), { resync: true, cursor: '12', events: [] });
+    });
+
+    it('asks for a resync when too much was missed', async () => {
+      events = Array.from({ length: eventBus.maxCatchUpEvents + 1 }, (_, index) => makeEvent(index + 11));
+
+      const result = await eventBus.getEventsSince(10);
+
+      assert.equal(result.resync, true);
+      assert.deepEqual(result.events, []);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const globalStatsService = require('../services/globalStatsService');
+const realtimeService = require('../services/realtimeService');
+const websocketManager = require('../websocket');
+
+// Platform-wide numbers for the landing page
+describe('globalStatsService', () => {
+  let last24h;
+
+  beforeEach(() => {
+    globalStatsService.cached = null;
+    last24h = [{ checks: 2000, successfulChecks: 1990, averageResponseTime: 180.6 }];
+    mock.method(Website, 'countDocuments', async () => 25);
+    mock.method(PingResult, 'countDocuments', async () => 1440);
+    mock.method(PingResult, 'aggregate', async () => last24h);
+  });
+
+  afterEach(() => {
+    globalStatsService.cached = null;
+    mock.restoreAll();
+  });
+
+  describe('computeStats', () => {
+    it('counts websites and checks today, with uptime and response time over 24 hours', async () => {
+      const stats = await globalStatsService.computeStats();
+
+      assert.equal(stats.totalWebsitesMonitored, 25);
+      assert.equal(stats.pingsToday, 1440);
+      assert.equal(stats.averageUptime, 99.5);
+      assert.equal(stats.averageResponseTime, 181);
+
+      // Checks today count from midnight UTC
+      const { timestamp } = PingResult.countDocuments.mock.calls[0].arguments[0];
+      assert.equal(timestamp.$gte.toISOString().slice(11), '00:00:00.000Z');
+    });
+
+    it('leaves checks during maintenance out of the averages', async () => {
+      await globalStatsService.computeStats();
+
+      const [{ $match }] = PingResult.aggregate.mock.calls[0].arguments[0];
+      assert.deepEqual($match.maintenance, { $ne: true });
+      assert.ok(Date.now() - $match.timestamp.$gte >= 24 * 60 * 60 * 1000);
+    });
+
+    it('leaves the averages empty before any checks have run', async () => {
+      last24h = [];
+
+      const stats = await globalStatsService.computeStats();
+
+      assert.equal(stats.averageUptime, null);
+      assert.equal(stats.averageResponseTime, null);
+    });
+  });
+
+  describe('getStats', () => {
+    it('computes once for concurrent callers and serves the cache after that', async () => {
+      const [first, second] = await Promise.all([globalStatsService.getStats(), globalStatsService.getStats()]);
+      const third = await globalStatsService.getStats();
+
+      assert.equal(first, second);
+      assert.equal(third, first);
+      assert.equal(Website.countDocuments.mock.callCount(), 1);
+    });
+
+    it('computes again once the cache has expired, or when forced', async () => {
+      await globalStatsService.getStats();
+      globalStatsService.cached.computedAt -= globalStatsService.cacheMs;
+      await globalStatsService.getStats();
+      await globalStatsService.getStats({ forceRefresh: true });
+
+      assert.equal(Website.countDocuments.mock.callCount(), 3);
+    });
+
+    it('recovers after a failed computation', async () => {
+      Website.countDocuments.mock.mockImplementation(async () => {
+        throw new Error('connection closed');
+      });
+      await assert.rejects(globalStatsService.getStats(), /connection closed/);
+
+      Website.countDocuments.mock.mockImplementation(async () => 25);
+      assert.equal((await globalStatsService.getStats()).totalWebsitesMonitored, 25);
+    });
+  });
+
+  it('is published on the global-stats channel with fresh numbers', async () => {
+    mock.method(websocketManager, 'broadcastGlobalStats', () => {});
+    globalStatsService.cached = { stats: { stale: true }, computedAt: Date.now() };
+
+    await realtimeService.publishGlobalStats();
+
+    const [stats] = websocketManager.broadcastGlobalStats.mock.calls[0].arguments;
+    assert.equal(stats.totalWebsitesMonitored, 25);
+  });
+
+  describe('GET /api/stats/global', () => {
+    let api;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    it('is public', async () => {
+      const response = await fetch(`${api.origin}/api/stats/global`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.data.totalWebsitesMonitored, 25);
+    });
+  });
+});
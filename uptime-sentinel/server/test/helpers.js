@@ -0,0 +1,93 @@
+const http = require('http');
+const { mock } = require('node:test');
+
+// Keep the services' logs out of the test output (TEST_LOGS=1 shows them): Node 20's
+// runner can fail to parse multi-byte characters such as emoji that are split between
+// output chunks. Required before the code under test, so load-time logs are covered too.
+if (!process.env.TEST_LOGS) {
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    console[level] = () => {};
+  });
+}
+
+// A local HTTP server standing in for a webhook receiver. Every request is kept
+// (method, headers, raw body) and answered by `respond(req, res)`, 200 by default.
+const startReceiver = async (respond = (req, res) => res.end()) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body });
+      receiver.respond(req, res);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const receiver = {
+    requests,
+    respond,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+  return receiver;
+};
+
+// A website as the services see it, without a database
+const makeWebsite = (overrides = {}) => ({
+  _id: '64b000000000000000000001',
+  user: '64b0000000000000000000aa',
+  name: 'Shop API',
+  url: 'https://shop.example.com/health',
+  status: 'down',
+  tags: ['production'],
+  ...overrides
+});
+
+// The user the API requests below are signed in as
+const USER_ID = '64b0000000000000000000aa';
+
+// Let the `protect` middleware find the signed-in user. Call it in beforeEach:
+// mock.restoreAll() in afterEach undoes it.
+const mockSignedInUser = (overrides = {}) => {
+  const User = require('../models/User');
+  const user = { _id: USER_ID, email: 'owner@example.com', role: 'user', isActive: true, ...overrides };
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  return user;
+};
+
+// The API on a local port. `request(path, { method, body })` sends JSON as the signed-in
+// user and resolves with the status and parsed JSON body (null for an empty one).
+const startApi = async () => {
+  const app = require('../app');
+  const { signToken } = require('../middleware/auth');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const token = signToken(USER_ID);
+
+  return {
+    origin,
+    request: async (path, { method = 'GET', body } = {}) => {
+      const response = await fetch(`${origin}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, ...(body !== undefined && { 'Content-Type': 'application/json' }) },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { startReceiver, makeWebsite, USER_ID, mockSignedInUser, startApi };
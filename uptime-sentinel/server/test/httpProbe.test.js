@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startReceiver, makeWebsite } = require('./helpers');
+const HttpProbe = require('../services/probes/httpProbe');
+const probeService = require('../services/probeService');
+
+describe('HttpProbe', () => {
+  let receiver;
+  let probe;
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(() => receiver.close());
+
+  beforeEach(() => {
+    receiver.requests.length = 0;
+    probe = new HttpProbe();
+  });
+
+  const checkReceiver = (path = '/hook') => makeWebsite({ url: receiver.url.replace('/hook', path) });
+
+  it('returns the status, body and a timing breakdown', async () => {
+    receiver.respond = (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{"status":"ok"}');
+    };
+
+    const result = await probe.run(checkReceiver());
+
+    assert.equal(result.engine, 'http');
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.headers['content-type'], 'application/json');
+    assert.equal(result.body, '{"status":"ok"}');
+    assert.equal(result.redirects, 0);
+    assert.deepEqual(Object.keys(result.timings), ['dns', 'connect', 'tls', 'firstByte', 'download', 'total']);
+    assert.equal(result.timings.tls, 0);
+    assert.equal(receiver.requests[0].headers['user-agent'], 'Mozilla/5.0 (compatible; UptimeSentinel/1.0; +http-probe)');
+  });
+
+  it('follows redirects up to maxRedirects', async () => {
+    receiver.respond = (req, res) => {
+      if (req.url === '/hook') {
+        res.writeHead(301, { Location: '/moved' });
+        return res.end();
+      }
+      res.end('here');
+    };
+
+    const result = await probe.run(checkReceiver());
+    assert.equal(result.redirects, 1);
+    assert.equal(result.url, receiver.url.replace('/hook', '/moved'));
+    assert.equal(result.body, 'here');
+
+    probe.maxRedirects = 0;
+    assert.equal((await probe.run(checkReceiver())).statusCode, 301);
+  });
+
+  it('stops reading once maxBodyBytes is reached', async () => {
+    let streaming;
+    receiver.respond = (req, res) => {
+      // Streams until the client hangs up
+      res.writeHead(503);
+      streaming = setInterval(() => res.write('x'.repeat(1024)), 1);
+      res.on('close', () => clearInterval(streaming));
+    };
+    probe.maxBodyBytes = 4096;
+
+    const startedAt = Date.now();
+    const result = await probe.run(checkReceiver(), { timeoutMs: 5000 });
+
+    assert.equal(result.statusCode, 503);
+    assert.equal(result.body, 'x'.repeat(4096));
+    assert.ok(Date.now() - startedAt < 1000, 'returned before the timeout');
+    clearInterval(streaming);
+  });
+
+  it('times out a server that does not answer', async () => {
+    receiver.respond = () => {}; // Never answers
+
+    await assert.rejects(
+      probe.run(checkReceiver(), { timeoutMs: 50 }),
+      (error) => error.isProbeTimeout && error.message === 'Request timeout of 50 ms exceeded'
+    );
+  });
+
+  it('names network errors like the browser probe does', async () => {
+    await assert.rejects(
+      probe.run(makeWebsite({ url: 'http://127.0.0.1:1/' })),
+      (error) => error.code === 'ECONNREFUSED' && error.message === 'net::ERR_CONNECTION_REFUSED at http://127.0.0.1:1/ (ECONNREFUSED)'
+    );
+  });
+
+  it('is the engine used when a website does not pick one', () => {
+    assert.equal(probeService.getEngine(undefined).name, 'http');
+    assert.equal(probeService.getEngine('browser').name, 'browser');
+  });
+});
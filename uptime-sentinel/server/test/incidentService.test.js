@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeWebsite, mockSignedInUser, startApi } = require('./helpers');
+const Incident = require('../models/Incident');
+const PingResult = require('../models/PingResult');
+const Website = require('../models/Website');
+const eventBus = require('../services/eventBus');
+const incidentService = require('../services/incidentService');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+// A query chain for PingResult.findOne that resolves with `answer(filter)`
+const mockPingResultFindOne = (answer) => mock.method(PingResult, 'findOne', (filter) => {
+  const chain = { sort: () => chain, select: () => chain, lean: async () => answer(filter) };
+  return chain;
+});
+
+const failure = { errorType: 'TIMEOUT', message: 'Request timeout of 30000 ms exceeded', statusCode: 0 };
+
+describe('incidentService', () => {
+  let openIncident;
+
+  beforeEach(() => {
+    openIncident = null;
+    mock.method(Incident, 'findOne', async () => openIncident);
+    mock.method(Incident.prototype, 'save', async function() { return this; });
+    mock.method(eventBus, 'publish', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('recordFailure', () => {
+    it('opens nothing below the failure threshold', async () => {
+      const incident = await incidentService.recordFailure(makeWebsite({ consecutiveFailures: 2, failureThreshold: 3 }), failure);
+
+      assert.equal(incident, null);
+      assert.equal(eventBus.publish.mock.callCount(), 0);
+    });
+
+    it('opens an incident dated from the first failed check of the outage', async () => {
+      const lastSuccess = { timestamp: new Date('2026-10-19T09:55:00Z') };
+      const firstFailure = { timestamp: new Date('2026-10-19T10:00:00Z') };
+      mockPingResultFindOne(filter => (filter.success ? lastSuccess : firstFailure));
+
+      const incident = await incidentService.recordFailure(makeWebsite({ consecutiveFailures: 3, failureThreshold: 3 }), failure);
+
+      assert.deepEqual(incident.startedAt, firstFailure.timestamp);
+      assert.equal(incident.status, 'open');
+      assert.equal(incident.failedChecks, 3);
+      assert.equal(incident.rootCause.message, failure.message);
+      assert.equal(incident.rootCause.errorType, 'TIMEOUT');
+
+      // Only failures after the last success belong to this outage, and none during maintenance
+      assert.deepEqual(PingResult.findOne.mock.calls[1].arguments[0], {
+        website: WEBSITE_ID,
+        success: false,
+        maintenance: { $ne: true },
+        timestamp: { $gt: lastSuccess.timestamp }
+      });
+
+      const [type, , payload] = eventBus.publish.mock.calls[0].arguments;
+      assert.equal(type, 'incident-opened');
+      assert.equal(payload.incidentId, String(incident._id));
+    });
+
+    it('counts further failures on the open incident', async () => {
+      openIncident = new Incident({ website: WEBSITE_ID, user: '64b0000000000000000000aa', startedAt: new Date(), failedChecks: 3 });
+
+      const incident = await incidentService.recordFailure(makeWebsite({ consecutiveFailures: 4 }), failure);
+
+      assert.equal(incident, openIncident);
+      assert.equal(incident.failedChecks, 4);
+      assert.equal(eventBus.publish.mock.callCount(), 0);
+    });
+
+    it('returns the incident another process opened first', async () => {
+      mockPingResultFindOne(() => null);
+      const opened = { _id: 'i1', status: 'open' };
+      Incident.prototype.save.mock.mockImplementation(async () => {
+        openIncident = opened;
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      });
+
+      const incident = await incidentService.recordFailure(makeWebsite({ consecutiveFailures: 3 }), failure);
+
+      assert.equal(incident, opened);
+      assert.equal(eventBus.publish.mock.callCount(), 0);
+    });
+  });
+
+  describe('resolveIncident', () => {
+    it('closes the open incident with its duration', async () => {
+      openIncident = new Incident({ website: WEBSITE_ID, user: '64b0000000000000000000aa', startedAt: new Date(Date.now() - 725 * 1000) });
+
+      const incident = await incidentService.resolveIncident(makeWebsite({ status: 'up' }));
+
+      assert.equal(incident.status, 'resolved');
+      assert.ok(incident.resolvedAt instanceof Date);
+      assert.equal(incident.durationSeconds, 725);
+      assert.equal(eventBus.publish.mock.calls[0].arguments[0], 'incident-resolved');
+    });
+
+    it('does nothing without an open incident', async () => {
+      assert.equal(await incidentService.resolveIncident(makeWebsite()), null);
+      assert.equal(eventBus.publish.mock.callCount(), 0);
+    });
+  });
+
+  describe('GET /api/websites/:id/incidents', () => {
+    let api;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    it('lists the incidents with their MTTR', async () => {
+      mockSignedInUser();
+      mock.method(Website, 'findOne', async () => makeWebsite());
+      const incidents = [{ _id: 'i2', status: 'resolved', durationSeconds: 600 }];
+      const chain = { sort: () => chain, limit: () => chain, lean: async () => incidents };
+      mock.method(Incident, 'find', () => chain);
+      mock.method(Incident, 'aggregate', async () => [{ totalIncidents: 2, openIncidents: 1, mttrSeconds: 600.4, totalDowntimeSeconds: 600 }]);
+
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/incidents?status=resolved`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data, {
+        incidents,
+        statistics: { totalIncidents: 2, openIncidents: 1, mttrSeconds: 600, totalDowntimeSeconds: 600 }
+      });
+      assert.deepEqual(Incident.find.mock.calls[0].arguments[0], { website: WEBSITE_ID, status: 'resolved' });
+    });
+  });
+});
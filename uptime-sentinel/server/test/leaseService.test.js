@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeWebsite } = require('./helpers');
+const Website = require('../models/Website');
+const leaseService = require('../services/leaseService');
+
+// Several workers sharing the websites collection through leases
+describe('leaseService', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  let due;
+  let batchSize;
+
+  beforeEach(() => {
+    batchSize = leaseService.batchSize;
+    due = [];
+
+    // Each claim takes the next due website, as the atomic update would
+    mock.method(Website, 'findOneAndUpdate', async () => due.shift() || null);
+    mock.method(Website, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Website, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    leaseService.batchSize = batchSize;
+    mock.restoreAll();
+  });
+
+  it('only treats due, running and unleased websites as due', () => {
+    const { $and } = leaseService.dueFilter(now);
+
+    assert.deepEqual($and[0].$or[0], { nextPingTime: { $lte: now } });
+    assert.deepEqual($and[1], { isTemporarilyStopped: { $ne: true } });
+    assert.deepEqual($and[2], { leaseExpiresAt: null });
+  });
+
+  describe('claimDueWebsites', () => {
+    it('claims each due website with this worker as the lease owner until none are left', async () => {
+      due = [makeWebsite({ _id: 'a' }), makeWebsite({ _id: 'b' })];
+
+      const claimed = await leaseService.claimDueWebsites(now);
+
+      assert.deepEqual(claimed.map(website => website._id), ['a', 'b']);
+      assert.equal(Website.findOneAndUpdate.mock.callCount(), 3);
+
+      const [filter, update, options] = Website.findOneAndUpdate.mock.calls[0].arguments;
+      assert.deepEqual(filter, leaseService.dueFilter(now));
+      assert.deepEqual(update, {
+        $set: {
+          leaseOwner: leaseService.workerId,
+          leaseExpiresAt: new Date(now.getTime() + leaseService.leaseMs),
+          checkRequestedAt: null // Answered by this check
+        }
+      });
+      assert.deepEqual(options, { new: true, sort: { checkRequestedAt: -1, nextPingTime: 1 } });
+    });
+
+    it('stops at the batch size, leaving the rest to other workers', async () => {
+      leaseService.batchSize = 2;
+      due = ['a', 'b', 'c'].map(_id => makeWebsite({ _id }));
+
+      const claimed = await leaseService.claimDueWebsites(now);
+
+      assert.equal(claimed.length, 2);
+      assert.equal(due.length, 1);
+    });
+
+    it('first recovers the leases of a worker that stopped mid-cycle', async () => {
+      Website.updateMany.mock.mockImplementation(async () => ({ modifiedCount: 3 }));
+
+      await leaseService.claimDueWebsites(now);
+
+      assert.deepEqual(Website.updateMany.mock.calls[0].arguments, [
+        { leaseExpiresAt: { $lte: now } },
+        { $set: { leaseOwner: null, leaseExpiresAt: null } }
+      ]);
+    });
+  });
+
+  describe('release', () => {
+    it("only releases this worker's own lease", async () => {
+      await leaseService.release(makeWebsite());
+
+      assert.deepEqual(Website.updateOne.mock.calls[0].arguments, [
+        { _id: '64b000000000000000000001', leaseOwner: leaseService.workerId },
+        leaseService.releaseUpdate()
+      ]);
+    });
+
+    it('makes the website due again for a check requested while it was leased, unless now paused', () => {
+      const [{ $set }] = leaseService.releaseUpdate();
+
+      assert.equal($set.leaseOwner, null);
+      assert.equal($set.leaseExpiresAt, null);
+      assert.deepEqual($set.nextPingTime.$cond, [
+        { $and: [{ $ifNull: ['$checkRequestedAt', false] }, { $ne: ['$isTemporarilyStopped', true] }] },
+        '$checkRequestedAt',
+        '$nextPingTime'
+      ]);
+    });
+
+    it('does not throw when the release fails; the lease expires instead', async () => {
+      Website.updateOne.mock.mockImplementation(async () => {
+        throw new Error('connection closed');
+      });
+
+      await leaseService.release(makeWebsite());
+    });
+
+    it('releases every lease this worker holds on shutdown', async () => {
+      Website.updateMany.mock.mockImplementation(async () => ({ modifiedCount: 4 }));
+
+      assert.equal(await leaseService.releaseAll(), 4);
+      assert.deepEqual(Website.updateMany.mock.calls[0].arguments, [{ leaseOwner: leaseService.workerId }, leaseService.releaseUpdate()]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startReceiver, makeWebsite } = require('./helpers');
+const NotificationChannel = require('../models/NotificationChannel');
+const notificationService = require('../services/notificationService');
+const WebhookChannel = require('../services/notifications/webhookChannel');
+const SlackChannel = require('../services/notifications/slackChannel');
+
+describe('notification channels', () => {
+  let receiver;
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(() => receiver.close());
+
+  beforeEach(() => {
+    receiver.requests.length = 0;
+    receiver.respond = (req, res) => res.end();
+  });
+
+  describe('slack', () => {
+    it('posts a formatted down alert', async () => {
+      const channel = { type: 'slack', name: '#ops', url: receiver.url };
+      const result = await new SlackChannel().send(channel, {
+        type: 'down',
+        website: makeWebsite(),
+        details: { error: 'Connection refused', consecutiveFailures: 3 }
+      });
+
+      assert.deepEqual(result, { success: true, statusCode: 200 });
+      assert.equal(receiver.requests.length, 1);
+
+      const [request] = receiver.requests;
+      assert.equal(request.method, 'POST');
+      assert.equal(request.headers['content-type'], 'application/json');
+
+      const body = JSON.parse(request.body);
+      assert.equal(body.text, ':rotating_light: *Shop API* is DOWN');
+      assert.equal(body.attachments[0].color, '#ef4444');
+      assert.deepEqual(
+        body.attachments[0].fields.map(field => [field.title, field.value]),
+        [['URL', 'https://shop.example.com/health'], ['Error', 'Connection refused'], ['Failed checks', '3']]
+      );
+    });
+
+    it('reports how long a recovered website was down', async () => {
+      await new SlackChannel().send({ type: 'slack', url: receiver.url }, {
+        type: 'recovery',
+        website: makeWebsite({ status: 'up' }),
+        details: { downtimeMs: 725000 }
+      });
+
+      const body = JSON.parse(receiver.requests[0].body);
+      assert.equal(body.text, ':white_check_mark: *Shop API* is back UP');
+      assert.deepEqual(body.attachments[0].fields[1], { title: 'Down for', value: '12m 5s', short: true });
+    });
+  });
+
+  describe('webhook', () => {
+    it('posts the alert as JSON', async () => {
+      const incident = { _id: '64b0000000000000000000ff', startedAt: new Date('2026-10-19T10:00:00Z') };
+      const result = await new WebhookChannel().send({ type: 'webhook', url: receiver.url }, {
+        type: 'down',
+        website: makeWebsite(),
+        details: { statusCode: 503 },
+        incident
+      });
+
+      assert.equal(result.success, true);
+
+      const body = JSON.parse(receiver.requests[0].body);
+      assert.equal(body.event, 'down');
+      assert.deepEqual(body.website, { id: '64b000000000000000000001', name: 'Shop API', url: 'https://shop.example.com/health' });
+      assert.deepEqual(body.incident, { id: '64b0000000000000000000ff', startedAt: '2026-10-19T10:00:00.000Z' });
+      assert.deepEqual(body.details, { statusCode: 503 });
+    });
+
+    it('counts a non-2xx response as not delivered', async () => {
+      receiver.respond = (req, res) => {
+        res.statusCode = 500;
+        res.end();
+      };
+
+      const result = await new WebhookChannel().send({ type: 'webhook', url: receiver.url }, {
+        type: 'test',
+        website: makeWebsite()
+      });
+
+      assert.deepEqual(result, { success: false, statusCode: 500 });
+    });
+
+    it('gives up on a receiver that does not answer in time', async () => {
+      receiver.respond = () => {}; // Never answers
+
+      const channel = new WebhookChannel();
+      channel.timeoutMs = 50;
+
+      await assert.rejects(
+        channel.send({ type: 'webhook', url: receiver.url }, { type: 'test', website: makeWebsite() }),
+        /No response within 50ms/
+      );
+    });
+  });
+
+  describe('notificationService.send', () => {
+    beforeEach(() => {
+      mock.method(NotificationChannel, 'updateOne', async () => ({ acknowledged: true }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('records a successful delivery on the channel', async () => {
+      const channel = { _id: 'c1', type: 'slack', name: '#ops', url: receiver.url };
+      const result = await notificationService.send(channel, { type: 'test', website: makeWebsite(), details: {} });
+
+      assert.deepEqual(result, { success: true, statusCode: 200 });
+
+      const [filter, update] = NotificationChannel.updateOne.mock.calls.at(-1).arguments;
+      assert.deepEqual(filter, { _id: 'c1' });
+      assert.equal(update.$set.lastDelivery.success, true);
+      assert.equal(update.$set.lastDelivery.statusCode, 200);
+    });
+
+    it('returns failures instead of throwing', async () => {
+      receiver.respond = (req, res) => {
+        res.statusCode = 404;
+        res.end();
+      };
+
+      const result = await notificationService.send(
+        { _id: 'c2', type: 'webhook', name: 'Ops hook', url: receiver.url },
+        { type: 'test', website: makeWebsite(), details: {} }
+      );
+      assert.deepEqual(result, { success: false, statusCode: 404, error: 'Webhook responded with HTTP 404' });
+
+      const unreachable = await notificationService.send(
+        { _id: 'c3', type: 'webhook', name: 'Gone', url: 'http://127.0.0.1:1/hook' },
+        { type: 'test', website: makeWebsite(), details: {} }
+      );
+      assert.equal(unreachable.success, false);
+      assert.match(unreachable.error, /ECONNREFUSED/);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi, makeWebsite } = require('./helpers');
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const statsService = require('../services/statsService');
+const maintenanceService = require('../services/maintenanceService');
+const probeService = require('../services/probeService');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+const failedPing = {
+  timestamp: '2026-10-19T10:05:00.000Z',
+  statusCode: 0,
+  duration: 30000,
+  success: false,
+  errorType: 'TIMEOUT',
+  failureReason: 'Request timeout of 30000 ms exceeded'
+};
+
+// Failure reasons and error categories in the ping history
+describe('ping history', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('probeService.classifyError', () => {
+    it('sorts probe errors into the stored categories', () => {
+      const classify = (message) => probeService.classifyError(new Error(message));
+
+      assert.equal(classify('Request timeout of 30000 ms exceeded'), 'TIMEOUT');
+      assert.equal(classify('Navigation timeout of 15000 ms exceeded'), 'TIMEOUT');
+      assert.equal(classify('net::ERR_NAME_NOT_RESOLVED at https://gone.example.com'), 'NETWORK_ERROR');
+      assert.equal(classify('Navigation failed because browser has disconnected!'), 'NAVIGATION_FAILED');
+      assert.equal(classify('Something else'), 'UNKNOWN');
+      assert.equal(probeService.classifyError(Object.assign(new Error('Status code 500'), { errorType: 'HEALTH_CHECK_FAILED' })), 'HEALTH_CHECK_FAILED');
+    });
+
+    it('only produces categories a ping result can store', () => {
+      ['timeout', 'net::ERR_FAILED', 'Health check failed', 'Navigation failed', ''].forEach(message => {
+        assert.ok(PingResult.ERROR_TYPES.includes(probeService.classifyError(new Error(message))));
+      });
+    });
+  });
+
+  describe('GET /api/websites/:id/ping-history', () => {
+    let api;
+    let find;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    beforeEach(() => {
+      mockSignedInUser();
+      mock.method(Website, 'findOne', async () => makeWebsite({ status: 'DOWN' }));
+
+      const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        lean: async () => [failedPing]
+      };
+      find = mock.method(PingResult, 'find', () => chain);
+      mock.method(PingResult, 'aggregate', async () => [{ _id: 'TIMEOUT', count: 3 }, { _id: 'NETWORK_ERROR', count: 1 }]);
+      mock.method(PingResult, 'countDocuments', async () => 0);
+      mock.method(statsService, 'getStatsForWebsites', async () => new Map());
+      mock.method(maintenanceService, 'getActiveWindow', async () => null);
+    });
+
+    it('returns the error category and reason of each failed check', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/ping-history`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.pingHistory, [failedPing]);
+      assert.deepEqual(response.body.data.statistics.errorTypeCounts, { TIMEOUT: 3, NETWORK_ERROR: 1 });
+    });
+
+    it('filters by error type', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/ping-history?status=down&errorType=TIMEOUT`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(find.mock.calls[0].arguments[0], {
+        website: WEBSITE_ID,
+        success: false,
+        maintenance: { $ne: true },
+        errorType: 'TIMEOUT'
+      });
+      assert.equal(response.body.data.statistics.filters.errorType, 'TIMEOUT');
+    });
+
+    it('refuses an unknown error type', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/ping-history?errorType=SLOW`);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, `Invalid error type. Must be one of: ${PingResult.ERROR_TYPES.join(', ')}`);
+      assert.equal(find.mock.callCount(), 0);
+    });
+
+    it("only shows the signed-in user's websites", async () => {
+      Website.findOne.mock.mockImplementation(async () => null);
+
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/ping-history`);
+
+      assert.equal(response.status, 404);
+      assert.deepEqual(Website.findOne.mock.calls[0].arguments[0], { _id: WEBSITE_ID, user: USER_ID });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeWebsite } = require('./helpers');
+const PingScheduler = require('../services/pingScheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const makeSites = (hosts) => hosts.map((host, index) => makeWebsite({
+  _id: `site-${index}`,
+  name: `Site ${index}`,
+  url: `https://${host}/health`
+}));
+
+// A task that takes `ms` and records how many checks were in flight, overall and per host
+const trackConcurrency = (ms) => {
+  const inFlight = new Map();
+  const peaks = { overall: 0, hosts: new Map() };
+  let overall = 0;
+
+  const task = async (website) => {
+    const host = new URL(website.url).hostname;
+    overall++;
+    inFlight.set(host, (inFlight.get(host) || 0) + 1);
+    peaks.overall = Math.max(peaks.overall, overall);
+    peaks.hosts.set(host, Math.max(peaks.hosts.get(host) || 0, inFlight.get(host)));
+
+    await sleep(ms);
+
+    overall--;
+    inFlight.set(host, inFlight.get(host) - 1);
+    return true;
+  };
+
+  return { task, peaks };
+};
+
+describe('PingScheduler', () => {
+  it('never runs more than `concurrency` checks at once', async () => {
+    const scheduler = new PingScheduler({ concurrency: 3, hostSpacingMs: 0 });
+    const { task, peaks } = trackConcurrency(10);
+
+    const metrics = await scheduler.run(makeSites(['a.test', 'b.test', 'c.test', 'd.test', 'e.test', 'f.test', 'g.test']), task);
+
+    assert.equal(peaks.overall, 3);
+    assert.equal(metrics.peakConcurrency, 3);
+    assert.equal(metrics.completed, 7);
+  });
+
+  it('limits checks against the same host and spaces their starts', async () => {
+    const scheduler = new PingScheduler({ concurrency: 10, perHostConcurrency: 1, hostSpacingMs: 30 });
+    const starts = [];
+    const task = async (website) => {
+      starts.push({ host: new URL(website.url).hostname, at: Date.now() });
+      await sleep(5);
+      return true;
+    };
+
+    const metrics = await scheduler.run(makeSites(['same.test', 'same.test', 'same.test', 'other.test']), task);
+
+    const sameHost = starts.filter(start => start.host === 'same.test').map(start => start.at);
+    assert.equal(sameHost.length, 3);
+    assert.ok(sameHost[1] - sameHost[0] >= 25 && sameHost[2] - sameHost[1] >= 25, 'same-host checks spaced out');
+
+    // The other host isn't held back behind them
+    assert.ok(starts.find(start => start.host === 'other.test').at - sameHost[0] < 25);
+    assert.equal(metrics.hostThrottles, 2);
+  });
+
+  it('caps browser-probe checks separately', async () => {
+    const scheduler = new PingScheduler({ concurrency: 10, browserConcurrency: 1, hostSpacingMs: 0 });
+    let browsers = 0;
+    let peakBrowsers = 0;
+    const task = async (website) => {
+      if (website.probeEngine === 'browser') {
+        browsers++;
+        peakBrowsers = Math.max(peakBrowsers, browsers);
+      }
+      await sleep(5);
+      if (website.probeEngine === 'browser') browsers--;
+      return true;
+    };
+
+    const websites = makeSites(['a.test', 'b.test', 'c.test', 'd.test'])
+      .map((website, index) => ({ ...website, probeEngine: index < 3 ? 'browser' : 'http' }));
+    const metrics = await scheduler.run(websites, task);
+
+    assert.equal(peakBrowsers, 1);
+    assert.equal(metrics.peakConcurrency, 2);
+  });
+
+  it('reports the cycle metrics and survives a task that throws', async () => {
+    const scheduler = new PingScheduler({ hostSpacingMs: 0 });
+    const results = { 'up.test': true, 'down.test': false };
+    const task = async (website) => {
+      const host = new URL(website.url).hostname;
+      if (!(host in results)) throw new Error('Database unavailable');
+      return results[host];
+    };
+
+    const metrics = await scheduler.run(makeSites(['up.test', 'down.test', 'broken.test']), task);
+
+    assert.equal(metrics.due, 3);
+    assert.equal(metrics.completed, 3);
+    assert.equal(metrics.healthy, 1);
+    assert.equal(metrics.unhealthy, 1);
+    assert.equal(metrics.errors, 1);
+    assert.equal(typeof metrics.durationMs, 'number');
+    assert.equal(typeof metrics.averagePingMs, 'number');
+  });
+
+  it('resolves straight away when nothing is due', async () => {
+    const metrics = await new PingScheduler().run([], async () => true);
+
+    assert.equal(metrics.due, 0);
+    assert.equal(metrics.completed, 0);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID } = require('./helpers');
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const realtimeService = require('../services/realtimeService');
+const websocketManager = require('../websocket');
+const sseManager = require('../sse');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+// Events from the bus as WebSocket and Server-Sent Events messages
+describe('realtimeService', () => {
+  const transports = [websocketManager, sseManager];
+  const makeEvent = (type, payload = {}) => ({ seq: 21, type, website: WEBSITE_ID, user: USER_ID, payload, createdAt: new Date('2026-10-19T10:00:00Z') });
+
+  const withStats = (fields) => ({
+    _id: WEBSITE_ID,
+    user: USER_ID,
+    status: 'UP',
+    uptime: { '24h': null },
+    averageResponseTime: null,
+    ...fields
+  });
+
+  beforeEach(() => {
+    realtimeService.removedWebsites.clear();
+    transports.forEach(transport => {
+      ['broadcastWebsiteUpdate', 'broadcastStatusChange', 'broadcastIncidentUpdate', 'broadcastStatsUpdate'].forEach(method => {
+        mock.method(transport, method, () => {});
+      });
+      mock.method(transport, 'hasUserClients', () => true);
+    });
+    mock.method(Website, 'getWebsitesWithStats', async () => [withStats()]);
+    mock.method(PingResult, 'countDocuments', async () => 0);
+  });
+
+  afterEach(() => {
+    realtimeService.pendingStatsUpdates.forEach(timer => clearTimeout(timer));
+    realtimeService.pendingStatsUpdates.clear();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('passes status changes and incidents on to both transports with the event cursor', async () => {
+    await realtimeService.handleEvent(makeEvent('status-change', { from: 'UP', to: 'DOWN' }));
+    await realtimeService.handleEvent(makeEvent('incident-opened', { incidentId: 'i1' }));
+
+    transports.forEach(transport => {
+      assert.deepEqual(transport.broadcastStatusChange.mock.calls[0].arguments, [USER_ID, {
+        type: 'status-change',
+        websiteId: WEBSITE_ID,
+        from: 'UP',
+        to: 'DOWN',
+        timestamp: new Date('2026-10-19T10:00:00Z'),
+        cursor: '21'
+      }]);
+      assert.equal(transport.broadcastIncidentUpdate.mock.calls[0].arguments[1].incidentId, 'i1');
+    });
+  });
+
+  describe('stats-update', () => {
+    it("follows a check result with the owner's totals, once per burst", async () => {
+      mock.timers.enable({ apis: ['setTimeout'] });
+      mock.method(realtimeService, 'publishStatsUpdate', async () => {});
+
+      await realtimeService.handleEvent(makeEvent('check-result'));
+      await realtimeService.handleEvent(makeEvent('check-result'));
+      assert.equal(realtimeService.publishStatsUpdate.mock.callCount(), 0);
+
+      mock.timers.tick(realtimeService.statsUpdateDelayMs);
+
+      assert.deepEqual(realtimeService.publishStatsUpdate.mock.calls.map(call => call.arguments), [[USER_ID]]);
+      assert.equal(realtimeService.pendingStatsUpdates.size, 0);
+    });
+
+    it('sends the totals to both transports', async () => {
+      Website.getWebsitesWithStats.mock.mockImplementation(async () => [
+        withStats({ uptime: { '24h': 100 }, averageResponseTime: 120 }),
+        withStats({ _id: '64b000000000000000000002', status: 'DOWN', uptime: { '24h': 90 }, averageResponseTime: 300 }),
+        withStats({ _id: '64b000000000000000000003', isTemporarilyStopped: true })
+      ]);
+      PingResult.countDocuments.mock.mockImplementation(async () => 576);
+
+      await realtimeService.publishStatsUpdate(USER_ID);
+
+      const expected = {
+        totalWebsites: 3,
+        activeWebsites: 2,
+        totalPingsToday: 576,
+        averageUptime: 95,
+        averageResponseTime: 210,
+        websitesByStatus: { up: 1, down: 1, warning: 0, paused: 1 }
+      };
+      transports.forEach(transport => {
+        assert.deepEqual(transport.broadcastStatsUpdate.mock.calls[0].arguments, [USER_ID, expected]);
+      });
+      assert.deepEqual(Website.getWebsitesWithStats.mock.calls[0].arguments[0], { user: USER_ID });
+    });
+
+    it("works nothing out while none of the user's dashboards are open", async () => {
+      transports.forEach(transport => transport.hasUserClients.mock.mockImplementation(() => false));
+
+      await realtimeService.publishStatsUpdate(USER_ID);
+
+      assert.equal(Website.getWebsitesWithStats.mock.callCount(), 0);
+    });
+  });
+
+  describe('transports', () => {
+    it("go to the user's own WebSocket channel and SSE streams", () => {
+      mock.restoreAll();
+      mock.method(websocketManager, 'broadcast', () => {});
+      mock.method(sseManager, 'broadcastToUser', () => {});
+
+      websocketManager.broadcastStatsUpdate(USER_ID, { totalWebsites: 1 });
+      sseManager.broadcastStatsUpdate(USER_ID, { totalWebsites: 1 });
+
+      assert.deepEqual(websocketManager.broadcast.mock.calls[0].arguments, [`user:${USER_ID}`, 'stats-update', { totalWebsites: 1 }]);
+      assert.deepEqual(sseManager.broadcastToUser.mock.calls[0].arguments, [USER_ID, 'stats-update', { totalWebsites: 1 }]);
+    });
+
+    it('know whether a user has a dashboard open', () => {
+      mock.restoreAll();
+      websocketManager.clients.set('c1', { userId: USER_ID, subscriptions: new Set([`user:${USER_ID}`]) });
+      sseManager.clients.set('s1', { userId: USER_ID });
+
+      try {
+        assert.equal(websocketManager.hasUserClients(USER_ID), true);
+        assert.equal(websocketManager.hasUserClients('64b0000000000000000000bb'), false);
+        assert.equal(sseManager.hasUserClients(USER_ID), true);
+      } finally {
+        websocketManager.clients.delete('c1');
+        sseManager.clients.delete('s1');
+      }
+    });
+  });
+});
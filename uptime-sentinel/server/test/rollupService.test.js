@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const PingResult = require('../models/PingResult');
+const PingRollup = require('../models/PingRollup');
+const rollupService = require('../services/rollupService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('rollupService', () => {
+  let buckets;
+
+  beforeEach(() => {
+    buckets = [];
+    mock.method(PingResult, 'aggregate', () => ({ allowDiskUse: async () => buckets }));
+    mock.method(PingRollup, 'bulkWrite', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // The [from, to) ranges aggregated, as ISO strings
+  const aggregatedRanges = () => PingResult.aggregate.mock.calls.map(call => {
+    const { timestamp } = call.arguments[0][0].$match;
+    return [timestamp.$gte.toISOString(), timestamp.$lt.toISOString()];
+  });
+
+  it('truncates to the start of the UTC hour or day', () => {
+    const date = new Date('2026-10-19T13:45:12.345Z');
+
+    assert.deepEqual(rollupService.truncate(date, 'hour'), new Date('2026-10-19T13:00:00Z'));
+    assert.deepEqual(rollupService.truncate(date, 'day'), new Date('2026-10-19T00:00:00Z'));
+  });
+
+  describe('rollUp', () => {
+    it('picks up after the newest bucket and stops before the current one', async () => {
+      mock.method(PingRollup, 'getCoveredUntil', async () => new Date('2026-10-19T10:00:00Z'));
+
+      await rollupService.rollUp('hour', new Date('2026-10-19T13:20:00Z'));
+
+      assert.deepEqual(aggregatedRanges(), [['2026-10-19T10:00:00.000Z', '2026-10-19T13:00:00.000Z']]);
+    });
+
+    it('backfills from the oldest ping result in chunks on the first run', async () => {
+      mock.method(PingRollup, 'getCoveredUntil', async () => null);
+      const oldest = { timestamp: new Date('2026-10-01T08:30:00Z') };
+      mock.method(PingResult, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => oldest }) }) }));
+
+      await rollupService.rollUp('day', new Date('2026-10-19T13:20:00Z'));
+
+      assert.deepEqual(aggregatedRanges(), [
+        ['2026-10-01T00:00:00.000Z', '2026-10-08T00:00:00.000Z'],
+        ['2026-10-08T00:00:00.000Z', '2026-10-15T00:00:00.000Z'],
+        ['2026-10-15T00:00:00.000Z', '2026-10-19T00:00:00.000Z']
+      ]);
+    });
+
+    it('does nothing before the first ping result', async () => {
+      mock.method(PingRollup, 'getCoveredUntil', async () => null);
+      mock.method(PingResult, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+
+      assert.equal(await rollupService.rollUp('hour'), 0);
+      assert.equal(PingResult.aggregate.mock.callCount(), 0);
+    });
+  });
+
+  describe('rollUpRange', () => {
+    const from = new Date('2026-10-19T10:00:00Z');
+    const to = new Date('2026-10-19T11:00:00Z');
+
+    it('upserts one bucket per website and start', async () => {
+      buckets = [{
+        website: '64b000000000000000000001',
+        bucketStart: from,
+        checks: 12,
+        failures: 2,
+        minLatency: 80,
+        avgLatency: 140,
+        p95Latency: 410,
+        maxLatency: 450,
+        downtimeSeconds: 600
+      }];
+
+      assert.equal(await rollupService.rollUpRange('hour', from, to), 1);
+
+      const [operations, options] = PingRollup.bulkWrite.mock.calls[0].arguments;
+      assert.deepEqual(operations, [{
+        updateOne: {
+          filter: { website: '64b000000000000000000001', granularity: 'hour', bucketStart: from },
+          update: { $set: { ...buckets[0], granularity: 'hour' } },
+          upsert: true
+        }
+      }]);
+      assert.deepEqual(options, { ordered: false });
+    });
+
+    it('leaves maintenance checks out of the buckets, after they have ended the downtime before them', async () => {
+      await rollupService.rollUpRange('hour', from, to);
+
+      const pipeline = PingResult.aggregate.mock.calls[0].arguments[0];
+      assert.ok(pipeline[1].$setWindowFields);
+      assert.deepEqual(pipeline[2], { $match: { maintenance: { $ne: true } } });
+    });
+
+    it('caps downtime at the bucket length', async () => {
+      await rollupService.rollUpRange('day', from, new Date(from.getTime() + DAY_MS));
+
+      const { $project } = PingResult.aggregate.mock.calls[0].arguments[0].at(-1);
+      assert.equal($project.downtimeSeconds.$min[1], DAY_MS / 1000);
+      assert.equal(PingRollup.bulkWrite.mock.callCount(), 0); // Nothing to write
+    });
+  });
+
+  describe('run', () => {
+    it('writes hourly, then daily rollups, and skips a run while one is in progress', async () => {
+      let finishHours;
+      const granularities = [];
+      mock.method(rollupService, 'rollUp', (granularity) => {
+        granularities.push(granularity);
+        return granularity === 'hour' ? new Promise(resolve => { finishHours = () => resolve(3); }) : Promise.resolve(1);
+      });
+
+      const first = rollupService.run();
+      assert.equal(await rollupService.run(), null);
+
+      finishHours();
+      assert.deepEqual(await first, { hours: 3, days: 1 });
+      assert.deepEqual(granularities, ['hour', 'day']);
+    });
+  });
+
+  describe('PingRollup.getCoveredUntil', () => {
+    it('is the end of the newest bucket', async () => {
+      const newest = { bucketStart: new Date('2026-10-19T10:00:00Z') };
+      mock.method(PingRollup, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => newest }) }) }));
+
+      assert.deepEqual(await PingRollup.getCoveredUntil('hour'), new Date(newest.bucketStart.getTime() + HOUR_MS));
+      assert.deepEqual(await PingRollup.getCoveredUntil('day'), new Date(newest.bucketStart.getTime() + DAY_MS));
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi } = require('./helpers');
+const Website = require('../models/Website');
+const webhookService = require('../services/webhookService');
+const schedulingService = require('../services/schedulingService');
+
+const WEBSITE_ID = '64b000000000000000000001';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Retry policies: fixed monitoring then a pause, exponential backoff with a cap, or never pausing
+describe('schedulingService', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const later = (ms) => new Date(now.getTime() + ms);
+
+  const makeWebsite = (fields = {}) => new Website({
+    _id: WEBSITE_ID,
+    user: USER_ID,
+    name: 'Shop API',
+    url: 'https://shop.example.com/health',
+    intervalSeconds: 60,
+    ...fields
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('fills in the policy defaults', () => {
+    assert.deepEqual(schedulingService.getPolicy(makeWebsite({ backoffPolicy: { strategy: 'exponential' } })), {
+      strategy: 'exponential',
+      monitorHours: parseInt(process.env.DOWNTIME_MONITORING_HOURS) || 12,
+      pauseHours: parseInt(process.env.PAUSE_MONITORING_HOURS) || 24,
+      maxIntervalSeconds: 3600
+    });
+    assert.equal(schedulingService.getPolicy({}).strategy, 'fixed');
+  });
+
+  it('checks at the normal interval after a success and clears the outage', () => {
+    const website = makeWebsite({ failingSince: later(-HOUR_MS), isTemporarilyStopped: true, stopPingUntil: later(HOUR_MS) });
+
+    schedulingService.scheduleAfterSuccess(website, now);
+
+    assert.deepEqual(website.nextPingTime, later(60 * 1000));
+    assert.equal(website.isTemporarilyStopped, false);
+    assert.equal(website.stopPingUntil, null);
+    assert.equal(website.failingSince, null);
+  });
+
+  describe('fixed', () => {
+    const policy = { strategy: 'fixed', monitorHours: 2, pauseHours: 6 };
+
+    it('keeps checking at the normal interval during the monitoring window', () => {
+      const website = makeWebsite({ backoffPolicy: policy, consecutiveFailures: 1 });
+
+      schedulingService.scheduleAfterFailure(website, now);
+
+      assert.deepEqual(website.failingSince, now);
+      assert.deepEqual(website.nextPingTime, later(60 * 1000));
+      assert.equal(website.isTemporarilyStopped, false);
+    });
+
+    it('pauses for pauseHours once the website has been down for monitorHours', () => {
+      const website = makeWebsite({ backoffPolicy: policy, consecutiveFailures: 120, failingSince: later(-2 * HOUR_MS) });
+
+      schedulingService.scheduleAfterFailure(website, now);
+
+      assert.equal(website.isTemporarilyStopped, true);
+      assert.deepEqual(website.stopPingUntil, later(6 * HOUR_MS));
+      assert.deepEqual(website.nextPingTime, website.stopPingUntil);
+    });
+  });
+
+  describe('exponential', () => {
+    const policy = { strategy: 'exponential', maxIntervalSeconds: 600 };
+
+    it('doubles the wait after every failure up to the cap, without pausing', () => {
+      const delays = [1, 2, 3, 4, 5, 50].map(consecutiveFailures => {
+        const website = makeWebsite({ backoffPolicy: policy, consecutiveFailures, failingSince: later(-48 * HOUR_MS) });
+        schedulingService.scheduleAfterFailure(website, now);
+        assert.equal(website.isTemporarilyStopped, false);
+        return (website.nextPingTime - now) / 1000;
+      });
+
+      assert.deepEqual(delays, [60, 120, 240, 480, 600, 600]);
+    });
+
+    it('never waits less than the normal interval', () => {
+      const website = makeWebsite({ backoffPolicy: { strategy: 'exponential', maxIntervalSeconds: 30 }, intervalSeconds: 300 });
+
+      assert.equal(schedulingService.getBackoffDelayMs(website), 300 * 1000);
+    });
+  });
+
+  it('never pauses with the never strategy', () => {
+    const website = makeWebsite({ backoffPolicy: { strategy: 'never' }, consecutiveFailures: 500, failingSince: later(-72 * HOUR_MS) });
+
+    schedulingService.scheduleAfterFailure(website, now);
+
+    assert.equal(website.isTemporarilyStopped, false);
+    assert.deepEqual(website.nextPingTime, later(60 * 1000));
+  });
+
+  it('leaves the backoff state alone for failures during maintenance', () => {
+    const website = makeWebsite({ backoffPolicy: { strategy: 'exponential' }, consecutiveFailures: 6 });
+
+    schedulingService.scheduleDuringMaintenance(website, now);
+
+    assert.deepEqual(website.nextPingTime, later(60 * 1000));
+    assert.equal(website.failingSince, null);
+  });
+
+  describe('resume', () => {
+    it('checks straight away and restarts the monitoring window of a website still down', () => {
+      const website = makeWebsite({ isTemporarilyStopped: true, stopPingUntil: now, failingSince: later(-30 * HOUR_MS) });
+
+      schedulingService.resume(website, now);
+
+      assert.equal(website.isTemporarilyStopped, false);
+      assert.deepEqual(website.nextPingTime, now);
+      assert.deepEqual(website.failingSince, now);
+    });
+
+    it('finds paused websites whose pause has run out, never manual pauses', () => {
+      const { $or } = schedulingService.dueForResumeQuery(now);
+
+      assert.deepEqual($or[0], { stopPingUntil: { $lte: now } });
+    });
+
+    it('matches resume() in the update the worker claims with', () => {
+      const [{ $set }] = schedulingService.resumeUpdate(now);
+
+      assert.equal($set.isTemporarilyStopped, false);
+      assert.equal($set.stopPingUntil, null);
+      assert.deepEqual($set.nextPingTime, now);
+      assert.deepEqual($set.failingSince.$cond[1], now);
+    });
+  });
+
+  describe('PUT /api/websites/:id/pause and /resume', () => {
+    let api;
+    let website;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    beforeEach(() => {
+      mockSignedInUser();
+      website = makeWebsite({ nextPingTime: later(HOUR_MS) });
+      mock.method(website, 'save', async () => website);
+      mock.method(Website, 'findOne', async () => website);
+      mock.method(webhookService, 'emit', async () => null);
+    });
+
+    it('pauses until resumed by hand', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/pause`, { method: 'PUT' });
+
+      assert.equal(response.status, 200);
+      assert.equal(website.isTemporarilyStopped, true);
+      assert.equal(website.stopPingUntil, null);
+      assert.deepEqual(webhookService.emit.mock.calls[0].arguments.slice(0, 3), ['monitor.paused', website, { reason: 'manual' }]);
+    });
+
+    it('resumes and checks on the next tick', async () => {
+      website.isTemporarilyStopped = true;
+      const startedAt = Date.now();
+
+      const response = await api.request(`/api/websites/${WEBSITE_ID}/resume`, { method: 'PUT' });
+
+      assert.equal(response.status, 200);
+      assert.equal(website.isTemporarilyStopped, false);
+      assert.ok(website.nextPingTime.getTime() >= startedAt);
+      assert.deepEqual(webhookService.emit.mock.calls[0].arguments.slice(0, 3), ['monitor.resumed', website, { reason: 'manual' }]);
+    });
+  });
+});
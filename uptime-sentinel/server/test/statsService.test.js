@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const PingResult = require('../models/PingResult');
+const PingRollup = require('../models/PingRollup');
+const statsService = require('../services/statsService');
+
+const WEBSITE_ID = '64b000000000000000000001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Uptime over 24h/7d/30d/90d from the ping results collection and daily rollups
+describe('statsService', () => {
+  let rawRows;
+  let rollupRows;
+  let coveredUntil;
+
+  beforeEach(() => {
+    rawRows = [];
+    rollupRows = [];
+    coveredUntil = null;
+
+    mock.method(PingRollup, 'getCoveredUntil', async () => coveredUntil);
+    mock.method(PingResult, 'aggregate', async () => rawRows);
+    mock.method(PingRollup, 'aggregate', async () => rollupRows);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const rawRow = (fields) => ({
+    _id: WEBSITE_ID,
+    total_24h: 0,
+    up_24h: 0,
+    total_recent: 0,
+    up_recent: 0,
+    averageResponseTime: null,
+    recentPings: [],
+    ...fields
+  });
+
+  const statsFor = async () => (await statsService.getStatsForWebsites([WEBSITE_ID])).get(WEBSITE_ID);
+
+  it('works out every window from raw results while there are no rollups', async () => {
+    rawRows = [rawRow({ total_24h: 288, up_24h: 287, total_recent: 2016, up_recent: 2000, averageResponseTime: 123.6 })];
+
+    const stats = await statsFor();
+
+    assert.deepEqual(stats.uptime, { '24h': 99.65, '7d': 99.21, '30d': 99.21, '90d': 99.21 });
+    assert.equal(stats.uptimePercentage, 99.65);
+    assert.equal(stats.averageResponseTime, 124);
+    assert.equal(stats.totalPings, 2016);
+    assert.equal(stats.successfulPings, 2000);
+
+    // Raw results are read back 90 days
+    const [{ $match }] = PingResult.aggregate.mock.calls[0].arguments[0];
+    const readFrom = Date.now() - $match.timestamp.$gte.getTime();
+    assert.ok(Math.abs(readFrom - 90 * DAY_MS) < 5000);
+  });
+
+  it('adds daily rollups to the raw results after them', async () => {
+    coveredUntil = new Date(Date.now() - 2 * DAY_MS);
+    rawRows = [rawRow({ total_24h: 100, up_24h: 100, total_recent: 200, up_recent: 190 })];
+    rollupRows = [{
+      _id: WEBSITE_ID,
+      checks_7d: 800, failures_7d: 0,
+      checks_30d: 2800, failures_30d: 10,
+      checks_90d: 8800, failures_90d: 10
+    }];
+
+    const stats = await statsFor();
+
+    assert.deepEqual(stats.uptime, { '24h': 100, '7d': 99, '30d': 99.33, '90d': 99.78 });
+    assert.equal(stats.totalPings, 9000);
+
+    // Raw results only from where the rollups stop
+    const [{ $match }] = PingResult.aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual($match.timestamp.$gte, coveredUntil);
+  });
+
+  it('leaves windows without checks empty instead of reporting 0%', async () => {
+    coveredUntil = new Date(Date.now() - DAY_MS);
+    rollupRows = [{ _id: WEBSITE_ID, checks_7d: 0, failures_7d: 0, checks_30d: 50, failures_30d: 5, checks_90d: 50, failures_90d: 5 }];
+
+    const stats = await statsFor();
+
+    assert.deepEqual(stats.uptime, { '24h': null, '7d': null, '30d': 90, '90d': 90 });
+    assert.equal(stats.uptimePercentage, 0);
+  });
+
+  it('does not count checks run during maintenance', async () => {
+    await statsFor();
+
+    const [, { $group }] = PingResult.aggregate.mock.calls[0].arguments[0];
+    const counted = { $ne: ['$maintenance', true] };
+    assert.deepEqual($group.total_24h.$sum.$cond[0].$and[1], counted);
+    assert.deepEqual($group.total_recent.$sum.$cond[0].$and[1], counted);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startReceiver, makeWebsite } = require('./helpers');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+
+const SECRET = 'whsec_test';
+
+// Resolves once `predicate` holds; deliveries queued by emit() are attempted in the background
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the delivery');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('webhookService', () => {
+  let receiver;
+  let endpoint;
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(() => receiver.close());
+
+  beforeEach(() => {
+    receiver.requests.length = 0;
+    receiver.respond = (req, res) => res.end();
+    endpoint = { _id: 'e1', url: receiver.url, secret: SECRET, enabled: true };
+
+    mock.method(WebhookEndpoint, 'find', () => ({ select: async () => [endpoint] }));
+    mock.method(WebhookDelivery, 'create', async (doc) => ({ _id: 'd1', attempts: [], ...doc }));
+    mock.method(WebhookDelivery, 'updateOne', async () => ({ acknowledged: true }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const makeDelivery = (overrides = {}) => ({
+    _id: 'd1',
+    deliveryId: 'delivery-1',
+    event: 'monitor.down',
+    body: JSON.stringify({ id: 'delivery-1', event: 'monitor.down', data: {} }),
+    attempts: [],
+    ...overrides
+  });
+
+  // The update recorded for the delivery's latest attempt
+  const lastUpdate = () => WebhookDelivery.updateOne.mock.calls.at(-1).arguments[1];
+
+  describe('emit', () => {
+    it('sends monitor.resumed to endpoints subscribed to it', async () => {
+      await webhookService.emit('monitor.resumed', makeWebsite({ status: 'down' }), { reason: 'scheduled' });
+      await waitFor(() => WebhookDelivery.updateOne.mock.callCount() > 0);
+
+      const [filter] = WebhookEndpoint.find.mock.calls[0].arguments;
+      assert.deepEqual(filter, { user: '64b0000000000000000000aa', enabled: true, events: 'monitor.resumed' });
+
+      const [request] = receiver.requests;
+      assert.equal(request.headers['x-uptime-sentinel-event'], 'monitor.resumed');
+
+      const body = JSON.parse(request.body);
+      assert.equal(body.event, 'monitor.resumed');
+      assert.equal(body.data.reason, 'scheduled');
+      assert.deepEqual(body.data.monitor, {
+        id: '64b000000000000000000001',
+        name: 'Shop API',
+        url: 'https://shop.example.com/health',
+        status: 'down',
+        tags: ['production']
+      });
+      assert.equal(lastUpdate().$set.status, 'succeeded');
+    });
+
+    it('lists monitor.resumed among the events an endpoint can pick', () => {
+      assert.ok(WebhookEndpoint.schema.path('events').caster.enumValues.includes('monitor.resumed'));
+    });
+
+    it('queues nothing when no endpoint wants the event', async () => {
+      WebhookEndpoint.find.mock.mockImplementation(() => ({ select: async () => [] }));
+
+      await webhookService.emit('monitor.resumed', makeWebsite(), { reason: 'manual' });
+
+      assert.equal(WebhookDelivery.create.mock.callCount(), 0);
+    });
+  });
+
+  describe('signing', () => {
+    it('signs `<timestamp>.<body>` with the endpoint secret', async () => {
+      await webhookService.emit('monitor.down', makeWebsite(), { statusCode: 503 });
+      await waitFor(() => WebhookDelivery.updateOne.mock.callCount() > 0);
+
+      const [{ headers, body }] = receiver.requests;
+      const timestamp = headers['x-uptime-sentinel-timestamp'];
+      const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+      assert.equal(headers['x-uptime-sentinel-signature'], `sha256=${expected}`);
+      assert.equal(headers['x-uptime-sentinel-delivery'], JSON.parse(body).id);
+      assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    });
+
+    it('sends retries with the same body and delivery ID', async () => {
+      const delivery = makeDelivery({ attempts: [{ at: new Date(), statusCode: 500 }] });
+
+      await webhookService.attempt(delivery, endpoint);
+
+      const [{ headers, body }] = receiver.requests;
+      assert.equal(body, delivery.body);
+      assert.equal(headers['x-uptime-sentinel-delivery'], 'delivery-1');
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      receiver.respond = (req, res) => {
+        res.statusCode = 500;
+        res.end();
+      };
+    });
+
+    it('schedules the next attempt with exponential backoff', async () => {
+      const startedAt = Date.now();
+      await webhookService.attempt(makeDelivery(), endpoint);
+
+      const first = lastUpdate();
+      assert.equal(first.$push.attempts.statusCode, 500);
+      assert.equal(first.$push.attempts.error, 'Endpoint responded with HTTP 500');
+      assert.equal(first.$set.status, undefined); // Still pending
+      assert.ok(first.$set.nextAttemptAt - startedAt >= 60 * 1000);
+      assert.ok(first.$set.nextAttemptAt - startedAt < 65 * 1000);
+
+      // Third failure: 4x the base delay
+      await webhookService.attempt(makeDelivery({ attempts: [{}, {}] }), endpoint);
+      assert.ok(lastUpdate().$set.nextAttemptAt - startedAt >= 240 * 1000);
+    });
+
+    it('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+      const attempts = Array.from({ length: webhookService.maxAttempts - 1 }, () => ({}));
+      await webhookService.attempt(makeDelivery({ attempts }), endpoint);
+
+      assert.deepEqual(lastUpdate().$set, { status: 'failed', nextAttemptAt: null });
+    });
+
+    it('retries deliveries that are due and fails those whose endpoint is gone', async () => {
+      const due = [makeDelivery({ _id: 'd1', endpoint: 'e1' }), makeDelivery({ _id: 'd2', endpoint: 'deleted' })];
+      mock.method(WebhookDelivery, 'findOneAndUpdate', async () => due.shift() || null);
+      mock.method(WebhookEndpoint, 'findById', (id) => ({ select: async () => (id === 'e1' ? endpoint : null) }));
+
+      const processed = await webhookService.processDueDeliveries();
+
+      assert.equal(processed, 1);
+      assert.equal(receiver.requests.length, 1);
+      assert.deepEqual(
+        WebhookDelivery.updateOne.mock.calls.map(call => [call.arguments[0]._id, call.arguments[1].$set.status]),
+        [['d1', undefined], ['d2', 'failed']]
+      );
+    });
+  });
+});
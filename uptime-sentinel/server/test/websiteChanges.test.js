@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi } = require('./helpers');
+const Website = require('../models/Website');
+const eventBus = require('../services/eventBus');
+const { signToken } = require('../middleware/auth');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+// What a dashboard loads after reconnecting: GET /api/websites/changes?since=<cursor>
+describe('catching up after a reconnect', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    mockSignedInUser();
+    mock.method(Website, 'getWebsitesWithStats', async () => [{ _id: WEBSITE_ID, name: 'Shop API' }]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('loads each changed website once, with fresh stats', async () => {
+    mock.method(eventBus, 'getEventsSince', async () => ({
+      resync: false,
+      cursor: '15',
+      events: [13, 14, 15].map(seq => ({ seq, type: 'check-result', website: WEBSITE_ID }))
+    }));
+
+    const response = await api.request('/api/websites/changes?since=12');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.cursor, '15');
+    assert.deepEqual(response.body.data.websites, [{ _id: WEBSITE_ID, name: 'Shop API' }]);
+    assert.deepEqual(Website.getWebsitesWithStats.mock.calls[0].arguments[0], { _id: { $in: [WEBSITE_ID] }, user: USER_ID });
+  });
+
+  it('returns nothing new when nothing happened', async () => {
+    mock.method(eventBus, 'getEventsSince', async () => ({ resync: false, cursor: '12', events: [] }));
+
+    const response = await api.request('/api/websites/changes?since=12');
+
+    assert.deepEqual(response.body.data, { resync: false, cursor: '12', websites: [], removedIds: [] });
+    assert.equal(Website.getWebsitesWithStats.mock.callCount(), 0);
+  });
+
+  it('asks the dashboard to reload everything when the cursor is too old', async () => {
+    mock.method(eventBus, 'getEventsSince', async () => ({ resync: true, cursor: '5000', events: [] }));
+
+    const response = await api.request('/api/websites/changes?since=3');
+
+    assert.deepEqual(response.body.data, { resync: true, cursor: '5000', websites: [], removedIds: [] });
+  });
+
+  it('refuses a missing or malformed cursor', async () => {
+    mock.method(eventBus, 'getEventsSince', async () => null);
+
+    for (const query of ['', '?since=abc', '?since=-1', '?since=1e5']) {
+      const response = await api.request(`/api/websites/changes${query}`);
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Please provide a valid since cursor');
+    }
+    assert.equal(eventBus.getEventsSince.mock.callCount(), 0);
+  });
+
+  it('gives each new stream the cursor to catch up from later', async () => {
+    const lastSeq = eventBus.lastSeq;
+    eventBus.lastSeq = 42;
+    const controller = new AbortController();
+
+    try {
+      const response = await fetch(`${api.origin}/api/events`, {
+        headers: { Authorization: `Bearer ${signToken(USER_ID)}` },
+        signal: controller.signal
+      });
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+      // Read up to the connected message, then hang up
+      const decoder = new TextDecoder();
+      let received = '';
+      for await (const chunk of response.body) {
+        received += decoder.decode(chunk, { stream: true });
+        if (received.includes('"connected"')) break;
+      }
+
+      const frame = received.split('\n\n').find(part => part.includes('"connected"'));
+      assert.ok(frame.startsWith('id: 42\n'));
+      assert.equal(JSON.parse(frame.split('data: ')[1]).payload.cursor, '42');
+    } finally {
+      controller.abort();
+      eventBus.lastSeq = lastSeq;
+    }
+  });
+});
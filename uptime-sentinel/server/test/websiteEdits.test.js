@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi } = require('./helpers');
+const Website = require('../models/Website');
+const PingResult = require('../models/PingResult');
+const PingRollup = require('../models/PingRollup');
+const Incident = require('../models/Incident');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const eventBus = require('../services/eventBus');
+const realtimeService = require('../services/realtimeService');
+const websocketManager = require('../websocket');
+const sseManager = require('../sse');
+
+const WEBSITE_ID = '64b000000000000000000001';
+
+// Editing (PATCH /api/websites/:id) and deleting a website, and how open dashboards hear of it
+describe('website edits', () => {
+  let api;
+  let website;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    mockSignedInUser();
+    website = new Website({
+      _id: WEBSITE_ID,
+      user: USER_ID,
+      name: 'Shop API',
+      url: 'https://shop.example.com/health',
+      email: 'owner@example.com',
+      status: 'DOWN',
+      consecutiveFailures: 4,
+      nextPingTime: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    mock.method(website, 'save', async () => website);
+    mock.method(Website, 'findOne', async (filter) => (filter._id === WEBSITE_ID && !filter.url ? website : null));
+    mock.method(eventBus, 'publish', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('PATCH /api/websites/:id', () => {
+    it('changes the given fields and checks again straight away', async () => {
+      const startedAt = Date.now();
+      const response = await api.request(`/api/websites/${WEBSITE_ID}`, {
+        method: 'PATCH',
+        body: { name: ' Shop API (EU) ', intervalSeconds: 60 }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.message, 'Shop API (EU) updated successfully');
+      assert.equal(website.name, 'Shop API (EU)');
+      assert.equal(website.intervalSeconds, 60);
+      assert.ok(website.nextPingTime.getTime() >= startedAt && website.nextPingTime.getTime() <= Date.now());
+
+      // The current status still stands: the URL didn't change
+      assert.equal(website.status, 'DOWN');
+      assert.equal(website.consecutiveFailures, 4);
+    });
+
+    it('starts the status over when the URL changes', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}`, {
+        method: 'PATCH',
+        body: { url: 'shop.example.com/v2/health' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(website.url, 'https://shop.example.com/v2/health');
+      assert.equal(website.status, 'PENDING');
+      assert.equal(website.consecutiveFailures, 0);
+    });
+
+    it('refuses fields that cannot be edited', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}`, {
+        method: 'PATCH',
+        body: { status: 'UP', user: '64b0000000000000000000bb' }
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'These fields cannot be updated: status, user');
+      assert.equal(website.save.mock.callCount(), 0);
+    });
+
+    it('publishes website-updated', async () => {
+      await api.request(`/api/websites/${WEBSITE_ID}`, { method: 'PATCH', body: { tags: ['eu'] } });
+
+      const [type, published] = eventBus.publish.mock.calls[0].arguments;
+      assert.equal(type, 'website-updated');
+      assert.equal(published, website);
+    });
+  });
+
+  describe('DELETE /api/websites/:id', () => {
+    beforeEach(() => {
+      mock.method(Website, 'findByIdAndDelete', async () => website);
+      [PingResult, PingRollup, Incident].forEach(Model => mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 })));
+      mock.method(MaintenanceWindow, 'updateMany', async () => ({ modifiedCount: 0 }));
+      mock.method(WebhookDelivery, 'updateMany', async () => ({ modifiedCount: 0 }));
+    });
+
+    it('deletes the website and its history, then publishes website-removed', async () => {
+      const response = await api.request(`/api/websites/${WEBSITE_ID}`, { method: 'DELETE' });
+
+      assert.equal(response.status, 204);
+      [PingResult, PingRollup, Incident].forEach(Model => {
+        assert.deepEqual(Model.deleteMany.mock.calls[0].arguments[0], { website: website._id });
+      });
+
+      const [type, published] = eventBus.publish.mock.calls[0].arguments;
+      assert.equal(type, 'website-removed');
+      assert.equal(published, website);
+    });
+
+    it('stops retrying its pending webhook deliveries', async () => {
+      await api.request(`/api/websites/${WEBSITE_ID}`, { method: 'DELETE' });
+
+      assert.deepEqual(WebhookDelivery.updateMany.mock.calls[0].arguments, [
+        { website: website._id, status: 'pending' },
+        { $set: { status: 'failed', nextAttemptAt: null } }
+      ]);
+    });
+  });
+
+  describe('GET /api/websites/changes', () => {
+    it('lists websites whose events are newer than the cursor and no longer exist as removed', async () => {
+      mock.method(eventBus, 'getEventsSince', async () => ({
+        resync: false,
+        cursor: '12',
+        events: [
+          { seq: 11, type: 'website-updated', website: WEBSITE_ID },
+          { seq: 12, type: 'website-removed', website: '64b000000000000000000002' }
+        ]
+      }));
+      mock.method(Website, 'getWebsitesWithStats', async () => [{ _id: WEBSITE_ID, name: 'Shop API' }]);
+
+      const response = await api.request('/api/websites/changes?since=10');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data, {
+        resync: false,
+        cursor: '12',
+        websites: [{ _id: WEBSITE_ID, name: 'Shop API' }],
+        removedIds: ['64b000000000000000000002']
+      });
+      assert.deepEqual(eventBus.getEventsSince.mock.calls[0].arguments, [10, { user: USER_ID }]);
+    });
+  });
+
+  describe('realtimeService', () => {
+    const makeEvent = (type, website = WEBSITE_ID) => ({ seq: 7, type, website, user: USER_ID, payload: {}, createdAt: new Date('2026-10-19T10:00:00Z') });
+
+    beforeEach(() => {
+      realtimeService.removedWebsites.clear();
+      mock.method(realtimeService, 'scheduleStatsUpdate', () => {});
+      [websocketManager, sseManager].forEach(transport => {
+        mock.method(transport, 'broadcastWebsiteUpdate', () => {});
+        mock.method(transport, 'broadcastWebsiteRemoved', () => {});
+        mock.method(transport, 'broadcastStatusChange', () => {});
+      });
+    });
+
+    it('sends an edited website with fresh stats', async () => {
+      const withStats = { _id: WEBSITE_ID, user: USER_ID, uptimePercentage: 99 };
+      mock.method(Website, 'getWebsitesWithStats', async () => [withStats]);
+
+      await realtimeService.handleEvent(makeEvent('website-updated'));
+
+      [websocketManager, sseManager].forEach(transport => {
+        assert.deepEqual(transport.broadcastWebsiteUpdate.mock.calls[0].arguments, [withStats, '7']);
+      });
+    });
+
+    it('announces a deleted website to its owner', async () => {
+      await realtimeService.handleEvent(makeEvent('website-removed'));
+
+      [websocketManager, sseManager].forEach(transport => {
+        assert.deepEqual(transport.broadcastWebsiteRemoved.mock.calls[0].arguments, [USER_ID, {
+          type: 'website-removed',
+          websiteId: WEBSITE_ID,
+          timestamp: new Date('2026-10-19T10:00:00Z'),
+          cursor: '7'
+        }]);
+      });
+    });
+
+    it('drops events still published for a deleted website', async () => {
+      const deletedId = '64b000000000000000000009';
+      await realtimeService.handleEvent(makeEvent('website-removed', deletedId));
+      await realtimeService.handleEvent(makeEvent('status-change', deletedId));
+
+      [websocketManager, sseManager].forEach(transport => {
+        assert.equal(transport.broadcastWebsiteRemoved.mock.callCount(), 1);
+        assert.equal(transport.broadcastStatusChange.mock.callCount(), 0);
+      });
+    });
+  });
+});
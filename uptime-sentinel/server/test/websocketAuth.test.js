@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_ID, mockSignedInUser, startApi } = require('./helpers');
+const Website = require('../models/Website');
+const { signToken } = require('../middleware/auth');
+const { getAllowedOrigins } = require('../middleware/cors');
+const websocketManager = require('../websocket');
+
+const DASHBOARD_ORIGIN = getAllowedOrigins()[0];
+
+// Who may open a WebSocket and which channels they may follow
+describe('WebSocket authentication', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('verifyClient', () => {
+    // Resolves with what `done` was called with and the request's auth
+    const verify = (origin, headers = {}) => new Promise(resolve => {
+      const req = { headers: { host: 'api.example.com', ...headers } };
+      websocketManager.verifyClient({ origin, req }, (accepted, code, message) => {
+        resolve({ accepted, code, message, auth: req.auth });
+      });
+    });
+
+    beforeEach(() => {
+      mockSignedInUser();
+    });
+
+    it('authenticates a dashboard with the login cookie', async () => {
+      const result = await verify(DASHBOARD_ORIGIN, { cookie: `theme=dark; jwt=${signToken(USER_ID)}` });
+
+      assert.equal(result.accepted, true);
+      assert.equal(result.auth.user._id, USER_ID);
+      assert.ok(result.auth.tokenExpiresAt > Date.now());
+    });
+
+    it('refuses a page on another origin, even with the login cookie', async () => {
+      const result = await verify('https://evil.example.net', { cookie: `jwt=${signToken(USER_ID)}` });
+
+      assert.equal(result.accepted, false);
+      assert.equal(result.code, 403);
+      assert.equal(result.message, 'Origin not allowed');
+      assert.equal(result.auth, undefined);
+    });
+
+    it("accepts the API's own origin, for the production build it serves", async () => {
+      assert.equal((await verify('https://api.example.com')).accepted, true);
+    });
+
+    it('accepts clients that send no origin, anonymously without a token', async () => {
+      const result = await verify(undefined);
+
+      assert.equal(result.accepted, true);
+      assert.deepEqual(result.auth, { user: null, tokenExpiresAt: null });
+    });
+
+    it('refuses an invalid token', async () => {
+      const result = await verify(DASHBOARD_ORIGIN, { authorization: 'Bearer not-a-token' });
+
+      assert.equal(result.accepted, false);
+      assert.equal(result.code, 401);
+    });
+  });
+
+  describe('canSubscribe', () => {
+    const client = { userId: USER_ID };
+
+    it('lets anyone follow the public global stats', async () => {
+      assert.equal(await websocketManager.canSubscribe({ userId: null }, 'global-stats'), true);
+      assert.equal(await websocketManager.canSubscribe({ userId: null }, `user:${USER_ID}`), false);
+    });
+
+    it('only lets a user follow their own channel and websites', async () => {
+      mock.method(Website, 'exists', async (filter) => (filter._id === '64b000000000000000000001' ? { _id: filter._id } : null));
+
+      assert.equal(await websocketManager.canSubscribe(client, `user:${USER_ID}`), true);
+      assert.equal(await websocketManager.canSubscribe(client, 'user:64b0000000000000000000bb'), false);
+      assert.equal(await websocketManager.canSubscribe(client, 'website:64b000000000000000000001'), true);
+      assert.equal(await websocketManager.canSubscribe(client, 'website:64b000000000000000000002'), false);
+      assert.deepEqual(Website.exists.mock.calls[0].arguments[0], { _id: '64b000000000000000000001', user: USER_ID });
+    });
+  });
+
+  describe('CORS on the REST API', () => {
+    let api;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    it('allows the dashboard origins and lists them on /api/health', async () => {
+      const response = await fetch(`${api.origin}/api/health`, { headers: { Origin: DASHBOARD_ORIGIN } });
+      const body = await response.json();
+
+      assert.equal(response.headers.get('access-control-allow-origin'), DASHBOARD_ORIGIN);
+      assert.ok(body.cors.allowedOrigins.includes(DASHBOARD_ORIGIN));
+    });
+
+    it('gives other origins no CORS headers', async () => {
+      const response = await fetch(`${api.origin}/api/health`, { headers: { Origin: 'https://evil.example.net' } });
+
+      assert.equal(response.headers.get('access-control-allow-origin'), null);
+    });
+  });
+});
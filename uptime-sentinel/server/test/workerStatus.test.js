@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSignedInUser, startApi } = require('./helpers');
+const WorkerStatus = require('../models/WorkerStatus');
+
+// Worker heartbeats and how GET /api/ping/status reports them
+describe('worker status', () => {
+  const now = new Date();
+  const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+  const makeStatus = (fields) => new WorkerStatus({
+    workerId: 'worker-a:101',
+    hostname: 'worker-a',
+    pid: 101,
+    state: 'idle',
+    startedAt: secondsAgo(3600),
+    lastHeartbeat: secondsAgo(10),
+    heartbeatIntervalSeconds: 30,
+    totalPingsCompleted: 1200,
+    queueBacklog: 4,
+    browser: { active: false },
+    ...fields
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('isAlive', () => {
+    it('is alive within three heartbeat intervals', () => {
+      assert.equal(makeStatus({ lastHeartbeat: secondsAgo(89) }).isAlive(now), true);
+      assert.equal(makeStatus({ lastHeartbeat: secondsAgo(91) }).isAlive(now), false);
+    });
+
+    it('is not alive once stopped, however recent the heartbeat', () => {
+      assert.equal(makeStatus({ state: 'stopped', lastHeartbeat: now }).isAlive(now), false);
+    });
+  });
+
+  describe('GET /api/ping/status', () => {
+    let api;
+    let statuses;
+
+    before(async () => {
+      api = await startApi();
+    });
+
+    after(() => api.close());
+
+    beforeEach(() => {
+      mockSignedInUser();
+      statuses = [];
+      mock.method(WorkerStatus, 'find', () => ({ sort: async () => statuses }));
+    });
+
+    it('reports each worker with whether it is alive, newest heartbeat first', async () => {
+      statuses = [
+        makeStatus({ state: 'running', lastError: { message: 'Navigation failed', at: secondsAgo(60) } }),
+        makeStatus({ workerId: 'worker-b:202', hostname: 'worker-b', lastHeartbeat: secondsAgo(600), queueBacklog: 40 })
+      ];
+
+      const response = await api.request('/api/ping/status');
+
+      assert.equal(response.status, 200);
+      const { data } = response.body;
+      assert.equal(data.healthy, true);
+      assert.equal(data.aliveWorkers, 1);
+      assert.equal(data.queueBacklog, 4);
+      assert.equal(data.lastHeartbeat, statuses[0].lastHeartbeat.toISOString());
+      assert.deepEqual(data.workers.map(worker => [worker.workerId, worker.alive]), [['worker-a:101', true], ['worker-b:202', false]]);
+      assert.equal(data.workers[0].lastError.message, 'Navigation failed');
+      assert.ok(Math.abs(data.workers[1].secondsSinceHeartbeat - 600) <= 1);
+    });
+
+    it('is unhealthy when no worker has sent a heartbeat lately', async () => {
+      statuses = [makeStatus({ lastHeartbeat: secondsAgo(3600) })];
+
+      const { body: { data } } = await api.request('/api/ping/status');
+
+      assert.equal(data.healthy, false);
+      assert.equal(data.aliveWorkers, 0);
+      assert.equal(data.queueBacklog, null);
+    });
+
+    it('is unhealthy before any worker has started', async () => {
+      const { body: { data } } = await api.request('/api/ping/status');
+
+      assert.equal(data.healthy, false);
+      assert.equal(data.lastHeartbeat, null);
+      assert.deepEqual(data.workers, []);
+    });
+  });
+});
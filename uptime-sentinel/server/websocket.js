@@ -1,4 +1,20 @@
 const WebSocket = require('ws');
+const Website = require('./models/Website');
+const globalStatsService = require('./services/globalStatsService');
+const eventBus = require('./services/eventBus');
+const { getTokenFromRequest, authenticateToken } = require('./middleware/auth');
+const { isAllowedOrigin } = require('./middleware/cors');
+
+// Channels open to everyone, including visitors who are not logged in
+const GLOBAL_STATS_CHANNEL = 'global-stats';
+const PUBLIC_CHANNELS = new Set([GLOBAL_STATS_CHANNEL]);
+
+// Channels a logged-in client can subscribe to: all of one user's websites, or a single website
+const USER_CHANNEL = /^user:([0-9a-fA-F]{24})$/;
+const WEBSITE_CHANNEL = /^website:([0-9a-fA-F]{24})$/;
+
+// Longest setTimeout delay (about 24.8 days)
+const MAX_TIMER_MS = 2147483647;
 
 class WebSocketManager {
   constructor() {
@@ -9,20 +25,28 @@ class WebSocketManager {
   initialize(server) {
     this.wss = new WebSocket.Server({ 
       server,
-      path: '/ws'
+      path: '/ws',
+      verifyClient: (info, done) => this.verifyClient(info, done)
     });
 
     this.wss.on('connection', (ws, request) => {
       const clientId = this.generateClientId();
-      console.log(`📡 WebSocket client connected: ${clientId}`);
+      const { user, tokenExpiresAt } = request.auth;
+      console.log(`📡 WebSocket client connected: ${clientId} (${user ? user.email : 'anonymous'})`);
       
       // Store client
       this.clients.set(clientId, {
         ws,
+        userId: user ? String(user._id) : null,
         subscriptions: new Set(),
         lastPing: Date.now()
       });
 
+      // Don't keep sending updates after the login has expired
+      const expiryTimer = tokenExpiresAt
+        ? setTimeout(() => ws.close(4001, 'Token expired'), Math.min(Math.max(tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS))
+        : null;
+
       // Handle messages
       ws.on('message', (data) => {
         try {
@@ -36,17 +60,24 @@ class WebSocketManager {
       // Handle disconnect
       ws.on('close', () => {
         console.log(`❌ WebSocket client disconnected: ${clientId}`);
+        clearTimeout(expiryTimer);
         this.clients.delete(clientId);
       });
 
       // Handle errors
       ws.on('error', (error) => {
         console.error(`WebSocket error for client ${clientId}:`, error);
+        clearTimeout(expiryTimer);
         this.clients.delete(clientId);
       });
 
-      // Send initial connection message
-      this.sendToClient(clientId, 'connected', { clientId });
+      // Send initial connection message; `cursor` is where a client that reconnects
+      // later can catch up from (GET /api/websites/changes)
+      this.sendToClient(clientId, 'connected', {
+        clientId,
+        userChannel: user ? `user:${user._id}` : null,
+        cursor: eventBus.lastSeq ? String(eventBus.lastSeq) : null
+      });
     });
 
     // Setup ping interval to keep connections alive
@@ -57,6 +88,43 @@ class WebSocketManager {
     console.log('🚀 WebSocket server initialized');
   }
 
+  // Authenticate with the same JWT (cookie or Bearer token) the REST API uses. Visitors
+  // without a token connect anonymously and can only use public channels; a bad token
+  // is still refused. Browsers send the login cookie to any page that opens a WebSocket,
+  // so only the dashboard origins CORS allows (or the API's own, for the production
+  // build it serves) may connect
+  async verifyClient(info, done) {
+    if (!isAllowedOrigin(info.origin) && !this.isSameOrigin(info.origin, info.req)) {
+      console.log('🚫 WebSocket blocked origin:', info.origin);
+      return done(false, 403, 'Origin not allowed');
+    }
+
+    const token = getTokenFromRequest(info.req);
+    if (!token) {
+      info.req.auth = { user: null, tokenExpiresAt: null };
+      return done(true);
+    }
+
+    try {
+      const { user, decoded } = await authenticateToken(token);
+      info.req.auth = {
+        user,
+        tokenExpiresAt: decoded.exp ? decoded.exp * 1000 : null
+      };
+      done(true);
+    } catch (error) {
+      done(false, 401, error.isAuthError ? error.message : 'Invalid or expired token');
+    }
+  }
+
+  isSameOrigin(origin, request) {
+    try {
+      return new URL(origin).host === request.headers.host;
+    } catch (error) {
+      return false;
+    }
+  }
+
   generateClientId() {
     return Math.random().toString(36).substr(2, 9);
   }
@@ -67,10 +135,10 @@ class WebSocketManager {
 
     switch (type) {
       case 'subscribe':
-        this.handleSubscription(clientId, payload.channel, true);
+        this.handleSubscription(clientId, payload?.channel, true);
         break;
       case 'unsubscribe':
-        this.handleSubscription(clientId, payload.channel, false);
+        this.handleSubscription(clientId, payload?.channel, false);
         break;
       case 'ping':
         this.sendToClient(clientId, 'pong', { timestamp: Date.now() });
@@ -80,17 +148,61 @@ class WebSocketManager {
     }
   }
 
-  handleSubscription(clientId, channel, subscribe) {
+  async handleSubscription(clientId, channel, subscribe) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    if (subscribe) {
-      client.subscriptions.add(channel);
-      console.log(`✅ Client ${clientId} subscribed to ${channel}`);
-    } else {
+    if (!subscribe) {
       client.subscriptions.delete(channel);
       console.log(`❌ Client ${clientId} unsubscribed from ${channel}`);
+      return;
+    }
+
+    try {
+      if (!(await this.canSubscribe(client, channel))) {
+        console.warn(`🚫 Client ${clientId} may not subscribe to ${channel}`);
+        this.sendToClient(clientId, 'subscription-error', { channel, message: 'You do not have access to this channel' });
+        return;
+      }
+    } catch (error) {
+      console.error(`Error checking subscription to ${channel}:`, error.message);
+      this.sendToClient(clientId, 'subscription-error', { channel, message: 'Could not subscribe to this channel' });
+      return;
+    }
+
+    client.subscriptions.add(channel);
+    console.log(`✅ Client ${clientId} subscribed to ${channel}`);
+    this.sendToClient(clientId, 'subscribed', { channel });
+
+    // Send the current numbers right away instead of waiting for the next publish
+    if (channel === GLOBAL_STATS_CHANNEL) {
+      globalStatsService.getStats()
+        .then(stats => this.sendToClient(clientId, 'global-stats-update', stats))
+        .catch(error => console.error('Error loading global stats:', error.message));
+    }
+  }
+
+  // Anyone may follow the public channels; users may follow their own channel and their own websites
+  async canSubscribe(client, channel) {
+    if (PUBLIC_CHANNELS.has(channel)) {
+      return true;
+    }
+
+    if (!client.userId) {
+      return false;
+    }
+
+    const userMatch = typeof channel === 'string' && channel.match(USER_CHANNEL);
+    if (userMatch) {
+      return userMatch[1] === client.userId;
     }
+
+    const websiteMatch = typeof channel === 'string' && channel.match(WEBSITE_CHANNEL);
+    if (websiteMatch) {
+      return !!(await Website.exists({ _id: websiteMatch[1], user: client.userId }));
+    }
+
+    return false;
   }
 
   sendToClient(clientId, type, payload = {}) {
@@ -101,22 +213,30 @@ class WebSocketManager {
     }
   }
 
-  broadcast(channel, type, payload = {}) {
+  // Send to every client subscribed to `channels` (one channel or a list), once per client
+  broadcast(channels, type, payload = {}) {
+    const channelList = Array.isArray(channels) ? channels : [channels];
     const message = JSON.stringify({ type, payload });
     let sentCount = 0;
 
-    this.clients.forEach((client, clientId) => {
-      if (client.subscriptions.has(channel) && client.ws.readyState === WebSocket.OPEN) {
+    this.clients.forEach((client) => {
+      const isSubscribed = channelList.some(channel => client.subscriptions.has(channel));
+      if (isSubscribed && client.ws.readyState === WebSocket.OPEN) {
         client.ws.send(message);
         sentCount++;
       }
     });
 
     if (sentCount > 0) {
-      console.log(`📡 Broadcasted ${type} to ${sentCount} clients on channel ${channel}`);
+      console.log(`📡 Broadcasted ${type} to ${sentCount} clients on ${channelList.join(', ')}`);
     }
   }
 
+  // The channels that carry updates about one website: its owner's and its own
+  getWebsiteChannels(userId, websiteId) {
+    return [`user:${userId}`, `website:${websiteId}`];
+  }
+
   pingClients() {
     const now = Date.now();
     this.clients.forEach((client, clientId) => {
@@ -130,12 +250,34 @@ class WebSocketManager {
   }
 
   // Specific methods for different types of updates
-  broadcastWebsiteUpdate(website) {
-    this.broadcast('website-updates', 'website-update', { website });
+  broadcastWebsiteUpdate(website, cursor = null) {
+    this.broadcast(this.getWebsiteChannels(website.user, website._id), 'website-update', { website, cursor });
+  }
+
+  broadcastStatusChange(userId, change) {
+    this.broadcast(this.getWebsiteChannels(userId, change.websiteId), 'status-change', change);
+  }
+
+  broadcastIncidentUpdate(userId, incident) {
+    this.broadcast(this.getWebsiteChannels(userId, incident.websiteId), 'incident-update', incident);
+  }
+
+  broadcastWebsiteRemoved(userId, removal) {
+    this.broadcast(this.getWebsiteChannels(userId, removal.websiteId), 'website-removed', removal);
+  }
+
+  // A user's dashboard totals go to their own channel only
+  broadcastStatsUpdate(userId, stats) {
+    this.broadcast(`user:${userId}`, 'stats-update', stats);
+  }
+
+  hasUserClients(userId) {
+    const channel = `user:${userId}`;
+    return [...this.clients.values()].some(client => client.subscriptions.has(channel));
   }
 
-  broadcastStatsUpdate(stats) {
-    this.broadcast('dashboard-stats', 'stats-update', stats);
+  broadcastGlobalStats(stats) {
+    this.broadcast(GLOBAL_STATS_CHANNEL, 'global-stats-update', stats);
   }
 
   broadcastSystemStatus(status) {